@@ -5,11 +5,83 @@
  * All critical bugs from v2.1 corrected
  */
 
+import { ClassifierRegistry } from './src/classifiers.js';
+import { AnalysisEngine, analyzeEvents, analyzeMetrics, blendScores, createMetrics, describeDecision, EVENT_LOG_VERSION } from './src/engine.js';
+import { EventAggregator, createAggregationWorker } from './src/aggregator.js';
+import { AmbientCanvas, createAmbientWorker } from './src/particles.js';
+import { SampleRing, RING_CAPACITY, captureMode, coalescedSamples } from './src/capture.js';
+import { normalizeWheel } from './src/scrolling.js';
+import {
+  SESSION_PROFILES,
+  resolveProfile,
+  describeDuration,
+  shortDuration,
+  formatClock
+} from './src/profiles.js';
+import { SessionHistory } from './src/history.js';
+import { drawTrendChart } from './src/trend-chart.js';
+import { buildHeatmap, drawHeatmap, hasHeatmapData } from './src/heatmap.js';
+import { POINTER_DEVICES } from './src/pointers.js';
+import {
+  TASK_BATTERIES,
+  resolveBattery,
+  createBattery,
+  targetLayout,
+  transcriptionAccuracy
+} from './src/tasks.js';
+import {
+  LiveAdaptation,
+  blendColor,
+  clampStrength,
+  ARCHETYPE_COLORS,
+  ADAPTATION_INTERVAL
+} from './src/adaptation.js';
+import {
+  createConsent,
+  parseConsent,
+  allowsEvent,
+  consentedBattery,
+  collectStoredData,
+  deleteStoredData,
+  ConsentError,
+  CONSENT_KEY,
+  DEFAULT_RETENTION_DAYS
+} from './src/consent.js';
+import { normalizeSession, compareSessions } from './src/compare.js';
+import { readResultFile } from './src/import.js';
+import { runMigrations, logMigrationReport, checkHistory, logHistoryReport, quarantineRecord, QUARANTINE_KEY, STORAGE_SCHEMA_KEY } from './src/migrations.js';
+import { Vault, VaultError, VAULT_KEY, MIN_PASSPHRASE_LENGTH, encryptWithPassphrase } from './src/vault.js';
+import {
+  createBaseline,
+  parseBaselines,
+  deviceProfile,
+  BaselineError,
+  BASELINE_KEY,
+  CALIBRATION_BATTERY,
+  CALIBRATION_RETRY
+} from './src/baseline.js';
+import { buildExport, toCSV, toJSON, toReportHTML } from './src/export.js';
+import {
+  readDataset,
+  buildCohort,
+  parseNorms,
+  serializeNorms,
+  cohortReading,
+  ordinal,
+  NormsError,
+  NORMS_KEY,
+  MAX_DATASET_SIZE
+} from './src/norms.js';
+
 // Fallback for performance.now() in older browsers
 if (!window.performance || !window.performance.now) {
   window.performance = Date;
 }
 
+// A click this soon (ms) after a touchend, in browsers whose clicks do not
+// say which pointer made them, is the tap's
+const TAP_CLICK_DELAY = 800;
+
 // Safe random generator fallback
 const safeRandom = () => {
   if (window.crypto && window.crypto.getRandomValues) {
@@ -20,63 +92,113 @@ const safeRandom = () => {
   return Math.random();
 };
 
+// Feature value for the result panels; '—' when it could not be measured
+const formatFeature = (value, unit = '', digits = 0) => (
+  Number.isFinite(value) ? `${Number(value.toFixed(digits))}${unit}` : '—'
+);
+
+// An element's scroll offset and how far it can scroll, as logged with its scroll events
+const scrollPosition = (element) => ({
+  x: Math.round(element.scrollLeft),
+  y: Math.round(element.scrollTop),
+  maxX: Math.max(0, element.scrollWidth - element.clientWidth),
+  maxY: Math.max(0, element.scrollHeight - element.clientHeight)
+});
+
 class AdaptiveMirror {
   constructor() {
+    const profile = resolveProfile(window.location?.search);
+    const battery = resolveBattery(window.location?.search);
+    
     // State with safe defaults
     this.state = {
       isObserving: false,
       startTime: null,
-      duration: 30000,
-      timeRemaining: 30,
+      profile,
+      // Guided task battery, or null for free observation
+      battery,
+      // What the participant agreed to record; nothing is observed without it
+      consent: null,
+      duration: profile.duration, // null while open-ended
+      timeRemaining: profile.duration ? profile.duration / 1000 : 0,
       pausedTime: 0,
       hiddenTime: 0,
-      metrics: {
-        mouseDistance: 0,
-        velocitySum: 0,
-        velocityCount: 0,
-        maxVelocity: 0,
-        jitterCount: 0,
-        scrollCount: 0,
-        clickCount: 0,
-        keystrokes: 0,
-        backspaces: 0,
-        idleTime: 0,
-        lastActivityTime: 0,
-        directionChanges: 0,
-        maxScrollVelocity: 0,
-        // Track timestamps for proper duration calculation
-        firstActivityTime: null
-      },
+      observedDuration: null,
+      // Profile, window and completion time of the result on screen
+      session: null,
+      metrics: createMetrics(),
       personality: null,
       scores: {},
+      analysis: null,
       soundEnabled: false,
       audioContext: null,
       themeApplied: false,
       reducedMotion: false,
-      hidden: false
+      hidden: false,
+      // The running session measures a baseline instead of producing a result
+      calibrating: false
     };
 
     // DOM references cache
     this.elements = {};
-    this.particles = [];
-    this.animationFrame = null;
     this.timers = {};
     this.timeouts = new Set(); // Track all timeouts for cleanup
-    this.lastMouse = { x: 0, y: 0, time: 0, vx: 0, vy: 0 };
-    this.idleStart = null;
     this.canvas = null;
-    this.ctx = null;
+    // Draws the particles, in a worker when the canvas can be handed over
+    this.ambient = null;
     this.isDestroyed = false;
+    this.eventLog = null;
+    // Physical key → press id, pairing keydown with keyup; never logged
+    this.keyPresses = new Map();
+    this.pressCounter = 0;
+    // Pointer Events cover mouse, touch and pen; without them, mouse and touch events stand in
+    this.usePointerEvents = typeof window.PointerEvent === 'function';
+    // Pointer, wheel and scroll samples at full resolution, waiting to be logged in order with everything else
+    this.samples = new SampleRing(RING_CAPACITY, { onFull: () => this.drainSamples() });
+    this.captureMode = captureMode(window.PointerEvent);
+    this.classifiers = new ClassifierRegistry();
+    // Metric aggregation and scoring live in the DOM-free engine
+    this.engine = new AnalysisEngine({ classifiers: this.classifiers, duration: profile.duration });
+    // Feeds the engine in batches through a worker where there is one, so render load cannot delay the measurement
+    this.aggregator = new EventAggregator(this.engine, {
+      worker: createAggregationWorker(),
+      onIdle: (t, at) => this.recordIdle(t, at),
+      onEstimate: (distribution) => this.applyEstimate(distribution)
+    });
+    // Passphrase protection for what is stored; locked until unlocked on My Data
+    this.vault = new Vault();
+    this.history = new SessionHistory({ vault: this.vault });
+    // The open passphrase dialog's { resolve, repeat, returnFocus }
+    this.passphraseRequest = null;
+    // Device profile → personal baseline; only stored when keeping data was agreed to
+    this.baselines = {};
+    // Population cohorts loaded from datasets, and the one results are read against
+    this.norms = { cohorts: [], selected: null };
+    // Rolling estimate that shifts the visuals while a session runs
+    this.adaptation = new LiveAdaptation();
+    // The guided task on screen, or null between tasks and in free observation
+    this.task = null;
+    this.taskIndex = -1;
+    // The battery actually run: the selected one minus tasks whose input was declined
+    this.battery = null;
+    this.historyReturnScreen = 'intro-screen';
+    this.dataReturnScreen = 'intro-screen';
+    this.compareList = [];
     
     // Bind all methods to ensure correct 'this' context
-    this.handleMouseMove = this.throttle(this.handleMouseMove.bind(this), 16);
-    this.handleScroll = this.throttle(this.handleScroll.bind(this), 100);
-    this.handleWheel = this.throttle(this.handleWheel.bind(this), 50);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleTaskScroll = this.handleTaskScroll.bind(this);
+    this.handleReadingScroll = this.handleReadingScroll.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
     this.handleResize = this.debounce(this.handleResize.bind(this), 200);
     this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
     this.startRenderLoop = this.startRenderLoop.bind(this);
     this.checkIdle = this.checkIdle.bind(this);
-    this.boundKeyDownHandler = this.handleKeyDown.bind(this);
+    this.boundKeyDownHandler = this.handleShortcutKey.bind(this);
     this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
     
     this.init();
@@ -90,7 +212,14 @@ class AdaptiveMirror {
     this.setupAudio();
     this.initCanvas();
     this.bindEvents();
+    this.migrateStorage();
     this.loadPreviousResult();
+    this.applyRetention(this.loadConsent());
+    this.loadAdaptationStrength();
+    this.loadBaselines();
+    this.loadNorms();
+    this.renderProfile();
+    this.renderBattery();
     this.startRenderLoop();
     
     console.log('%cAdaptive Mirror v3.0 (Hardened)', 'color: #00ff88; font-family: monospace;');
@@ -104,8 +233,9 @@ class AdaptiveMirror {
     if (mediaQuery.addEventListener) {
       mediaQuery.addEventListener('change', (e) => {
         this.state.reducedMotion = e.matches;
+        this.renderAdaptation();
         if (e.matches) {
-          this.particles = [];
+          this.ambient?.clear();
           this.stopRenderLoop();
         } else {
           this.createParticles();
@@ -122,12 +252,28 @@ class AdaptiveMirror {
 
   cacheDOM() {
     const selectors = {
-      screens: ['intro-screen', 'observation-screen', 'transition-screen', 'result-screen'],
-      buttons: ['begin-btn', 'restart-btn', 'sound-toggle', 'abort-btn', 'export-btn'],
-      displays: ['timer-display', 'timer-progress', 'primary-trait', 'interpretation', 'result-timestamp'],
-      inputs: ['typing-field'],
+      screens: ['intro-screen', 'consent-screen', 'observation-screen', 'transition-screen', 'result-screen', 'history-screen', 'compare-screen', 'data-screen'],
+      buttons: ['begin-btn', 'calibrate-btn', 'consent-cancel-btn', 'data-btn', 'data-back-btn', 'data-download-btn', 'data-delete-btn', 'vault-enable-btn', 'vault-unlock-btn', 'vault-lock-btn', 'vault-disable-btn', 'passphrase-cancel-btn', 'restart-btn', 'sound-toggle', 'abort-btn', 'export-btn', 'finish-btn', 'history-btn', 'result-history-btn', 'history-back-btn', 'history-clear-btn', 'history-compare-btn', 'compare-back-btn', 'import-btn', 'result-import-btn', 'export-encrypted-btn', 'export-csv-btn', 'report-btn', 'heatmap-png-btn', 'norms-remove-btn'],
+      displays: ['timer-display', 'timer-unit', 'timer-label', 'timer-progress', 'primary-trait', 'interpretation', 'result-timestamp', 'result-duration', 'session-length-text'],
+      inputs: ['typing-field', 'import-file-input'],
       metrics: ['focus-bar', 'focus-value', 'hesitation-bar', 'hesitation-value', 'control-bar', 'control-value', 'energy-bar', 'energy-value'],
-      misc: ['returning-message', 'sound-icon', 'ambient-canvas', 'session-id']
+      history: ['history-list', 'history-count', 'history-empty', 'history-chart'],
+      consent: ['consent-form', 'consent-channels', 'consent-persist', 'consent-retention', 'consent-agree', 'consent-error'],
+      data: ['data-status', 'data-consent', 'data-empty', 'data-list'],
+      vault: ['vault-status', 'vault-error'],
+      passphrase: ['passphrase-dialog', 'passphrase-form', 'passphrase-message', 'passphrase-input', 'passphrase-repeat', 'passphrase-error'],
+      compare: ['compare-table', 'compare-status', 'compare-empty', 'compare-file-input'],
+      blend: ['confidence-bar', 'confidence-value', 'secondary-trait', 'blend-list'],
+      explanation: ['explanation-panel', 'explanation-decision', 'explanation-list'],
+      typing: ['typing-panel', 'typing-list'],
+      trajectory: ['trajectory-panel', 'trajectory-list'],
+      pointer: ['pointer-panel', 'pointer-list'],
+      heatmap: ['heatmap-panel', 'heatmap-canvas', 'heatmap-note'],
+      baseline: ['baseline-status', 'baseline-panel', 'baseline-list'],
+      norms: ['cohort-select', 'norms-file-input', 'norms-status', 'focus-percentile', 'hesitation-percentile', 'control-percentile', 'energy-percentile'],
+      scroll: ['reading-panel', 'scroll-panel', 'scroll-list'],
+      tasks: ['battery-selector', 'task-stage', 'task-progress', 'task-instruction', 'task-area', 'task-done-btn', 'tasks-panel', 'tasks-list'],
+      misc: ['returning-message', 'sound-icon', 'ambient-canvas', 'session-id', 'profile-selector', 'adaptation-strength', 'adaptation-strength-value']
     };
 
     Object.entries(selectors).forEach(([category, ids]) => {
@@ -137,17 +283,6 @@ class AdaptiveMirror {
     });
     
     this.canvas = this.elements['ambient-canvas'];
-    if (this.canvas) {
-      this.ctx = this.canvas.getContext('2d', { alpha: true });
-      // Handle context loss/restoration
-      this.canvas.addEventListener('webglcontextlost', (e) => {
-        e.preventDefault();
-        this.stopRenderLoop();
-      });
-      this.canvas.addEventListener('webglcontextrestored', () => {
-        this.initCanvas();
-      });
-    }
     
     // Generate session ID
     if (this.elements['session-id']) {
@@ -185,8 +320,10 @@ class AdaptiveMirror {
   }
 
   initCanvas() {
-    if (!this.canvas || !this.ctx || this.isDestroyed) return;
+    if (!this.canvas || this.isDestroyed) return;
     
+    this.ambient = new AmbientCanvas(this.canvas, { worker: createAmbientWorker() });
+    this.syncAmbient();
     this.resizeCanvas();
     this.createParticles();
     
@@ -206,94 +343,166 @@ class AdaptiveMirror {
   }
 
   resizeCanvas() {
-    if (!this.canvas || !this.ctx) return;
-    
-    const dpr = Math.min(window.devicePixelRatio || 1, 2);
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    
-    this.canvas.width = Math.floor(width * dpr);
-    this.canvas.height = Math.floor(height * dpr);
-    this.canvas.style.width = `${width}px`;
-    this.canvas.style.height = `${height}px`;
-    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    if (!this.ambient) return;
+    this.ambient.resize(window.innerWidth, window.innerHeight, Math.min(window.devicePixelRatio || 1, 2));
   }
 
+  // Particles keep their positions; only the bounds they bounce within change
   handleResize() {
     if (!this.canvas || this.isDestroyed) return;
     this.resizeCanvas();
-    // Only recreate particles if count needs to change significantly
-    if (this.particles.length === 0 && !this.state.reducedMotion) {
-      this.createParticles();
-    }
   }
 
+  // A fresh set of particles for the window size, or none under reduced motion
   createParticles() {
-    if (this.state.reducedMotion || !this.canvas) {
-      this.particles = [];
-      return;
-    }
-    
-    // Clamp particle count based on area
-    const area = window.innerWidth * window.innerHeight;
-    const count = Math.min(25, Math.max(5, Math.floor(area / 50000)));
-    
-    this.particles = [];
-    for (let i = 0; i < count; i++) {
-      this.particles.push({
-        x: Math.random() * window.innerWidth,
-        y: Math.random() * window.innerHeight,
-        vx: (Math.random() - 0.5) * 0.3,
-        vy: (Math.random() - 0.5) * 0.3,
-        radius: Math.random() * 2 + 0.5,
-        opacity: Math.random() * 0.1 + 0.02,
-        phase: Math.random() * Math.PI * 2,
-        originalVx: 0, // Store for reset
-        originalVy: 0
-      });
-    }
-    // Store original velocities
-    this.particles.forEach(p => {
-      p.originalVx = p.vx;
-      p.originalVy = p.vy;
-    });
+    if (!this.ambient) return;
+    if (this.state.reducedMotion) this.ambient.clear();
+    else this.ambient.populate();
   }
 
   bindEvents() {
     if (this.isDestroyed) return;
     
     // Main controls
-    this.elements['begin-btn']?.addEventListener('click', () => this.beginObservation());
+    this.elements['begin-btn']?.addEventListener('click', () => this.showConsent());
+    this.elements['calibrate-btn']?.addEventListener('click', () => this.startCalibration());
+    this.elements['consent-form']?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.giveConsent();
+    });
+    this.elements['consent-persist']?.addEventListener('change', () => this.renderRetentionChoice());
+    this.elements['consent-cancel-btn']?.addEventListener('click', () => {
+      this.state.calibrating = false;
+      this.switchScreen('intro-screen');
+    });
+    this.elements['data-btn']?.addEventListener('click', () => this.showData('intro-screen'));
+    this.elements['data-back-btn']?.addEventListener('click', () => this.switchScreen(this.dataReturnScreen));
+    this.elements['data-download-btn']?.addEventListener('click', () => this.downloadData());
+    this.elements['data-delete-btn']?.addEventListener('click', () => this.deleteData());
+    this.elements['data-list']?.addEventListener('click', (e) => {
+      const view = e.target?.closest('[data-stored-view]');
+      const remove = e.target?.closest('[data-stored-delete]');
+      if (view) this.toggleStoredView(view);
+      else if (remove) this.deleteData(remove.dataset.storedDelete);
+    });
+    this.elements['vault-enable-btn']?.addEventListener('click', () => this.enableVault());
+    this.elements['vault-unlock-btn']?.addEventListener('click', () => this.unlockVault());
+    this.elements['vault-lock-btn']?.addEventListener('click', () => this.lockVault());
+    this.elements['vault-disable-btn']?.addEventListener('click', () => this.disableVault());
+    this.elements['passphrase-form']?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitPassphrase();
+    });
+    this.elements['passphrase-cancel-btn']?.addEventListener('click', () => this.answerPassphrase(null));
+    this.elements['passphrase-dialog']?.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.answerPassphrase(null);
+    });
     this.elements['restart-btn']?.addEventListener('click', () => this.reset());
     this.elements['sound-toggle']?.addEventListener('click', () => this.toggleAudio());
     this.elements['abort-btn']?.addEventListener('click', () => this.reset());
-    this.elements['export-btn']?.addEventListener('click', () => this.exportData());
+    this.elements['export-btn']?.addEventListener('click', () => this.exportData('json'));
+    this.elements['export-encrypted-btn']?.addEventListener('click', () => this.exportEncrypted());
+    this.elements['export-csv-btn']?.addEventListener('click', () => this.exportData('csv'));
+    this.elements['report-btn']?.addEventListener('click', () => this.exportData('html'));
+    this.elements['heatmap-png-btn']?.addEventListener('click', () => this.exportHeatmap());
+    this.elements['finish-btn']?.addEventListener('click', () => {
+      if (this.state.isObserving) this.completeObservation();
+    });
+    this.elements['history-btn']?.addEventListener('click', () => this.showHistory('intro-screen'));
+    this.elements['result-history-btn']?.addEventListener('click', () => this.showHistory('result-screen'));
+    this.elements['history-back-btn']?.addEventListener('click', () => this.switchScreen(this.historyReturnScreen));
+    this.elements['history-clear-btn']?.addEventListener('click', () => this.clearHistory());
+    this.elements['history-list']?.addEventListener('click', (e) => {
+      const button = e.target?.closest('[data-history-delete]');
+      if (button) this.deleteHistoryEntry(Number(button.dataset.historyDelete));
+    });
+    this.elements['history-list']?.addEventListener('change', () => this.updateCompareButton());
+    this.elements['history-compare-btn']?.addEventListener('click', () => this.compareSelected());
+    this.elements['compare-back-btn']?.addEventListener('click', () => this.showHistory(this.historyReturnScreen));
+    ['import-btn', 'result-import-btn'].forEach(id => {
+      this.elements[id]?.addEventListener('click', () => this.elements['import-file-input']?.click());
+    });
+    this.elements['import-file-input']?.addEventListener('change', (e) => {
+      const [file] = e.target.files || [];
+      e.target.value = '';
+      if (file) this.importFile(file);
+    });
+    
+    // Dropping an exported file anywhere on the result screen opens it
+    const resultScreen = this.elements['result-screen'];
+    if (resultScreen) {
+      resultScreen.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer?.types?.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        resultScreen.classList.add('drop-active');
+      });
+      resultScreen.addEventListener('dragleave', (e) => {
+        if (!resultScreen.contains(e.relatedTarget)) resultScreen.classList.remove('drop-active');
+      });
+      resultScreen.addEventListener('drop', (e) => {
+        e.preventDefault();
+        resultScreen.classList.remove('drop-active');
+        const file = e.dataTransfer?.files?.[0];
+        if (file) this.importFile(file);
+      });
+    }
+    this.elements['compare-file-input']?.addEventListener('change', (e) => {
+      this.addCompareFiles(e.target.files);
+      e.target.value = ''; // Allow re-adding the same file
+    });
+    this.elements['norms-file-input']?.addEventListener('change', (e) => {
+      const files = Array.from(e.target.files || []);
+      e.target.value = '';
+      this.loadNormFiles(files);
+    });
+    this.elements['cohort-select']?.addEventListener('change', (e) => this.selectCohort(e.target.value));
+    this.elements['norms-remove-btn']?.addEventListener('click', () => this.removeCohort());
+    this.elements['compare-table']?.addEventListener('click', (e) => {
+      const button = e.target?.closest('[data-compare-remove]');
+      if (button) this.removeCompareSession(Number(button.dataset.compareRemove));
+    });
+    this.elements['profile-selector']?.addEventListener('change', (e) => {
+      if (e.target?.name === 'session-profile') this.setProfile(e.target.value);
+    });
+    this.elements['battery-selector']?.addEventListener('change', (e) => {
+      if (e.target?.name === 'task-battery') this.setBattery(e.target.value);
+    });
+    this.elements['task-done-btn']?.addEventListener('click', () => this.finishTranscription());
+    this.elements['adaptation-strength']?.addEventListener('input', (e) => {
+      this.setAdaptationStrength(Number(e.target.value) / 100);
+    });
     
     // Input tracking - use beforeinput for better IME handling
     const inputField = this.elements['typing-field'];
     if (inputField) {
       inputField.addEventListener('beforeinput', (e) => this.handleBeforeInput(e));
       inputField.addEventListener('keydown', (e) => this.handleKeyDown(e));
-      inputField.addEventListener('keyup', () => {
-        if (this.state.isObserving) {
-          this.state.metrics.lastActivityTime = performance.now();
-        }
-      });
+      inputField.addEventListener('keyup', (e) => this.handleKeyUp(e));
       // Composition events for IME
       inputField.addEventListener('compositionstart', () => { this.isComposing = true; });
       inputField.addEventListener('compositionend', () => { this.isComposing = false; });
     }
     
     // Global tracking
-    document.addEventListener('mousemove', this.handleMouseMove, { passive: true });
+    if (this.usePointerEvents) {
+      document.addEventListener('pointerdown', this.handlePointerDown, { passive: true });
+      document.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+      document.addEventListener('pointerup', this.handlePointerUp, { passive: true });
+      document.addEventListener('pointercancel', this.handlePointerUp, { passive: true });
+    } else {
+      document.addEventListener('mousemove', this.handleMouseMove, { passive: true });
+      
+      // Touch support
+      document.addEventListener('touchstart', (e) => this.handleTouch(e), { passive: true });
+      document.addEventListener('touchmove', (e) => this.handleTouch(e), { passive: true });
+      document.addEventListener('touchend', (e) => this.endTouch(e), { passive: true });
+    }
     document.addEventListener('scroll', this.handleScroll, { passive: true });
+    // Element scrolls do not bubble; the reading panel reports its own
+    this.elements['reading-panel']?.addEventListener('scroll', this.handleReadingScroll, { passive: true });
     document.addEventListener('click', (e) => this.handleClick(e), { passive: true });
     
-    // Touch support
-    document.addEventListener('touchstart', (e) => this.handleTouch(e), { passive: true });
-    document.addEventListener('touchmove', (e) => this.handleTouch(e), { passive: true });
-    document.addEventListener('touchend', () => this.endTouch(), { passive: true });
-    
     // Wheel events
     document.addEventListener('wheel', this.handleWheel, { passive: true });
     
@@ -328,8 +537,13 @@ class AdaptiveMirror {
     this.stopObservation();
     
     // Remove document event listeners
+    document.removeEventListener('pointerdown', this.handlePointerDown);
+    document.removeEventListener('pointermove', this.handlePointerMove);
+    document.removeEventListener('pointerup', this.handlePointerUp);
+    document.removeEventListener('pointercancel', this.handlePointerUp);
     document.removeEventListener('mousemove', this.handleMouseMove);
     document.removeEventListener('scroll', this.handleScroll);
+    this.elements['reading-panel']?.removeEventListener('scroll', this.handleReadingScroll);
     document.removeEventListener('click', this.handleClick);
     document.removeEventListener('touchstart', this.handleTouch);
     document.removeEventListener('touchmove', this.handleTouch);
@@ -347,8 +561,9 @@ class AdaptiveMirror {
       this.resizeObserver = null;
     }
     
-    // Clear animation frame
-    this.stopRenderLoop();
+    // Stop drawing and the workers
+    this.ambient?.destroy();
+    this.aggregator.close();
     
     // Clear all tracked timeouts
     this.timeouts.forEach(id => clearTimeout(id));
@@ -370,57 +585,249 @@ class AdaptiveMirror {
       URL.revokeObjectURL(this.exportUrl);
       this.exportUrl = null;
     }
+    
+    this.answerPassphrase(null);
+    this.vault.lock();
+    this.history.close().catch(() => {});
   }
 
   stopRenderLoop() {
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
-      this.animationFrame = null;
-    }
+    this.ambient?.stop();
   }
 
   handleVisibilityChange() {
     if (!this.state.isObserving) return;
     
     if (document.hidden) {
-      this.state.hidden = true;
-      this.state.hiddenTime = performance.now();
-      // Clear intervals to pause tracking
-      clearInterval(this.timers.countdown);
-      clearInterval(this.timers.idle);
-      this.stopRenderLoop();
+      this.pauseObservation(performance.now());
     } else {
-      this.state.hidden = true;
-      const now = performance.now();
-      const hiddenDuration = now - this.state.hiddenTime;
-      
-      // Adjust start time to account for hidden duration
-      this.state.startTime += hiddenDuration;
-      this.state.hidden = false;
-      
-      // Resume if still observing
-      if (this.state.isObserving) {
-        this.startTimer();
-        this.startIdleTracker();
-        this.startRenderLoop();
+      this.resumeObservation(performance.now());
+    }
+  }
+
+  pauseObservation(now) {
+    this.track('hidden', now);
+    this.state.hidden = true;
+    this.state.hiddenTime = now;
+    
+    // Clear intervals to pause tracking
+    clearInterval(this.timers.countdown);
+    clearInterval(this.timers.idle);
+    this.stopRenderLoop();
+  }
+
+  resumeObservation(now) {
+    this.track('visible', now);
+    const hiddenDuration = now - this.state.hiddenTime;
+    
+    // Adjust start time to account for hidden duration
+    this.state.startTime += hiddenDuration;
+    this.state.hidden = false;
+    
+    // Resume if still observing
+    if (this.state.isObserving) {
+      this.startTimer();
+      this.startIdleTracker();
+      this.startRenderLoop();
+    }
+  }
+
+  setProfile(id) {
+    if (this.state.isObserving || !SESSION_PROFILES[id]) return;
+    
+    this.state.profile = { id, ...SESSION_PROFILES[id] };
+    this.state.duration = this.state.profile.duration;
+    this.renderProfile();
+  }
+
+  // 'free' turns the battery off
+  setBattery(id) {
+    if (this.state.isObserving) return;
+    this.state.battery = TASK_BATTERIES[id] ? createBattery(id, TASK_BATTERIES[id].tasks) : null;
+    this.renderBattery();
+  }
+
+  renderBattery() {
+    const id = this.state.battery ? this.state.battery.id : 'free';
+    // Custom URL batteries have no matching radio, so none is checked
+    this.elements['battery-selector']?.querySelectorAll('input[name="task-battery"]').forEach(input => {
+      input.checked = input.value === id;
+    });
+  }
+
+  // Sync intro copy, selector and timer with the active profile
+  renderProfile() {
+    const { profile, duration } = this.state;
+    const length = describeDuration(duration);
+    
+    if (this.elements['session-length-text']) {
+      this.elements['session-length-text'].textContent = duration
+        ? `This system will observe how you behave for ${length}.`
+        : 'This system will observe how you behave until you finish the session.';
+    }
+    
+    this.elements['begin-btn']?.setAttribute('aria-label', duration
+      ? `Begin ${length} behavioral observation session`
+      : 'Begin open-ended behavioral observation session');
+    
+    // Custom URL durations have no matching radio, so none is checked
+    this.elements['profile-selector']?.querySelectorAll('input[name="session-profile"]').forEach(input => {
+      input.checked = input.value === profile.id;
+    });
+    
+    if (this.elements['timer-label']) {
+      this.elements['timer-label'].textContent = duration ? 'Observation Window' : 'Elapsed';
+    }
+    
+    this.elements['finish-btn']?.classList.toggle('hidden', Boolean(duration));
+    if (this.elements['finish-btn']) this.elements['finish-btn'].hidden = Boolean(duration);
+    
+    this.state.timeRemaining = duration ? duration / 1000 : 0;
+    this.renderClock(this.state.timeRemaining);
+  }
+
+  renderClock(totalSeconds) {
+    const { minutes, seconds } = formatClock(totalSeconds);
+    if (this.elements['timer-unit']) this.elements['timer-unit'].textContent = `${minutes}:`;
+    if (this.elements['timer-display']) this.elements['timer-display'].textContent = seconds;
+  }
+
+  // The consent kept from an earlier visit, if the participant chose to keep data here
+  loadConsent() {
+    try {
+      return parseConsent(localStorage.getItem(CONSENT_KEY));
+    } catch (e) {
+      console.warn('Failed to load consent:', e);
+      return null;
+    }
+  }
+
+  // Kept sessions expire after the retention the participant chose
+  applyRetention(consent) {
+    if (!consent?.persist) return;
+    this.history.retention.maxAgeDays = consent.retentionDays;
+    this.history.prune().catch(e => {
+      console.warn('Failed to apply retention:', e);
+    });
+  }
+
+  // Prefilled with the last choices; agreement itself is asked for every session
+  showConsent() {
+    if (this.state.isObserving || this.isDestroyed) return;
+    
+    const previous = this.state.consent ?? this.loadConsent();
+    this.elements['consent-channels']?.querySelectorAll('input[name="consent-channel"]').forEach(input => {
+      input.checked = Boolean(previous?.channels.includes(input.value));
+    });
+    if (this.elements['consent-persist']) this.elements['consent-persist'].checked = Boolean(previous?.persist);
+    if (this.elements['consent-retention']) {
+      this.elements['consent-retention'].value = String(previous?.retentionDays ?? DEFAULT_RETENTION_DAYS);
+    }
+    if (this.elements['consent-agree']) this.elements['consent-agree'].checked = false;
+    if (this.elements['consent-error']) this.elements['consent-error'].textContent = '';
+    this.renderRetentionChoice();
+    this.switchScreen('consent-screen');
+  }
+
+  renderRetentionChoice() {
+    if (this.elements['consent-retention']) {
+      this.elements['consent-retention'].disabled = !this.elements['consent-persist']?.checked;
+    }
+  }
+
+  giveConsent() {
+    const showError = (message) => {
+      if (this.elements['consent-error']) this.elements['consent-error'].textContent = message;
+    };
+    if (!this.elements['consent-agree']?.checked) {
+      showError('Please confirm that you agree to take part.');
+      return;
+    }
+    
+    const channels = Array.from(
+      this.elements['consent-channels']?.querySelectorAll('input[name="consent-channel"]:checked') || [],
+      input => input.value
+    );
+    try {
+      this.recordConsent(createConsent({
+        channels,
+        persist: Boolean(this.elements['consent-persist']?.checked),
+        retentionDays: Number(this.elements['consent-retention']?.value)
+      }));
+    } catch (e) {
+      if (!(e instanceof ConsentError)) throw e;
+      showError(e.message);
+      return;
+    }
+    this.beginObservation();
+  }
+
+  // Every session from here on is observed and stored under this consent
+  recordConsent(consent) {
+    this.state.consent = consent;
+    try {
+      // The record itself is only kept when keeping data was agreed to
+      if (consent.persist) {
+        localStorage.setItem(CONSENT_KEY, JSON.stringify(consent));
+      } else {
+        localStorage.removeItem(CONSENT_KEY);
       }
+    } catch (e) {
+      console.warn('Failed to save consent:', e);
     }
+    this.applyRetention(consent);
   }
 
   beginObservation() {
     if (this.state.isObserving) return;
+    if (!this.state.consent) {
+      this.showConsent();
+      return;
+    }
+    
+    // The next participant must not find earlier sessions open
+    this.vault.lock();
     
+    const calibrating = this.state.calibrating;
+    const battery = consentedBattery(calibrating ? CALIBRATION_BATTERY : this.state.battery, this.state.consent);
+    const now = performance.now();
     this.state.isObserving = true;
-    this.state.startTime = performance.now();
-    this.state.timeRemaining = 30;
+    this.state.startTime = now;
+    this.state.timeRemaining = this.state.duration ? this.state.duration / 1000 : 0;
     this.state.pausedTime = 0;
-    this.state.metrics.lastActivityTime = performance.now();
-    this.state.metrics.firstActivityTime = null;
-    this.resetMetrics();
+    this.engine.duration = this.state.duration;
+    this.keyPresses.clear();
+    this.samples.clear();
+    this.eventLog = {
+      version: EVENT_LOG_VERSION,
+      startTime: now,
+      endTime: null,
+      duration: this.state.duration,
+      profile: this.state.profile.id,
+      // Lets the result heatmap draw in the coordinates the session ran in
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      // What the personal baseline is looked up by, with the pointer device
+      device: {
+        pixelRatio: window.devicePixelRatio || 1,
+        screen: { width: window.screen?.width ?? null, height: window.screen?.height ?? null }
+      },
+      calibration: calibrating,
+      // The stimuli shown, so sessions can be checked for comparability
+      battery: battery ? JSON.parse(JSON.stringify(battery)) : null,
+      // The consent this session was recorded under
+      consent: JSON.parse(JSON.stringify(this.state.consent)),
+      // How input was captured; `dropped` counts samples the ring lost, normally none
+      capture: { mode: this.captureMode, dropped: 0 },
+      events: []
+    };
+    this.resetMetrics(now);
     
     this.switchScreen('observation-screen');
     this.startTimer();
     this.startIdleTracker();
+    this.startAdaptation();
+    this.startRenderLoop();
+    this.startBattery(battery);
     this.playTone(440, 0.1, 'sine');
     
     // Safe focus with visibility check
@@ -435,26 +842,11 @@ class AdaptiveMirror {
     }, 100);
   }
 
-  resetMetrics() {
-    this.state.metrics = {
-      mouseDistance: 0,
-      velocitySum: 0,
-      velocityCount: 0,
-      maxVelocity: 0,
-      jitterCount: 0,
-      scrollCount: 0,
-      clickCount: 0,
-      keystrokes: 0,
-      backspaces: 0,
-      idleTime: 0,
-      lastActivityTime: performance.now(),
-      firstActivityTime: null,
-      directionChanges: 0,
-      maxScrollVelocity: 0
-    };
-    
-    this.lastMouse = { x: 0, y: 0, time: 0, vx: 0, vy: 0 };
-    this.idleStart = null;
+  resetMetrics(now = performance.now()) {
+    this.lastLogged = now;
+    this.lastTouchEnd = null;
+    this.aggregator.reset(now, this.eventLog);
+    this.state.metrics = this.aggregator.metrics;
     this.isComposing = false;
   }
 
@@ -462,31 +854,41 @@ class AdaptiveMirror {
     // Clear existing to prevent duplicates
     clearInterval(this.timers.countdown);
     
-    let lastAnnouncement = 30;
+    const openEnded = !this.state.duration;
+    const totalSeconds = openEnded ? 0 : this.state.duration / 1000;
+    // Long windows announce less often to keep screen readers quiet
+    const announceEvery = openEnded ? 60 : (totalSeconds > 30 ? 30 : 5);
+    let lastAnnouncement = totalSeconds;
+    let lastShown = null;
     
     const update = () => {
       if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
       
       const elapsed = performance.now() - this.state.startTime;
-      const progress = Math.min(1, elapsed / this.state.duration);
-      const remaining = Math.max(0, Math.ceil((this.state.duration - elapsed) / 1000));
+      const progress = openEnded ? 0 : Math.min(1, elapsed / this.state.duration);
+      const remaining = openEnded ? 0 : Math.max(0, Math.ceil((this.state.duration - elapsed) / 1000));
+      // Open-ended sessions count up instead of down
+      const shown = openEnded ? Math.floor(elapsed / 1000) : remaining;
       
-      if (remaining !== this.state.timeRemaining) {
+      if (shown !== lastShown) {
+        lastShown = shown;
         this.state.timeRemaining = remaining;
+        this.renderClock(shown);
         const display = this.elements['timer-display'];
         if (display) {
-          display.textContent = remaining.toString().padStart(2, '0');
-          
           // Add warning class when time is running low
-          if (remaining <= 5) {
+          if (!openEnded && remaining <= 5) {
             display.classList.add('warning');
           } else {
             display.classList.remove('warning');
           }
           
-          // FIXED: Only announce every 5 seconds or at 10/5/0 to prevent spam
-          if (remaining === 0 || remaining === 5 || remaining === 10 || 
-              (remaining % 5 === 0 && remaining !== lastAnnouncement)) {
+          // FIXED: Only announce at regular intervals or at 10/5/0 to prevent spam
+          const milestone = openEnded
+            ? (shown > 0 && shown % announceEvery === 0)
+            : (remaining === 0 || remaining === 5 || remaining === 10 ||
+              (remaining % announceEvery === 0 && remaining !== lastAnnouncement));
+          if (milestone) {
             display.setAttribute('aria-live', 'polite');
             lastAnnouncement = remaining;
             const timeoutId = setTimeout(() => {
@@ -498,11 +900,11 @@ class AdaptiveMirror {
       }
       
       if (this.elements['timer-progress']) {
-        const scale = 1 - progress;
+        const scale = openEnded ? 1 : 1 - progress;
         this.elements['timer-progress'].style.transform = `scaleX(${Math.max(0, Math.min(1, scale))})`;
       }
       
-      if (elapsed >= this.state.duration) {
+      if (!openEnded && elapsed >= this.state.duration) {
         this.completeObservation();
       }
     };
@@ -522,80 +924,120 @@ class AdaptiveMirror {
 
   startIdleTracker() {
     clearInterval(this.timers.idle);
-    this.timers.idle = setInterval(this.checkIdle, 100);
+    this.timers.idle = setInterval(() => this.checkIdle(), 100);
   }
 
-  checkIdle() {
+  checkIdle(now = performance.now()) {
     if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
     
-    const now = performance.now();
-    const timeSinceActivity = now - this.state.metrics.lastActivityTime;
-    
-    if (this.idleStart && timeSinceActivity < 100) {
-      const idleDuration = now - this.idleStart;
-      if (idleDuration > 500) {
-        this.state.metrics.idleTime += idleDuration;
-      }
-      this.idleStart = null;
-    } else if (!this.idleStart && timeSinceActivity > 400) {
-      this.idleStart = now;
-    }
+    // Only ticks that change idle state are logged (see recordIdle); replaying those is sufficient
+    this.drainSamples();
+    // An idle change may be logged at this time, so later events may not come before it
+    const t = Math.max(now, this.lastLogged);
+    this.lastLogged = t;
+    this.aggregator.checkIdle(t);
+  }
+
+  // Idle changes are logged where their check fell among the events, which
+  // with a worker is only known once it answers, so replays fold them in
+  // the same order
+  recordIdle(t, at) {
+    this.eventLog?.events.splice(at, 0, { type: 'idle', t });
+  }
+
+  // Event time on the performance.now() clock; replayed events carry their
+  // recorded time. A sample keeps the time the browser stamped it with,
+  // which can be earlier than an idle check or task event logged since;
+  // fold() moves it up to keep the log in time order.
+  eventTime(e) {
+    return (e && e.timeStamp) || performance.now();
+  }
+
+  recordEvent(type, t, data) {
+    if (!this.eventLog) return null;
+    const event = { type, t, ...data };
+    this.eventLog.events.push(event);
+    return event;
+  }
+
+  // Log an observed event and fold it into the engine's metrics, after the samples captured before it
+  track(type, t, data) {
+    this.drainSamples();
+    this.fold(type, t, data);
+  }
+
+  fold(type, t, data) {
+    // Input from a channel the participant did not agree to is dropped unseen
+    if (!allowsEvent(this.state.consent, { type, ...data })) return;
+    // Never before the last logged event, so the log replays and imports in order
+    const logged = Math.max(t, this.lastLogged ?? -Infinity);
+    this.lastLogged = logged;
+    const event = this.recordEvent(type, logged, data) || { type, t: logged, ...data };
+    this.aggregator.process(event);
+  }
+
+  // High-rate input only queues its sample; it is logged at the next drain
+  sample(type, t, data) {
+    this.samples.push({ type, t, data });
+  }
+
+  // Logs and folds the queued samples, oldest first. Runs with every idle
+  // check, before any other event is tracked and when the session stops.
+  drainSamples() {
+    let moved = false;
+    this.samples.drain(({ type, t, data }) => {
+      this.fold(type, t, data);
+      if (type === 'mousemove' || type === 'pointermove') moved = true;
+    });
+    if (moved) this.updateMetricIndicator('movement', true);
   }
 
   handleMouseMove(e) {
     if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
     
-    const now = e.timeStamp || performance.now();
+    const now = this.eventTime(e);
     const x = e.clientX;
     const y = e.clientY;
     
-    this.updateMetricIndicator('movement', true);
-    
-    // Initialize first activity time
-    if (!this.state.metrics.firstActivityTime) {
-      this.state.metrics.firstActivityTime = now;
-    }
-    
-    if (this.lastMouse.time) {
-      const dt = now - this.lastMouse.time;
-      if (dt > 16) { // At least one frame (60fps)
-        const dx = x - this.lastMouse.x;
-        const dy = y - this.lastMouse.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance > 0) {
-          const vx = dx / dt;
-          const vy = dy / dt;
-          const velocity = Math.sqrt(vx * vx + vy * vy);
-          
-          this.state.metrics.mouseDistance += distance;
-          this.state.metrics.velocitySum += velocity;
-          this.state.metrics.velocityCount++;
-          
-          if (isFinite(velocity) && velocity > this.state.metrics.maxVelocity) {
-            this.state.metrics.maxVelocity = velocity;
-          }
-          
-          if (distance < 5 && dt < 50) {
-            this.state.metrics.jitterCount++;
-          }
-          
-          // FIXED: Check direction changes using current and stored velocity
-          if (this.lastMouse.vx !== 0 || this.lastMouse.vy !== 0) {
-            const dotProduct = (vx * this.lastMouse.vx) + (vy * this.lastMouse.vy);
-            if (dotProduct < 0 && velocity > 0.3) {
-              this.state.metrics.directionChanges++;
-            }
-          }
-          
-          this.lastMouse.vx = vx;
-          this.lastMouse.vy = vy;
-        }
+    this.sample('mousemove', now, { x, y });
+  }
+
+  // Logged shape of a pointer event; mice report a fixed pressure while a
+  // button is held, so pressure and tilt are kept for touch and pen only
+  pointerData(e) {
+    const device = POINTER_DEVICES.includes(e.pointerType) ? e.pointerType : 'mouse';
+    const data = { id: e.pointerId, device, x: e.clientX, y: e.clientY };
+    if (e.isPrimary === false) data.primary = false;
+    if (device !== 'mouse') {
+      if (e.pressure > 0) data.pressure = Math.round(e.pressure * 1000) / 1000;
+      if (e.tiltX || e.tiltY) {
+        data.tiltX = e.tiltX;
+        data.tiltY = e.tiltY;
       }
     }
+    return data;
+  }
+
+  handlePointerDown(e) {
+    if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
+    this.updateMetricIndicator('movement', true);
+    this.track('pointerdown', this.eventTime(e), this.pointerData(e));
+  }
+
+  handlePointerMove(e) {
+    if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
     
-    this.lastMouse = { x, y, time: now, vx: this.lastMouse.vx, vy: this.lastMouse.vy };
-    this.state.metrics.lastActivityTime = now;
+    // Every sample the browser coalesced into this event, each at its own time
+    coalescedSamples(e).forEach(sample => this.sample('pointermove', this.eventTime(sample), this.pointerData(sample)));
+  }
+
+  // Also handles pointercancel, when the browser takes the pointer over
+  handlePointerUp(e) {
+    if (!this.state.isObserving) return;
+    this.track('pointerup', this.eventTime(e), {
+      ...this.pointerData(e),
+      ...(e.type === 'pointercancel' ? { cancelled: true } : {})
+    });
   }
 
   handleTouch(e) {
@@ -603,41 +1045,50 @@ class AdaptiveMirror {
     const touch = e.touches[0];
     if (!touch) return;
     
-    // FIXED: Proper synthetic event with timestamp
-    this.handleMouseMove({
-      clientX: touch.clientX,
-      clientY: touch.clientY,
-      timeStamp: e.timeStamp || performance.now()
-    });
+    // Logged as a move, tagged so it is only kept with consent to touch
+    this.sample('mousemove', this.eventTime(e), { x: touch.clientX, y: touch.clientY, device: 'touch' });
   }
 
-  endTouch() {
-    this.lastMouse.time = 0; // Reset velocity calculation between touches
-    this.lastMouse.vx = 0;
-    this.lastMouse.vy = 0;
+  endTouch(e) {
+    if (!this.state.isObserving) return;
+    this.lastTouchEnd = this.eventTime(e);
+    this.track('touchend', this.lastTouchEnd);
+  }
+
+  // Whether a click came from a tap
+  isTap(e, t) {
+    if (e.pointerType) return e.pointerType === 'touch';
+    return this.lastTouchEnd != null && t - this.lastTouchEnd >= 0 && t - this.lastTouchEnd < TAP_CLICK_DELAY;
   }
 
   handleWheel(e) {
     if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
-    const velocity = Math.abs(e.deltaY);
-    if (isFinite(velocity) && velocity > this.state.metrics.maxScrollVelocity) {
-      this.state.metrics.maxScrollVelocity = velocity;
-    }
+    // Line- and page-mode wheels are logged in pixels like the rest
+    const { deltaX, deltaY } = normalizeWheel(e, { pageWidth: window.innerWidth, pageHeight: window.innerHeight });
+    this.sample('wheel', this.eventTime(e), { deltaX, deltaY, x: e.clientX, y: e.clientY });
   }
 
-  handleScroll() {
+  handleScroll(e) {
     if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
-    this.state.metrics.scrollCount++;
-    this.state.metrics.lastActivityTime = performance.now();
+    this.sample('scroll', this.eventTime(e), scrollPosition(document.scrollingElement ?? document.documentElement));
+  }
+
+  handleReadingScroll(e) {
+    if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
+    this.sample('scroll', this.eventTime(e), { area: 'reading', ...scrollPosition(e.target) });
   }
 
   handleClick(e) {
     if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
     if (e.target?.closest('#sound-toggle')) return;
     
+    // Task targets are judged here so the hit is logged with its click
+    const hit = Boolean(e.target?.closest('[data-task-target]'));
     this.updateMetricIndicator('interaction', true);
-    this.state.metrics.clickCount++;
-    this.state.metrics.lastActivityTime = performance.now();
+    const t = this.eventTime(e);
+    this.track('click', t, { x: e.clientX, y: e.clientY, ...(this.isTap(e, t) ? { device: 'touch' } : {}), ...(hit ? { hit: true } : {}) });
+    if (hit) this.nextTarget();
+    else if (e.target?.closest('[data-task-marker]')) this.finishTask({ found: true });
     
     if (!this.state.reducedMotion) {
       this.createRipple(e.clientX, e.clientY);
@@ -693,10 +1144,25 @@ class AdaptiveMirror {
     // Ignore IME composition events
     if (this.isComposing || e.key === 'Dead' || e.isComposing) return;
     
-    const now = performance.now();
+    const isCharacter = e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey;
+    
+    // Never log the typed character itself, only what kind of key it was
+    // and an opaque id that lets keyup be matched for dwell time
+    const code = e.code || 'Unidentified';
+    if (!e.repeat || !this.keyPresses.has(code)) {
+      this.keyPresses.set(code, ++this.pressCounter);
+    }
+    this.track('keydown', this.eventTime(e), {
+      key: e.key === 'Backspace' ? 'backspace' : (isCharacter ? 'char' : 'other'),
+      press: this.keyPresses.get(code),
+      ...(e.repeat ? { repeat: true } : {})
+    });
+    
+    if (e.key === 'Enter' && this.task?.kind === 'transcribe') {
+      this.finishTranscription();
+    }
     
     if (e.key === 'Backspace') {
-      this.state.metrics.backspaces++;
       const field = this.elements['typing-field'];
       if (field) {
         field.style.borderColor = 'rgba(255, 100, 100, 0.6)';
@@ -706,249 +1172,1702 @@ class AdaptiveMirror {
         }, 100);
         this.trackTimeout(timeoutId);
       }
-    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
-      this.state.metrics.keystrokes++;
     }
-    
-    this.state.metrics.lastActivityTime = now;
+  }
+
+  handleKeyUp(e) {
+    if (!this.state.isObserving) return;
+    const code = e.code || 'Unidentified';
+    const press = this.keyPresses.get(code);
+    this.keyPresses.delete(code);
+    this.track('keyup', this.eventTime(e), press ? { press } : undefined);
   }
 
   handleBeforeInput(e) {
     if (!this.state.isObserving) return;
-    this.state.metrics.lastActivityTime = performance.now();
+    this.track('input', this.eventTime(e));
   }
 
-  stopObservation() {
-    this.state.isObserving = false;
-    clearInterval(this.timers.countdown);
-    clearInterval(this.timers.idle);
-    this.stopRenderLoop();
+  // Guided tasks run one after another inside the observation window
+  startBattery(battery) {
+    this.battery = battery;
+    this.task = null;
+    this.taskIndex = -1;
+    const stage = this.elements['task-stage'];
+    if (stage) stage.hidden = !battery;
+    // The reading panel is free observation's content; tasks bring their own
+    if (this.elements['reading-panel']) this.elements['reading-panel'].hidden = Boolean(battery);
+    if (battery) this.nextTask();
   }
 
-  completeObservation() {
-    this.stopObservation();
-    this.switchScreen('transition-screen');
-    
-    try {
-      this.calculateResults();
-    } catch (error) {
-      console.error('Calculation error:', error);
-      this.state.personality = 'Observer'; // Fallback
-      this.state.scores = { focus: 50, hesitation: 50, controlBias: 50, energy: 50 };
+  nextTask() {
+    const { tasks } = this.battery;
+    this.taskIndex++;
+    if (this.taskIndex >= tasks.length) {
+      this.task = null;
+      this.renderTask();
+      // Calibration is over once its tasks are
+      if (this.state.calibrating) this.completeObservation();
+      return;
     }
     
-    const timeoutId = setTimeout(() => {
-      if (!this.state.isObserving && !this.isDestroyed) {
-        this.applyTheme();
-        this.displayResults();
-        this.persistResult();
-      }
-    }, 2500);
-    this.trackTimeout(timeoutId);
+    const task = tasks[this.taskIndex];
+    this.task = {
+      ...task,
+      index: this.taskIndex,
+      trial: 0,
+      layout: task.kind === 'targets' ? targetLayout(task.trials, task.seed) : null
+    };
+    this.track('taskstart', performance.now(), { task: this.taskIndex, kind: task.kind });
+    this.renderTask();
   }
 
-  calculateResults() {
-    const m = this.state.metrics;
-    // FIXED: Calculate actual duration to account for pauses/corrections
-    const actualDuration = ((m.lastActivityTime || performance.now()) - (m.firstActivityTime || this.state.startTime)) / 1000;
-    const durationSec = Math.max(1, Math.min(30, actualDuration || 30)); // Clamp 1-30
-    
-    const avgVelocity = m.velocityCount > 0 ? m.velocitySum / m.velocityCount : 0;
-    const clickRate = m.clickCount / durationSec;
-    const scrollRate = m.scrollCount / durationSec;
-    const activityDensity = (m.clickCount + m.scrollCount + m.keystrokes) / durationSec;
-    const deletionRate = m.keystrokes > 0 ? m.backspaces / m.keystrokes : 0;
-    const avgIdleGap = m.clickCount > 0 ? m.idleTime / m.clickCount : 0;
-    
-    const scores = {
-      Impulsive: 0,
-      Analytical: 0,
-      Perfectionist: 0,
-      Observer: 0,
-      Restless: 0
-    };
-    
-    // Algorithmic scoring
-    if (avgVelocity > 1.2 || clickRate > 0.4) scores.Impulsive += 20;
-    if (m.maxVelocity > 3) scores.Impulsive += 15;
-    if (m.jitterCount > 40) scores.Impulsive += 15;
-    
-    if (avgVelocity < 0.5 && avgIdleGap > 2000) scores.Analytical += 25;
-    if (m.idleTime > 10000) scores.Analytical += 15;
-    if (m.keystrokes > 50 && deletionRate < 0.1) scores.Analytical += 10;
-    
-    if (deletionRate > 0.15) scores.Perfectionist += 25;
-    if (m.backspaces > 3) scores.Perfectionist += 15;
-    if (avgVelocity < 0.8 && m.jitterCount < 20) scores.Perfectionist += 10;
-    
-    if (m.mouseDistance < 600 && m.clickCount < 3) scores.Observer += 30;
-    if (m.keystrokes < 5 && m.scrollCount < 5) scores.Observer += 20;
-    
-    if (activityDensity > 0.8) scores.Restless += 20;
-    if (m.directionChanges > 30) scores.Restless += 15;
-    if (scrollRate > 0.5) scores.Restless += 15;
-    
-    let dominant = 'Observer';
-    let maxScore = -1;
-    
-    const entries = Object.entries(scores).sort((a, b) => b[1] - a[1]);
-    
-    if (entries[0][1] > 0) {
-      dominant = entries[0][0];
-      if (entries[1] && entries[0][1] === entries[1][1]) {
-        // Tie-breaker logic (simplified)
-        if (entries[1][0] === 'Impulsive' && avgVelocity > 1) dominant = 'Impulsive';
-        else if (entries[1][0] === 'Analytical' && avgIdleGap > 2000) dominant = 'Analytical';
-      }
-    } else {
-      if (m.mouseDistance > 2000) dominant = 'Restless';
-      else if (m.backspaces > 0) dominant = 'Perfectionist';
-      else if (m.clickCount > 5) dominant = 'Impulsive';
+  renderTask() {
+    const task = this.task;
+    const area = this.elements['task-area'];
+    const instruction = this.elements['task-instruction'];
+    const total = this.battery?.tasks.length ?? 0;
+    
+    if (area) {
+      area.replaceChildren();
+      area.dataset.task = task ? task.kind : 'done';
     }
+    if (this.elements['task-progress']) {
+      this.elements['task-progress'].textContent = task ? `Task ${task.index + 1} of ${total}` : `${total} of ${total} tasks done`;
+    }
+    if (this.elements['task-done-btn']) this.elements['task-done-btn'].hidden = task?.kind !== 'transcribe';
     
-    this.state.personality = dominant;
-    
-    // FIXED: Better NaN handling and bounds
-    const safeNum = (val, def = 0) => (isFinite(val) && !isNaN(val)) ? val : def;
-    
-    const focusScore = safeNum((avgVelocity * 20) + (activityDensity * 10));
-    const hesitationScore = safeNum((deletionRate * 50) + (avgIdleGap / 100));
-    const clickScrollSum = clickRate + scrollRate;
-    const controlScore = clickScrollSum > 0 
-      ? (clickRate / clickScrollSum) * 100 
-      : 50;
-    const energyScore = safeNum(Math.min(100, activityDensity * 10));
-    
-    this.state.scores = {
-      focus: this.normalizeScore(focusScore, 50),
-      hesitation: this.normalizeScore(hesitationScore, 50),
-      controlBias: Math.round(controlScore),
-      energy: this.normalizeScore(energyScore, 50)
+    const say = (text) => {
+      if (instruction) instruction.textContent = text;
     };
     
-    // Clamp controlBias to 0-100 explicitly
-    this.state.scores.controlBias = Math.max(0, Math.min(100, this.state.scores.controlBias));
+    switch (task?.kind) {
+      case 'targets':
+        say('Click each target as quickly and accurately as you can.');
+        this.showTarget();
+        break;
+      case 'transcribe': {
+        say(`Type this sentence, then press Enter: "${task.text}"`);
+        const field = this.elements['typing-field'];
+        if (field) {
+          field.value = '';
+          field.focus({ preventScroll: true });
+        }
+        break;
+      }
+      case 'find': {
+        say('Scroll the list and click the highlighted row.');
+        const list = document.createElement('ol');
+        list.className = 'task-list';
+        list.tabIndex = 0;
+        for (let row = 0; row < task.rows; row++) {
+          const item = document.createElement('li');
+          if (row === task.marker) {
+            const marker = document.createElement('button');
+            marker.type = 'button';
+            marker.className = 'task-marker';
+            marker.dataset.taskMarker = '';
+            marker.textContent = `Row ${row + 1}`;
+            item.appendChild(marker);
+          } else {
+            item.textContent = `Row ${row + 1}`;
+          }
+          list.appendChild(item);
+        }
+        list.addEventListener('scroll', this.handleTaskScroll, { passive: true });
+        area?.appendChild(list);
+        break;
+      }
+      case 'wait': {
+        say('Now wait. Do nothing until the next task appears.');
+        const bar = document.createElement('div');
+        bar.className = 'task-wait';
+        bar.style.setProperty('--task-wait', `${task.duration}ms`);
+        area?.appendChild(bar);
+        clearTimeout(this.timers.wait);
+        this.timers.wait = setTimeout(() => {
+          if (this.state.isObserving && this.task === task) this.finishTask();
+        }, task.duration);
+        break;
+      }
+      default:
+        say('Tasks complete. Continue browsing naturally.');
+        break;
+    }
   }
 
-  normalizeScore(val, center = 50) {
-    return Math.max(5, Math.min(95, Math.round(val)));
+  showTarget() {
+    const task = this.task;
+    const area = this.elements['task-area'];
+    if (!area) return;
+    area.querySelector('[data-task-target]')?.remove();
+    
+    const point = task.layout[task.trial];
+    const target = document.createElement('button');
+    target.type = 'button';
+    target.className = 'task-target';
+    target.dataset.taskTarget = String(task.trial);
+    target.setAttribute('aria-label', `Target ${task.trial + 1} of ${task.layout.length}`);
+    target.style.left = `${point.x * 100}%`;
+    target.style.top = `${point.y * 100}%`;
+    target.style.width = target.style.height = `${task.size}px`;
+    area.appendChild(target);
+    
+    // Logged in viewport px, the space clicks are recorded in
+    const rect = target.getBoundingClientRect();
+    this.track('target', performance.now(), {
+      trial: task.trial,
+      x: Math.round(rect.left + rect.width / 2),
+      y: Math.round(rect.top + rect.height / 2),
+      size: task.size
+    });
   }
 
-  applyTheme() {
-    if (!this.state.personality || this.state.themeApplied || this.isDestroyed) return;
-    
-    // Remove previous themes safely - convert to array first to avoid live collection issues
-    const classes = Array.from(document.body.classList);
-    classes.forEach(cls => {
-      if (cls.startsWith('theme-')) document.body.classList.remove(cls);
-    });
-    
-    document.body.classList.add(`theme-${this.state.personality.toLowerCase()}`);
-    this.state.themeApplied = true;
-    
-    if (this.state.reducedMotion) return;
+  nextTarget() {
+    const task = this.task;
+    if (task?.kind !== 'targets') return;
+    task.trial++;
+    if (task.trial < task.layout.length) this.showTarget();
+    else this.finishTask();
+  }
+
+  finishTranscription() {
+    if (this.task?.kind !== 'transcribe') return;
+    const field = this.elements['typing-field'];
+    // Only the score is logged, never what was typed
+    const accuracy = transcriptionAccuracy(field ? field.value.trim() : '', this.task.text);
+    if (field) field.value = '';
+    this.finishTask({ accuracy });
+  }
+
+  finishTask(data = {}) {
+    const task = this.task;
+    if (!task) return;
+    clearTimeout(this.timers.wait);
+    this.task = null;
+    this.track('taskend', performance.now(), { task: task.index, kind: task.kind, ...data });
+    this.nextTask();
+  }
+
+  handleTaskScroll(e) {
+    if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
+    if (this.task?.kind !== 'find') return;
+    const { y, maxY } = scrollPosition(e.target);
+    this.sample('taskscroll', this.eventTime(e), { y, maxY });
+  }
+
+  // A task cut off by the end of the session is logged as skipped
+  stopBattery() {
+    clearTimeout(this.timers.wait);
+    if (this.task && this.state.isObserving) {
+      this.track('taskend', performance.now(), { task: this.task.index, kind: this.task.kind, skipped: true });
+    }
+    this.task = null;
+    this.taskIndex = -1;
+    this.elements['task-area']?.replaceChildren();
+    if (this.elements['task-stage']) this.elements['task-stage'].hidden = true;
+    if (this.elements['task-done-btn']) this.elements['task-done-btn'].hidden = true;
+  }
+
+  stopObservation() {
+    this.drainSamples();
+    this.stopBattery();
+    this.state.isObserving = false;
+    clearInterval(this.timers.countdown);
+    clearInterval(this.timers.idle);
+    clearInterval(this.timers.adaptation);
+    this.aggregator.stop();
+    this.stopRenderLoop();
+    // Back to the top for the next session, now that its scrolls go unlogged
+    const reading = this.elements['reading-panel'];
+    if (reading) {
+      reading.scrollTop = 0;
+      reading.scrollLeft = 0;
+    }
+    this.adaptation.reset();
+    this.renderAdaptation();
+  }
+
+  loadAdaptationStrength() {
+    try {
+      const saved = localStorage.getItem('adaptiveMirror_adaptation');
+      if (saved !== null) this.adaptation.setStrength(saved);
+    } catch (e) {
+      console.warn('Failed to load adaptation strength:', e);
+    }
+    this.renderAdaptationStrength();
+  }
+
+  setAdaptationStrength(value) {
+    this.adaptation.setStrength(clampStrength(value));
+    try {
+      localStorage.setItem('adaptiveMirror_adaptation', String(this.adaptation.strength));
+    } catch (e) {
+      console.warn('Failed to save adaptation strength:', e);
+    }
+    this.renderAdaptationStrength();
+    this.renderAdaptation();
+  }
+
+  renderAdaptationStrength() {
+    const percent = Math.round(this.adaptation.strength * 100);
+    const input = this.elements['adaptation-strength'];
+    if (input) {
+      input.value = String(percent);
+      input.setAttribute('aria-valuetext', percent ? `${percent}%` : 'Off');
+    }
+    if (this.elements['adaptation-strength-value']) {
+      this.elements['adaptation-strength-value'].textContent = percent ? `${percent}%` : 'Off';
+    }
+  }
+
+  startAdaptation() {
+    clearInterval(this.timers.adaptation);
+    this.adaptation.reset();
+    this.renderAdaptation();
+    this.timers.adaptation = setInterval(() => this.updateAdaptation(), ADAPTATION_INTERVAL);
+  }
+
+  // Re-reads the last few seconds, in the aggregation worker when there is one
+  updateAdaptation(now = performance.now()) {
+    if (!this.state.isObserving || this.state.hidden || this.isDestroyed) return;
+    if (this.adaptation.strength <= 0) return;
+    this.drainSamples();
+    this.aggregator.estimate(now);
+  }
+
+  // Eases the visuals towards an estimate; a late one after the session is dropped
+  applyEstimate(distribution) {
+    if (!this.state.isObserving || this.isDestroyed) return;
+    this.adaptation.update(distribution);
+    this.renderAdaptation();
+  }
+
+  /**
+   * Exposes the live weights to the observation screen's CSS as
+   * --adapt-<archetype> (0-1) and --adapt-color. Layout only moves when
+   * motion is allowed; the tint applies either way.
+   */
+  renderAdaptation() {
+    const screen = this.elements['observation-screen'];
+    if (!screen) return;
+    
+    const weights = this.adaptation.weights();
+    const moving = this.state.isObserving && !this.state.reducedMotion;
+    Object.keys(ARCHETYPE_COLORS).forEach(name => {
+      screen.style.setProperty(`--adapt-${name.toLowerCase()}`, moving ? weights[name].toFixed(3) : '0');
+    });
+    screen.style.setProperty('--adapt-color', blendColor(this.state.isObserving ? weights : {}));
+    
+    const leading = this.state.isObserving ? this.adaptation.leading() : null;
+    if (leading) screen.dataset.adapting = leading.toLowerCase();
+    else delete screen.dataset.adapting;
+    this.syncAmbient();
+  }
+
+  completeObservation() {
+    const now = performance.now();
+    this.stopObservation();
+    
+    // Open-ended sessions are scored over however long they actually ran
+    const observed = Math.max(1000, now - this.state.startTime);
+    this.state.observedDuration = this.state.duration || observed;
+    this.state.session = {
+      timestamp: Date.now(),
+      profile: this.state.profile.id,
+      duration: this.state.duration
+    };
+    this.engine.duration = this.state.observedDuration;
+    if (this.eventLog) {
+      this.eventLog.endTime = now;
+      this.eventLog.duration = this.state.observedDuration;
+      this.eventLog.capture.dropped = this.samples.dropped;
+    }
+    const calibrating = this.state.calibrating;
+    if (this.aggregator.inline) {
+      try {
+        this.scoreObservation();
+      } catch (e) {
+        this.scoringFailed(e, calibrating);
+      }
+      return;
+    }
+    
+    // The worker folds in what is still queued before anything is scored
+    const log = this.eventLog;
+    this.aggregator.finish().then(() => {
+      if (this.eventLog === log && !this.state.isObserving) this.scoreObservation();
+    }).catch(e => this.scoringFailed(e, calibrating));
+  }
+
+  // A session that could not be scored goes back to the start instead of staying on the transition
+  scoringFailed(error, calibrating) {
+    console.warn('Failed to score the session:', error);
+    if (this.isDestroyed) return;
+    this.state.calibrating = false;
+    this.switchScreen('intro-screen');
+    if (calibrating) {
+      this.renderBaselineStatus(error instanceof BaselineError ? error.message : CALIBRATION_RETRY);
+    } else {
+      window.alert('Scoring failed. Please try again.');
+    }
+  }
+
+  scoreObservation() {
+    if (this.isDestroyed) return;
+    this.state.metrics = this.aggregator.snapshot().metrics;
+    if (this.state.calibrating) {
+      this.finishCalibration();
+      return;
+    }
+    this.switchScreen('transition-screen');
+    
+    try {
+      this.calculateResults();
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.state.personality = 'Observer'; // Fallback
+      this.state.scores = { focus: 50, hesitation: 50, controlBias: 50, energy: 50 };
+    }
+    this.syncAmbient();
+    
+    const timeoutId = setTimeout(() => {
+      if (!this.state.isObserving && !this.isDestroyed) {
+        this.applyTheme();
+        this.displayResults();
+        this.persistResult();
+      }
+    }, 2500);
+    this.trackTimeout(timeoutId);
+  }
+
+  calculateResults() {
+    // Scored against the participant's baseline for this device, when there is one
+    const baseline = this.baselineFor(this.sessionDevice());
+    this.engine.baseline = baseline;
+    if (this.eventLog) this.eventLog.baseline = baseline;
+    const result = this.aggregator.analyze();
+    this.state.personality = result.personality;
+    this.state.scores = result.scores;
+    this.state.analysis = result;
+  }
+
+  // The device the session ran on; the pointer device is the one most used
+  sessionDevice() {
+    return {
+      ...this.eventLog?.device,
+      pointerDevice: this.aggregator.snapshot().pointer?.pointerDevice ?? null,
+      viewport: this.eventLog?.viewport
+    };
+  }
+
+  baselineFor(device) {
+    return this.baselines[deviceProfile(device)] ?? null;
+  }
+
+  loadBaselines() {
+    try {
+      this.baselines = parseBaselines(localStorage.getItem(BASELINE_KEY));
+    } catch (e) {
+      console.warn('Failed to load baselines:', e);
+      this.baselines = {};
+    }
+    this.renderBaselineStatus();
+  }
+
+  // A baseline replaces the previous one for its device profile
+  saveBaseline(baseline) {
+    this.baselines = { ...this.baselines, [baseline.profile]: baseline };
+    if (!this.state.consent?.persist) return;
+    try {
+      localStorage.setItem(BASELINE_KEY, JSON.stringify(this.baselines));
+    } catch (e) {
+      console.warn('Failed to save baseline:', e);
+    }
+  }
+
+  // Calibration runs its own short battery under the usual consent
+  startCalibration() {
+    if (this.state.isObserving) return;
+    this.state.calibrating = true;
+    this.showConsent();
+  }
+
+  finishCalibration() {
+    this.state.calibrating = false;
+    // Measured as it is, not against an earlier baseline
+    this.engine.baseline = null;
+    let message;
+    try {
+      const baseline = createBaseline(this.aggregator.analyze(), this.sessionDevice());
+      this.saveBaseline(baseline);
+      message = `Baseline saved for ${baseline.profile}. Sessions on this device are now scored against it.`;
+    } catch (e) {
+      if (!(e instanceof BaselineError)) throw e;
+      message = e.message;
+    }
+    this.switchScreen('intro-screen');
+    this.renderBaselineStatus(message);
+  }
+
+  renderBaselineStatus(message = null) {
+    const status = this.elements['baseline-status'];
+    if (!status) return;
+    const profiles = Object.keys(this.baselines);
+    status.textContent = message ?? (profiles.length
+      ? `Calibrated for ${profiles.join('; ')}.`
+      : 'Not calibrated: sessions are scored against default thresholds.');
+  }
+
+  getEventLog() {
+    this.drainSamples();
+    return this.eventLog ? JSON.parse(JSON.stringify(this.eventLog)) : null;
+  }
+
+  /**
+   * Feeds a recorded event log back through the analysis engine. Timestamps
+   * are replayed verbatim, so the personality and scores match the original
+   * session exactly.
+   */
+  replaySession(log) {
+    if (this.state.isObserving) {
+      console.warn('Cannot replay while an observation is running');
+      return null;
+    }
+    
+    const result = analyzeEvents(log, { classifiers: this.classifiers });
+    this.state.personality = result.personality;
+    this.state.scores = result.scores;
+    this.state.analysis = result;
+    this.syncAmbient();
+    
+    return { personality: result.personality, scores: { ...result.scores } };
+  }
+
+  applyTheme() {
+    if (!this.state.personality || this.state.themeApplied || this.isDestroyed) return;
+    
+    // Remove previous themes safely - convert to array first to avoid live collection issues
+    const classes = Array.from(document.body.classList);
+    classes.forEach(cls => {
+      if (cls.startsWith('theme-')) document.body.classList.remove(cls);
+    });
+    
+    this.state.themeApplied = true;
+    
+    // Inconclusive sessions keep the neutral look
+    const blend = this.state.analysis?.blend;
+    if (blend?.inconclusive) return;
+    
+    document.body.classList.add(`theme-${this.state.personality.toLowerCase()}`);
+    
+    if (this.state.reducedMotion) return;
+    
+    // Effects follow the blend: full strength for the primary trait, scaled
+    // by share for the rest, so a strong secondary trait still shows through
+    const weight = (name) => (this.state.personality === name
+      ? 1
+      : Math.min(1, (blend?.distribution[name] || 0) * 2));
+    
+    // FIXED: Cap velocity multipliers to prevent runaway particles
+    const boost = 1 + 0.5 * weight('Impulsive');
+    if (boost > 1) this.ambient?.boost(boost);
+    if (weight('Restless') >= 0.5) {
+      this.addGlitchEffect();
+    }
+  }
+
+  addGlitchEffect() {
+    if (this.state.reducedMotion || this.isDestroyed) return;
+    
+    const glitch = () => {
+      if (!document.body.classList.contains('theme-restless') || this.isDestroyed) return;
+      if (Math.random() > 0.3 || this.state.reducedMotion) return;
+      
+      const screens = document.querySelectorAll('.screen.active');
+      screens.forEach(screen => {
+        const x = (Math.random() * 4 - 2).toFixed(2);
+        const y = (Math.random() * 4 - 2).toFixed(2);
+        screen.style.transform = `translate(${x}px, ${y}px)`;
+        const timeoutId = setTimeout(() => {
+          if (screen) screen.style.transform = '';
+          this.timeouts.delete(timeoutId);
+        }, 50);
+        this.trackTimeout(timeoutId);
+      });
+      
+      this.timers.glitch = setTimeout(glitch, Math.random() * 8000 + 5000);
+    };
+    
+    this.timers.glitch = setTimeout(glitch, 3000);
+  }
+
+  displayResults() {
+    if (this.isDestroyed) return;
+    
+    const interpretations = {
+      Impulsive: "You act quickly and adjust later. You explore aggressively and trust instinct more than analysis. Your movements reveal decisive intent with minimal deliberation.",
+      Analytical: "You measure before moving. You prefer understanding over action, depth over breadth. Your pace suggests systematic processing and careful consideration.",
+      Perfectionist: "You refine continuously. Each deletion is a step toward precision. You see what others miss and cannot tolerate approximation.",
+      Observer: "You watch before engaging. Silence is your tool. You gather more than you reveal, exercising restraint in a world that demands reaction.",
+      Restless: "Your mind moves constantly. Stillness feels foreign. You seek the next thing before the current ends, driven by an insatiable momentum."
+    };
+    
+    const blend = this.state.analysis?.blend;
+    const inconclusive = Boolean(blend?.inconclusive);
+    
+    const traitEl = this.elements['primary-trait'];
+    if (traitEl) {
+      traitEl.textContent = inconclusive ? 'Inconclusive' : this.state.personality;
+      traitEl.classList.toggle('is-inconclusive', inconclusive);
+      traitEl.setAttribute('aria-label', inconclusive
+        ? 'Not enough interaction to determine a personality type'
+        : `Your personality type is ${this.state.personality}`);
+    }
+    
+    this.renderBlend(blend);
+    
+    if (this.elements['result-duration']) {
+      this.elements['result-duration'].textContent = shortDuration(this.state.observedDuration);
+    }
+    
+    const interpEl = this.elements['interpretation'];
+    if (interpEl && inconclusive) {
+      interpEl.textContent = blend.reason === 'sparse-data'
+        ? 'Too little interaction to read a pattern. Try a longer session and move, scroll or type as you normally would.'
+        : 'Nothing you did matched any archetype strongly enough to call. Try another session.';
+    } else if (interpEl) {
+      interpEl.textContent = interpretations[this.state.personality] ||
+        this.classifiers.get(this.state.personality)?.interpretation ||
+        'Analysis complete.';
+    }
+    
+    this.renderExplanation();
+    this.renderTyping();
+    this.renderTrajectory();
+    this.renderPointer();
+    this.renderTasks();
+    this.renderScroll();
+    this.renderCalibration();
+    this.renderNorms();
+    
+    // Animate metrics with safety checks
+    const metrics = ['focus', 'hesitation', 'controlBias', 'energy'];
+    metrics.forEach((metric, index) => {
+      const timeoutId = setTimeout(() => {
+        if (this.isDestroyed) return;
+        const bar = this.elements[`${metric.toLowerCase()}-bar`];
+        const value = this.elements[`${metric.toLowerCase()}-value`];
+        
+        if (bar && value) {
+          const score = this.state.scores[metric] || 0;
+          const displayValue = metric === 'controlBias' ? `${score}%` : score;
+          
+          bar.style.width = `${score}%`;
+          bar.setAttribute('aria-valuenow', score);
+          value.textContent = displayValue;
+        }
+      }, 200 + (index * 150));
+      this.trackTimeout(timeoutId);
+    });
+    
+    this.switchScreen('result-screen');
+    // Drawn once the screen is visible so the canvas has its layout width
+    this.renderHeatmap();
+    this.playSuccessSound();
+  }
+
+  renderHeatmap() {
+    const panel = this.elements['heatmap-panel'];
+    const map = this.eventLog ? buildHeatmap(this.eventLog) : null;
+    const visible = hasHeatmapData(map);
+    if (panel) panel.hidden = !visible;
+    if (this.elements['heatmap-png-btn']) this.elements['heatmap-png-btn'].hidden = !visible;
+    if (!visible) return;
+    
+    if (this.elements['heatmap-note']) {
+      this.elements['heatmap-note'].textContent = map.viewportRecorded
+        ? `Viewport ${map.width} × ${map.height}`
+        : 'Viewport not recorded; scaled to fit the session';
+    }
+    drawHeatmap(this.elements['heatmap-canvas'], map);
+  }
+
+  renderBlend(blend) {
+    const bar = this.elements['confidence-bar'];
+    const confidence = blend ? Math.round(blend.confidence * 100) : null;
+    if (bar) bar.style.width = `${confidence ?? 0}%`;
+    
+    if (this.elements['confidence-value']) {
+      this.elements['confidence-value'].textContent = confidence === null ? 'Confidence —' : `Confidence ${confidence}%`;
+    }
+    if (this.elements['secondary-trait']) {
+      this.elements['secondary-trait'].textContent = `Secondary ${blend?.secondary && !blend.inconclusive ? blend.secondary : '—'}`;
+    }
+    
+    const list = this.elements['blend-list'];
+    if (!list) return;
+    list.replaceChildren();
+    if (!blend) return;
+    
+    Object.entries(blend.distribution)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([name, share]) => {
+        const percent = Math.round(share * 100);
+        const item = document.createElement('li');
+        item.className = 'blend-item';
+        if (!blend.inconclusive) {
+          item.classList.toggle('is-primary', name === blend.primary);
+          item.classList.toggle('is-secondary', name === blend.secondary);
+        }
+        
+        const label = document.createElement('span');
+        label.textContent = name;
+        const value = document.createElement('span');
+        value.textContent = `${percent}%`;
+        const track = document.createElement('span');
+        track.className = 'blend-track';
+        track.setAttribute('aria-hidden', 'true');
+        const fill = document.createElement('span');
+        fill.className = 'blend-fill';
+        fill.style.width = `${percent}%`;
+        track.appendChild(fill);
+        
+        item.append(label, value, track);
+        list.appendChild(item);
+      });
+  }
+
+  renderExplanation() {
+    const explanation = this.state.analysis?.explanation;
+    const panel = this.elements['explanation-panel'];
+    const list = this.elements['explanation-list'];
+    if (panel) panel.hidden = !explanation;
+    if (!explanation) return;
+    
+    if (this.elements['explanation-decision']) {
+      this.elements['explanation-decision'].textContent = describeDecision(explanation.decision);
+    }
+    if (!list) return;
+    
+    const formatValue = (value) => (
+      value === null ? 'n/a' : String(Math.round(value * 100) / 100)
+    );
+    
+    list.replaceChildren();
+    Object.entries(explanation.archetypes)
+      .sort((a, b) => b[1].score - a[1].score)
+      .forEach(([name, { score, rules }]) => {
+        const item = document.createElement('li');
+        
+        const header = document.createElement('div');
+        header.className = 'explanation-archetype';
+        header.classList.toggle('is-winner', name === this.state.personality);
+        const label = document.createElement('span');
+        label.textContent = name;
+        const total = document.createElement('span');
+        total.textContent = score;
+        header.append(label, total);
+        item.appendChild(header);
+        
+        const ruleList = document.createElement('ul');
+        ruleList.className = 'explanation-rules';
+        rules.forEach(rule => {
+          const row = document.createElement('li');
+          row.className = 'explanation-rule';
+          row.classList.toggle('fired', rule.fired);
+          
+          const points = document.createElement('span');
+          points.className = 'explanation-points';
+          points.textContent = rule.fired ? `+${rule.contribution}` : '0';
+          
+          // Show the measured value next to each threshold
+          const text = document.createElement('span');
+          const values = rule.conditions.map(c => `${c.feature} = ${formatValue(c.value)}`).join(', ');
+          text.textContent = `${rule.rule} — ${values}`;
+          
+          row.setAttribute('aria-label', `${rule.fired ? 'Fired' : 'Did not fire'}, ${rule.fired ? rule.contribution : 0} points: ${text.textContent}`);
+          row.append(points, text);
+          ruleList.appendChild(row);
+        });
+        item.appendChild(ruleList);
+        list.appendChild(item);
+      });
+  }
+
+  renderTyping() {
+    const typing = this.state.analysis?.typing;
+    // A single key has no rhythm; older logs carry no key timing at all
+    const rows = (typing?.typingKeys ?? 0) >= 2 ? [
+      ['Speed', formatFeature(typing.typingWpm, ' wpm')],
+      ['Between keys', `${formatFeature(typing.typingIntervalMean, ' ms')} ± ${formatFeature(typing.typingIntervalCv, '', 2)} cv`],
+      ['Key hold', formatFeature(typing.typingDwellMean, ' ms')],
+      ['Bursts', `${typing.typingBursts} × ${formatFeature(typing.typingBurstLength, ' keys', 1)}`],
+      ['Pauses', `${typing.typingPauses}${typing.typingPauses ? ` · avg ${formatFeature(typing.typingPauseMean, ' ms')}` : ''}`],
+      ['Corrections', typing.typingCorrectionBursts
+        ? `${typing.typingCorrectionBursts} × ${formatFeature(typing.typingCorrectionLength, ' keys', 1)} (max ${typing.typingCorrectionMax})`
+        : 'none'],
+      ['Pause before backspace', formatFeature(typing.typingBackspaceLatency, ' ms')]
+    ] : null;
+    this.renderFeaturePanel('typing', rows);
+  }
+
+  renderTrajectory() {
+    const trajectory = this.state.analysis?.trajectory;
+    const rows = trajectory?.trajectoryStrokes ? [
+      ['Strokes', `${trajectory.trajectoryStrokes} · avg ${formatFeature(trajectory.trajectoryStrokeLength, ' px')}`],
+      ['Path efficiency', formatFeature(trajectory.trajectoryEfficiency * 100, '%')],
+      ['Curvature', formatFeature(trajectory.trajectoryCurvature, ' rad/100px', 2)],
+      ['Acceleration', formatFeature(trajectory.trajectoryAccelMean, ' px/s²')],
+      ['Jerk', formatFeature(trajectory.trajectoryJerkMean, ' px/s³')],
+      ['Submovements', `${formatFeature(trajectory.trajectorySubmovements, '', 1)} per stroke`],
+      ['Overshoot', Number.isFinite(trajectory.trajectoryOvershootRate)
+        ? `${formatFeature(trajectory.trajectoryOvershootRate * 100, '%')} of clicks${trajectory.trajectoryOvershoot ? ` · avg ${formatFeature(trajectory.trajectoryOvershoot, ' px')}` : ''}`
+        : '—'],
+      ['Pause before click', formatFeature(trajectory.trajectoryClickPause, ' ms')]
+    ] : null;
+    this.renderFeaturePanel('trajectory', rows);
+  }
+
+  renderPointer() {
+    const pointer = this.state.analysis?.pointer;
+    // Logs captured without Pointer Events have no devices to tell apart
+    if (!pointer?.pointerDevice) {
+      this.renderFeaturePanel('pointer', null);
+      return;
+    }
+    const deviceRows = POINTER_DEVICES
+      .map(device => [device, `pointer${device[0].toUpperCase()}${device.slice(1)}`])
+      .filter(([, name]) => pointer[`${name}Samples`] > 0)
+      .map(([device, name]) => [
+        device,
+        `${pointer[`${name}Samples`]} samples · ${formatFeature(pointer[`${name}Distance`], ' px')} · ${formatFeature(pointer[`${name}Velocity`], ' px/ms', 2)}`
+      ]);
+    // The rate moves actually arrived at, and how they were captured
+    const mode = this.eventLog?.capture?.mode;
+    const rows = [
+      ['Main device', pointer.pointerDevice],
+      ...deviceRows,
+      ['Sampling', `${formatFeature(this.state.analysis.sampling?.pointerHz, ' Hz')}${mode ? ` · ${mode}` : ''}`],
+      ['Contacts', `${pointer.pointerContacts}${pointer.pointerMaxContacts > 1 ? ` · up to ${pointer.pointerMaxContacts} at once` : ''}`],
+      ['Pressure', Number.isFinite(pointer.pointerPressureMean)
+        ? `${formatFeature(pointer.pointerPressureMean, '', 2)} avg · ${formatFeature(pointer.pointerPressureMax, '', 2)} max`
+        : '—'],
+      ['Tilt', formatFeature(pointer.pointerTiltMean, '°')],
+      ['Gestures', `${pointer.gestureTaps} taps · ${pointer.gestureLongPresses} long presses · ${pointer.gestureSwipes} swipes · ${pointer.gesturePinches} pinches`]
+    ];
+    this.renderFeaturePanel('pointer', rows);
+  }
+
+  renderTasks() {
+    const tasks = this.state.analysis?.tasks;
+    const rows = tasks?.taskCount ? [
+      ['Completed', `${tasks.taskCompleted} of ${tasks.taskCount}`],
+      ['Targets', tasks.taskFittsTrials
+        ? `${tasks.taskFittsTrials} hits · ${formatFeature(tasks.taskFittsMovementTime, ' ms')} avg · ${formatFeature(tasks.taskFittsThroughput, ' bits/s', 2)}`
+        : '—'],
+      ['Target misses', Number.isFinite(tasks.taskFittsErrorRate) ? formatFeature(tasks.taskFittsErrorRate * 100, '%') : '—'],
+      ['Transcription', Number.isFinite(tasks.taskTranscribeAccuracy)
+        ? `${formatFeature(tasks.taskTranscribeAccuracy * 100, '%')} accurate · ${formatFeature(tasks.taskTranscribeWpm, ' wpm')} · ${tasks.taskTranscribeCorrections} corrections`
+        : '—'],
+      ['Search', Number.isFinite(tasks.taskFindTime)
+        ? `found in ${formatFeature(tasks.taskFindTime, ' ms')} · ${formatFeature(tasks.taskFindScrollReversals, '', 1)} scroll reversals`
+        : '—'],
+      ['Waiting', Number.isFinite(tasks.taskWaitActions)
+        ? (tasks.taskWaitActions ? `acted after ${formatFeature(tasks.taskWaitLatency, ' ms')} · ${formatFeature(tasks.taskWaitActions, '', 1)} actions` : 'held still')
+        : '—']
+    ] : null;
+    this.renderFeaturePanel('tasks', rows);
+  }
+
+  renderScroll() {
+    const scroll = this.state.analysis?.scroll;
+    const percent = (value) => (Number.isFinite(value) ? formatFeature(value * 100, '%') : '—');
+    const points = this.state.analysis?.scrollPath?.points ?? [];
+    // Five stops along the trace, the first and last included
+    const stops = points.length
+      ? [...new Set([0, 1, 2, 3, 4].map(i => Math.round(i * (points.length - 1) / 4)))].map(i => percent(points[i].depth))
+      : [];
+    const rows = scroll?.scrollDistance > 0 || scroll?.scrollWheelDistance > 0 ? [
+      ['Distance', `${formatFeature(scroll.scrollDistance, ' px')} · ${percent(scroll.scrollHorizontalShare)} sideways`],
+      ['Gestures', `${scroll.scrollGestures} · ${scroll.scrollFlings} flings`],
+      ['Reversals', formatFeature(scroll.scrollReversals)],
+      ['Speed', `peak ${formatFeature(scroll.scrollPeakVelocity, ' px/ms', 1)} · deliberate ${formatFeature(scroll.scrollDeliberateVelocity, ' px/ms', 1)}`],
+      ['Deepest', percent(scroll.scrollMaxDepth)],
+      ['Depth over time', stops.length ? stops.join(' → ') : '—'],
+      ['Reading pauses', scroll.scrollPauses ? `${scroll.scrollPauses} · avg ${formatFeature(scroll.scrollPauseMean, ' ms')}` : 'none'],
+      ['Longest dwell', Number.isFinite(scroll.scrollDwellDepth) ? `around ${percent(scroll.scrollDwellDepth)} deep` : '—'],
+      ['Wheel', formatFeature(scroll.scrollWheelDistance, ' px')]
+    ] : null;
+    this.renderFeaturePanel('scroll', rows);
+  }
+
+  // Stored cohorts, or none when they are unreadable
+  loadNorms() {
+    try {
+      this.norms = parseNorms(localStorage.getItem(NORMS_KEY));
+    } catch (e) {
+      console.warn('Failed to load norms:', e);
+      this.norms = { cohorts: [], selected: null };
+    }
+    this.renderNorms();
+  }
+
+  // False when the cohorts do not fit; they are then kept for this visit only
+  saveNorms() {
+    try {
+      localStorage.setItem(NORMS_KEY, serializeNorms(this.norms));
+      return true;
+    } catch (e) {
+      console.warn('Failed to save norms:', e);
+      return false;
+    }
+  }
+
+  selectedCohort() {
+    return this.norms.cohorts.find(cohort => cohort.id === this.norms.selected) ?? null;
+  }
+
+  // The files chosen together become one cohort, which is selected
+  async loadNormFiles(files) {
+    const rows = [];
+    const sources = [];
+    const rejected = [];
+    for (const file of files) {
+      try {
+        if (file.size > MAX_DATASET_SIZE) throw new NormsError('File is too large for a dataset');
+        rows.push(...readDataset(await file.text()));
+        sources.push(file.name);
+      } catch (e) {
+        console.warn(`Could not read ${file.name}:`, e);
+        rejected.push(`${file.name}: ${e.message}`);
+      }
+    }
+    if (rejected.length) {
+      window.alert(`Some files could not be read:\n${rejected.join('\n')}`);
+    }
+    if (!rows.length || this.isDestroyed) return;
+    
+    const first = sources[0].replace(/\.(json|csv)$/i, '');
+    const name = sources.length === 1 ? first : `${first} + ${sources.length - 1} more`;
+    const cohort = buildCohort(rows, { name, sources });
+    this.norms = { cohorts: [...this.norms.cohorts, cohort], selected: cohort.id };
+    this.renderNorms(this.saveNorms() ? null : `${cohort.name} is too large to keep on this device; it is used until the page is closed.`);
+  }
+
+  selectCohort(id) {
+    this.norms.selected = this.norms.cohorts.some(cohort => cohort.id === id) ? id : null;
+    this.saveNorms();
+    this.renderNorms();
+  }
+
+  removeCohort() {
+    const cohort = this.selectedCohort();
+    if (!cohort || !window.confirm(`Remove the cohort "${cohort.name}"? Load its dataset again to restore it.`)) return;
+    this.norms = { cohorts: this.norms.cohorts.filter(other => other !== cohort), selected: null };
+    this.saveNorms();
+    this.renderNorms();
+  }
+
+  // Cohort choice, status and each score's percentile under its bar
+  renderNorms(message = null) {
+    const { cohorts, selected } = this.norms;
+    const cohort = this.selectedCohort();
+    const select = this.elements['cohort-select'];
+    if (select) {
+      const option = (value, text) => {
+        const element = document.createElement('option');
+        element.value = value;
+        element.textContent = text;
+        return element;
+      };
+      select.replaceChildren(
+        option('', 'No cohort'),
+        ...cohorts.map(entry => option(entry.id, `${entry.name} (${entry.sessions} sessions)`))
+      );
+      select.value = selected ?? '';
+    }
+    if (this.elements['norms-remove-btn']) this.elements['norms-remove-btn'].hidden = !cohort;
+    if (this.elements['norms-status']) {
+      let status = 'Load a dataset of exported sessions (JSON or CSV) to see where this result falls.';
+      if (cohort) status = `Percentiles against ${cohort.sessions} sessions in ${cohort.name}.`;
+      else if (cohorts.length) status = 'Choose a cohort to see percentiles.';
+      this.elements['norms-status'].textContent = message ?? status;
+    }
+    
+    const reading = this.state.analysis ? cohortReading(cohort, this.state.scores) : null;
+    [['focus', 'focus'], ['hesitation', 'hesitation'], ['controlBias', 'control'], ['energy', 'energy']].forEach(([key, id]) => {
+      const element = this.elements[`${id}-percentile`];
+      if (!element) return;
+      const percentile = reading?.percentiles[key] ?? null;
+      element.hidden = percentile === null;
+      element.textContent = percentile === null ? '' : `${ordinal(percentile)} percentile`;
+    });
+  }
+
+  // How this session differs from the baseline it was scored against
+  renderCalibration() {
+    const calibration = this.state.analysis?.calibration;
+    const percent = (value) => (Number.isFinite(value) ? `${value > 0 ? '+' : ''}${formatFeature(value * 100, '%')}` : '—');
+    const rows = calibration ? [
+      ['Device', calibration.profile],
+      ['Calibrated', new Date(calibration.calibratedAt).toLocaleDateString()],
+      ['Pointer speed', percent(calibration.deviations.pointerSpeed)],
+      ['Keystroke interval', percent(calibration.deviations.typingInterval)],
+      ['Scaling', `speed ×${calibration.factors.speed} · distance ×${calibration.factors.distance} · typing ×${calibration.factors.typing}`]
+    ] : null;
+    this.renderFeaturePanel('baseline', rows);
+  }
+
+  /** Fills a result-screen feature panel; no rows hides it */
+  renderFeaturePanel(name, rows) {
+    const panel = this.elements[`${name}-panel`];
+    const list = this.elements[`${name}-list`];
+    if (panel) panel.hidden = !rows;
+    if (!list) return;
+    list.replaceChildren();
+    
+    (rows || []).forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      list.append(term, detail);
+    });
+  }
+
+  async persistResult() {
+    // Results are kept only where the participant agreed to it
+    if (!this.state.consent?.persist) return;
+    
+    try {
+      const data = {
+        personality: this.state.personality,
+        scores: this.state.scores,
+        timestamp: Date.now(),
+        metrics: {
+          distance: Math.round(this.state.metrics.mouseDistance),
+          interactions: this.state.metrics.clickCount + this.state.metrics.scrollCount
+        }
+      };
+      const stored = this.vault.enabled ? { sealed: await this.vault.seal(data) } : data;
+      localStorage.setItem('adaptiveMirror_result_v2', JSON.stringify(stored));
+    } catch (e) {
+      if (e.name === 'QuotaExceededError') {
+        console.warn('Storage quota exceeded');
+      } else {
+        console.warn('Failed to save result:', e);
+      }
+    }
+    
+    try {
+      await this.history.add(this.buildSessionRecord());
+    } catch (e) {
+      console.warn('Failed to save session history:', e);
+    }
+  }
+
+  buildSessionRecord() {
+    return {
+      sessionId: this.elements['session-id']?.textContent || 'N/A',
+      timestamp: Date.now(),
+      profile: this.state.profile.id,
+      duration: this.state.observedDuration,
+      personality: this.state.personality,
+      scores: { ...this.state.scores },
+      archetypeScores: { ...this.state.analysis?.archetypeScores },
+      metrics: { ...this.state.metrics },
+      eventLog: this.eventLog
+    };
+  }
+
+  async showHistory(returnTo = 'intro-screen') {
+    if (this.state.isObserving || this.isDestroyed) return;
+    
+    this.historyReturnScreen = returnTo;
+    this.switchScreen('history-screen');
+    
+    let entries = [];
+    let locked = false;
+    try {
+      await this.historyChecked;
+      entries = await this.history.list();
+    } catch (e) {
+      locked = e instanceof VaultError && e.code === 'locked';
+      if (!locked) console.warn('Failed to load session history:', e);
+    }
+    this.renderHistory(entries);
+    if (this.elements['history-empty']) {
+      this.elements['history-empty'].textContent = locked
+        ? 'Stored sessions are encrypted. Unlock them under My Data.'
+        : 'No sessions recorded yet.';
+    }
+    if (locked && this.elements['history-count']) this.elements['history-count'].textContent = 'Locked';
+  }
+
+  renderHistory(entries) {
+    if (this.isDestroyed) return;
+    
+    const list = this.elements['history-list'];
+    const empty = this.elements['history-empty'];
+    const count = this.elements['history-count'];
+    
+    if (count) {
+      count.textContent = `${entries.length} session${entries.length === 1 ? '' : 's'} stored`;
+    }
+    if (empty) {
+      empty.hidden = entries.length > 0;
+    }
+    
+    if (list) {
+      list.replaceChildren();
+      // Newest first in the table; the chart reads left to right
+      entries.slice().reverse().forEach(entry => {
+        const row = document.createElement('tr');
+        
+        const selectCell = document.createElement('td');
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'history-select';
+        select.dataset.historySelect = entry.id;
+        selectCell.appendChild(select);
+        row.appendChild(selectCell);
+        
+        const cells = [
+          this.historyLabel(entry.timestamp),
+          entry.personality || '—',
+          entry.scores?.focus ?? '—',
+          entry.scores?.hesitation ?? '—',
+          entry.scores?.controlBias != null ? `${entry.scores.controlBias}%` : '—',
+          entry.scores?.energy ?? '—'
+        ];
+        cells.forEach(text => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        
+        const actions = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'history-delete';
+        remove.dataset.historyDelete = entry.id;
+        remove.setAttribute('aria-label', `Delete session from ${cells[0]}`);
+        select.setAttribute('aria-label', `Compare session from ${cells[0]}`);
+        remove.textContent = '×';
+        actions.appendChild(remove);
+        row.appendChild(actions);
+        
+        list.appendChild(row);
+      });
+    }
+    
+    drawTrendChart(this.elements['history-chart'], entries);
+    this.updateCompareButton();
+  }
+
+  selectedHistoryIds() {
+    const list = this.elements['history-list'];
+    if (!list) return [];
+    return Array.from(list.querySelectorAll('[data-history-select]:checked'))
+      .map(input => Number(input.dataset.historySelect));
+  }
+
+  updateCompareButton() {
+    const button = this.elements['history-compare-btn'];
+    if (button) button.disabled = this.selectedHistoryIds().length < 2;
+  }
+
+  historyLabel(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  async compareSelected() {
+    const ids = this.selectedHistoryIds();
+    try {
+      // Oldest selected session is the baseline
+      const entries = (await this.history.list()).filter(entry => ids.includes(entry.id));
+      this.compareList = entries.map(entry => normalizeSession(entry, { label: this.historyLabel(entry.timestamp) }));
+    } catch (e) {
+      console.warn('Failed to load sessions for comparison:', e);
+      this.compareList = [];
+    }
+    this.showCompare();
+  }
+
+  showCompare() {
+    if (this.state.isObserving || this.isDestroyed) return;
+    this.switchScreen('compare-screen');
+    this.renderCompare();
+  }
+
+  async addCompareFiles(files) {
+    const rejected = [];
+    for (const file of Array.from(files || [])) {
+      try {
+        const record = await readResultFile(file, { classifiers: this.classifiers, passphrase: () => this.askFilePassphrase(file) });
+        this.compareList.push(normalizeSession(record, { label: file.name, origin: 'file' }));
+      } catch (e) {
+        console.warn(`Could not read ${file.name}:`, e);
+        rejected.push(`${file.name}: ${e.message}`);
+      }
+    }
+    this.renderCompare();
+    if (rejected.length) {
+      window.alert(`Some files could not be added:\n${rejected.join('\n')}`);
+    }
+  }
+
+  removeCompareSession(index) {
+    this.compareList.splice(index, 1);
+    this.renderCompare();
+  }
+
+  renderCompare() {
+    if (this.isDestroyed) return;
+    
+    const table = this.elements['compare-table'];
+    const status = this.elements['compare-status'];
+    const empty = this.elements['compare-empty'];
+    const count = this.compareList.length;
+    
+    if (status) {
+      status.textContent = `${count} session${count === 1 ? '' : 's'}`;
+    }
+    if (empty) {
+      empty.hidden = count >= 2;
+    }
+    if (!table) return;
+    
+    // Keep the caption, rebuild everything else
+    Array.from(table.children).forEach(child => {
+      if (child.tagName !== 'CAPTION') child.remove();
+    });
+    if (!count) return;
+    
+    const grid = compareSessions(this.compareList);
+    const cell = (tag, text, className) => {
+      const el = document.createElement(tag);
+      if (text != null) el.textContent = text;
+      if (className) el.className = className;
+      return el;
+    };
+    const format = (value, digits = 0, unit = '') => (
+      Number.isFinite(value) ? `${value.toFixed(digits)}${unit}` : '—'
+    );
+    const deltaText = ({ delta, direction }, digits = 0) => {
+      if (!Number.isFinite(delta)) return null;
+      const span = cell('span', `${delta > 0 ? '+' : ''}${delta.toFixed(digits)}`, 'compare-delta');
+      if (direction) span.classList.add(`delta-${direction}`);
+      return span;
+    };
+    
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headRow.appendChild(cell('th', null));
+    grid.sessions.forEach((session, index) => {
+      const th = cell('th', session.label);
+      th.scope = 'col';
+      const meta = [
+        index === 0 ? 'baseline' : null,
+        session.origin === 'file' ? 'imported' : null
+      ].filter(Boolean).join(' · ');
+      if (meta) th.appendChild(cell('span', meta, 'compare-meta'));
+      
+      const remove = cell('button', '×', 'history-delete');
+      remove.type = 'button';
+      remove.dataset.compareRemove = index;
+      remove.setAttribute('aria-label', `Remove ${session.label} from comparison`);
+      th.appendChild(remove);
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+    table.appendChild(head);
+    
+    const body = document.createElement('tbody');
+    const section = (title) => {
+      const row = document.createElement('tr');
+      row.className = 'compare-section';
+      const th = cell('th', title);
+      th.colSpan = count + 1;
+      th.scope = 'colgroup';
+      row.appendChild(th);
+      body.appendChild(row);
+    };
+    const addRow = (label, cells, render) => {
+      const row = document.createElement('tr');
+      const th = cell('th', label);
+      th.scope = 'row';
+      row.appendChild(th);
+      cells.forEach(item => {
+        const td = document.createElement('td');
+        render(td, item);
+        row.appendChild(td);
+      });
+      body.appendChild(row);
+    };
+    
+    section('Classification');
+    addRow('Archetype', grid.sessions, (td, session) => {
+      td.textContent = session.personality;
+      td.className = 'compare-personality';
+    });
+    
+    section('Archetype Scores');
+    grid.archetypes.forEach(({ name, cells }) => {
+      addRow(name, cells, (td, item) => {
+        td.textContent = format(item.value);
+        const delta = deltaText(item);
+        if (delta) td.appendChild(delta);
+      });
+    });
+    
+    section('Profile');
+    grid.scores.forEach(({ label, unit, cells }) => {
+      addRow(label, cells, (td, item) => {
+        td.textContent = format(item.value, 0, unit);
+        const delta = deltaText(item);
+        if (delta) td.appendChild(delta);
+        const bar = cell('span', null, 'compare-bar');
+        const fill = cell('span', null, 'compare-bar-fill');
+        fill.style.width = `${Number.isFinite(item.value) ? Math.max(0, Math.min(100, item.value)) : 0}%`;
+        bar.appendChild(fill);
+        td.appendChild(bar);
+      });
+    });
+    
+    section('Metrics');
+    grid.metrics.forEach(({ label, unit, digits, cells }) => {
+      addRow(unit ? `${label} (${unit})` : label, cells, (td, item) => {
+        td.textContent = format(item.value, digits);
+        const delta = deltaText(item, digits);
+        if (delta) td.appendChild(delta);
+      });
+    });
+    
+    table.appendChild(body);
+  }
+
+  /**
+   * Opens an exported result file as if the session had just run: the
+   * result screen shows it and it is added to history (once).
+   */
+  async importFile(file) {
+    if (this.state.isObserving || this.isDestroyed) return null;
+    
+    let record;
+    try {
+      record = await readResultFile(file, { classifiers: this.classifiers, passphrase: () => this.askFilePassphrase(file) });
+    } catch (e) {
+      console.warn('Import failed:', e);
+      window.alert(`Could not import ${file.name || 'file'}: ${e.message}`);
+      return null;
+    }
     
-    // FIXED: Cap velocity multipliers to prevent runaway particles
-    if (this.state.personality === 'Impulsive') {
-      this.particles.forEach(p => {
-        p.vx = Math.max(-2, Math.min(2, p.vx * 1.5)); // Cap at 2px/frame
-        p.vy = Math.max(-2, Math.min(2, p.vy * 1.5));
-      });
-    } else if (this.state.personality === 'Restless') {
-      this.addGlitchEffect();
+    this.loadSession(record);
+    if (!(this.state.consent ?? this.loadConsent())?.persist) return record;
+    
+    try {
+      const existing = await this.history.list();
+      const duplicate = existing.some(entry => entry.sessionId === record.sessionId && entry.timestamp === record.timestamp);
+      if (!duplicate) await this.history.add(record);
+    } catch (e) {
+      console.warn('Failed to save imported session:', e);
     }
+    return record;
   }
 
-  addGlitchEffect() {
-    if (this.state.reducedMotion || this.isDestroyed) return;
-    
-    const glitch = () => {
-      if (!document.body.classList.contains('theme-restless') || this.isDestroyed) return;
-      if (Math.random() > 0.3 || this.state.reducedMotion) return;
-      
-      const screens = document.querySelectorAll('.screen.active');
-      screens.forEach(screen => {
-        const x = (Math.random() * 4 - 2).toFixed(2);
-        const y = (Math.random() * 4 - 2).toFixed(2);
-        screen.style.transform = `translate(${x}px, ${y}px)`;
-        const timeoutId = setTimeout(() => {
-          if (screen) screen.style.transform = '';
-          this.timeouts.delete(timeoutId);
-        }, 50);
-        this.trackTimeout(timeoutId);
-      });
-      
-      this.timers.glitch = setTimeout(glitch, Math.random() * 8000 + 5000);
+  loadSession(record) {
+    this.state.personality = record.personality;
+    this.state.scores = { ...record.scores };
+    const replay = this.reanalyze(record);
+    this.state.analysis = {
+      personality: record.personality,
+      scores: { ...record.scores },
+      archetypeScores: { ...record.archetypeScores },
+      features: replay?.features ?? null,
+      typing: replay?.typing ?? null,
+      trajectory: replay?.trajectory ?? null,
+      pointer: replay?.pointer ?? null,
+      tasks: replay?.tasks ?? null,
+      scroll: replay?.scroll ?? null,
+      scrollPath: replay?.scrollPath ?? null,
+      sampling: replay?.sampling ?? null,
+      calibration: replay?.calibration ?? null,
+      // An unverified file may disagree with its own metrics; explain nothing rather than the wrong thing
+      explanation: replay?.personality === record.personality ? replay.explanation : null,
+      blend: replay?.personality === record.personality
+        ? replay.blend
+        : blendScores(record.archetypeScores || {}, record.metrics || {}, record.personality)
     };
+    if (record.metrics) this.state.metrics = { ...record.metrics };
+    this.state.observedDuration = record.duration;
+    this.state.session = {
+      timestamp: record.timestamp,
+      profile: record.profile,
+      // Only open-ended sessions ran without a fixed window
+      duration: record.profile === 'open' ? null : record.duration
+    };
+    this.state.themeApplied = false;
+    this.eventLog = record.eventLog;
+    this.syncAmbient();
     
-    this.timers.glitch = setTimeout(glitch, 3000);
+    if (this.elements['session-id']) {
+      this.elements['session-id'].textContent = record.sessionId;
+    }
+    const stamp = this.elements['result-timestamp'];
+    if (stamp) {
+      const date = new Date(record.timestamp);
+      stamp.dateTime = date.toISOString();
+      stamp.textContent = `${record.imported ? 'Imported · ' : ''}${this.historyLabel(record.timestamp)}${record.verified === false ? ' · unverified' : ''}`;
+    }
+    
+    this.applyTheme();
+    this.displayResults();
   }
 
-  displayResults() {
+  reanalyze(record) {
+    try {
+      if (record.eventLog) return analyzeEvents(record.eventLog, { classifiers: this.classifiers });
+      if (record.metrics) return analyzeMetrics(record.metrics, { duration: record.duration || undefined, classifiers: this.classifiers });
+    } catch (e) {
+      console.warn('Could not re-analyze loaded session:', e);
+    }
+    return null;
+  }
+
+  async deleteHistoryEntry(id) {
+    try {
+      await this.history.remove(id);
+      this.renderHistory(await this.history.list());
+    } catch (e) {
+      console.warn('Failed to delete session:', e);
+    }
+  }
+
+  async clearHistory() {
+    if (!window.confirm('Delete all stored sessions? This cannot be undone.')) return;
+    try {
+      await this.history.clear();
+      this.renderHistory([]);
+    } catch (e) {
+      console.warn('Failed to clear session history:', e);
+    }
+  }
+
+  async showData(returnTo = 'intro-screen') {
+    if (this.state.isObserving || this.isDestroyed) return;
+    
+    this.dataReturnScreen = returnTo;
+    this.switchScreen('data-screen');
+    await this.renderData();
+  }
+
+  async renderData() {
+    let stored;
+    try {
+      stored = await collectStoredData({ storage: localStorage, history: this.history });
+    } catch (e) {
+      console.warn('Failed to read stored data:', e);
+      stored = { localStorage: {}, history: [] };
+    }
     if (this.isDestroyed) return;
+    this.renderVault();
+    
+    const consent = this.state.consent ?? this.loadConsent();
+    const consentRows = consent ? [
+      ['Given', new Date(consent.timestamp).toLocaleString()],
+      ['Recorded', consent.channels.join(', ')],
+      ['Kept', consent.persist ? `on this device for ${consent.retentionDays} days` : 'not kept']
+    ] : [['Given', 'No consent recorded']];
+    const consentList = this.elements['data-consent'];
+    if (consentList) {
+      consentList.replaceChildren();
+      consentRows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        consentList.append(term, detail);
+      });
+    }
     
-    const interpretations = {
-      Impulsive: "You act quickly and adjust later. You explore aggressively and trust instinct more than analysis. Your movements reveal decisive intent with minimal deliberation.",
-      Analytical: "You measure before moving. You prefer understanding over action, depth over breadth. Your pace suggests systematic processing and careful consideration.",
-      Perfectionist: "You refine continuously. Each deletion is a step toward precision. You see what others miss and cannot tolerate approximation.",
-      Observer: "You watch before engaging. Silence is your tool. You gather more than you reveal, exercising restraint in a world that demands reaction.",
-      Restless: "Your mind moves constantly. Stillness feels foreign. You seek the next thing before the current ends, driven by an insatiable momentum."
+    const labels = {
+      [CONSENT_KEY]: 'Consent record',
+      adaptiveMirror_result_v2: 'Last result',
+      adaptiveMirror_adaptation: 'Live adaptation setting',
+      [VAULT_KEY]: 'Encryption keys',
+      [BASELINE_KEY]: 'Calibration baselines',
+      [NORMS_KEY]: 'Population norms',
+      [QUARANTINE_KEY]: 'Quarantined records',
+      [STORAGE_SCHEMA_KEY]: 'Storage schema version'
     };
+    const items = Object.entries(stored.localStorage).map(([key, value]) => ({
+      key,
+      label: labels[key] || key,
+      detail: `${JSON.stringify(value).length} bytes`,
+      value
+    }));
+    if (stored.history.length) {
+      items.push({
+        key: 'history',
+        label: 'Session history',
+        detail: `${stored.history.length} session${stored.history.length === 1 ? '' : 's'}${this.history.locked ? ', locked' : ''}${this.history.persistent ? '' : ' (this tab only)'}`,
+        value: stored.history
+      });
+    }
+    if (stored.historyQuarantine.length) {
+      items.push({
+        key: 'history-quarantine',
+        label: 'Quarantined sessions',
+        detail: `${stored.historyQuarantine.length} session${stored.historyQuarantine.length === 1 ? '' : 's'}`,
+        value: stored.historyQuarantine
+      });
+    }
     
-    const traitEl = this.elements['primary-trait'];
-    if (traitEl) {
-      traitEl.textContent = this.state.personality;
-      traitEl.setAttribute('aria-label', `Your personality type is ${this.state.personality}`);
+    if (this.elements['data-status']) {
+      this.elements['data-status'].textContent = `${items.length} item${items.length === 1 ? '' : 's'} stored`;
     }
+    if (this.elements['data-empty']) this.elements['data-empty'].hidden = items.length > 0;
+    
+    const list = this.elements['data-list'];
+    if (!list) return;
+    list.replaceChildren();
+    items.forEach(item => {
+      const row = document.createElement('li');
+      row.className = 'data-item';
+      
+      const name = document.createElement('span');
+      name.className = 'data-name';
+      name.textContent = item.label;
+      const detail = document.createElement('span');
+      detail.className = 'data-detail';
+      detail.textContent = item.detail;
+      
+      const view = document.createElement('button');
+      view.type = 'button';
+      view.className = 'data-action';
+      view.dataset.storedView = item.key;
+      view.setAttribute('aria-expanded', 'false');
+      view.textContent = 'View';
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'data-action';
+      remove.dataset.storedDelete = item.key;
+      remove.setAttribute('aria-label', `Delete ${item.label}`);
+      remove.textContent = 'Delete';
+      
+      // Shown on demand; the history can be large
+      const content = document.createElement('pre');
+      content.className = 'data-content';
+      content.hidden = true;
+      content.textContent = JSON.stringify(item.value, null, 2);
+      
+      // Deleting the keys alone would strand the sealed sessions; Turn Off or Delete Everything instead
+      if (item.key === VAULT_KEY) remove.hidden = true;
+      
+      row.append(name, detail, view, remove, content);
+      list.appendChild(row);
+    });
+  }
+
+  toggleStoredView(button) {
+    const content = button.parentElement?.querySelector('.data-content');
+    if (!content) return;
+    content.hidden = !content.hidden;
+    button.setAttribute('aria-expanded', String(!content.hidden));
+    button.textContent = content.hidden ? 'View' : 'Hide';
+  }
+
+  /** Deletes one stored item by key ('history' for the session history, 'history-quarantine' for its quarantine), or everything */
+  async deleteData(key = null) {
+    const message = key === null
+      ? 'Delete everything Adaptive Mirror has stored on this device, including your consent? This cannot be undone.'
+      : 'Delete this item? This cannot be undone.';
+    if (!window.confirm(message)) return;
     
-    const interpEl = this.elements['interpretation'];
-    if (interpEl) {
-      interpEl.textContent = interpretations[this.state.personality] || 'Analysis complete.';
+    try {
+      if (key === 'history') {
+        await this.history.clear();
+      } else if (key === 'history-quarantine') {
+        await this.history.clearQuarantine();
+      } else {
+        await deleteStoredData({ storage: localStorage, history: this.history }, key);
+      }
+    } catch (e) {
+      console.warn('Failed to delete stored data:', e);
+    }
+    // Withdrawing consent means asking again before the next session
+    if (key === null || key === CONSENT_KEY) this.state.consent = null;
+    if (key === null) this.vault.lock();
+    if (key === null || key === BASELINE_KEY) this.loadBaselines();
+    if (key === null || key === NORMS_KEY) this.loadNorms();
+    if (key === null || key === 'adaptiveMirror_result_v2') {
+      this.elements['returning-message']?.classList.add('hidden');
+      if (this.elements['returning-message']) this.elements['returning-message'].hidden = true;
+    }
+    await this.renderData();
+  }
+
+  async downloadData() {
+    try {
+      const stored = await collectStoredData({ storage: localStorage, history: this.history });
+      const blob = new Blob([JSON.stringify({ exportedAt: new Date().toISOString(), ...stored }, null, 2)], { type: 'application/json;charset=utf-8' });
+      this.downloadBlob(blob, `adaptive-mirror-my-data-${Date.now()}.json`);
+      this.flashExported('data-download-btn');
+    } catch (e) {
+      console.warn('Failed to download stored data:', e);
     }
+  }
+
+  renderVault() {
+    if (this.isDestroyed) return;
     
-    // Animate metrics with safety checks
-    const metrics = ['focus', 'hesitation', 'controlBias', 'energy'];
-    metrics.forEach((metric, index) => {
-      const timeoutId = setTimeout(() => {
-        if (this.isDestroyed) return;
-        const bar = this.elements[`${metric.toLowerCase()}-bar`];
-        const value = this.elements[`${metric.toLowerCase()}-value`];
-        
-        if (bar && value) {
-          const score = this.state.scores[metric] || 0;
-          const displayValue = metric === 'controlBias' ? `${score}%` : score;
-          
-          bar.style.width = `${score}%`;
-          bar.setAttribute('aria-valuenow', score);
-          value.textContent = displayValue;
-        }
-      }, 200 + (index * 150));
-      this.trackTimeout(timeoutId);
+    const enabled = this.vault.enabled;
+    const locked = enabled && this.vault.locked;
+    const status = this.elements['vault-status'];
+    if (status) {
+      status.textContent = !enabled
+        ? 'Off. Stored sessions can be read by anyone using this browser.'
+        : locked
+          ? 'On and locked. New sessions are still saved, but stored ones open only with the passphrase.'
+          : 'On and unlocked. Lock before leaving this machine; starting a session locks it too.';
+    }
+    const visible = {
+      'vault-enable-btn': !enabled,
+      'vault-unlock-btn': locked,
+      'vault-lock-btn': enabled && !locked,
+      'vault-disable-btn': enabled && !locked
+    };
+    Object.entries(visible).forEach(([id, shown]) => {
+      if (this.elements[id]) this.elements[id].hidden = !shown;
     });
+  }
+
+  showVaultError(message = '') {
+    if (this.elements['vault-error']) this.elements['vault-error'].textContent = message;
+  }
+
+  /** Turns encryption on and seals what is already stored */
+  async enableVault() {
+    const passphrase = await this.askPassphrase('Choose a passphrase for stored sessions. It cannot be recovered: without it they stay unreadable.', { repeat: true });
+    if (passphrase === null) return;
     
-    this.switchScreen('result-screen');
-    this.playSuccessSound();
+    try {
+      await this.vault.create(passphrase);
+      await this.history.sealAll();
+      await this.sealStoredResult(true);
+      this.showVaultError();
+    } catch (e) {
+      console.warn('Failed to turn on encryption:', e);
+      this.showVaultError(e.message);
+    }
+    await this.renderData();
   }
 
-  persistResult() {
+  async unlockVault() {
+    const passphrase = await this.askPassphrase('Enter the passphrase to open stored sessions.');
+    if (passphrase === null) return;
+    
     try {
-      const data = {
-        personality: this.state.personality,
-        scores: this.state.scores,
-        timestamp: Date.now(),
-        metrics: {
-          distance: Math.round(this.state.metrics.mouseDistance),
-          interactions: this.state.metrics.clickCount + this.state.metrics.scrollCount
-        }
-      };
-      localStorage.setItem('adaptiveMirror_result_v2', JSON.stringify(data));
+      await this.vault.unlock(passphrase);
+      this.showVaultError();
     } catch (e) {
-      if (e.name === 'QuotaExceededError') {
-        console.warn('Storage quota exceeded');
-      } else {
-        console.warn('Failed to save result:', e);
-      }
+      console.warn('Failed to unlock stored sessions:', e);
+      this.showVaultError(e.message);
+    }
+    await this.renderData();
+  }
+
+  async lockVault() {
+    this.vault.lock();
+    this.showVaultError();
+    await this.renderData();
+  }
+
+  /** Opens everything sealed again, then forgets the keys */
+  async disableVault() {
+    if (!window.confirm('Turn encryption off? Stored sessions will be readable by anyone using this browser.')) return;
+    
+    try {
+      await this.history.unsealAll();
+      await this.sealStoredResult(false);
+      this.vault.remove();
+      this.showVaultError();
+    } catch (e) {
+      console.warn('Failed to turn off encryption:', e);
+      this.showVaultError(e.message);
+    }
+    await this.renderData();
+  }
+
+  // The last result in localStorage follows the history in or out of the vault
+  async sealStoredResult(seal) {
+    const saved = JSON.parse(localStorage.getItem('adaptiveMirror_result_v2') ?? 'null');
+    if (!saved || Boolean(saved.sealed) === seal) return;
+    const value = seal ? { sealed: await this.vault.seal(saved) } : await this.vault.open(saved.sealed);
+    localStorage.setItem('adaptiveMirror_result_v2', JSON.stringify(value));
+  }
+
+  /**
+   * Asks for a passphrase in the dialog. Resolves to the text, or null when
+   * cancelled. `repeat` asks twice and enforces the minimum length, for
+   * choosing a new passphrase.
+   */
+  askPassphrase(message, { repeat = false } = {}) {
+    const dialog = this.elements['passphrase-dialog'];
+    if (!dialog || this.isDestroyed) return Promise.resolve(null);
+    
+    // One question at a time; an older one counts as cancelled
+    this.answerPassphrase(null);
+    const returnFocus = document.activeElement;
+    if (this.elements['passphrase-message']) this.elements['passphrase-message'].textContent = message;
+    if (this.elements['passphrase-repeat']) this.elements['passphrase-repeat'].hidden = !repeat;
+    if (this.elements['passphrase-error']) this.elements['passphrase-error'].textContent = '';
+    dialog.hidden = false;
+    this.elements['passphrase-input']?.focus();
+    
+    return new Promise(resolve => {
+      this.passphraseRequest = { resolve, repeat, returnFocus };
+    });
+  }
+
+  askFilePassphrase(file) {
+    return this.askPassphrase(`${file.name || 'This file'} is encrypted. Enter its passphrase.`);
+  }
+
+  submitPassphrase() {
+    const request = this.passphraseRequest;
+    if (!request) return;
+    
+    const passphrase = this.elements['passphrase-input']?.value ?? '';
+    let error = '';
+    if (!passphrase) {
+      error = 'Enter a passphrase';
+    } else if (request.repeat && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      error = `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    } else if (request.repeat && passphrase !== this.elements['passphrase-repeat']?.value) {
+      error = 'The passphrases do not match';
+    }
+    if (error) {
+      if (this.elements['passphrase-error']) this.elements['passphrase-error'].textContent = error;
+      return;
     }
+    this.answerPassphrase(passphrase);
+  }
+
+  answerPassphrase(passphrase) {
+    const request = this.passphraseRequest;
+    if (!request) return;
+    
+    this.passphraseRequest = null;
+    if (this.elements['passphrase-dialog']) this.elements['passphrase-dialog'].hidden = true;
+    // Do not leave the passphrase sitting in the page
+    ['passphrase-input', 'passphrase-repeat'].forEach(id => {
+      if (this.elements[id]) this.elements[id].value = '';
+    });
+    request.returnFocus?.focus?.();
+    request.resolve(passphrase);
   }
 
   loadPreviousResult() {
@@ -972,13 +2891,27 @@ class AdaptiveMirror {
     } catch (e) {
       console.warn('Failed to load previous result:', e);
       try {
-        localStorage.removeItem('adaptiveMirror_result_v2');
-      } catch (removeError) {
-        // Ignore removal errors
+        quarantineRecord(localStorage, 'adaptiveMirror_result_v2', e.message);
+      } catch (quarantineError) {
+        // Left in place; the next migration run checks it again
       }
     }
   }
 
+  // Brings stored records up to the current schema before anything reads them
+  migrateStorage() {
+    try {
+      logMigrationReport(runMigrations({ storage: localStorage }));
+    } catch (e) {
+      console.warn('Storage migration failed:', e);
+    }
+    // IndexedDB answers later; the history screen waits for the check
+    this.historyChecked = checkHistory(this.history)
+      .then(report => logHistoryReport(report))
+      .catch(e => console.warn('History check failed:', e));
+    return this.historyChecked;
+  }
+
   switchScreen(screenId) {
     if (this.isDestroyed) return;
     
@@ -1059,175 +2992,162 @@ class AdaptiveMirror {
 
   startRenderLoop() {
     if (this.isDestroyed || this.state.reducedMotion || document.hidden) return;
-    if (this.animationFrame) return; // Already running
-    
-    const render = (time) => {
-      if (this.isDestroyed || !this.ctx || document.hidden || this.state.reducedMotion) {
-        this.animationFrame = null;
-        return;
-      }
-      
-      try {
-        this.ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
-        const t = time * 0.001;
-        
-        this.particles.forEach((p, i) => {
-          this.updateParticle(p, t, i);
-          this.drawParticle(p);
-        });
-        
-        this.drawConnections();
-      } catch (e) {
-        console.error('Render error', e);
-        this.stopRenderLoop();
-        return;
+    this.ambient?.start();
+  }
+
+  /**
+   * Archetype → weight (0-1) the particles follow: the live estimate while
+   * observing, the classified personality at full weight afterwards
+   */
+  particleWeights() {
+    if (this.state.isObserving) return this.adaptation.weights();
+    return this.state.personality ? { [this.state.personality]: 1 } : {};
+  }
+
+  // Hands the particles their current look; they are drawn apart from the page's state
+  syncAmbient() {
+    this.ambient?.setLook({ weights: this.particleWeights(), personality: this.state.personality });
+  }
+
+  buildExport() {
+    const session = this.state.session || {};
+    return buildExport({
+      // FIXED: Don't include user agent without consent (privacy)
+      sessionId: this.elements['session-id']?.textContent || 'N/A',
+      timestamp: session.timestamp ?? Date.now(),
+      profile: session.profile ?? this.state.profile.id,
+      duration: session.duration ?? null,
+      observedDuration: this.state.observedDuration,
+      personality: this.state.personality,
+      scores: this.state.scores,
+      archetypeScores: this.state.analysis?.archetypeScores,
+      metrics: this.state.metrics,
+      features: this.state.analysis?.features,
+      explanation: this.state.analysis?.explanation,
+      blend: this.state.analysis?.blend,
+      typing: this.state.analysis?.typing,
+      trajectory: this.state.analysis?.trajectory,
+      pointer: this.state.analysis?.pointer,
+      tasks: this.state.analysis?.tasks,
+      scroll: this.state.analysis?.scroll,
+      sampling: this.state.analysis?.sampling,
+      calibration: this.state.analysis?.calibration,
+      norms: cohortReading(this.selectedCohort(), this.state.scores),
+      // Raw event log, replayable through replaySession()
+      eventLog: this.eventLog,
+      screen: {
+        width: screen.width,
+        height: screen.height,
+        colorDepth: screen.colorDepth
       }
-      
-      this.animationFrame = requestAnimationFrame(render);
-    };
-    
-    this.animationFrame = requestAnimationFrame(render);
+    });
   }
 
-  updateParticle(p, time, index) {
-    if (this.state.reducedMotion) return;
-    
-    let speed = 1;
-    if (this.state.personality === 'Impulsive') speed = 1.5;
-    else if (this.state.personality === 'Restless') speed = 1.2;
-    else if (this.state.personality === 'Analytical') speed = 0.5;
-    
-    p.x += p.vx * speed;
-    p.y += p.vy * speed;
+  exportData(format = 'json') {
+    if (this.isDestroyed) return;
     
-    if (this.state.personality === 'Restless') {
-      p.vx += Math.sin(time + index) * 0.01;
-      p.vy += Math.cos(time * 1.5 + index) * 0.01;
-      // Dampen to prevent acceleration
-      p.vx *= 0.99;
-      p.vy *= 0.99;
+    const formats = {
+      json: { button: 'export-btn', type: 'application/json', render: toJSON },
+      csv: { button: 'export-csv-btn', type: 'text/csv', render: data => toCSV([data]) },
+      html: { button: 'report-btn', type: 'text/html', render: toReportHTML }
+    };
+    const output = formats[format];
+    if (!output) {
+      console.warn(`Unknown export format: ${format}`);
+      return;
     }
     
-    // Bounce with padding
-    const padding = 10;
-    if (p.x < padding) { p.x = padding; p.vx *= -1; }
-    else if (p.x > window.innerWidth - padding) { p.x = window.innerWidth - padding; p.vx *= -1; }
-    
-    if (p.y < padding) { p.y = padding; p.vy *= -1; }
-    else if (p.y > window.innerHeight - padding) { p.y = window.innerHeight - padding; p.vy *= -1; }
+    try {
+      const data = this.buildExport();
+      const blob = new Blob([output.render(data)], { type: `${output.type};charset=utf-8` });
+      this.downloadBlob(blob, `adaptive-mirror-${format === 'html' ? 'report' : 'result'}-${Date.now()}-${safeRandom().toString(36).substring(2, 6)}.${format}`);
+      this.flashExported(output.button);
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert('Export failed. Please try again.');
+    }
   }
 
-  drawParticle(p) {
-    if (!this.ctx) return;
-    this.ctx.beginPath();
-    this.ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
+  /** The JSON export, encrypted under a passphrase chosen for this file */
+  async exportEncrypted() {
+    if (this.isDestroyed) return;
     
-    let color = '128, 128, 128';
-    switch(this.state.personality) {
-      case 'Restless': color = '0, 255, 136'; break;
-      case 'Impulsive': color = '255, 0, 110'; break;
-      case 'Analytical': color = '139, 148, 158'; break;
-      case 'Perfectionist': color = '108, 117, 125'; break;
-      case 'Observer': color = '100, 100, 120'; break;
-    }
+    const passphrase = await this.askPassphrase('Choose a passphrase for this file. Whoever opens it will need it.', { repeat: true });
+    if (passphrase === null) return;
     
-    this.ctx.fillStyle = `rgba(${color}, ${p.opacity})`;
-    this.ctx.fill();
+    try {
+      const encrypted = await encryptWithPassphrase(this.buildExport(), passphrase, { iterations: this.vault.iterations });
+      const blob = new Blob([JSON.stringify(encrypted, null, 2)], { type: 'application/json;charset=utf-8' });
+      this.downloadBlob(blob, `adaptive-mirror-result-${Date.now()}-${safeRandom().toString(36).substring(2, 6)}.encrypted.json`);
+      this.flashExported('export-encrypted-btn');
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert('Export failed. Please try again.');
+    }
   }
 
-  drawConnections() {
-    if (this.state.personality === 'Observer' || this.particles.length < 2 || this.state.reducedMotion) return;
-    
-    const maxDistance = this.state.personality === 'Impulsive' ? 100 : 120;
-    const maxConnections = 3;
-    const maxDistSq = maxDistance * maxDistance; // FIXED: Use squared distance
-    
-    this.particles.forEach((p1, i) => {
-      let connections = 0;
-      for (let j = i + 1; j < this.particles.length && connections < maxConnections; j++) {
-        const p2 = this.particles[j];
-        const dx = p1.x - p2.x;
-        const dy = p1.y - p2.y;
-        const distSq = dx * dx + dy * dy; // Avoid sqrt
-        
-        if (distSq < maxDistSq) {
-          const distance = Math.sqrt(distSq); // Only sqrt when needed
-          const alpha = (1 - distance / maxDistance) * 0.15;
-          this.ctx.strokeStyle = this.state.personality === 'Restless' 
-            ? `rgba(0, 255, 136, ${alpha})` 
-            : `rgba(255, 255, 255, ${alpha})`;
-          this.ctx.lineWidth = 0.5;
-          this.ctx.beginPath();
-          this.ctx.moveTo(p1.x, p1.y);
-          this.ctx.lineTo(p2.x, p2.y);
-          this.ctx.stroke();
-          connections++;
-        }
+  exportHeatmap() {
+    const canvas = this.elements['heatmap-canvas'];
+    if (this.isDestroyed || !canvas?.toBlob) return;
+    
+    canvas.toBlob((blob) => {
+      if (this.isDestroyed) return;
+      if (!blob) {
+        console.warn('Heatmap could not be encoded as PNG');
+        alert('Export failed. Please try again.');
+        return;
       }
-    });
+      try {
+        this.downloadBlob(blob, `adaptive-mirror-heatmap-${Date.now()}-${safeRandom().toString(36).substring(2, 6)}.png`);
+        this.flashExported('heatmap-png-btn');
+      } catch (error) {
+        console.error('Export failed:', error);
+        alert('Export failed. Please try again.');
+      }
+    }, 'image/png');
   }
 
-  exportData() {
-    if (this.isDestroyed) return;
+  downloadBlob(blob, filename) {
+    // FIXED: Revoke previous URL if exists to prevent memory leak
+    if (this.exportUrl) {
+      URL.revokeObjectURL(this.exportUrl);
+    }
+    
+    this.exportUrl = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = this.exportUrl;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
     
     try {
-      const data = {
-        personality: this.state.personality,
-        scores: this.state.scores,
-        timestamp: new Date().toISOString(),
-        // FIXED: Don't include user agent without consent (privacy)
-        sessionId: this.elements['session-id']?.textContent || 'N/A',
-        screen: {
-          width: screen.width,
-          height: screen.height,
-          colorDepth: screen.colorDepth
-        }
-      };
-      
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-      
-      // FIXED: Revoke previous URL if exists to prevent memory leak
-      if (this.exportUrl) {
-        URL.revokeObjectURL(this.exportUrl);
-      }
-      
-      this.exportUrl = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = this.exportUrl;
-      a.download = `adaptive-mirror-result-${Date.now()}-${safeRandom().toString(36).substring(2, 6)}.json`;
-      a.style.display = 'none';
-      document.body.appendChild(a);
-      
-      try {
-        a.click();
-      } finally {
-        document.body.removeChild(a);
-      }
-      
-      // Visual feedback
-      const btn = this.elements['export-btn'];
-      if (btn) {
-        const originalText = btn.innerHTML;
-        btn.innerHTML = '<span class="btn-icon" aria-hidden="true">✓</span><span class="btn-text">Exported!</span>';
-        btn.disabled = true;
-        
-        const timeoutId = setTimeout(() => {
-          if (btn && !this.isDestroyed) {
-            btn.innerHTML = originalText;
-            btn.disabled = false;
-          }
-          this.timeouts.delete(timeoutId);
-        }, 2000);
-        this.trackTimeout(timeoutId);
-      }
-    } catch (error) {
-      console.error('Export failed:', error);
-      alert('Export failed. Please try again.');
+      a.click();
+    } finally {
+      document.body.removeChild(a);
     }
   }
 
+  // Visual feedback on the button that started a download
+  flashExported(id) {
+    const btn = this.elements[id];
+    if (!btn) return;
+    const originalText = btn.innerHTML;
+    btn.innerHTML = '<span class="btn-icon" aria-hidden="true">✓</span><span class="btn-text">Exported!</span>';
+    btn.disabled = true;
+    
+    const timeoutId = setTimeout(() => {
+      if (btn && !this.isDestroyed) {
+        btn.innerHTML = originalText;
+        btn.disabled = false;
+      }
+      this.timeouts.delete(timeoutId);
+    }, 2000);
+    this.trackTimeout(timeoutId);
+  }
+
   reset() {
     this.stopObservation();
+    this.state.calibrating = false;
     
     // Clear glitch timer
     if (this.timers.glitch) {
@@ -1236,8 +3156,12 @@ class AdaptiveMirror {
     }
     
     this.state.personality = null;
+    this.state.observedDuration = null;
+    this.state.session = null;
     this.state.themeApplied = false;
     this.state.scores = {};
+    this.state.analysis = null;
+    this.syncAmbient();
     
     // Remove theme classes
     const classes = Array.from(document.body.classList);
@@ -1264,6 +3188,13 @@ class AdaptiveMirror {
     
     if (this.elements['primary-trait']) {
       this.elements['primary-trait'].textContent = '—';
+      this.elements['primary-trait'].classList.remove('is-inconclusive');
+    }
+    this.renderBlend(null);
+    
+    if (this.elements['result-timestamp']) {
+      this.elements['result-timestamp'].textContent = '';
+      this.elements['result-timestamp'].dateTime = '';
     }
     
     if (this.elements['interpretation']) {
@@ -1277,7 +3208,7 @@ class AdaptiveMirror {
     this.playTone(440, 0.1, 'sine');
   }
 
-  handleKeyDown(e) {
+  handleShortcutKey(e) {
     if (e.key === 'Escape' && this.state.isObserving) {
       this.reset();
     }
@@ -1287,21 +3218,6 @@ class AdaptiveMirror {
   }
 
   // Utility methods with proper context preservation
-  throttle(fn, limit) {
-    let inThrottle;
-    return (...args) => {
-      if (!inThrottle) {
-        fn.apply(this, args);
-        inThrottle = true;
-        const timeoutId = setTimeout(() => {
-          inThrottle = false;
-          this.timeouts?.delete(timeoutId);
-        }, limit);
-        this.timeouts?.add(timeoutId);
-      }
-    };
-  }
-
   debounce(fn, delay) {
     let timer;
     return (...args) => {
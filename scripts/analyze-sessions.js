@@ -0,0 +1,52 @@
+/**
+ * Adaptive Mirror - Batch Session Analysis
+ * Re-scores exported result files with the headless engine.
+ *
+ * Usage: node scripts/analyze-sessions.js [--csv] <export.json> [...more]
+ * Prints one JSON line per file: { file, personality, scores }
+ * With --csv, prints one CSV table in the export schema instead.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { analyzeEvents } from '../src/engine.js';
+import { buildExport, toCSV } from '../src/export.js';
+
+const args = process.argv.slice(2);
+const csv = args.includes('--csv');
+const files = args.filter(arg => arg !== '--csv');
+
+if (!files.length) {
+  console.error('Usage: node scripts/analyze-sessions.js [--csv] <export.json> [...more]');
+  process.exit(1);
+}
+
+let failures = 0;
+const rows = [];
+
+for (const file of files) {
+  try {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    const log = data.eventLog || data;
+    const result = analyzeEvents(log);
+    if (csv) {
+      rows.push(buildExport({
+        sessionId: data.sessionId,
+        timestamp: data.timestamp ? Date.parse(data.timestamp) : undefined,
+        profile: log.profile ?? data.session?.profile ?? null,
+        duration: data.session?.duration ?? (log.profile === 'open' ? null : log.duration ?? null),
+        observedDuration: log.duration ?? null,
+        ...result,
+        metrics: result.features
+      }));
+    } else {
+      console.log(JSON.stringify({ file, personality: result.personality, scores: result.scores }));
+    }
+  } catch (e) {
+    failures++;
+    console.error(`${file}: ${e.message}`);
+  }
+}
+
+if (csv && rows.length) process.stdout.write(toCSV(rows));
+
+process.exitCode = failures ? 1 : 0;
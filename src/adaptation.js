@@ -0,0 +1,116 @@
+/**
+ * Adaptive Mirror - Live Adaptation
+ * Reads the archetype mix from the last few seconds of a running session
+ * and eases a per-archetype weight towards it, so the interface can drift
+ * with the participant's behavior instead of changing once at the end.
+ * The estimate only drives visuals; the session is still scored as a whole.
+ */
+
+import { analyzeEvents } from './engine.js';
+
+// Rolling window (ms) the live estimate is read from
+export const ADAPTATION_WINDOW = 5000;
+// How often (ms) the estimate is refreshed during observation
+export const ADAPTATION_INTERVAL = 1000;
+// Share of the gap to the latest estimate closed on each refresh
+export const ADAPTATION_EASE = 0.3;
+// Strength (0-1) until the participant picks one
+export const DEFAULT_ADAPTATION_STRENGTH = 0.6;
+
+export const ARCHETYPE_COLORS = {
+  Restless: [0, 255, 136],
+  Impulsive: [255, 0, 110],
+  Analytical: [139, 148, 158],
+  Perfectionist: [108, 117, 125],
+  Observer: [100, 100, 120]
+};
+export const NEUTRAL_COLOR = [128, 128, 128];
+
+export const clampStrength = (value) => {
+  const strength = Number(value);
+  return Number.isFinite(strength) ? Math.max(0, Math.min(1, strength)) : DEFAULT_ADAPTATION_STRENGTH;
+};
+
+/**
+ * Archetype shares from the events in the window ending at `now`, or null
+ * when that stretch is too sparse to read (the blend is inconclusive).
+ * The slice is scored the way the full log would be, so it follows the
+ * same rules and log version.
+ */
+export const estimateWindow = (log, now, { window = ADAPTATION_WINDOW, classifiers } = {}) => {
+  const events = Array.isArray(log?.events) ? log.events : [];
+  const from = now - window;
+  let start = events.length;
+  while (start > 0 && events[start - 1].t >= from) start--;
+  const recent = events.slice(start).filter(event => event.t <= now);
+  if (!recent.length) return null;
+
+  const { blend } = analyzeEvents({
+    version: log.version,
+    startTime: Math.max(from, log.startTime ?? from),
+    duration: window,
+    events: recent
+  }, { classifiers });
+  return blend.inconclusive ? null : blend.distribution;
+};
+
+/**
+ * Eased archetype weights (0-1 each) scaled by a strength setting. With no
+ * readable estimate the weights fade back towards neutral.
+ */
+export class LiveAdaptation {
+  constructor({ strength = DEFAULT_ADAPTATION_STRENGTH, ease = ADAPTATION_EASE } = {}) {
+    this.strength = clampStrength(strength);
+    this.ease = ease;
+    this.reset();
+  }
+
+  reset() {
+    this.mix = Object.fromEntries(Object.keys(ARCHETYPE_COLORS).map(name => [name, 0]));
+    return this;
+  }
+
+  setStrength(value) {
+    this.strength = clampStrength(value);
+    return this;
+  }
+
+  update(distribution) {
+    const names = new Set([...Object.keys(this.mix), ...Object.keys(distribution || {})]);
+    names.forEach(name => {
+      const target = distribution?.[name] ?? 0;
+      const current = this.mix[name] ?? 0;
+      this.mix[name] = current + (target - current) * this.ease;
+    });
+    return this;
+  }
+
+  /** Archetype → weight actually applied, after strength */
+  weights() {
+    return Object.fromEntries(Object.entries(this.mix).map(([name, value]) => [name, value * this.strength]));
+  }
+
+  /** The archetype weighing most, or null while every weight is negligible */
+  leading(minimum = 0.1) {
+    let leader = null;
+    Object.entries(this.weights()).forEach(([name, weight]) => {
+      if (weight >= minimum && (!leader || weight > leader.weight)) leader = { name, weight };
+    });
+    return leader?.name ?? null;
+  }
+}
+
+/**
+ * Neutral grey mixed with each archetype's color by its weight; a single
+ * archetype at full weight gives exactly its own color
+ */
+export const blendColor = (weights = {}) => {
+  const entries = Object.entries(weights).filter(([name, weight]) => ARCHETYPE_COLORS[name] && weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const scale = total > 1 ? 1 / total : 1;
+  const color = NEUTRAL_COLOR.map(channel => channel * (1 - Math.min(1, total)));
+  entries.forEach(([name, weight]) => {
+    ARCHETYPE_COLORS[name].forEach((channel, i) => { color[i] += channel * weight * scale; });
+  });
+  return color.map(Math.round).join(', ');
+};
@@ -0,0 +1,11 @@
+/**
+ * Adaptive Mirror - Aggregation Worker
+ * Entry point of the worker EventAggregator posts event batches to; the
+ * message handling lives in aggregator.js.
+ */
+
+import { createAggregationHandler } from './aggregator.js';
+
+const handle = createAggregationHandler((message) => self.postMessage(message));
+
+self.onmessage = (e) => handle(e.data);
@@ -0,0 +1,308 @@
+/**
+ * Adaptive Mirror - Event Aggregation
+ * Folding every pointer sample into metrics on the main thread puts the
+ * measurement in the same queue as rendering, so a slow frame delays the
+ * very events whose timing is being measured. Here the page only logs each
+ * event with its own timestamp and queues it; every BATCH_INTERVAL ms the
+ * queue goes to a worker (aggregation-worker.js) running the
+ * AnalysisEngine, which also makes the idle checks and the live
+ * adaptation estimate.
+ *
+ * Where workers are unavailable the engine folds events inline, one at a
+ * time, as it always has. Either way the result is scored in the page from
+ * the engine's snapshot, and idle changes are logged where their check
+ * fell among the events, so a replay of the log gives the same result.
+ */
+
+import { AnalysisEngine, analyzeSnapshot, EVENT_LOG_VERSION } from './engine.js';
+import { ClassifierRegistry } from './classifiers.js';
+import { estimateWindow, ADAPTATION_WINDOW } from './adaptation.js';
+
+// How often (ms) queued events are posted to the worker
+export const BATCH_INTERVAL = 100;
+// A queue this long is posted without waiting for the interval
+export const MAX_BATCH_SIZE = 256;
+
+/** A module worker running aggregation-worker.js, or null where workers are unavailable */
+export const createAggregationWorker = () => {
+  if (typeof Worker !== 'function') return null;
+  try {
+    return new Worker(new URL('./aggregation-worker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    console.warn('Aggregation worker unavailable; aggregating in the page:', e);
+    return null;
+  }
+};
+
+/**
+ * The worker's side: a handler for the messages EventAggregator posts,
+ * answering through `post`. Every answer carries the `session` of the
+ * reset it belongs to.
+ * - { type: 'reset', session, startTime, version, classifiers } starts a session
+ * - { type: 'classifiers', classifiers } replaces the archetypes mid-session
+ * - { type: 'events', events } folds a batch. `tick` entries are idle
+ *   checks, answered with { type: 'idle', t, at } when the idle state changed
+ * - { type: 'estimate', t } → { type: 'estimate', distribution }
+ * - { type: 'finish', id } → { type: 'snapshot', id, snapshot }
+ * A message that fails is answered with { type: 'error', id, message }.
+ */
+export const createAggregationHandler = (post) => {
+  let session = null;
+  let engine = new AnalysisEngine();
+  let classifiers = new ClassifierRegistry();
+  // Only the live estimate's window of events is kept
+  let log = { version: EVENT_LOG_VERSION, startTime: 0, events: [] };
+
+  const fold = (event) => {
+    if (event.type !== 'tick') {
+      engine.process(event);
+      log.events.push(event);
+    } else if (engine.checkIdle(event.t)) {
+      log.events.push({ type: 'idle', t: event.t });
+      post({ type: 'idle', session, t: event.t, at: event.at });
+    }
+  };
+
+  const trim = () => {
+    const { events } = log;
+    if (!events.length) return;
+    const from = events[events.length - 1].t - ADAPTATION_WINDOW;
+    let start = events.length;
+    while (start > 0 && events[start - 1].t >= from) start--;
+    if (start > 0) events.splice(0, start);
+  };
+
+  return (message) => {
+    try {
+      switch (message?.type) {
+        case 'reset':
+          session = message.session;
+          classifiers = new ClassifierRegistry(message.classifiers ?? undefined);
+          engine = new AnalysisEngine({ classifiers }).reset(message.startTime);
+          log = { version: message.version ?? EVENT_LOG_VERSION, startTime: message.startTime, events: [] };
+          break;
+        case 'classifiers':
+          classifiers = new ClassifierRegistry(message.classifiers ?? undefined);
+          engine.classifiers = classifiers;
+          break;
+        case 'events':
+          message.events.forEach(fold);
+          trim();
+          break;
+        case 'estimate':
+          post({ type: 'estimate', session, distribution: estimateWindow(log, message.t, { classifiers }) });
+          break;
+        case 'finish':
+          post({ type: 'snapshot', session, id: message.id, snapshot: engine.snapshot() });
+          break;
+        default:
+          console.warn(`Unknown aggregation message: ${message?.type}`);
+      }
+    } catch (e) {
+      post({ type: 'error', session, id: message?.id ?? null, message: e.message });
+    }
+  };
+};
+
+/**
+ * The page's side. `engine` holds the scoring options (duration, baseline,
+ * classifiers) and, without a worker, folds the events itself. Changes to
+ * its classifier registry are posted to the worker as they happen, so the
+ * live estimate follows archetypes added or edited mid-session. `worker` is
+ * a Worker (or anything with postMessage, terminate, onmessage and
+ * onerror), or null to aggregate inline. `onIdle(t, at)` is told of each
+ * idle state change with the log position it belongs at;
+ * `onEstimate(distribution)` receives the live adaptation estimates.
+ */
+export class EventAggregator {
+  constructor(engine, { worker = null, onIdle = () => {}, onEstimate = () => {} } = {}) {
+    this.engine = engine;
+    this.onIdle = onIdle;
+    this.onEstimate = onEstimate;
+    this.worker = null;
+    this.session = 0;
+    this.log = null;
+    this.queue = [];
+    this.timer = null;
+    // Events folded and idle changes reported this session, which place each idle change in the log
+    this.folded = 0;
+    this.idles = 0;
+    // The worker's snapshot once the session is finished
+    this.final = null;
+    // finish() id → resolve
+    this.requests = new Map();
+    this.requestCounter = 0;
+    engine.classifiers.subscribe(() => this.syncClassifiers());
+    if (worker) this.attach(worker);
+  }
+
+  get inline() {
+    return !this.worker;
+  }
+
+  /** The running metrics inline; with a worker, the finished session's */
+  get metrics() {
+    return this.final?.metrics ?? this.engine.metrics;
+  }
+
+  attach(worker) {
+    this.worker = worker;
+    worker.onmessage = (e) => this.receive(e.data);
+    worker.onerror = (e) => {
+      e?.preventDefault?.();
+      this.fallBack(new Error(e?.message || 'Aggregation worker failed'));
+    };
+  }
+
+  /** Starts a session at `startTime`; `log` is its event log, which a failed worker is recovered from */
+  reset(startTime, log = null) {
+    this.session++;
+    this.engine.reset(startTime);
+    this.log = log;
+    this.queue = [];
+    this.folded = 0;
+    this.idles = 0;
+    this.final = null;
+    if (this.inline) return;
+
+    this.worker.postMessage({
+      type: 'reset',
+      session: this.session,
+      startTime,
+      version: log?.version ?? EVENT_LOG_VERSION,
+      classifiers: this.engine.classifiers.definitions()
+    });
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.flush(), BATCH_INTERVAL);
+  }
+
+  syncClassifiers() {
+    if (this.inline) return;
+    this.worker.postMessage({ type: 'classifiers', classifiers: this.engine.classifiers.definitions() });
+  }
+
+  process(event) {
+    this.folded++;
+    if (this.inline) {
+      this.engine.process(event);
+      return;
+    }
+    this.queue.push(event);
+    if (this.queue.length >= MAX_BATCH_SIZE) this.flush();
+  }
+
+  // Idle checks fold in order with the events, so a change is logged after the events before it
+  checkIdle(now) {
+    if (this.inline) {
+      if (this.engine.checkIdle(now)) this.reportIdle(now, this.folded);
+      return;
+    }
+    this.queue.push({ type: 'tick', t: now, at: this.folded });
+  }
+
+  reportIdle(t, folded) {
+    this.onIdle(t, folded + this.idles++);
+  }
+
+  /** Reads the live adaptation estimate at `now`, answered through onEstimate */
+  estimate(now) {
+    if (this.inline) {
+      let distribution;
+      try {
+        distribution = estimateWindow(this.log, now, { classifiers: this.engine.classifiers });
+      } catch (e) {
+        console.warn('Live adaptation failed:', e);
+        return;
+      }
+      this.onEstimate(distribution);
+      return;
+    }
+    this.flush();
+    this.worker.postMessage({ type: 'estimate', t: now });
+  }
+
+  flush() {
+    if (this.inline || !this.queue.length) return;
+    this.worker.postMessage({ type: 'events', events: this.queue });
+    this.queue = [];
+  }
+
+  // Stops the batching timer; what is queued stays for finish()
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Resolves with the session's snapshot once every queued event has been
+   * folded in; analyze() can then score it. Inline, it resolves at once.
+   */
+  finish() {
+    this.stop();
+    if (this.inline) return Promise.resolve(this.snapshot());
+    this.flush();
+    const id = ++this.requestCounter;
+    return new Promise((resolve) => {
+      this.requests.set(id, resolve);
+      this.worker.postMessage({ type: 'finish', id });
+    });
+  }
+
+  snapshot() {
+    return this.final ?? this.engine.snapshot();
+  }
+
+  analyze() {
+    return analyzeSnapshot(this.snapshot(), {
+      duration: this.engine.duration,
+      classifiers: this.engine.classifiers,
+      baseline: this.engine.baseline
+    });
+  }
+
+  receive(message) {
+    // Answers for an earlier session arrive after a reset; they no longer apply
+    if (message?.session !== this.session) return;
+    switch (message.type) {
+      case 'idle':
+        this.reportIdle(message.t, message.at);
+        break;
+      case 'estimate':
+        this.onEstimate(message.distribution);
+        break;
+      case 'snapshot':
+        this.final = message.snapshot;
+        this.requests.get(message.id)?.(message.snapshot);
+        this.requests.delete(message.id);
+        break;
+      case 'error':
+        if (message.id) this.fallBack(new Error(message.message));
+        else console.warn('Aggregation worker:', message.message);
+        break;
+    }
+  }
+
+  /**
+   * Carries on in the page after the worker failed: the engine re-reads the
+   * session so far from the log, and a pending finish() resolves from it.
+   */
+  fallBack(error) {
+    if (this.inline) return;
+    console.warn('Aggregation worker failed; aggregating in the page:', error);
+    this.close();
+    this.final = null;
+    this.queue = [];
+    if (this.log) {
+      this.engine.reset(this.log.startTime).processAll(this.log.events);
+      this.folded = this.log.events.length - this.idles;
+    }
+    this.requests.forEach(resolve => resolve(this.snapshot()));
+    this.requests.clear();
+  }
+
+  close() {
+    this.stop();
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}
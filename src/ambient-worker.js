@@ -0,0 +1,16 @@
+/**
+ * Adaptive Mirror - Ambient Worker
+ * Draws the ambient particles on the OffscreenCanvas AmbientCanvas hands
+ * over, running the page's renderer calls ({ method, args }) as they come.
+ */
+
+import { AmbientRenderer, AMBIENT_METHODS } from './particles.js';
+
+const renderer = new AmbientRenderer();
+
+self.onmessage = (e) => {
+  const { method, args = [] } = e.data ?? {};
+  if (AMBIENT_METHODS.includes(method)) renderer[method](...args);
+};
+
+self.postMessage({ type: 'ready' });
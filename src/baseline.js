@@ -0,0 +1,185 @@
+/**
+ * Adaptive Mirror - Personal Baseline
+ * The archetype thresholds are absolute (avgVelocity > 1.2 px/ms), so the
+ * same behavior reads differently on a trackpad, a high-DPI gaming mouse or
+ * a small screen. A short calibration measures the participant's own
+ * pointer speed and typing pace on a device; later sessions on that device
+ * are scaled so the baseline lands on the reference the thresholds were
+ * written for, and are reported as deviations from it.
+ *
+ * Baselines are kept per device profile (input device, screen size and
+ * pixel ratio): a baseline from one device says nothing about another.
+ */
+
+import { createBattery } from './tasks.js';
+
+export const BASELINE_VERSION = 1;
+export const BASELINE_KEY = 'adaptiveMirror_baselines';
+
+export const BASELINE_MEASURES = ['pointerSpeed', 'typingInterval', 'viewportDiagonal'];
+
+// The participant the default thresholds describe: pointer speed in px/ms
+// (touch moves only in flicks, as its own thresholds assume), the mean gap
+// between keystrokes in ms, and a 1440×900 viewport's diagonal in CSS px
+export const REFERENCE_BASELINE = {
+  pointerSpeed: { mouse: 0.8, touch: 1.3, pen: 0.8 },
+  typingInterval: 200,
+  viewportDiagonal: 1700
+};
+
+// Fewer samples than this measure too little to calibrate from
+export const MIN_POINTER_SAMPLES = 20;
+export const MIN_TYPING_KEYS = 10;
+// No adjustment larger than this, either way; beyond it the device or the
+// calibration is unusual enough that scaling would invent behavior
+export const MAX_FACTOR = 4;
+
+export const CALIBRATION_BATTERY = createBattery('calibration', [
+  { kind: 'targets', trials: 10 },
+  { kind: 'transcribe', text: 'The quick brown fox jumps over the lazy dog.' }
+]);
+
+// Features scaled by each factor. Speeds and distances are in screen px;
+// typing intervals scale directly and words per minute inversely.
+const SPEED_FEATURES = ['avgVelocity', 'maxVelocity', 'pointerMouseVelocity', 'pointerTouchVelocity', 'pointerPenVelocity'];
+const DISTANCE_FEATURES = ['mouseDistance', 'pointerMouseDistance', 'pointerTouchDistance', 'pointerPenDistance', 'trajectoryStrokeLength', 'trajectoryOvershoot'];
+const INTERVAL_FEATURES = ['typingIntervalMean'];
+const RATE_FEATURES = ['typingWpm'];
+
+// What a calibration that could not be used asks of the participant
+export const CALIBRATION_RETRY = 'Calibration needs some pointer movement or typing; please try again';
+
+export class BaselineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BaselineError';
+  }
+}
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const positive = (value) => Number.isFinite(value) && value > 0;
+
+const clampFactor = (factor) => Math.max(1 / MAX_FACTOR, Math.min(MAX_FACTOR, factor));
+
+/**
+ * The key a baseline is stored under, e.g. "mouse · 1440×900 @2x". The
+ * pointer device is the session's dominant one; without pointer input the
+ * profile is "none".
+ */
+export const deviceProfile = ({ pointerDevice = null, pixelRatio = 1, screen = null } = {}) => {
+  const size = positive(screen?.width) && positive(screen?.height)
+    ? `${screen.width}×${screen.height}`
+    : 'unknown screen';
+  const ratio = positive(pixelRatio) ? round(pixelRatio, 2) : 1;
+  return `${pointerDevice || 'none'} · ${size} @${ratio}x`;
+};
+
+/**
+ * Turns a calibration session's analysis into a baseline. `device` is the
+ * { pointerDevice, pixelRatio, screen, viewport } the session ran on.
+ * Throws a BaselineError when the session measured neither pointer
+ * movement nor typing.
+ */
+export const createBaseline = (result, device = {}, { timestamp = Date.now() } = {}) => {
+  const features = result?.features ?? {};
+  const pointerDevice = device.pointerDevice ?? result?.pointer?.pointerDevice ?? null;
+  const measures = {
+    pointerSpeed: features.velocityCount >= MIN_POINTER_SAMPLES && positive(features.avgVelocity)
+      ? round(features.avgVelocity)
+      : null,
+    typingInterval: features.typingKeys >= MIN_TYPING_KEYS && positive(features.typingIntervalMean)
+      ? round(features.typingIntervalMean, 1)
+      : null,
+    viewportDiagonal: positive(device.viewport?.width) && positive(device.viewport?.height)
+      ? Math.round(Math.hypot(device.viewport.width, device.viewport.height))
+      : null
+  };
+  if (measures.pointerSpeed === null && measures.typingInterval === null) {
+    throw new BaselineError(CALIBRATION_RETRY);
+  }
+  const info = {
+    pointerDevice,
+    pixelRatio: positive(device.pixelRatio) ? device.pixelRatio : 1,
+    screen: device.screen ?? null
+  };
+  return {
+    version: BASELINE_VERSION,
+    profile: deviceProfile(info),
+    device: info,
+    measures,
+    calibratedAt: new Date(timestamp).toISOString()
+  };
+};
+
+/** A stored baseline (text or parsed) back as an object, or null when it is unusable */
+export const parseBaseline = (value) => {
+  try {
+    const baseline = typeof value === 'string' ? JSON.parse(value) : value;
+    if (baseline?.version !== BASELINE_VERSION || typeof baseline.profile !== 'string') return null;
+    const measures = baseline.measures;
+    if (!measures || typeof measures !== 'object') return null;
+    const valid = BASELINE_MEASURES.every(key => measures[key] === null || measures[key] === undefined || positive(measures[key]));
+    const measured = BASELINE_MEASURES.some(key => positive(measures[key]));
+    return valid && measured && !Number.isNaN(Date.parse(baseline.calibratedAt)) ? baseline : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/** Stored baselines keyed by device profile; unusable entries are dropped */
+export const parseBaselines = (value) => {
+  try {
+    const map = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return {};
+    return Object.fromEntries(Object.entries(map)
+      .map(([profile, baseline]) => [profile, parseBaseline(baseline)])
+      .filter(([profile, baseline]) => baseline?.profile === profile));
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Multipliers that carry this participant's measures onto the reference:
+ * speed (and the reference's device), distance and typing interval. A
+ * measure the baseline lacks leaves its features unscaled (factor 1).
+ */
+export const baselineFactors = (baseline) => {
+  const { measures = {}, device = {} } = baseline ?? {};
+  const referenceSpeed = REFERENCE_BASELINE.pointerSpeed[device.pointerDevice] ?? REFERENCE_BASELINE.pointerSpeed.mouse;
+  const factor = (reference, measured) => (positive(measured) ? round(clampFactor(reference / measured)) : 1);
+  return {
+    speed: factor(referenceSpeed, measures.pointerSpeed),
+    distance: factor(REFERENCE_BASELINE.viewportDiagonal, measures.viewportDiagonal),
+    typing: factor(REFERENCE_BASELINE.typingInterval, measures.typingInterval)
+  };
+};
+
+/** A copy of `features` expressed on the reference scale; unmeasured (null) features stay null */
+export const calibrateFeatures = (features, factors) => {
+  const calibrated = { ...features };
+  const scale = (keys, multiplier) => keys.forEach(key => {
+    if (Number.isFinite(calibrated[key])) calibrated[key] *= multiplier;
+  });
+  scale(SPEED_FEATURES, factors.speed);
+  scale(DISTANCE_FEATURES, factors.distance);
+  scale(INTERVAL_FEATURES, factors.typing);
+  scale(RATE_FEATURES, 1 / factors.typing);
+  return calibrated;
+};
+
+/**
+ * How a session's raw features differ from the baseline, as fractions
+ * (0.25 is 25% above it). Null where either side was not measured.
+ */
+export const baselineDeviations = (features, baseline) => {
+  const { measures = {} } = baseline ?? {};
+  const deviation = (value, reference) => (
+    Number.isFinite(value) && positive(reference) ? round(value / reference - 1, 2) : null
+  );
+  return {
+    pointerSpeed: deviation(features?.velocityCount > 0 ? features.avgVelocity : null, measures.pointerSpeed),
+    typingInterval: deviation(features?.typingIntervalMean, measures.typingInterval)
+  };
+};
@@ -0,0 +1,149 @@
+/**
+ * Adaptive Mirror - Input Capture
+ * Full-resolution input. Pointer moves are read through
+ * getCoalescedEvents(), so every sample the device reported between two
+ * frames is kept, and no handler is throttled. Handlers only write their
+ * samples into a SampleRing, which the page drains into the event log and
+ * the engine in order with everything else it tracks. SamplingMonitor
+ * measures the rate each stream actually arrived at, which the result
+ * records next to the metrics.
+ */
+
+// Samples the ring holds before it is drained early; about four seconds of a 1000 Hz mouse
+export const RING_CAPACITY = 4096;
+// Longer gaps (ms) between two samples are pauses, not the sampling interval
+export const SAMPLING_GAP = 100;
+// Sampling intervals are binned to this resolution (ms) for the median
+const INTERVAL_BIN = 0.1;
+
+export const SAMPLING_STREAMS = ['pointer', 'wheel', 'scroll'];
+
+export const SAMPLING_FEATURES = SAMPLING_STREAMS.flatMap(stream => ['Samples', 'Interval', 'Hz'].map(stat => `${stream}${stat}`));
+
+/**
+ * How this browser captures pointer moves: 'coalesced' where Pointer Events
+ * expose getCoalescedEvents(), 'unthrottled' otherwise. Logs recorded
+ * before full-resolution capture are 'throttled'.
+ */
+export const captureMode = (PointerEventClass) => (
+  typeof PointerEventClass?.prototype?.getCoalescedEvents === 'function' ? 'coalesced' : 'unthrottled'
+);
+
+/** The samples a pointer event stands for: its coalesced events, or the event itself */
+export const coalescedSamples = (e) => {
+  const samples = typeof e?.getCoalescedEvents === 'function' ? e.getCoalescedEvents() : null;
+  return samples?.length ? samples : [e];
+};
+
+/**
+ * Fixed-size FIFO of captured samples. A push into a full ring first asks
+ * `onFull` to drain it, so nothing is lost while the page keeps up; if it
+ * does not, the oldest sample gives way and is counted in `dropped`.
+ */
+export class SampleRing {
+  constructor(capacity = RING_CAPACITY, { onFull = () => {} } = {}) {
+    this.capacity = capacity;
+    this.slots = new Array(capacity);
+    this.onFull = onFull;
+    this.clear();
+  }
+
+  clear() {
+    this.slots.fill(undefined);
+    this.head = 0;
+    this.size = 0;
+    this.dropped = 0;
+    return this;
+  }
+
+  push(sample) {
+    if (this.size === this.capacity) this.onFull(this);
+    if (this.size === this.capacity) {
+      this.slots[this.head] = undefined;
+      this.head = (this.head + 1) % this.capacity;
+      this.size--;
+      this.dropped++;
+    }
+    this.slots[(this.head + this.size) % this.capacity] = sample;
+    this.size++;
+  }
+
+  /** Hands every held sample to `fn`, oldest first, and empties the ring */
+  drain(fn) {
+    const count = this.size;
+    for (let i = 0; i < count; i++) {
+      const sample = this.slots[this.head];
+      this.slots[this.head] = undefined;
+      this.head = (this.head + 1) % this.capacity;
+      this.size--;
+      fn(sample);
+    }
+  }
+}
+
+const createStream = () => ({ samples: 0, last: new Map(), bins: new Map(), intervals: 0 });
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Median of a stream's binned intervals (ms), or null before the second sample
+const medianInterval = ({ bins, intervals }) => {
+  if (!intervals) return null;
+  const sorted = Array.from(bins).sort((a, b) => a[0] - b[0]);
+  const at = (index) => {
+    let seen = 0;
+    for (const [bin, count] of sorted) {
+      seen += count;
+      if (index < seen) return bin;
+    }
+    return null;
+  };
+  return (at(Math.floor((intervals - 1) / 2)) + at(Math.ceil((intervals - 1) / 2))) / 2 * INTERVAL_BIN;
+};
+
+/**
+ * Sampling rate per input stream. Intervals are taken between consecutive
+ * samples of the same source (a pointer id for pointers) and summarized by
+ * their median, so pauses and bursts do not skew the rate.
+ */
+export class SamplingMonitor {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.streams = Object.fromEntries(SAMPLING_STREAMS.map(stream => [stream, createStream()]));
+    return this;
+  }
+
+  sample(stream, t, source = 0) {
+    const stats = this.streams[stream];
+    if (!stats) return this;
+    stats.samples++;
+    const last = stats.last.get(source);
+    stats.last.set(source, t);
+    if (last === undefined || t < last || t - last > SAMPLING_GAP) return this;
+    const bin = Math.round((t - last) / INTERVAL_BIN);
+    stats.bins.set(bin, (stats.bins.get(bin) ?? 0) + 1);
+    stats.intervals++;
+    return this;
+  }
+
+  // A pointer that lifted starts its intervals afresh
+  end(stream, source = 0) {
+    this.streams[stream]?.last.delete(source);
+    return this;
+  }
+
+  /** { pointerSamples, pointerInterval (ms), pointerHz, … } per stream; null where unmeasured */
+  summary() {
+    return Object.fromEntries(SAMPLING_STREAMS.flatMap(stream => {
+      const stats = this.streams[stream];
+      const interval = medianInterval(stats);
+      return [
+        [`${stream}Samples`, stats.samples],
+        [`${stream}Interval`, interval === null ? null : round(interval, 2)],
+        [`${stream}Hz`, interval > 0 ? round(1000 / interval, 1) : null]
+      ];
+    }));
+  }
+}
@@ -0,0 +1,404 @@
+/**
+ * Adaptive Mirror - Classifier Registry
+ * Archetypes are declarative rule sets scored against derived session features
+ */
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Input devices a condition can carry its own threshold for
+export const THRESHOLD_DEVICES = ['mouse', 'touch', 'pen'];
+
+/**
+ * Default archetypes. A rule adds `weight` when its condition holds; a
+ * condition is either a single { feature, comparator, threshold } test or
+ * an `any` / `all` list of them. A condition may add `thresholds` keyed by
+ * device ({ touch: 2 }), used instead of `threshold` when the session's
+ * main input device (the pointerDevice feature) matches.
+ */
+export const DEFAULT_ARCHETYPES = {
+  Impulsive: {
+    rules: [
+      {
+        any: [
+          // Touch only moves while a finger is down, mostly in quick flicks
+          { feature: 'avgVelocity', comparator: '>', threshold: 1.2, thresholds: { touch: 2 } },
+          { feature: 'clickRate', comparator: '>', threshold: 0.4 }
+        ],
+        weight: 20
+      },
+      { feature: 'maxVelocity', comparator: '>', threshold: 3, thresholds: { touch: 6 }, weight: 15 },
+      // Fingertips wobble more than a resting mouse or pen tip
+      { feature: 'jitterCount', comparator: '>', threshold: 40, thresholds: { touch: 80, pen: 60 }, weight: 15 },
+      // Keystroke dynamics: fast typing, errors fixed the instant they happen
+      { feature: 'typingWpm', comparator: '>', threshold: 60, weight: 10 },
+      { feature: 'typingBackspaceLatency', comparator: '<', threshold: 300, weight: 10 },
+      // Trajectory: clicks the moment the pointer lands, often past the target
+      { feature: 'trajectoryClickPause', comparator: '<', threshold: 150, weight: 10 },
+      { feature: 'trajectoryOvershootRate', comparator: '>', threshold: 0.3, weight: 10 },
+      // Pointer devices: rapid swipes, pressing hard
+      { feature: 'gestureSwipes', comparator: '>', threshold: 8, weight: 10 },
+      { feature: 'pointerPressureMean', comparator: '>', threshold: 0.7, weight: 10 },
+      // Task battery: acts before the wait is over, misses targets in haste
+      { feature: 'taskWaitLatency', comparator: '<', threshold: 1500, weight: 15 },
+      { feature: 'taskFittsErrorRate', comparator: '>', threshold: 0.2, weight: 10 },
+      // Scrolling: flings through the content rather than moving it
+      { feature: 'scrollFlingRate', comparator: '>', threshold: 0.5, weight: 10 }
+    ]
+  },
+  Analytical: {
+    rules: [
+      {
+        all: [
+          { feature: 'avgVelocity', comparator: '<', threshold: 0.5, thresholds: { touch: 0.8 } },
+          { feature: 'avgIdleGap', comparator: '>', threshold: 2000 }
+        ],
+        weight: 25
+      },
+      { feature: 'idleTime', comparator: '>', threshold: 10000, weight: 15 },
+      {
+        all: [
+          { feature: 'keystrokes', comparator: '>', threshold: 50 },
+          { feature: 'deletionRate', comparator: '<', threshold: 0.1 }
+        ],
+        weight: 10
+      },
+      // Keystroke dynamics: slow, even rhythm and long thinking pauses
+      {
+        all: [
+          { feature: 'typingIntervalMean', comparator: '>', threshold: 300 },
+          { feature: 'typingIntervalCv', comparator: '<', threshold: 0.5 }
+        ],
+        weight: 10
+      },
+      { feature: 'typingPauseMean', comparator: '>', threshold: 2000, weight: 10 },
+      // Trajectory: direct paths, a deliberate pause before committing
+      { feature: 'trajectoryEfficiency', comparator: '>', threshold: 0.9, weight: 10 },
+      { feature: 'trajectoryClickPause', comparator: '>', threshold: 500, weight: 10 },
+      // Scrolling: stops to read along the way
+      { feature: 'scrollPauseMean', comparator: '>', threshold: 1500, weight: 10 },
+      // Pointer devices: holding to inspect rather than tapping through
+      { feature: 'gestureLongPresses', comparator: '>', threshold: 2, weight: 10 },
+      // Task battery: slow, accurate aiming
+      {
+        all: [
+          { feature: 'taskFittsMovementTime', comparator: '>', threshold: 1000 },
+          { feature: 'taskFittsErrorRate', comparator: '<', threshold: 0.05 }
+        ],
+        weight: 15
+      }
+    ]
+  },
+  Perfectionist: {
+    rules: [
+      { feature: 'deletionRate', comparator: '>', threshold: 0.15, weight: 25 },
+      { feature: 'backspaces', comparator: '>', threshold: 3, weight: 15 },
+      {
+        all: [
+          { feature: 'avgVelocity', comparator: '<', threshold: 0.8, thresholds: { touch: 1.2 } },
+          { feature: 'jitterCount', comparator: '<', threshold: 20, thresholds: { touch: 40, pen: 30 } }
+        ],
+        weight: 10
+      },
+      // Keystroke dynamics: deletes in long runs after re-reading
+      { feature: 'typingCorrectionLength', comparator: '>=', threshold: 3, weight: 15 },
+      { feature: 'typingBackspaceLatency', comparator: '>', threshold: 1000, weight: 10 },
+      // Trajectory: homes in on targets through repeated small corrections
+      { feature: 'trajectorySubmovements', comparator: '>', threshold: 2.5, weight: 15 },
+      // Pointer devices: zooming in to check the detail
+      { feature: 'gesturePinches', comparator: '>', threshold: 3, weight: 10 },
+      // Task battery: an exact transcription, fixed along the way
+      {
+        all: [
+          { feature: 'taskTranscribeAccuracy', comparator: '>=', threshold: 0.98 },
+          { feature: 'taskTranscribeCorrections', comparator: '>', threshold: 2 }
+        ],
+        weight: 15
+      }
+    ]
+  },
+  Observer: {
+    rules: [
+      {
+        all: [
+          // Without hover, touch covers far less ground for the same attention
+          { feature: 'mouseDistance', comparator: '<', threshold: 600, thresholds: { touch: 300 } },
+          { feature: 'clickCount', comparator: '<', threshold: 3 }
+        ],
+        weight: 30
+      },
+      {
+        all: [
+          { feature: 'keystrokes', comparator: '<', threshold: 5 },
+          { feature: 'scrollCount', comparator: '<', threshold: 5 }
+        ],
+        weight: 20
+      },
+      // Task battery: holds perfectly still through the wait
+      { feature: 'taskWaitActions', comparator: '==', threshold: 0, weight: 20 }
+    ]
+  },
+  Restless: {
+    rules: [
+      { feature: 'activityDensity', comparator: '>', threshold: 0.8, weight: 20 },
+      { feature: 'directionChanges', comparator: '>', threshold: 30, thresholds: { touch: 20 }, weight: 15 },
+      { feature: 'scrollRate', comparator: '>', threshold: 0.5, weight: 15 },
+      // Keystroke dynamics: erratic rhythm, typing in many short spurts
+      { feature: 'typingIntervalCv', comparator: '>', threshold: 0.8, weight: 10 },
+      { feature: 'typingBursts', comparator: '>', threshold: 8, weight: 10 },
+      // Trajectory: winding, indirect paths
+      { feature: 'trajectoryCurvature', comparator: '>', threshold: 2, weight: 10 },
+      { feature: 'trajectoryEfficiency', comparator: '<', threshold: 0.5, weight: 10 },
+      // Pointer devices: tapping all over the place
+      { feature: 'gestureTaps', comparator: '>', threshold: 20, weight: 10 },
+      // Task battery: fidgets while waiting, scrolls back and forth to find
+      { feature: 'taskWaitActions', comparator: '>', threshold: 3, weight: 15 },
+      { feature: 'taskFindScrollReversals', comparator: '>', threshold: 3, weight: 10 },
+      // Scrolling: back and forth over the same content
+      { feature: 'scrollReversals', comparator: '>', threshold: 6, weight: 10 }
+    ]
+  }
+};
+
+const validateCondition = (condition, label) => {
+  if (!condition || typeof condition !== 'object') {
+    throw new TypeError(`${label}: condition must be an object`);
+  }
+  if (typeof condition.feature !== 'string' || !condition.feature) {
+    throw new TypeError(`${label}: condition needs a feature name`);
+  }
+  if (!COMPARATORS[condition.comparator]) {
+    throw new TypeError(`${label}: unknown comparator "${condition.comparator}"`);
+  }
+  if (!isFinite(condition.threshold)) {
+    throw new TypeError(`${label}: threshold must be a finite number`);
+  }
+  if (condition.thresholds !== undefined) {
+    if (!condition.thresholds || typeof condition.thresholds !== 'object' || Array.isArray(condition.thresholds)) {
+      throw new TypeError(`${label}: thresholds must be an object keyed by device`);
+    }
+    Object.entries(condition.thresholds).forEach(([device, threshold]) => {
+      if (!THRESHOLD_DEVICES.includes(device)) {
+        throw new TypeError(`${label}: unknown threshold device "${device}"`);
+      }
+      if (!isFinite(threshold)) {
+        throw new TypeError(`${label}: ${device} threshold must be a finite number`);
+      }
+    });
+  }
+};
+
+const validateRule = (rule, label) => {
+  if (!rule || typeof rule !== 'object') {
+    throw new TypeError(`${label}: rule must be an object`);
+  }
+  if (!isFinite(rule.weight)) {
+    throw new TypeError(`${label}: weight must be a finite number`);
+  }
+  const group = rule.any || rule.all;
+  if (group) {
+    if (!Array.isArray(group) || !group.length) {
+      throw new TypeError(`${label}: any/all must be a non-empty array`);
+    }
+    group.forEach(condition => validateCondition(condition, label));
+  } else {
+    validateCondition(rule, label);
+  }
+};
+
+// The device's own threshold when the condition has one, else the default
+const thresholdFor = (condition, device) => (
+  device && condition.thresholds && Object.hasOwn(condition.thresholds, device)
+    ? condition.thresholds[device]
+    : condition.threshold
+);
+
+const testCondition = (condition, features) => {
+  const value = features[condition.feature];
+  // Features that could not be measured are null and never match
+  if (!Number.isFinite(value)) return false;
+  return COMPARATORS[condition.comparator](value, thresholdFor(condition, features.pointerDevice));
+};
+
+const testRule = (rule, features) => {
+  if (rule.any) return rule.any.some(c => testCondition(c, features));
+  if (rule.all) return rule.all.every(c => testCondition(c, features));
+  return testCondition(rule, features);
+};
+
+const describeCondition = (c, device) => {
+  const threshold = thresholdFor(c, device);
+  return `${c.feature} ${c.comparator} ${threshold}${threshold !== c.threshold ? ` (${device})` : ''}`;
+};
+
+/**
+ * "clickRate > 0.5", "all of (mouseDistance < 600, clickCount < 3)";
+ * with a device, its thresholds are shown: "maxVelocity > 6 (touch)"
+ */
+export const describeRule = (rule, device = null) => {
+  const describe = (c) => describeCondition(c, device);
+  if (rule.any) return `any of (${rule.any.map(describe).join(', ')})`;
+  if (rule.all) return `all of (${rule.all.map(describe).join(', ')})`;
+  return describe(rule);
+};
+
+export class ClassifierRegistry {
+  constructor(archetypes = DEFAULT_ARCHETYPES) {
+    // Map keeps registration order, which decides ties in sorting
+    this.archetypes = new Map();
+    this.listeners = new Set();
+    Object.entries(archetypes).forEach(([name, definition]) => {
+      this.register(name, definition);
+    });
+  }
+
+  /**
+   * Adds an archetype, or replaces one with the same name in place.
+   * Definitions are copied so later edits to the caller's object have no effect.
+   */
+  register(name, definition) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new TypeError('Archetype name must be a non-empty string');
+    }
+    if (!definition || !Array.isArray(definition.rules)) {
+      throw new TypeError(`${name}: definition needs a rules array`);
+    }
+    definition.rules.forEach(rule => validateRule(rule, name));
+
+    const copy = JSON.parse(JSON.stringify(definition));
+    copy.enabled = definition.enabled !== false;
+    this.archetypes.set(name, copy);
+    this.changed();
+    return this;
+  }
+
+  replace(name, definition) {
+    if (!this.archetypes.has(name)) {
+      throw new Error(`Unknown archetype: ${name}`);
+    }
+    return this.register(name, definition);
+  }
+
+  unregister(name) {
+    const removed = this.archetypes.delete(name);
+    if (removed) this.changed();
+    return removed;
+  }
+
+  enable(name) {
+    return this.setEnabled(name, true);
+  }
+
+  disable(name) {
+    return this.setEnabled(name, false);
+  }
+
+  setEnabled(name, enabled) {
+    const archetype = this.archetypes.get(name);
+    if (!archetype) {
+      throw new Error(`Unknown archetype: ${name}`);
+    }
+    archetype.enabled = enabled;
+    this.changed();
+    return this;
+  }
+
+  has(name) {
+    return this.archetypes.has(name);
+  }
+
+  isEnabled(name) {
+    return this.archetypes.get(name)?.enabled === true;
+  }
+
+  get(name) {
+    const archetype = this.archetypes.get(name);
+    return archetype ? JSON.parse(JSON.stringify(archetype)) : null;
+  }
+
+  /** Every archetype's definition, enabled or not, as plain data a new registry can be built from */
+  definitions() {
+    return Object.fromEntries(Array.from(this.archetypes.keys(), name => [name, this.get(name)]));
+  }
+
+  list() {
+    return Array.from(this.archetypes.entries()).map(([name, a]) => ({
+      name,
+      enabled: a.enabled,
+      rules: a.rules.length
+    }));
+  }
+
+  /** Restores the built-in archetypes, dropping any custom ones */
+  reset() {
+    this.archetypes.clear();
+    Object.entries(DEFAULT_ARCHETYPES).forEach(([name, definition]) => {
+      this.register(name, definition);
+    });
+    return this;
+  }
+
+  /** Calls `listener(registry)` after every change; returns a function that stops it */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  changed() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Per-rule breakdown behind score(): for each enabled archetype, every
+   * rule with whether it fired, the points it added and the feature values
+   * it was tested against (null where a feature was missing). Thresholds
+   * are the ones used for the session's pointer device.
+   */
+  explain(features) {
+    const device = features.pointerDevice ?? null;
+    const breakdown = {};
+    this.archetypes.forEach((archetype, name) => {
+      if (!archetype.enabled) return;
+      const rules = archetype.rules.map(rule => {
+        const fired = testRule(rule, features);
+        return {
+          rule: describeRule(rule, device),
+          weight: rule.weight,
+          fired,
+          contribution: fired ? rule.weight : 0,
+          conditions: (rule.any || rule.all || [rule]).map(c => ({
+            feature: c.feature,
+            comparator: c.comparator,
+            threshold: thresholdFor(c, device),
+            value: Number.isFinite(features[c.feature]) ? features[c.feature] : null,
+            passed: testCondition(c, features)
+          }))
+        };
+      });
+      breakdown[name] = {
+        score: rules.reduce((total, r) => total + r.contribution, 0),
+        rules
+      };
+    });
+    return breakdown;
+  }
+
+  /** Accumulated score per enabled archetype, in registration order */
+  score(features) {
+    const scores = {};
+    this.archetypes.forEach((archetype, name) => {
+      if (!archetype.enabled) return;
+      scores[name] = archetype.rules.reduce(
+        (total, rule) => total + (testRule(rule, features) ? rule.weight : 0),
+        0
+      );
+    });
+    return scores;
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Adaptive Mirror - Session Comparison
+ * Normalizes history records and exported result files into one shape and
+ * lines them up against a baseline session with per-metric deltas.
+ */
+
+import { analyzeEvents, analyzeMetrics } from './engine.js';
+
+export const COMPARE_SCORES = [
+  { key: 'focus', label: 'Focus Depth' },
+  { key: 'hesitation', label: 'Hesitation Index' },
+  { key: 'controlBias', label: 'Control Bias', unit: '%' },
+  { key: 'energy', label: 'Interaction Energy' }
+];
+
+export const COMPARE_METRICS = [
+  { key: 'mouseDistance', label: 'Pointer distance', unit: 'px', digits: 0 },
+  { key: 'avgVelocity', label: 'Avg velocity', unit: 'px/ms', digits: 2 },
+  { key: 'maxVelocity', label: 'Peak velocity', unit: 'px/ms', digits: 2 },
+  { key: 'jitterCount', label: 'Jitter', digits: 0 },
+  { key: 'directionChanges', label: 'Direction changes', digits: 0 },
+  { key: 'trajectoryEfficiency', label: 'Path efficiency', digits: 2 },
+  { key: 'trajectoryCurvature', label: 'Curvature', unit: 'rad/100px', digits: 2 },
+  { key: 'trajectorySubmovements', label: 'Submovements', unit: '/stroke', digits: 1 },
+  { key: 'trajectoryOvershootRate', label: 'Overshoot rate', digits: 2 },
+  { key: 'trajectoryClickPause', label: 'Pause before click', unit: 'ms', digits: 0 },
+  { key: 'pointerPressureMean', label: 'Pointer pressure', digits: 2 },
+  { key: 'gestureTaps', label: 'Taps', digits: 0 },
+  { key: 'gestureSwipes', label: 'Swipes', digits: 0 },
+  { key: 'taskFittsThroughput', label: 'Target throughput', unit: 'bits/s', digits: 2 },
+  { key: 'taskFittsErrorRate', label: 'Target misses', digits: 2 },
+  { key: 'taskTranscribeAccuracy', label: 'Transcription accuracy', digits: 2 },
+  { key: 'taskWaitLatency', label: 'Wait broken after', unit: 'ms', digits: 0 },
+  { key: 'clickCount', label: 'Clicks', digits: 0 },
+  { key: 'clickRate', label: 'Click rate', unit: '/s', digits: 2 },
+  { key: 'scrollCount', label: 'Scrolls', digits: 0 },
+  { key: 'keystrokes', label: 'Keystrokes', digits: 0 },
+  { key: 'backspaces', label: 'Backspaces', digits: 0 },
+  { key: 'deletionRate', label: 'Deletion rate', digits: 2 },
+  { key: 'typingWpm', label: 'Typing speed', unit: 'wpm', digits: 0 },
+  { key: 'typingIntervalMean', label: 'Inter-key interval', unit: 'ms', digits: 0 },
+  { key: 'typingDwellMean', label: 'Key hold', unit: 'ms', digits: 0 },
+  { key: 'typingCorrectionLength', label: 'Correction length', unit: 'keys', digits: 1 },
+  { key: 'typingBackspaceLatency', label: 'Pause before backspace', unit: 'ms', digits: 0 },
+  { key: 'idleTime', label: 'Idle time', unit: 'ms', digits: 0 },
+  { key: 'avgIdleGap', label: 'Avg idle gap', unit: 'ms', digits: 0 },
+  { key: 'activityDensity', label: 'Activity density', unit: '/s', digits: 2 }
+];
+
+// Relative change from the baseline that counts as notable
+export const DELTA_THRESHOLD = 0.25;
+
+/**
+ * Accepts a history record or a parsed export file. Derived features come
+ * from the event log when present, otherwise from the stored metrics; the
+ * recorded personality and scores are kept as they were at the time.
+ */
+export const normalizeSession = (source, { label, origin = 'history' } = {}) => {
+  if (!source || typeof source !== 'object' || typeof source.personality !== 'string' || !source.scores) {
+    throw new TypeError('Not an Adaptive Mirror session');
+  }
+
+  let analysis = null;
+  try {
+    if (source.eventLog?.events) {
+      analysis = analyzeEvents(source.eventLog);
+    } else if (source.metrics && typeof source.metrics === 'object') {
+      analysis = analyzeMetrics(source.metrics, { duration: source.duration || undefined });
+    }
+  } catch (e) {
+    console.warn('Could not derive features for comparison:', e);
+  }
+
+  const timestamp = typeof source.timestamp === 'string'
+    ? Date.parse(source.timestamp)
+    : source.timestamp;
+
+  return {
+    label: label || source.sessionId || 'Session',
+    origin,
+    timestamp: isFinite(timestamp) ? timestamp : null,
+    personality: source.personality,
+    scores: { ...source.scores },
+    archetypeScores: { ...(analysis?.archetypeScores || {}), ...(source.archetypeScores || {}) },
+    features: analysis ? analysis.features : null
+  };
+};
+
+export const metricDelta = (value, base, threshold = DELTA_THRESHOLD) => {
+  if (!Number.isFinite(value) || !Number.isFinite(base)) {
+    return { delta: null, relative: null, direction: null };
+  }
+  const delta = value - base;
+  const relative = base !== 0 ? delta / Math.abs(base) : (delta === 0 ? 0 : Infinity * Math.sign(delta));
+  const notable = Math.abs(relative) >= threshold;
+  return {
+    delta,
+    relative,
+    direction: notable ? (delta > 0 ? 'up' : 'down') : null
+  };
+};
+
+/**
+ * Builds the comparison grid. The first session is the baseline; every
+ * other column carries its delta against it.
+ */
+export const compareSessions = (sessions, { threshold = DELTA_THRESHOLD } = {}) => {
+  const [baseline] = sessions;
+  const archetypes = Array.from(new Set(sessions.flatMap(s => Object.keys(s.archetypeScores))));
+
+  const row = (values) => values.map((value, i) => ({
+    value,
+    ...(i === 0 ? { delta: null, relative: null, direction: null } : metricDelta(value, values[0], threshold))
+  }));
+
+  return {
+    sessions: sessions.map(({ label, origin, timestamp, personality }) => ({ label, origin, timestamp, personality })),
+    archetypes: archetypes.map(name => ({
+      name,
+      cells: row(sessions.map(s => s.archetypeScores[name] ?? null))
+    })),
+    scores: COMPARE_SCORES.map(score => ({
+      ...score,
+      cells: row(sessions.map(s => s.scores[score.key] ?? null))
+    })),
+    metrics: COMPARE_METRICS.map(metric => ({
+      ...metric,
+      cells: row(sessions.map(s => s.features?.[metric.key] ?? null))
+    })),
+    baseline: baseline ? baseline.label : null
+  };
+};
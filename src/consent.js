@@ -0,0 +1,155 @@
+/**
+ * Adaptive Mirror - Consent & Data Control
+ * What the participant agreed to before a session: which input channels may
+ * be recorded, whether results are kept on this device and for how long.
+ * The record is written into every event log it covers, so each session
+ * carries its own consent. Also gathers and deletes everything the app has
+ * stored locally, for the "My Data" screen.
+ */
+
+// Bump whenever the consent wording changes meaning
+export const CONSENT_VERSION = 1;
+export const CONSENT_CHANNELS = ['pointer', 'scroll', 'keyboard', 'touch'];
+// Days a kept session may stay on this device
+export const RETENTION_OPTIONS = [7, 30, 180];
+export const DEFAULT_RETENTION_DAYS = 30;
+
+export const CONSENT_KEY = 'adaptiveMirror_consent';
+// Every localStorage key the app writes starts with this
+export const STORAGE_PREFIX = 'adaptiveMirror_';
+
+export class ConsentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConsentError';
+  }
+}
+
+/**
+ * A consent record for the choices made on the consent screen. Channels
+ * are opt-in, so at least one has to be chosen.
+ */
+export const createConsent = ({
+  channels = [],
+  persist = false,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  timestamp = Date.now()
+} = {}) => {
+  const chosen = CONSENT_CHANNELS.filter(channel => channels.includes(channel));
+  if (!chosen.length) {
+    throw new ConsentError('Choose at least one kind of input to record');
+  }
+  if (persist && !RETENTION_OPTIONS.includes(retentionDays)) {
+    throw new ConsentError(`Unsupported retention: ${retentionDays} days`);
+  }
+  return {
+    version: CONSENT_VERSION,
+    timestamp: new Date(timestamp).toISOString(),
+    channels: chosen,
+    persist: Boolean(persist),
+    retentionDays: persist ? retentionDays : null
+  };
+};
+
+/** A stored record back as a consent, or null when it is missing, malformed or outdated */
+export const parseConsent = (value) => {
+  try {
+    const record = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!record || record.version !== CONSENT_VERSION || !Array.isArray(record.channels)) return null;
+    return createConsent({ ...record, timestamp: Date.parse(record.timestamp) });
+  } catch (e) {
+    return null;
+  }
+};
+
+// Pointer input that touch can produce too: pointer events, the moves
+// logged from touchmove, and the clicks taps fire. Touch is tagged with
+// `device: 'touch'` and belongs to the touch channel.
+const POINTER_TYPES = ['pointerdown', 'pointermove', 'pointerup', 'mousemove', 'click'];
+const EVENT_CHANNELS = {
+  touchstart: 'touch',
+  touchmove: 'touch',
+  touchend: 'touch',
+  wheel: 'scroll',
+  scroll: 'scroll',
+  taskscroll: 'scroll',
+  keydown: 'keyboard',
+  keyup: 'keyboard',
+  input: 'keyboard'
+};
+
+/**
+ * The channel an event belongs to; null for session events (idle,
+ * visibility, task progress) that record no input of their own
+ */
+export const eventChannel = (event) => {
+  if (POINTER_TYPES.includes(event?.type)) return event.device === 'touch' ? 'touch' : 'pointer';
+  return EVENT_CHANNELS[event?.type] ?? null;
+};
+
+export const allowsChannel = (consent, channel) => Boolean(consent?.channels?.includes(channel));
+
+export const allowsEvent = (consent, event) => {
+  const channel = eventChannel(event);
+  return channel === null || allowsChannel(consent, channel);
+};
+
+// The channel a guided task cannot run without
+const TASK_CHANNELS = { targets: 'pointer', transcribe: 'keyboard', find: 'scroll' };
+
+/** The battery without the tasks whose input was declined; null when none remain */
+export const consentedBattery = (battery, consent) => {
+  if (!battery) return null;
+  const tasks = battery.tasks.filter(task => !TASK_CHANNELS[task.kind] || allowsChannel(consent, TASK_CHANNELS[task.kind]));
+  return tasks.length ? { ...battery, tasks } : null;
+};
+
+const storedKeys = (storage) => {
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (key?.startsWith(STORAGE_PREFIX)) keys.push(key);
+  }
+  return keys.sort();
+};
+
+const readStored = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+};
+
+/**
+ * Everything kept on this device: the app's localStorage entries by key,
+ * every session in the history store (still sealed while locked) and the
+ * sessions quarantined from it
+ */
+export const collectStoredData = async ({ storage, history }) => {
+  const local = {};
+  if (storage) {
+    storedKeys(storage).forEach(key => {
+      local[key] = readStored(storage.getItem(key));
+    });
+  }
+  return {
+    localStorage: local,
+    history: history ? await history.list({ keepSealed: true }) : [],
+    historyQuarantine: history ? await history.quarantined() : []
+  };
+};
+
+/** Removes one localStorage entry, or all of them and the history when no key is given */
+export const deleteStoredData = async ({ storage, history }, key = null) => {
+  if (key !== null) {
+    if (!key.startsWith(STORAGE_PREFIX)) throw new ConsentError(`Not an Adaptive Mirror entry: ${key}`);
+    storage?.removeItem(key);
+    return;
+  }
+  if (storage) storedKeys(storage).forEach(stored => storage.removeItem(stored));
+  if (history) {
+    await history.clear();
+    await history.clearQuarantine();
+  }
+};
@@ -0,0 +1,762 @@
+/**
+ * Adaptive Mirror - Analysis Engine
+ * DOM-free metric aggregation and classification. Runs in the page,
+ * in a Web Worker or in Node; input is the event log recorded during
+ * observation (or a bare metrics object), output is the profile.
+ */
+
+import { ClassifierRegistry } from './classifiers.js';
+import { TypingRhythm } from './keystrokes.js';
+import { TrajectoryAnalyzer, STROKE_SPACING } from './trajectory.js';
+import { PointerDevices } from './pointers.js';
+import { TaskAnalyzer } from './tasks.js';
+import { baselineFactors, calibrateFeatures, baselineDeviations, parseBaseline } from './baseline.js';
+import { SamplingMonitor } from './capture.js';
+import { ScrollAnalyzer, GESTURE_GAP } from './scrolling.js';
+
+// Version 2 keydown/keyup events carry the press ids keystroke dynamics need.
+// Version 3 records the same events but is scored with trajectory features.
+// Version 4 records Pointer Events (pointerdown/move/up with the device,
+// pressure and tilt) in place of mousemove and touchend.
+// Version 5 adds the guided task battery (taskstart, target, taskscroll,
+// taskend, and `hit` on clicks that land on a target).
+// Version 6 captures at full resolution: every coalesced pointer sample and
+// every wheel and scroll event, unthrottled (see capture.js).
+// Version 7 logs wheel deltas in pixels whatever the deltaMode, with deltaX,
+// and scroll positions with their area's extent; the reading panel's
+// scrolls are `scroll` events with `area: 'reading'` (see scrolling.js).
+export const EVENT_LOG_VERSION = 7;
+
+// At full resolution a pointer still for longer than this (ms) ends one
+// movement, as does turning back; jitter and direction changes are counted
+// per movement. Wheel and scroll events split into gestures on GESTURE_GAP.
+export const MOVE_GAP = 50;
+
+export const createMetrics = (now = 0) => ({
+  mouseDistance: 0,
+  velocitySum: 0,
+  velocityCount: 0,
+  maxVelocity: 0,
+  jitterCount: 0,
+  scrollCount: 0,
+  clickCount: 0,
+  keystrokes: 0,
+  backspaces: 0,
+  idleTime: 0,
+  lastActivityTime: now,
+  firstActivityTime: null,
+  directionChanges: 0,
+  maxScrollVelocity: 0
+});
+
+// Event types the engine understands; anything else is skipped with a warning
+export const EVENT_TYPES = [
+  'mousemove', 'touchend', 'pointerdown', 'pointermove', 'pointerup',
+  'wheel', 'scroll', 'click',
+  'keydown', 'keyup', 'input', 'idle', 'hidden', 'visible',
+  'taskstart', 'target', 'taskscroll', 'taskend'
+];
+
+export const normalizeScore = (val, center = 50) => {
+  return Math.max(5, Math.min(95, Math.round(val)));
+};
+
+// FIXED: Better NaN handling and bounds
+const safeNum = (val, def = 0) => (isFinite(val) && !isNaN(val)) ? val : def;
+
+export const DEFAULT_DURATION = 30000;
+
+// Fewer pointer samples plus clicks, scrolls and keystrokes than this is too
+// little to read a pattern from; confidence is fully earned at BLEND_FULL_SAMPLES
+export const BLEND_SPARSE_SAMPLES = 10;
+export const BLEND_FULL_SAMPLES = 60;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Blended reading of the archetype scores: each archetype's share of the
+ * total, the primary (the classified winner) and secondary trait, and a
+ * 0-1 confidence from the primary's lead over the secondary, scaled down
+ * when the session produced few samples. Sessions with almost no input, or
+ * where no archetype scored, are marked inconclusive.
+ */
+export const blendScores = (archetypeScores, features, primary) => {
+  const names = Object.keys(archetypeScores);
+  const total = names.reduce((sum, name) => sum + Math.max(0, archetypeScores[name]), 0);
+  const distribution = Object.fromEntries(names.map(name => [
+    name,
+    total > 0 ? round(Math.max(0, archetypeScores[name]) / total) : round(1 / names.length)
+  ]));
+
+  const samples = ['velocityCount', 'clickCount', 'scrollCount', 'keystrokes']
+    .reduce((sum, key) => sum + safeNum(features?.[key]), 0);
+  const coverage = Math.min(1, samples / BLEND_FULL_SAMPLES);
+
+  const [secondary = null] = names
+    .filter(name => name !== primary && archetypeScores[name] > 0)
+    .sort((a, b) => archetypeScores[b] - archetypeScores[a]);
+
+  const lead = distribution[primary] > 0
+    ? (distribution[primary] - (secondary ? distribution[secondary] : 0)) / distribution[primary]
+    : 0;
+
+  let reason = null;
+  if (samples < BLEND_SPARSE_SAMPLES) reason = 'sparse-data';
+  else if (total <= 0) reason = 'no-signal';
+
+  return {
+    distribution,
+    primary,
+    secondary,
+    confidence: reason ? 0 : round(Math.max(0, lead) * coverage, 2),
+    inconclusive: reason !== null,
+    reason
+  };
+};
+
+/**
+ * Scores a metrics object. `duration` is the observation window in ms and
+ * bounds the active time rates are computed over. `startTime` stands in for
+ * the first activity when nothing was recorded; metrics without any
+ * timestamps are treated as a full window. `typing`, `trajectory`,
+ * `pointer`, `tasks` and `scroll` are TypingRhythm, TrajectoryAnalyzer,
+ * PointerDevices, TaskAnalyzer and ScrollAnalyzer summaries, merged into
+ * the features when available; `scrollPath` is the ScrollAnalyzer's depth
+ * over time, passed through for display. `sampling` is the SamplingMonitor
+ * summary; it describes the capture, not the participant, so it is passed
+ * through unscored.
+ * With a personal `baseline`, pointer speed, distance and
+ * typing pace are scaled onto the reference scale before anything is
+ * scored, so `features` holds the calibrated values; `calibration` then
+ * records the factors used and the session's deviations from the baseline.
+ */
+export const calculateResults = (metrics, {
+  startTime = 0,
+  duration = DEFAULT_DURATION,
+  classifiers = new ClassifierRegistry(),
+  typing = null,
+  trajectory = null,
+  pointer = null,
+  tasks = null,
+  scroll = null,
+  scrollPath = null,
+  sampling = null,
+  baseline = null
+} = {}) => {
+  const m = { ...createMetrics(), ...metrics };
+  const windowSec = (isFinite(duration) && duration > 0 ? duration : DEFAULT_DURATION) / 1000;
+  // FIXED: Calculate actual duration to account for pauses/corrections
+  const actualDuration = ((m.lastActivityTime || startTime) - (m.firstActivityTime || startTime)) / 1000;
+  const durationSec = Math.max(1, Math.min(windowSec, actualDuration || windowSec)); // Clamp to window
+
+  const avgVelocity = m.velocityCount > 0 ? m.velocitySum / m.velocityCount : 0;
+  const clickRate = m.clickCount / durationSec;
+  const scrollRate = m.scrollCount / durationSec;
+  const activityDensity = (m.clickCount + m.scrollCount + m.keystrokes) / durationSec;
+  const deletionRate = m.keystrokes > 0 ? m.backspaces / m.keystrokes : 0;
+  const avgIdleGap = m.clickCount > 0 ? m.idleTime / m.clickCount : 0;
+
+  // Rule-based scoring via the classifier registry
+  const measured = {
+    ...m,
+    ...typing,
+    ...trajectory,
+    ...pointer,
+    ...tasks,
+    ...scroll,
+    durationSec,
+    avgVelocity,
+    clickRate,
+    scrollRate,
+    activityDensity,
+    deletionRate,
+    avgIdleGap
+  };
+  const factors = baseline ? baselineFactors(baseline) : null;
+  const features = factors ? calibrateFeatures(measured, factors) : measured;
+  const breakdown = classifiers.explain(features);
+  const archetypeScores = Object.fromEntries(
+    Object.entries(breakdown).map(([name, { score }]) => [name, score])
+  );
+
+  let dominant = 'Observer';
+  // How the winner was picked: highest score, tie-breaker or fallback
+  let decision;
+
+  const entries = Object.entries(archetypeScores).sort((a, b) => b[1] - a[1]);
+  const isEnabled = (name) => classifiers.isEnabled(name);
+
+  if (entries.length && entries[0][1] > 0) {
+    dominant = entries[0][0];
+    decision = {
+      type: 'highest',
+      runnerUp: entries[1] ? { name: entries[1][0], score: entries[1][1] } : null
+    };
+    if (entries[1] && entries[0][1] === entries[1][1]) {
+      // Tie-breaker logic (simplified)
+      let rule = 'registration order';
+      if (entries[1][0] === 'Impulsive' && features.avgVelocity > 1) {
+        dominant = 'Impulsive';
+        rule = 'avgVelocity > 1';
+      } else if (entries[1][0] === 'Analytical' && avgIdleGap > 2000) {
+        dominant = 'Analytical';
+        rule = 'avgIdleGap > 2000';
+      }
+      decision = {
+        type: 'tie-breaker',
+        tied: entries.filter(([, score]) => score === entries[0][1]).map(([name]) => name),
+        rule
+      };
+    }
+  } else {
+    let rule = null; // null: nothing matched, default archetype
+    if (features.mouseDistance > 2000 && isEnabled('Restless')) {
+      dominant = 'Restless';
+      rule = 'mouseDistance > 2000';
+    } else if (m.backspaces > 0 && isEnabled('Perfectionist')) {
+      dominant = 'Perfectionist';
+      rule = 'backspaces > 0';
+    } else if (m.clickCount > 5 && isEnabled('Impulsive')) {
+      dominant = 'Impulsive';
+      rule = 'clickCount > 5';
+    }
+    decision = { type: 'fallback', rule };
+  }
+  decision.winner = dominant;
+  decision.score = archetypeScores[dominant] ?? 0;
+
+  const focusScore = safeNum((features.avgVelocity * 20) + (activityDensity * 10));
+  const hesitationScore = safeNum((deletionRate * 50) + (avgIdleGap / 100));
+  const clickScrollSum = clickRate + scrollRate;
+  const controlScore = clickScrollSum > 0
+    ? (clickRate / clickScrollSum) * 100
+    : 50;
+  const energyScore = safeNum(Math.min(100, activityDensity * 10));
+
+  return {
+    personality: dominant,
+    scores: {
+      focus: normalizeScore(focusScore, 50),
+      hesitation: normalizeScore(hesitationScore, 50),
+      // Clamp controlBias to 0-100 explicitly
+      controlBias: Math.max(0, Math.min(100, Math.round(controlScore))),
+      energy: normalizeScore(energyScore, 50)
+    },
+    archetypeScores,
+    features,
+    typing,
+    trajectory,
+    pointer,
+    tasks,
+    scroll,
+    scrollPath,
+    sampling,
+    calibration: factors ? {
+      profile: baseline.profile,
+      calibratedAt: baseline.calibratedAt,
+      factors,
+      deviations: baselineDeviations(measured, baseline)
+    } : null,
+    blend: blendScores(archetypeScores, features, dominant),
+    explanation: {
+      archetypes: breakdown,
+      decision
+    }
+  };
+};
+
+/** One-sentence account of an explanation's decision, for the UI and reports */
+export const describeDecision = (decision) => {
+  if (!decision) return '';
+  const { type, winner, score } = decision;
+  if (type === 'tie-breaker') {
+    const how = decision.rule === 'registration order'
+      ? `${winner} was registered first`
+      : `${decision.rule} favoured ${winner}`;
+    return `${decision.tied.join(' and ')} tied at ${score}; ${how}.`;
+  }
+  if (type === 'fallback') {
+    return decision.rule
+      ? `No archetype scored any points, so the fallback rule ${decision.rule} chose ${winner}.`
+      : `No archetype scored any points, so the result defaulted to ${winner}.`;
+  }
+  const runnerUp = decision.runnerUp ? `, ahead of ${decision.runnerUp.name} (${decision.runnerUp.score})` : '';
+  return `${winner} had the highest score (${score})${runnerUp}.`;
+};
+
+// A finished full-resolution movement: under 5 px in under 50 ms is jitter,
+// and one that turned back and went on faster than 0.3 px/ms a direction change
+const judgeMovement = (m, movement) => {
+  if (!movement) return;
+  const duration = movement.end - movement.start;
+  if (movement.path < 5 && duration < 50) m.jitterCount++;
+  if (movement.reversal && duration > 0 && movement.path / duration > 0.3) m.directionChanges++;
+};
+
+// A finished full-resolution wheel gesture's speed, in px/ms
+const judgeWheel = (m, gesture) => {
+  if (!gesture || gesture.time <= 0) return;
+  m.maxScrollVelocity = Math.max(m.maxScrollVelocity, gesture.distance / gesture.time);
+};
+
+/**
+ * Folds observation events into running metrics. Event shapes match the
+ * recorded event log: { type, t, ...data } with `t` on the performance.now() clock.
+ */
+export class AnalysisEngine {
+  constructor({
+    classifiers = new ClassifierRegistry(),
+    duration = DEFAULT_DURATION,
+    keystrokeDynamics = true,
+    trajectories = true,
+    pointerDevices = true,
+    taskBattery = true,
+    fullResolution = true,
+    scrollAnalytics = true,
+    baseline = null
+  } = {}) {
+    this.classifiers = classifiers;
+    this.duration = duration;
+    // Off for logs older than the feature, which replay as originally scored
+    this.keystrokeDynamics = keystrokeDynamics;
+    this.trajectories = trajectories;
+    this.pointerDevices = pointerDevices;
+    this.taskBattery = taskBattery;
+    // Logs captured before full resolution replay with their per-sample velocity and per-event counts
+    this.fullResolution = fullResolution;
+    this.scrollAnalytics = scrollAnalytics;
+    // The participant's calibration for the device, or null for absolute thresholds
+    this.baseline = baseline;
+    this.reset(0);
+  }
+
+  reset(startTime = 0) {
+    this.startTime = startTime;
+    this.hidden = false;
+    this.hiddenTime = 0;
+    this.metrics = createMetrics(startTime);
+    this.lastMouse = { x: 0, y: 0, time: 0, vx: 0, vy: 0 };
+    this.pointers = new Map(); // pointer id → the same tracking state as lastMouse
+    this.idleStart = null;
+    // At full resolution: the open wheel gesture ({ last, distance, time }) and the last scroll event's time
+    this.wheelGesture = null;
+    this.lastScroll = null;
+    this.typing = new TypingRhythm();
+    this.trajectory = new TrajectoryAnalyzer({ spacing: this.fullResolution ? STROKE_SPACING : 0 });
+    this.sampling = new SamplingMonitor();
+    this.devices = new PointerDevices();
+    this.tasks = new TaskAnalyzer();
+    this.scrolling = new ScrollAnalyzer();
+    return this;
+  }
+
+  process(event) {
+    const t = event.t;
+    const m = this.metrics;
+
+    switch (event.type) {
+      case 'mousemove':
+        if (this.hidden) break;
+        this.sampling.sample('pointer', t);
+        this.processMove(event.x, event.y, t);
+        this.trajectory.move(t, event.x, event.y);
+        this.tasks.move(t, event.x, event.y);
+        break;
+      case 'touchend':
+        this.sampling.end('pointer');
+        this.trajectory.endStroke();
+        this.endMovement(this.lastMouse);
+        this.lastMouse.time = 0; // Reset velocity calculation between touches
+        this.lastMouse.vx = 0;
+        this.lastMouse.vy = 0;
+        break;
+      case 'pointerdown':
+        if (this.hidden) break;
+        this.devices.down(t, event);
+        // A finger or pen travels, and strokes, from where it touched down
+        if (!this.pointers.has(event.id)) {
+          this.pointers.set(event.id, { x: event.x, y: event.y, time: t, vx: 0, vy: 0 });
+          if (event.device !== 'mouse' && event.primary !== false) this.trajectory.move(t, event.x, event.y);
+        }
+        m.lastActivityTime = t;
+        break;
+      case 'pointermove': {
+        if (this.hidden) break;
+        let pointer = this.pointers.get(event.id);
+        if (!pointer) {
+          pointer = { x: 0, y: 0, time: 0, vx: 0, vy: 0 };
+          this.pointers.set(event.id, pointer);
+        }
+        this.sampling.sample('pointer', t, event.id);
+        this.processMove(event.x, event.y, t, pointer);
+        this.devices.move(t, event);
+        // Strokes follow the primary pointer; extra fingers only add metrics
+        if (event.primary !== false) {
+          this.trajectory.move(t, event.x, event.y);
+          this.tasks.move(t, event.x, event.y);
+        }
+        break;
+      }
+      case 'pointerup':
+        this.devices.up(t, event);
+        // A lifted finger or pen starts afresh, as touchend did
+        if (event.device !== 'mouse') {
+          this.sampling.end('pointer', event.id);
+          if (this.pointers.has(event.id)) this.endMovement(this.pointers.get(event.id));
+          this.pointers.delete(event.id);
+          if (event.primary !== false) this.trajectory.endStroke();
+        }
+        break;
+      case 'wheel': {
+        if (this.hidden) break;
+        this.sampling.sample('wheel', t);
+        this.scrolling.wheel(t, event);
+        const velocity = Math.abs(event.deltaY);
+        if (this.fullResolution) {
+          if (isFinite(velocity)) this.processWheel(t, velocity);
+        } else if (isFinite(velocity) && velocity > m.maxScrollVelocity) {
+          m.maxScrollVelocity = velocity;
+        }
+        this.tasks.act(t);
+        break;
+      }
+      case 'scroll':
+        if (this.hidden) break;
+        this.sampling.sample('scroll', t, event.area ?? 0);
+        this.scrolling.position(t, event);
+        this.tasks.act(t);
+        // At full resolution each scroll gesture counts once, however often the page reported it
+        if (!this.fullResolution || this.lastScroll === null || t - this.lastScroll > GESTURE_GAP) m.scrollCount++;
+        this.lastScroll = t;
+        m.lastActivityTime = t;
+        break;
+      case 'click':
+        if (this.hidden) break;
+        m.clickCount++;
+        this.trajectory.click(t, event.x, event.y);
+        this.tasks.click(t, event);
+        m.lastActivityTime = t;
+        break;
+      case 'keydown':
+        if (event.key === 'backspace') m.backspaces++;
+        else if (event.key === 'char') m.keystrokes++;
+        this.typing.keydown(t, event.key, event.press, event.repeat);
+        if (!event.repeat) this.tasks.key(t, event.key);
+        m.lastActivityTime = t;
+        break;
+      case 'keyup':
+        this.typing.keyup(t, event.press);
+        m.lastActivityTime = t;
+        break;
+      case 'input':
+        m.lastActivityTime = t;
+        break;
+      case 'idle':
+        this.checkIdle(t);
+        break;
+      case 'hidden':
+        this.hidden = true;
+        this.hiddenTime = t;
+        this.trajectory.endStroke();
+        this.scrolling.hide(t);
+        break;
+      case 'visible':
+        // Shift the window start past the hidden stretch
+        this.startTime += t - this.hiddenTime;
+        this.hidden = false;
+        this.scrolling.show(t);
+        break;
+      case 'taskstart':
+        this.tasks.start(t, event);
+        break;
+      case 'target':
+        this.tasks.target(t, event);
+        break;
+      case 'taskscroll':
+        if (this.hidden) break;
+        this.sampling.sample('scroll', t, 'task');
+        this.tasks.scroll(t, event.y);
+        this.scrolling.position(t, { ...event, area: 'task' });
+        m.lastActivityTime = t;
+        break;
+      case 'taskend':
+        this.tasks.end(t, event);
+        break;
+      default:
+        console.warn(`Unknown event type: ${event.type}`);
+    }
+    return this;
+  }
+
+  processAll(events) {
+    events.forEach(event => this.process(event));
+    return this;
+  }
+
+  processMove(x, y, now, pointer = this.lastMouse) {
+    const m = this.metrics;
+
+    // Initialize first activity time
+    if (!m.firstActivityTime) {
+      m.firstActivityTime = now;
+    }
+
+    if (!pointer.time) {
+      pointer.movement = null;
+    } else if (this.fullResolution) {
+      this.processSample(x, y, now, pointer);
+    } else {
+      const dt = now - pointer.time;
+      if (dt > 16) { // At least one frame (60fps)
+        const dx = x - pointer.x;
+        const dy = y - pointer.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance > 0) {
+          m.mouseDistance += distance;
+          this.measureVelocity(pointer, dx, dy, distance, dt);
+        }
+      }
+    }
+
+    Object.assign(pointer, { x, y, time: now });
+    m.lastActivityTime = now;
+  }
+
+  /**
+   * Full-resolution move: every sample adds its distance and a velocity
+   * reading over its own interval, and extends the pointer's movement
+   * ({ start, end, path, dx, dy, reversal }) unless it comes after a pause
+   * or turns back
+   */
+  processSample(x, y, now, pointer) {
+    const m = this.metrics;
+    const dx = x - pointer.x;
+    const dy = y - pointer.y;
+    const step = Math.hypot(dx, dy);
+    const dt = now - pointer.time;
+    const paused = dt > MOVE_GAP;
+    if (paused) this.endMovement(pointer);
+    if (step === 0) return;
+    m.mouseDistance += step;
+
+    if (dt > 0) {
+      const velocity = step / dt;
+      m.velocitySum += velocity;
+      m.velocityCount++;
+      if (velocity > m.maxVelocity) m.maxVelocity = velocity;
+    }
+
+    let movement = pointer.movement;
+    const reversal = !!movement && movement.dx * dx + movement.dy * dy < 0;
+    if (reversal) {
+      this.endMovement(pointer);
+      movement = null;
+    }
+    // A movement after a pause starts with this sample, one that turns back where the last one ended
+    if (!movement) movement = pointer.movement = { start: paused ? now : pointer.time, end: now, path: 0, reversal };
+    movement.path += step;
+    movement.end = now;
+    movement.dx = dx;
+    movement.dy = dy;
+  }
+
+  endMovement(pointer) {
+    judgeMovement(this.metrics, pointer.movement);
+    pointer.movement = null;
+  }
+
+  /**
+   * Full-resolution wheel: speed is the wheel travel over the real time
+   * between the events of one gesture, read when the gesture ends. A lone
+   * event has no interval to read it over.
+   */
+  processWheel(t, delta) {
+    const gesture = this.wheelGesture;
+    if (gesture && t - gesture.last <= GESTURE_GAP) {
+      gesture.distance += delta;
+      gesture.time += t - gesture.last;
+      gesture.last = t;
+      return;
+    }
+    judgeWheel(this.metrics, gesture);
+    this.wheelGesture = { last: t, distance: 0, time: 0 };
+  }
+
+  // One velocity reading: `distance` travelled in `dt` ms, displaced by (dx, dy)
+  measureVelocity(pointer, dx, dy, distance, dt) {
+    const m = this.metrics;
+    const vx = dx / dt;
+    const vy = dy / dt;
+    const velocity = distance / dt;
+
+    m.velocitySum += velocity;
+    m.velocityCount++;
+
+    if (isFinite(velocity) && velocity > m.maxVelocity) {
+      m.maxVelocity = velocity;
+    }
+
+    if (distance < 5 && dt < 50) {
+      m.jitterCount++;
+    }
+
+    // FIXED: Check direction changes using current and stored velocity
+    if (pointer.vx !== 0 || pointer.vy !== 0) {
+      const dotProduct = (vx * pointer.vx) + (vy * pointer.vy);
+      if (dotProduct < 0 && velocity > 0.3) {
+        m.directionChanges++;
+      }
+    }
+
+    pointer.vx = vx;
+    pointer.vy = vy;
+  }
+
+  /**
+   * Idle accumulation tick. Returns true when the idle state changed, which
+   * is the only time a tick needs to be logged for replay.
+   */
+  checkIdle(now) {
+    if (this.hidden) return false;
+
+    const timeSinceActivity = now - this.metrics.lastActivityTime;
+
+    if (this.idleStart && timeSinceActivity < 100) {
+      const idleDuration = now - this.idleStart;
+      if (idleDuration > 500) {
+        this.metrics.idleTime += idleDuration;
+      }
+      this.idleStart = null;
+      return true;
+    } else if (!this.idleStart && timeSinceActivity > 400) {
+      this.idleStart = now;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * What has been aggregated so far, as plain data that survives
+   * postMessage: { startTime, metrics, typing, trajectory, pointer, tasks,
+   * scroll, scrollPath, sampling }. Scroll dwell runs up to the last activity.
+   * analyzeSnapshot scores it, so events can be folded in a worker and
+   * scored in the page.
+   */
+  snapshot() {
+    return {
+      startTime: this.startTime,
+      metrics: this.settledMetrics(),
+      typing: this.keystrokeDynamics ? this.typing.summary() : null,
+      trajectory: this.trajectories ? this.trajectory.summary() : null,
+      pointer: this.pointerDevices ? this.devices.summary() : null,
+      tasks: this.taskBattery ? this.tasks.summary() : null,
+      scroll: this.scrollAnalytics ? this.scrolling.summary(this.metrics.lastActivityTime) : null,
+      scrollPath: this.scrollAnalytics ? this.scrolling.path(this.metrics.lastActivityTime) : null,
+      sampling: this.sampling.summary()
+    };
+  }
+
+  // The metrics with the open movements and wheel gesture counted as if they had just ended
+  settledMetrics() {
+    const metrics = { ...this.metrics };
+    [this.lastMouse, ...this.pointers.values()].forEach(pointer => judgeMovement(metrics, pointer.movement));
+    judgeWheel(metrics, this.wheelGesture);
+    return metrics;
+  }
+
+  analyze() {
+    return analyzeSnapshot(this.snapshot(), {
+      duration: this.duration,
+      classifiers: this.classifiers,
+      baseline: this.baseline
+    });
+  }
+}
+
+/** Scores an engine snapshot; options are calculateResults' duration, classifiers and baseline */
+export const analyzeSnapshot = ({
+  startTime = 0,
+  metrics,
+  typing = null,
+  trajectory = null,
+  pointer = null,
+  tasks = null,
+  scroll = null,
+  scrollPath = null,
+  sampling = null
+}, options = {}) => (
+  calculateResults(metrics, { ...options, startTime, typing, trajectory, pointer, tasks, scroll, scrollPath, sampling })
+);
+
+// Logs recorded before fold() kept times in order can have a pointer
+// sample, stamped by the browser when it happened, after an idle check or
+// task event stamped later with performance.now(). An event this far (ms)
+// behind the latest one is skew between those clocks, not a damaged log.
+export const MAX_CLOCK_SKEW = 1000;
+
+/**
+ * Why a recorded event log cannot be replayed, or null when it can: a
+ * version this engine reads, a start time, and events of known types in
+ * time order, give or take MAX_CLOCK_SKEW
+ */
+export const checkEventLog = (log) => {
+  if (!log || typeof log !== 'object' || Array.isArray(log)) return 'Event log is not an object';
+  if (!Number.isInteger(log.version) || log.version < 1 || log.version > EVENT_LOG_VERSION) {
+    return `Unsupported event log version: ${log.version}`;
+  }
+  if (!Number.isFinite(log.startTime)) return 'Event log has no start time';
+  if (log.duration != null && !(Number.isFinite(log.duration) && log.duration > 0)) return 'Event log duration is invalid';
+  if (!Array.isArray(log.events)) return 'Event log has no events';
+
+  let latest = log.startTime;
+  for (const [index, event] of log.events.entries()) {
+    if (!event || typeof event !== 'object' || !EVENT_TYPES.includes(event.type)) return `Event ${index} has an unknown type`;
+    if (!Number.isFinite(event.t)) return `Event ${index} has no timestamp`;
+    if (event.t < latest - MAX_CLOCK_SKEW) return `Event ${index} is out of order`;
+    latest = Math.max(latest, event.t);
+  }
+  return null;
+};
+
+/** Runs a recorded event log (or bare event array) through a fresh engine */
+export const analyzeEvents = (log, options = {}) => {
+  const events = Array.isArray(log) ? log : log?.events;
+  if (!Array.isArray(events)) {
+    throw new TypeError('Invalid event log');
+  }
+  const startTime = Array.isArray(log)
+    ? (events[0]?.t || 0)
+    : log.startTime;
+  if (!isFinite(startTime)) {
+    throw new TypeError('Invalid event log');
+  }
+
+  const duration = Array.isArray(log) ? options.duration : (options.duration ?? log.duration);
+
+  // Bare event arrays are current; logs are scored the way their version was
+  const version = Array.isArray(log) ? EVENT_LOG_VERSION : log.version;
+  const features = {
+    keystrokeDynamics: version >= 2,
+    trajectories: version >= 3,
+    pointerDevices: version >= 4,
+    taskBattery: version >= 5,
+    fullResolution: version >= 6,
+    scrollAnalytics: version >= 7
+  };
+
+  // Sessions scored against a baseline carry it, so they replay the same way
+  const baseline = Array.isArray(log) ? null : parseBaseline(log.baseline);
+
+  return new AnalysisEngine({ ...features, baseline, ...options, duration: duration ?? DEFAULT_DURATION })
+    .reset(startTime)
+    .processAll(events)
+    .analyze();
+};
+
+export const analyzeMetrics = (metrics, options = {}) => {
+  if (!metrics || typeof metrics !== 'object') {
+    throw new TypeError('Metrics must be an object');
+  }
+  return calculateResults(metrics, options);
+};
@@ -0,0 +1,350 @@
+/**
+ * Adaptive Mirror - Result Export
+ * Builds the versioned export document and renders it as JSON, CSV or a
+ * printable HTML report. The schema is described in the README; bump
+ * EXPORT_SCHEMA_VERSION whenever a field changes meaning or is removed.
+ */
+
+import { createMetrics, describeDecision } from './engine.js';
+import { TYPING_FEATURES } from './keystrokes.js';
+import { TRAJECTORY_FEATURES } from './trajectory.js';
+import { POINTER_FEATURES } from './pointers.js';
+import { TASK_FEATURES } from './tasks.js';
+import { SAMPLING_FEATURES } from './capture.js';
+import { SCROLL_FEATURES } from './scrolling.js';
+
+export const EXPORT_SCHEMA = 'adaptive-mirror/result';
+// Version 1 is the unversioned export (personality, scores, eventLog, screen)
+export const EXPORT_SCHEMA_VERSION = 2;
+
+export const SCORE_KEYS = ['focus', 'hesitation', 'controlBias', 'energy'];
+export const METRIC_KEYS = Object.keys(createMetrics());
+export const DERIVED_KEYS = [
+  'durationSec', 'avgVelocity', 'clickRate', 'scrollRate',
+  'activityDensity', 'deletionRate', 'avgIdleGap'
+];
+
+const pick = (source, keys) => Object.fromEntries(
+  keys.map(key => [key, Number.isFinite(source?.[key]) ? source[key] : null])
+);
+
+/**
+ * Assembles the export document. `features` is the feature set from
+ * calculateResults (derived rates are read from it); `duration` is the
+ * configured window (null when open-ended) and `observedDuration` the
+ * window the session was actually scored over. When the session was
+ * scored against a personal baseline, `calibration` holds it and `derived`
+ * is on the calibrated scale. `norms` is the result read against a
+ * population cohort (see cohortReading in norms.js), or null. `sampling`
+ * holds the rate each input stream was captured at.
+ */
+export const buildExport = ({
+  sessionId = 'N/A',
+  timestamp = Date.now(),
+  profile = null,
+  duration = null,
+  observedDuration = null,
+  personality,
+  scores,
+  archetypeScores = {},
+  metrics = {},
+  features = null,
+  explanation = null,
+  blend = null,
+  typing = null,
+  trajectory = null,
+  pointer = null,
+  tasks = null,
+  scroll = null,
+  sampling = null,
+  calibration = null,
+  norms = null,
+  eventLog = null,
+  screen = null
+}) => ({
+  schema: EXPORT_SCHEMA,
+  schemaVersion: EXPORT_SCHEMA_VERSION,
+  sessionId,
+  timestamp: new Date(timestamp).toISOString(),
+  session: {
+    profile,
+    duration,
+    observedDuration
+  },
+  personality,
+  scores: pick(scores, SCORE_KEYS),
+  archetypeScores: { ...archetypeScores },
+  metrics: pick(metrics, METRIC_KEYS),
+  derived: pick(features, DERIVED_KEYS),
+  blend,
+  explanation,
+  typing: typing ? pick(typing, TYPING_FEATURES) : null,
+  trajectory: trajectory ? pick(trajectory, TRAJECTORY_FEATURES) : null,
+  // The dominant device is the one text field among the features
+  pointer: pointer ? { ...pick(pointer, POINTER_FEATURES), pointerDevice: pointer.pointerDevice ?? null } : null,
+  tasks: tasks ? pick(tasks, TASK_FEATURES) : null,
+  scroll: scroll ? pick(scroll, SCROLL_FEATURES) : null,
+  sampling: sampling ? pick(sampling, SAMPLING_FEATURES) : null,
+  calibration,
+  norms,
+  // Copied up from the log so the consent is visible without replaying it
+  consent: eventLog?.consent ?? null,
+  capture: eventLog?.capture ?? null,
+  eventLog,
+  screen
+});
+
+// Quote per RFC 4180 and keep spreadsheets from evaluating text as formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The CSV columns as [name, read(document)]; archetype columns are the union across rows
+const csvColumns = (rows) => {
+  const archetypes = Array.from(new Set(rows.flatMap(row => [
+    ...Object.keys(row.archetypeScores || {}),
+    ...Object.keys(row.blend?.distribution || {})
+  ])));
+
+  return [
+    ['schemaVersion', row => row.schemaVersion],
+    ['sessionId', row => row.sessionId],
+    ['timestamp', row => row.timestamp],
+    ['profile', row => row.session?.profile],
+    ['duration', row => row.session?.duration],
+    ['observedDuration', row => row.session?.observedDuration],
+    ['personality', row => row.personality],
+    ['primary', row => row.blend?.primary],
+    ['secondary', row => row.blend?.secondary],
+    ['confidence', row => row.blend?.confidence],
+    ['inconclusive', row => row.blend?.inconclusive],
+    ['decision', row => row.explanation?.decision?.type],
+    ['decision_rule', row => row.explanation?.decision?.rule],
+    ['consent_timestamp', row => row.consent?.timestamp],
+    ['consent_channels', row => row.consent?.channels?.join(' ')],
+    ['consent_persist', row => row.consent?.persist],
+    ['capture_mode', row => row.capture?.mode],
+    ['capture_dropped', row => row.capture?.dropped],
+    ['calibration_profile', row => row.calibration?.profile],
+    ...['speed', 'distance', 'typing'].map(key => [`calibration_${key}`, row => row.calibration?.factors?.[key]]),
+    ['deviation_pointerSpeed', row => row.calibration?.deviations?.pointerSpeed],
+    ['deviation_typingInterval', row => row.calibration?.deviations?.typingInterval],
+    ...SCORE_KEYS.map(key => [`score_${key}`, row => row.scores?.[key]]),
+    ['norms_cohort', row => row.norms?.cohort],
+    ['norms_sessions', row => row.norms?.sessions],
+    ...SCORE_KEYS.map(key => [`percentile_${key}`, row => row.norms?.percentiles?.[key]]),
+    ...archetypes.map(name => [`archetype_${name}`, row => row.archetypeScores?.[name]]),
+    ...archetypes.map(name => [`share_${name}`, row => row.blend?.distribution?.[name]]),
+    ...METRIC_KEYS.map(key => [`metric_${key}`, row => row.metrics?.[key]]),
+    ...DERIVED_KEYS.map(key => [`derived_${key}`, row => row.derived?.[key]]),
+    ...TYPING_FEATURES.map(key => [`typing_${key}`, row => row.typing?.[key]]),
+    ...TRAJECTORY_FEATURES.map(key => [`trajectory_${key}`, row => row.trajectory?.[key]]),
+    ...POINTER_FEATURES.map(key => [`pointer_${key}`, row => row.pointer?.[key]]),
+    ...TASK_FEATURES.map(key => [`task_${key}`, row => row.tasks?.[key]]),
+    ...SCROLL_FEATURES.map(key => [`scroll_${key}`, row => row.scroll?.[key]]),
+    ...SAMPLING_FEATURES.map(key => [`sampling_${key}`, row => row.sampling?.[key]])
+  ];
+};
+
+/**
+ * The JSON export: the document indented for reading, with the event log on
+ * one line. A full-resolution log holds a pointer sample per millisecond, so
+ * indenting it would nearly double the file.
+ */
+export const toJSON = (data) => {
+  if (data.eventLog == null) return JSON.stringify(data, null, 2);
+  return JSON.stringify({ ...data, eventLog: null }, null, 2)
+    .replace('\n  "eventLog": null', () => `\n  "eventLog": ${JSON.stringify(data.eventLog)}`);
+};
+
+/** An export document as one flat row keyed by CSV column name */
+export const flattenExport = (data) => Object.fromEntries(
+  csvColumns([data]).map(([name, read]) => [name, read(data) ?? null])
+);
+
+/** One row per export document; archetype columns are the union across rows */
+export const toCSV = (exports) => {
+  const rows = Array.isArray(exports) ? exports : [exports];
+  const columns = csvColumns(rows);
+
+  const lines = [
+    columns.map(([name]) => csvCell(name)).join(','),
+    ...rows.map(row => columns.map(([, read]) => csvCell(read(row))).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const escapeHTML = (value) => String(value ?? '—').replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const formatNumber = (value, digits = 2) => (
+  Number.isFinite(value) ? String(Number(value.toFixed(digits))) : '—'
+);
+
+const tableRows = (entries, digits) => entries
+  .map(([key, value]) => `<tr><th scope="row">${escapeHTML(key)}</th><td>${typeof value === 'string' ? escapeHTML(value) : formatNumber(value, digits)}</td></tr>`)
+  .join('\n');
+
+const blendSection = (blend) => {
+  if (!blend) return '';
+  const summary = blend.inconclusive
+    ? `Inconclusive (${blend.reason === 'sparse-data' ? 'too little interaction' : 'no archetype scored'})`
+    : `Confidence ${Math.round(blend.confidence * 100)}% · secondary ${blend.secondary ?? 'none'}`;
+  const shares = Object.entries(blend.distribution)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, share]) => `<tr><th scope="row">${escapeHTML(name)}</th><td>${Math.round(share * 100)}%</td>` +
+      `<td class="bar"><span style="width:${Math.round(share * 100)}%"></span></td></tr>`);
+
+  return `<section>
+  <h2>Blend</h2>
+  <p>${escapeHTML(summary)}</p>
+  <table>
+${shares.join('\n')}
+  </table>
+</section>`;
+};
+
+// Decision sentence plus every rule that added points
+const reasoningSection = (explanation) => {
+  if (!explanation) return '';
+  const fired = Object.entries(explanation.archetypes).flatMap(([name, { rules }]) => rules
+    .filter(rule => rule.fired)
+    .map(rule => `<tr><th scope="row">${escapeHTML(name)}</th><td>+${formatNumber(rule.contribution, 0)}</td><td>${escapeHTML(rule.rule)}</td></tr>`));
+
+  return `<section>
+  <h2>Why This Result</h2>
+  <p>${escapeHTML(describeDecision(explanation.decision))}</p>
+  <table>
+${fired.join('\n')}
+  </table>
+</section>`;
+};
+
+// Where the scores fall in the cohort the result was read against
+const normsSection = (norms) => {
+  if (!norms) return '';
+  return `<section>
+  <h2>Percentiles</h2>
+  <p>Against ${escapeHTML(norms.cohort)} (${formatNumber(norms.sessions, 0)} sessions).</p>
+  <table>
+${tableRows(Object.entries(norms.percentiles || {}), 0)}
+  </table>
+</section>`;
+};
+
+const calibrationSection = (calibration) => {
+  if (!calibration) return '';
+  const percent = (value) => (Number.isFinite(value) ? `${value > 0 ? '+' : ''}${Math.round(value * 100)}%` : '—');
+  return `<section>
+  <h2>Personal Baseline</h2>
+  <p>Scored against the baseline for ${escapeHTML(calibration.profile)}, calibrated ${escapeHTML(calibration.calibratedAt)}.</p>
+  <table>
+<tr><th scope="row">Pointer speed</th><td>${percent(calibration.deviations?.pointerSpeed)}</td></tr>
+<tr><th scope="row">Keystroke interval</th><td>${percent(calibration.deviations?.typingInterval)}</td></tr>
+${tableRows(Object.entries(calibration.factors || {}).map(([key, value]) => [`${key} scaling`, value]), 3)}
+  </table>
+</section>`;
+};
+
+// Typing, trajectory and input device tables; omitted when the session had nothing to
+// measure or its log predates the feature
+const featureSection = (title, features, measured) => {
+  if (!features || !measured) return '';
+  return `<section>
+  <h2>${title}</h2>
+  <table>
+${tableRows(Object.entries(features), 2)}
+  </table>
+</section>`;
+};
+
+/** Standalone report page, laid out to print (or save as PDF) on one A4 sheet */
+export const toReportHTML = (data) => {
+  const session = data.session || {};
+  const windowText = session.duration ? `${Math.round(session.duration / 1000)}s` : 'open-ended';
+  const observed = Number.isFinite(session.observedDuration) ? `${Math.round(session.observedDuration / 1000)}s` : '—';
+  const scoreBars = SCORE_KEYS.map(key => {
+    const value = data.scores?.[key];
+    const width = Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 0;
+    return `<tr><th scope="row">${escapeHTML(key)}</th><td>${formatNumber(value, 0)}</td>` +
+      `<td class="bar"><span style="width:${width}%"></span></td></tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Adaptive Mirror Report · ${escapeHTML(data.sessionId)}</title>
+<style>
+  @page { size: A4; margin: 18mm; }
+  body { font: 11pt/1.45 system-ui, sans-serif; color: #111; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 16pt; margin: 0 0 0.25rem; }
+  h2 { font-size: 11pt; text-transform: uppercase; letter-spacing: 0.1em; margin: 1.5rem 0 0.5rem; color: #444; }
+  .meta { color: #555; font-size: 9pt; margin: 0; }
+  .classification { font-size: 22pt; font-weight: 600; margin: 1rem 0 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+  th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #ddd; }
+  th { font-weight: 500; color: #333; }
+  td { font-variant-numeric: tabular-nums; }
+  .bar { width: 55%; }
+  .bar span { display: block; height: 6px; background: #111; }
+  .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 0 2rem; }
+  footer { margin-top: 2rem; font-size: 8pt; color: #777; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .bar span { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    section { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<header>
+  <h1>Adaptive Mirror · Behavioral Profile</h1>
+  <p class="meta">Session ${escapeHTML(data.sessionId)} · ${escapeHTML(data.timestamp)} · profile ${escapeHTML(session.profile)} (${windowText}, observed ${observed})</p>
+  <p class="classification">${data.blend?.inconclusive ? 'Inconclusive' : escapeHTML(data.personality)}</p>
+</header>
+<section>
+  <h2>Scores</h2>
+  <table>
+${scoreBars}
+  </table>
+</section>
+${normsSection(data.norms)}
+${blendSection(data.blend)}
+${reasoningSection(data.explanation)}
+${calibrationSection(data.calibration)}
+${featureSection('Task Battery', data.tasks, data.tasks?.taskCount > 0)}
+${featureSection('Input Devices', data.pointer, Boolean(data.pointer?.pointerDevice))}
+${featureSection('Pointer Trajectory', data.trajectory, data.trajectory?.trajectoryStrokes > 0)}
+${featureSection('Typing Rhythm', data.typing, data.typing?.typingKeys >= 2)}
+${featureSection('Scroll Behavior', data.scroll, data.scroll?.scrollDistance > 0)}
+${featureSection('Input Sampling', data.sampling, Object.values(data.sampling ?? {}).some(value => value > 0))}
+<section>
+  <h2>Archetype Scores</h2>
+  <table>
+${tableRows(Object.entries(data.archetypeScores || {}), 0)}
+  </table>
+</section>
+<div class="columns">
+  <section>
+    <h2>Metrics</h2>
+    <table>
+${tableRows(Object.entries(data.metrics || {}), 2)}
+    </table>
+  </section>
+  <section>
+    <h2>Derived Rates</h2>
+    <table>
+${tableRows(Object.entries(data.derived || {}), 3)}
+    </table>
+  </section>
+</div>
+<footer>Export schema ${escapeHTML(data.schema)} v${escapeHTML(data.schemaVersion)}. Generated locally; no data left this device.</footer>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,96 @@
+/**
+ * Adaptive Mirror - Touch Gestures
+ * Recognizes taps, long presses, swipes and pinches from touch and pen
+ * contacts. Each contact is classified once, when it lifts; contacts that
+ * were part of a multi-finger touch only ever count towards a pinch.
+ */
+
+// Longest press (ms) that still counts as a tap
+export const TAP_MAX_DURATION = 300;
+// Travel (px) below which a contact is a press rather than a drag
+export const TAP_SLOP = 10;
+// Shortest hold (ms) that counts as a long press
+export const LONG_PRESS = 500;
+// A swipe covers at least this distance (px) at this average speed (px/ms)
+export const SWIPE_MIN_DISTANCE = 50;
+export const SWIPE_MIN_SPEED = 0.3;
+// Relative change in the spread between two fingers that makes a pinch
+export const PINCH_MIN_CHANGE = 0.2;
+
+export const GESTURE_FEATURES = ['gestureTaps', 'gestureLongPresses', 'gestureSwipes', 'gesturePinches'];
+
+export class GestureRecognizer {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.contacts = new Map(); // pointer id → contact in progress
+    this.pinch = null;
+    this.counts = { taps: 0, longPresses: 0, swipes: 0, pinches: 0 };
+    return this;
+  }
+
+  spread() {
+    const [a, b] = this.pinch.ids.map(id => this.contacts.get(id));
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  down(t, id, x, y) {
+    this.contacts.set(id, { t, x0: x, y0: y, x, y, travel: 0, multi: false });
+    if (this.contacts.size > 1) {
+      this.contacts.forEach(contact => { contact.multi = true; });
+      // The first two fingers down make the pinch; later ones are ignored
+      if (!this.pinch && this.contacts.size === 2) {
+        this.pinch = { ids: Array.from(this.contacts.keys()), start: 0, change: 0 };
+        this.pinch.start = this.spread();
+      }
+    }
+    return this;
+  }
+
+  move(t, id, x, y) {
+    const contact = this.contacts.get(id);
+    if (!contact) return this;
+    contact.x = x;
+    contact.y = y;
+    contact.travel = Math.max(contact.travel, Math.hypot(x - contact.x0, y - contact.y0));
+
+    if (this.pinch?.ids.includes(id) && this.pinch.start > 0) {
+      this.pinch.change = Math.max(this.pinch.change, Math.abs(this.spread() - this.pinch.start) / this.pinch.start);
+    }
+    return this;
+  }
+
+  /** `cancelled` contacts (taken over by the browser) are dropped unclassified */
+  up(t, id, cancelled = false) {
+    const contact = this.contacts.get(id);
+    if (!contact) return this;
+    this.contacts.delete(id);
+
+    if (this.pinch?.ids.includes(id)) {
+      if (!cancelled && this.pinch.change >= PINCH_MIN_CHANGE) this.counts.pinches++;
+      this.pinch = null;
+    }
+    if (cancelled || contact.multi) return this;
+
+    const duration = t - contact.t;
+    const distance = Math.hypot(contact.x - contact.x0, contact.y - contact.y0);
+    if (contact.travel < TAP_SLOP) {
+      if (duration >= LONG_PRESS) this.counts.longPresses++;
+      else if (duration <= TAP_MAX_DURATION) this.counts.taps++;
+    } else if (distance >= SWIPE_MIN_DISTANCE && duration > 0 && distance / duration >= SWIPE_MIN_SPEED) {
+      this.counts.swipes++;
+    }
+    return this;
+  }
+
+  summary() {
+    return {
+      gestureTaps: this.counts.taps,
+      gestureLongPresses: this.counts.longPresses,
+      gestureSwipes: this.counts.swipes,
+      gesturePinches: this.counts.pinches
+    };
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Adaptive Mirror - Session Heatmap
+ * Spatial view of an event log: where the pointer dwelt, the trail it
+ * took, where it clicked and where the page was scrolled, in the
+ * coordinates of the viewport the session ran in.
+ */
+
+// Viewport px per heatmap cell
+export const HEATMAP_CELL = 24;
+// Longest time (ms) a single resting sample adds to its cell, so one
+// long pause does not wash out the rest of the map
+export const DWELL_CAP = 2000;
+
+const HEAT_COLOR = '255, 0, 110';
+const TRAIL_COLOR = '255, 255, 255';
+const CLICK_COLOR = '0, 255, 136';
+const SCROLL_COLOR = '139, 148, 158';
+
+/**
+ * Logs recorded before the viewport was stored are sized to fit what
+ * they contain.
+ */
+const resolveViewport = (log, events) => {
+  const { width, height } = log.viewport || {};
+  if (width > 0 && height > 0) return { width, height, recorded: true };
+  const extent = events.reduce((max, e) => ({
+    width: Number.isFinite(e.x) ? Math.max(max.width, e.x) : max.width,
+    height: Number.isFinite(e.y) && e.type !== 'scroll' ? Math.max(max.height, e.y) : max.height
+  }), { width: 0, height: 0 });
+  return { width: Math.max(1, extent.width), height: Math.max(1, extent.height), recorded: false };
+};
+
+/**
+ * Folds an event log into heatmap data. Dwell is the time each pointer
+ * rested at each sample before its next one (capped at DWELL_CAP), summed
+ * per cell. Every pointer draws its own trail, which breaks where a touch
+ * or pen lifts or the page was hidden.
+ */
+export const buildHeatmap = (log, { cell = HEATMAP_CELL } = {}) => {
+  const events = Array.isArray(log?.events) ? log.events : [];
+  const viewport = resolveViewport(log || {}, events);
+  const cols = Math.max(1, Math.ceil(viewport.width / cell));
+  const rows = Math.max(1, Math.ceil(viewport.height / cell));
+  const dwell = new Array(cols * rows).fill(0);
+
+  const trails = [];
+  const clicks = [];
+  const wheels = [];
+  const scrolls = [];
+  // Pointer id → { trail, last }, where `last` is the sample still accruing
+  // dwell. Logs before Pointer Events have one unnamed pointer.
+  const pointers = new Map();
+  let hidden = false;
+
+  const settle = (pointer, t) => {
+    const { last } = pointer;
+    if (!last) return;
+    const col = Math.min(cols - 1, Math.max(0, Math.floor(last.x / cell)));
+    const row = Math.min(rows - 1, Math.max(0, Math.floor(last.y / cell)));
+    dwell[row * cols + col] += Math.min(DWELL_CAP, Math.max(0, t - last.t));
+    pointer.last = null;
+  };
+  const lift = (id, t) => {
+    const pointer = pointers.get(id);
+    if (!pointer) return;
+    settle(pointer, t);
+    pointers.delete(id);
+  };
+  const sample = (id, event) => {
+    if (hidden || !Number.isFinite(event.x) || !Number.isFinite(event.y)) return;
+    let pointer = pointers.get(id);
+    if (!pointer) {
+      pointer = { trail: [], last: null };
+      trails.push(pointer.trail);
+      pointers.set(id, pointer);
+    }
+    settle(pointer, event.t);
+    pointer.trail.push({ x: event.x, y: event.y });
+    pointer.last = { t: event.t, x: event.x, y: event.y };
+  };
+
+  events.forEach(event => {
+    switch (event.type) {
+      case 'mousemove':
+        sample('legacy', event);
+        break;
+      case 'touchend':
+        lift('legacy', event.t);
+        break;
+      case 'pointermove':
+        sample(event.id, event);
+        break;
+      case 'pointerup':
+        // A mouse keeps hovering after a button is released
+        if (event.device !== 'mouse') lift(event.id, event.t);
+        break;
+      case 'hidden':
+        Array.from(pointers.keys()).forEach(id => lift(id, event.t));
+        hidden = true;
+        break;
+      case 'visible':
+        hidden = false;
+        break;
+      case 'click':
+        if (!hidden && Number.isFinite(event.x) && Number.isFinite(event.y)) clicks.push({ x: event.x, y: event.y });
+        break;
+      case 'wheel':
+        if (!hidden && Number.isFinite(event.x) && Number.isFinite(event.y)) {
+          wheels.push({ x: event.x, y: event.y, direction: Math.sign(event.deltaY) || 0 });
+        }
+        break;
+      case 'scroll':
+        // Only the page's own offsets; a panel's are not page positions
+        if (!hidden && !event.area && Number.isFinite(event.y)) scrolls.push(event.y);
+        break;
+      default:
+        break;
+    }
+  });
+  const endTime = Number.isFinite(log?.endTime) ? log.endTime : events[events.length - 1]?.t;
+  pointers.forEach(pointer => settle(pointer, endTime ?? 0));
+
+  return {
+    width: viewport.width,
+    height: viewport.height,
+    viewportRecorded: viewport.recorded,
+    cell,
+    cols,
+    rows,
+    dwell,
+    maxDwell: dwell.reduce((max, value) => Math.max(max, value), 0),
+    trails: trails.filter(points => points.length > 1),
+    clicks,
+    wheels,
+    scrolls,
+    maxScroll: scrolls.reduce((max, value) => Math.max(max, value), 0)
+  };
+};
+
+export const hasHeatmapData = (map) => Boolean(
+  map && (map.maxDwell > 0 || map.trails.length || map.clicks.length || map.wheels.length || map.scrolls.length)
+);
+
+/**
+ * Renders heatmap data onto a canvas sized to its CSS width, keeping the
+ * session viewport's aspect ratio. The background is painted so the PNG
+ * export reads on its own.
+ */
+export const drawHeatmap = (canvas, map) => {
+  const ctx = canvas?.getContext('2d');
+  if (!ctx || !map) return;
+
+  const dpr = Math.min(globalThis.devicePixelRatio || 1, 2);
+  const width = canvas.clientWidth || 600;
+  const height = Math.round(width * map.height / map.width);
+  const scale = width / map.width;
+  canvas.width = Math.floor(width * dpr);
+  canvas.height = Math.floor(height * dpr);
+  canvas.style.aspectRatio = `${map.width} / ${map.height}`;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+  ctx.fillStyle = '#050505';
+  ctx.fillRect(0, 0, width, height);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(0.5, 0.5, width - 1, height - 1);
+
+  // Dwell: soft blobs per cell, brighter where the pointer rested longer
+  if (map.maxDwell > 0) {
+    const radius = map.cell * scale * 1.5;
+    ctx.globalCompositeOperation = 'lighter';
+    map.dwell.forEach((value, index) => {
+      if (!value) return;
+      const x = ((index % map.cols) + 0.5) * map.cell * scale;
+      const y = (Math.floor(index / map.cols) + 0.5) * map.cell * scale;
+      const alpha = 0.15 + 0.6 * (value / map.maxDwell);
+      const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+      gradient.addColorStop(0, `rgba(${HEAT_COLOR}, ${alpha.toFixed(3)})`);
+      gradient.addColorStop(1, `rgba(${HEAT_COLOR}, 0)`);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+    });
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  ctx.strokeStyle = `rgba(${TRAIL_COLOR}, 0.35)`;
+  ctx.lineWidth = 1;
+  ctx.lineJoin = 'round';
+  map.trails.forEach(points => {
+    ctx.beginPath();
+    points.forEach((p, i) => (i ? ctx.lineTo(p.x * scale, p.y * scale) : ctx.moveTo(p.x * scale, p.y * scale)));
+    ctx.stroke();
+  });
+
+  // Wheel: a small chevron pointing the way the page moved
+  ctx.strokeStyle = `rgba(${SCROLL_COLOR}, 0.9)`;
+  map.wheels.forEach(({ x, y, direction }) => {
+    const cx = x * scale;
+    const cy = y * scale;
+    const dy = direction >= 0 ? 3 : -3;
+    ctx.beginPath();
+    ctx.moveTo(cx - 4, cy - dy);
+    ctx.lineTo(cx, cy + dy);
+    ctx.lineTo(cx + 4, cy - dy);
+    ctx.stroke();
+  });
+
+  ctx.strokeStyle = `rgba(${CLICK_COLOR}, 0.9)`;
+  ctx.fillStyle = `rgba(${CLICK_COLOR}, 0.25)`;
+  ctx.lineWidth = 1.5;
+  map.clicks.forEach(({ x, y }) => {
+    ctx.beginPath();
+    ctx.arc(x * scale, y * scale, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  });
+
+  // Scroll depth gauge down the right edge: one tick per scroll position,
+  // the page running from offset 0 to the deepest offset plus one screen
+  if (map.scrolls.length) {
+    const depth = map.maxScroll + map.height;
+    const x = width - 6;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.fillRect(x - 1, 0, 3, height);
+    ctx.fillStyle = `rgba(${SCROLL_COLOR}, 0.9)`;
+    map.scrolls.forEach(offset => {
+      ctx.fillRect(x - 3, (offset / depth) * height, 7, 1.5);
+    });
+  }
+};
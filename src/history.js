@@ -0,0 +1,264 @@
+/**
+ * Adaptive Mirror - Session History
+ * Persistent record of past sessions in IndexedDB, with retention limits.
+ * Falls back to an in-memory store where IndexedDB is unavailable
+ * (private browsing, Node without a shim). With a vault, records are
+ * sealed before they are stored; only the timestamp stays readable, for
+ * ordering and retention. Sessions that fail check() move to a quarantine
+ * store of their own, as stored, rather than being deleted.
+ */
+
+import { VaultError } from './vault.js';
+
+export const HISTORY_DB_NAME = 'adaptiveMirror';
+// Version 2 adds the quarantine store
+export const HISTORY_DB_VERSION = 2;
+export const HISTORY_STORE = 'sessions';
+export const QUARANTINE_STORE = 'quarantine';
+
+export const DEFAULT_RETENTION = {
+  maxEntries: 100,
+  maxAgeDays: 180
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = (indexedDB) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+      const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('timestamp', 'timestamp');
+    }
+    if (!db.objectStoreNames.contains(QUARANTINE_STORE)) {
+      db.createObjectStore(QUARANTINE_STORE, { keyPath: 'id', autoIncrement: true });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('History database is blocked by another tab'));
+});
+
+// Both backends expose getAll/add/put/delete/clear over plain records, and
+// quarantine/getQuarantine/clearQuarantine for the sessions set aside
+const createIndexedDBBackend = (indexedDB) => {
+  let dbPromise = null;
+  const db = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(indexedDB).catch(error => {
+        dbPromise = null; // Allow a retry on the next call
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, fn, stores = [HISTORY_STORE]) => {
+    const tx = (await db()).transaction(stores, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+    const result = await fn(...stores.map(name => tx.objectStore(name)));
+    await done;
+    return result;
+  };
+
+  return {
+    persistent: true,
+    getAll: () => run('readonly', store => promisify(store.index('timestamp').getAll())),
+    add: (record) => run('readwrite', store => promisify(store.add(record))),
+    put: (record) => run('readwrite', store => promisify(store.put(record))),
+    delete: (ids) => run('readwrite', store => Promise.all(ids.map(id => promisify(store.delete(id))))),
+    clear: () => run('readwrite', store => promisify(store.clear())),
+    // Set aside and removed in one transaction, so a session is never in both stores or neither
+    quarantine: (id, entry) => run('readwrite', (sessions, quarantine) => Promise.all([
+      promisify(quarantine.add(entry)),
+      promisify(sessions.delete(id))
+    ]), [HISTORY_STORE, QUARANTINE_STORE]),
+    getQuarantine: () => run('readonly', quarantine => promisify(quarantine.getAll()), [QUARANTINE_STORE]),
+    clearQuarantine: () => run('readwrite', quarantine => promisify(quarantine.clear()), [QUARANTINE_STORE]),
+    close: async () => {
+      if (dbPromise) (await dbPromise).close();
+      dbPromise = null;
+    }
+  };
+};
+
+const createMemoryBackend = () => {
+  let records = [];
+  let nextId = 1;
+  let quarantined = [];
+  let nextQuarantineId = 1;
+  return {
+    persistent: false,
+    getAll: async () => records
+      .slice()
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(record => JSON.parse(JSON.stringify(record))),
+    add: async (record) => {
+      const id = nextId++;
+      records.push({ ...JSON.parse(JSON.stringify(record)), id });
+      return id;
+    },
+    put: async (record) => {
+      records = records.map(stored => (stored.id === record.id ? JSON.parse(JSON.stringify(record)) : stored));
+      return record.id;
+    },
+    delete: async (ids) => {
+      records = records.filter(record => !ids.includes(record.id));
+    },
+    clear: async () => {
+      records = [];
+    },
+    quarantine: async (id, entry) => {
+      quarantined.push({ ...JSON.parse(JSON.stringify(entry)), id: nextQuarantineId++ });
+      records = records.filter(record => record.id !== id);
+    },
+    getQuarantine: async () => quarantined.map(entry => JSON.parse(JSON.stringify(entry))),
+    clearQuarantine: async () => {
+      quarantined = [];
+    },
+    close: async () => {}
+  };
+};
+
+export class SessionHistory {
+  constructor({ indexedDB = globalThis.indexedDB, retention = {}, vault = null } = {}) {
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
+    this.vault = vault;
+    this.backend = indexedDB ? createIndexedDBBackend(indexedDB) : createMemoryBackend();
+  }
+
+  get persistent() {
+    return this.backend.persistent;
+  }
+
+  /** Stores a session and applies retention. Resolves to the new record id. */
+  async add(record) {
+    if (!record || typeof record !== 'object' || !isFinite(record.timestamp)) {
+      throw new TypeError('History record needs a numeric timestamp');
+    }
+    // Ids are assigned by the store
+    const copy = { ...record };
+    delete copy.id;
+    const id = await this.backend.add(await this.seal(copy));
+    await this.prune();
+    return id;
+  }
+
+  /**
+   * All sessions, oldest first. Rejects with a 'locked' VaultError while
+   * sealed sessions cannot be opened, unless `keepSealed` asks for those
+   * as stored.
+   */
+  async list({ keepSealed = false } = {}) {
+    const records = await this.backend.getAll();
+    if (keepSealed && this.locked) return records;
+    return Promise.all(records.map(record => this.unseal(record)));
+  }
+
+  /** True while some stored sessions are sealed and the vault is locked */
+  get locked() {
+    return Boolean(this.vault?.enabled && this.vault.locked);
+  }
+
+  async seal(record) {
+    if (!this.vault?.enabled) return record;
+    const { id, ...content } = record;
+    return { ...(id === undefined ? {} : { id }), timestamp: record.timestamp, sealed: await this.vault.seal(content) };
+  }
+
+  async unseal(record) {
+    if (!record.sealed) return record;
+    if (!this.vault) throw new VaultError('Stored sessions are encrypted', 'locked');
+    return { ...(await this.vault.open(record.sealed)), id: record.id, timestamp: record.timestamp };
+  }
+
+  /** Seals every readable session, after encryption is turned on */
+  async sealAll() {
+    const records = await this.backend.getAll();
+    for (const record of records.filter(stored => !stored.sealed)) {
+      await this.backend.put(await this.seal(record));
+    }
+  }
+
+  /** Opens every sealed session, before encryption is turned off */
+  async unsealAll() {
+    const records = await this.backend.getAll();
+    for (const record of records.filter(stored => stored.sealed)) {
+      await this.backend.put(await this.unseal(record));
+    }
+  }
+
+  async get(id) {
+    return (await this.list()).find(record => record.id === id) || null;
+  }
+
+  remove(id) {
+    return this.backend.delete([id]);
+  }
+
+  clear() {
+    return this.backend.clear();
+  }
+
+  /**
+   * Moves every stored session `validate` finds a reason against into the
+   * quarantine, as stored: { record, reason, schema, quarantinedAt }.
+   * Sealed sessions are judged sealed, so this works while locked.
+   * Resolves to { checked, quarantined: [{ id, reason }] }.
+   */
+  async check(validate, { now = Date.now() } = {}) {
+    const records = await this.backend.getAll();
+    const report = { checked: records.length, quarantined: [] };
+    for (const record of records) {
+      const reason = validate(record);
+      if (!reason) continue;
+      await this.backend.quarantine(record.id, { record, reason, schema: HISTORY_DB_VERSION, quarantinedAt: new Date(now).toISOString() });
+      report.quarantined.push({ id: record.id, reason });
+    }
+    return report;
+  }
+
+  /** Quarantined sessions, in the order they were set aside */
+  quarantined() {
+    return this.backend.getQuarantine();
+  }
+
+  clearQuarantine() {
+    return this.backend.clearQuarantine();
+  }
+
+  /**
+   * Drops sessions older than maxAgeDays, then the oldest beyond maxEntries.
+   * Resolves to the number of sessions removed.
+   */
+  async prune(now = Date.now()) {
+    const { maxEntries, maxAgeDays } = this.retention;
+    // Timestamps stay readable on sealed records, so this works while locked
+    const records = await this.backend.getAll();
+    const cutoff = isFinite(maxAgeDays) && maxAgeDays > 0 ? now - maxAgeDays * DAY_MS : -Infinity;
+
+    const expired = records.filter(record => record.timestamp < cutoff);
+    const kept = records.filter(record => record.timestamp >= cutoff);
+    const overflow = isFinite(maxEntries) && maxEntries >= 0
+      ? kept.slice(0, Math.max(0, kept.length - maxEntries))
+      : [];
+
+    const ids = [...expired, ...overflow].map(record => record.id);
+    if (ids.length) await this.backend.delete(ids);
+    return ids.length;
+  }
+
+  close() {
+    return this.backend.close();
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Adaptive Mirror - Result Import
+ * Reads files written by exportData() back in. The schema is checked field
+ * by field, and when the file carries its event log the session is replayed
+ * so an edited personality or score is caught rather than trusted.
+ * Passphrase-encrypted exports are decrypted first.
+ */
+
+import { analyzeEvents, checkEventLog, createMetrics } from './engine.js';
+import { ClassifierRegistry } from './classifiers.js';
+import { EXPORT_SCHEMA, EXPORT_SCHEMA_VERSION, SCORE_KEYS } from './export.js';
+import { isEncrypted, decryptWithPassphrase, VaultError } from './vault.js';
+import { MAX_CUSTOM_DURATION } from './profiles.js';
+
+// The longest timed session logged at 1000 Hz, at up to 128 bytes a pen
+// sample as toJSON writes them, and a third more once encrypted (base64)
+const MAX_LOG_RATE = 1000;
+const MAX_EVENT_BYTES = 128;
+export const MAX_IMPORT_SIZE = Math.ceil(MAX_CUSTOM_DURATION * MAX_LOG_RATE * MAX_EVENT_BYTES * 4 / 3);
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validateEventLog = (log) => {
+  const problem = checkEventLog(log);
+  if (problem) {
+    throw new ImportError(problem);
+  }
+};
+
+/**
+ * Validates a parsed export (or its JSON text) and returns it as a history
+ * record. Files with an event log are replayed with `classifiers`; a result
+ * that does not match the replay is rejected. Files without one (exports
+ * from before replay existed) load with `verified: false`.
+ */
+export const parseResult = (input, { classifiers = new ClassifierRegistry() } = {}) => {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new ImportError('File is not valid JSON');
+    }
+  }
+
+  if (!isObject(data)) {
+    throw new ImportError('File does not contain an Adaptive Mirror result');
+  }
+  // Unversioned files are schema 1
+  if (data.schemaVersion !== undefined) {
+    if (data.schema !== EXPORT_SCHEMA || !Number.isInteger(data.schemaVersion)) {
+      throw new ImportError('File does not contain an Adaptive Mirror result');
+    }
+    if (data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+      throw new ImportError(`File uses export schema v${data.schemaVersion}; this version reads up to v${EXPORT_SCHEMA_VERSION}`);
+    }
+  }
+  if (typeof data.personality !== 'string' || !data.personality) {
+    throw new ImportError('Result has no classification');
+  }
+  if (!isObject(data.scores)) {
+    throw new ImportError('Result has no scores');
+  }
+  SCORE_KEYS.forEach(key => {
+    const value = data.scores[key];
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      throw new ImportError(`Score "${key}" is missing or out of range`);
+    }
+  });
+
+  const timestamp = typeof data.timestamp === 'string' ? Date.parse(data.timestamp) : data.timestamp;
+  if (!Number.isFinite(timestamp)) {
+    throw new ImportError('Result has no valid timestamp');
+  }
+
+  const log = data.eventLog ?? null;
+  let analysis = null;
+  if (log !== null) {
+    validateEventLog(log);
+    analysis = analyzeEvents(log, { classifiers });
+
+    const recorded = isObject(data.archetypeScores) ? data.archetypeScores : {};
+    const matches = analysis.personality === data.personality &&
+      SCORE_KEYS.every(key => analysis.scores[key] === data.scores[key]) &&
+      Object.keys(recorded).every(name => analysis.archetypeScores[name] === recorded[name]);
+    if (!matches) {
+      throw new ImportError('Recorded result does not match its event log; the file may have been edited or scored with different archetypes');
+    }
+  }
+
+  const metrics = analysis
+    ? Object.fromEntries(Object.keys(createMetrics()).map(key => [key, analysis.features[key]]))
+    : (isObject(data.metrics) ? { ...data.metrics } : null);
+
+  return {
+    sessionId: typeof data.sessionId === 'string' ? data.sessionId : 'N/A',
+    timestamp,
+    profile: log?.profile ?? data.session?.profile ?? data.profile ?? null,
+    duration: log?.duration ?? data.session?.observedDuration ?? data.duration ?? null,
+    personality: data.personality,
+    scores: Object.fromEntries(SCORE_KEYS.map(key => [key, data.scores[key]])),
+    archetypeScores: { ...(analysis ? analysis.archetypeScores : data.archetypeScores) },
+    metrics,
+    eventLog: log,
+    imported: true,
+    verified: Boolean(analysis)
+  };
+};
+
+const decryptResult = async (data, passphrase) => {
+  const secret = typeof passphrase === 'function' ? await passphrase() : passphrase;
+  if (!secret) {
+    throw new ImportError('File is encrypted; its passphrase is needed to open it');
+  }
+  try {
+    return await decryptWithPassphrase(data, secret);
+  } catch (e) {
+    if (e instanceof VaultError) throw new ImportError(e.message);
+    throw e;
+  }
+};
+
+/**
+ * Reads a File (or anything with name/size/text()) and parses it. An
+ * encrypted file is opened with `passphrase`: a string, or a function
+ * resolving to one (or to null when the user declines) that is only called
+ * for encrypted files.
+ */
+export const readResultFile = async (file, { passphrase = null, ...options } = {}) => {
+  if (!file || typeof file.text !== 'function') {
+    throw new ImportError('No file selected');
+  }
+  if (file.size > MAX_IMPORT_SIZE) {
+    throw new ImportError('File is too large to be an Adaptive Mirror result');
+  }
+  const text = await file.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new ImportError('File is not valid JSON');
+  }
+  if (isEncrypted(data)) data = await decryptResult(data, passphrase);
+  return parseResult(data, options);
+};
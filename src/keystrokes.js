@@ -0,0 +1,132 @@
+/**
+ * Adaptive Mirror - Keystroke Dynamics
+ * Typing rhythm from key timing alone. Input is the logged key kind
+ * ('char' | 'backspace' | 'other') and an opaque press id pairing each
+ * keydown with its keyup; the characters themselves never reach this module.
+ */
+
+// A gap at least this long ends a burst and counts as a pause
+export const TYPING_PAUSE = 1000;
+// Below this many keys words-per-minute is too noisy to report
+export const MIN_WPM_KEYS = 5;
+
+export const TYPING_FEATURES = [
+  'typingKeys',
+  'typingWpm',
+  'typingIntervalMean',
+  'typingIntervalCv',
+  'typingDwellMean',
+  'typingBursts',
+  'typingBurstLength',
+  'typingPauses',
+  'typingPauseMean',
+  'typingCorrectionBursts',
+  'typingCorrectionLength',
+  'typingCorrectionMax',
+  'typingBackspaceLatency'
+];
+
+const mean = (sum, count) => (count > 0 ? sum / count : null);
+
+export class TypingRhythm {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.keys = 0;
+    this.chars = 0;
+    this.firstDown = null;
+    this.lastDown = null;
+    this.lastKind = null;
+    this.intervals = { count: 0, sum: 0, sumSq: 0 };
+    this.pauses = { count: 0, sum: 0 };
+    this.bursts = { count: 0, keys: 0 };
+    this.dwell = { count: 0, sum: 0 };
+    this.corrections = { count: 0, keys: 0, max: 0, current: 0 };
+    this.latency = { count: 0, sum: 0 };
+    this.open = new Map(); // press id → keydown time
+    return this;
+  }
+
+  keydown(t, kind, press, repeat = false) {
+    // Auto-repeat is a key being held, not typed; modifiers, arrows and the
+    // like ('other') would only add noise between real keystrokes
+    if (repeat || (kind !== 'char' && kind !== 'backspace')) return this;
+
+    if (press != null) this.open.set(press, t);
+
+    if (this.lastDown === null) {
+      this.firstDown = t;
+      this.bursts.count = 1;
+    } else {
+      const gap = t - this.lastDown;
+      if (gap >= TYPING_PAUSE) {
+        this.pauses.count++;
+        this.pauses.sum += gap;
+        this.bursts.count++;
+      } else {
+        this.intervals.count++;
+        this.intervals.sum += gap;
+        this.intervals.sumSq += gap * gap;
+      }
+    }
+    this.bursts.keys++;
+
+    if (kind === 'backspace') {
+      if (this.lastKind !== 'backspace') {
+        // Start of a correction run: how long before the error was acted on
+        if (this.lastDown !== null) {
+          this.latency.count++;
+          this.latency.sum += t - this.lastDown;
+        }
+        this.corrections.count++;
+        this.corrections.current = 0;
+      }
+      this.corrections.current++;
+      this.corrections.keys++;
+      this.corrections.max = Math.max(this.corrections.max, this.corrections.current);
+    } else {
+      this.chars++;
+    }
+
+    this.keys++;
+    this.lastDown = t;
+    this.lastKind = kind;
+    return this;
+  }
+
+  keyup(t, press) {
+    if (press == null || !this.open.has(press)) return this;
+    this.dwell.count++;
+    this.dwell.sum += t - this.open.get(press);
+    this.open.delete(press);
+    return this;
+  }
+
+  /** Typing features; null wherever there was too little typing to measure */
+  summary() {
+    const { intervals } = this;
+    const intervalMean = mean(intervals.sum, intervals.count);
+    const variance = intervals.count > 1
+      ? Math.max(0, intervals.sumSq / intervals.count - intervalMean * intervalMean)
+      : null;
+    const span = this.keys > 1 ? this.lastDown - this.firstDown : 0;
+
+    return {
+      typingKeys: this.keys,
+      typingWpm: this.keys >= MIN_WPM_KEYS && span > 0 ? (this.chars / 5) / (span / 60000) : null,
+      typingIntervalMean: intervalMean,
+      typingIntervalCv: variance !== null && intervalMean > 0 ? Math.sqrt(variance) / intervalMean : null,
+      typingDwellMean: mean(this.dwell.sum, this.dwell.count),
+      typingBursts: this.bursts.count,
+      typingBurstLength: mean(this.bursts.keys, this.bursts.count),
+      typingPauses: this.pauses.count,
+      typingPauseMean: mean(this.pauses.sum, this.pauses.count),
+      typingCorrectionBursts: this.corrections.count,
+      typingCorrectionLength: mean(this.corrections.keys, this.corrections.count),
+      typingCorrectionMax: this.corrections.max,
+      typingBackspaceLatency: mean(this.latency.sum, this.latency.count)
+    };
+  }
+}
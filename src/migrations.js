@@ -0,0 +1,219 @@
+/**
+ * Adaptive Mirror - Storage Migrations
+ * Brings what earlier versions left in localStorage up to the current
+ * shape before anything reads it. Migrations run in order, once each; the
+ * schema version reached is kept under STORAGE_SCHEMA_KEY. Every known
+ * record is then validated, and one that does not fit is moved to the
+ * quarantine with the reason rather than deleted, so a bad format change
+ * never costs a participant's data. Sessions in the IndexedDB history are
+ * checked the same way by checkHistory(), against the event log version
+ * each was recorded with.
+ */
+
+import { CONSENT_KEY, parseConsent } from './consent.js';
+import { SCORE_KEYS } from './export.js';
+import { VAULT_KEY, parseVault } from './vault.js';
+import { BASELINE_KEY, parseBaselines } from './baseline.js';
+import { NORMS_KEY, NORMS_VERSION, parseNorms } from './norms.js';
+import { checkEventLog, EVENT_LOG_VERSION } from './engine.js';
+
+export const STORAGE_SCHEMA_KEY = 'adaptiveMirror_schema';
+export const QUARANTINE_KEY = 'adaptiveMirror_quarantine';
+export const RESULT_KEY = 'adaptiveMirror_result_v2';
+export const ADAPTATION_KEY = 'adaptiveMirror_adaptation';
+// The first versioned schema: the stored shapes as RECORD_VALIDATORS reads them
+export const STORAGE_SCHEMA_VERSION = 1;
+
+/**
+ * Ordered steps from one schema to the next, each with a `version` above
+ * STORAGE_SCHEMA_VERSION. `migrate` receives { storage, quarantine(key,
+ * reason) } and must be safe to run again: localStorage has no
+ * transactions, so a step that fails halfway is retried from the start on
+ * the next load. None yet; every format so far is the first versioned one.
+ */
+export const MIGRATIONS = [];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseJSON = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+};
+
+// Encrypted records can only be checked for their envelope
+const validSealed = (sealed) => {
+  const { epk, iv, data } = sealed ?? {};
+  return isObject(epk) && typeof iv === 'string' && typeof data === 'string';
+};
+
+// The classification and scores a result and a history session both carry
+const resultProblem = (record) => {
+  if (typeof record.personality !== 'string' || !record.personality) return 'No classification';
+  if (!isObject(record.scores) || !SCORE_KEYS.every(key => Number.isFinite(record.scores[key]))) return 'Scores are missing';
+  return null;
+};
+
+const validResult = (text) => {
+  const record = parseJSON(text);
+  if (!isObject(record)) return 'Not a JSON object';
+  if (record.sealed !== undefined) return validSealed(record.sealed) ? null : 'Damaged encrypted result';
+  const problem = resultProblem(record);
+  if (problem) return problem;
+  if (!Number.isFinite(record.timestamp)) return 'No valid timestamp';
+  return null;
+};
+
+/** Per localStorage key: why a stored text is unusable, or null when it is fine */
+export const RECORD_VALIDATORS = {
+  [RESULT_KEY]: validResult,
+  [CONSENT_KEY]: (text) => (parseConsent(text) ? null : 'Not a current consent record'),
+  [ADAPTATION_KEY]: (text) => {
+    const strength = Number(text);
+    return text.trim() !== '' && strength >= 0 && strength <= 1 ? null : 'Strength is not between 0 and 1';
+  },
+  [VAULT_KEY]: (text) => (parseVault(text) ? null : 'Encryption keys are unusable'),
+  [BASELINE_KEY]: (text) => {
+    const stored = parseJSON(text);
+    const usable = parseBaselines(stored);
+    return isObject(stored) && Object.keys(usable).length === Object.keys(stored).length ? null : 'Unusable calibration baseline';
+  },
+  [NORMS_KEY]: (text) => {
+    const stored = parseJSON(text);
+    const usable = isObject(stored) && stored.version === NORMS_VERSION && Array.isArray(stored.cohorts) &&
+      parseNorms(stored).cohorts.length === stored.cohorts.length;
+    return usable ? null : 'Unusable population norms';
+  }
+};
+
+/**
+ * Why a stored history session is unusable, or null when it is fine. The
+ * event log is judged by the version it was recorded with; one from a newer
+ * version of the app is left for that version to read, and samples logged
+ * a little behind an idle tick are clock skew (MAX_CLOCK_SKEW), not damage.
+ * Sessions imported without a log carry none.
+ */
+export const validateHistoryRecord = (record) => {
+  if (!isObject(record)) return 'Not an object';
+  if (!Number.isFinite(record.timestamp)) return 'No valid timestamp';
+  if (record.sealed !== undefined) return validSealed(record.sealed) ? null : 'Damaged encrypted session';
+  const problem = resultProblem(record);
+  if (problem) return problem;
+  const log = record.eventLog;
+  if (log === undefined || log === null) return null;
+  if (Number.isInteger(log?.version) && log.version > EVENT_LOG_VERSION) return null;
+  return checkEventLog(log);
+};
+
+/**
+ * Checks every session in a SessionHistory and quarantines the unusable
+ * ones in its own quarantine store. Resolves to { checked, quarantined }.
+ */
+export const checkHistory = (history, { validate = validateHistoryRecord, now = Date.now() } = {}) => (
+  history.check(validate, { now })
+);
+
+/** Quarantined records, oldest first. An unreadable quarantine is kept as an entry of its own. */
+export const readQuarantine = (storage) => {
+  const text = storage.getItem(QUARANTINE_KEY);
+  if (text === null) return [];
+  const list = parseJSON(text);
+  return Array.isArray(list) ? list : [{ key: QUARANTINE_KEY, value: text, reason: 'Quarantine was unreadable', schema: null, quarantinedAt: null }];
+};
+
+/**
+ * Moves a record into the quarantine with the reason, as the raw text it
+ * was stored as. Returns the entry, or null when there was no record.
+ */
+export const quarantineRecord = (storage, key, reason, { schema = null, now = Date.now() } = {}) => {
+  const value = storage.getItem(key);
+  if (value === null) return null;
+  const entry = { key, value, reason, schema, quarantinedAt: new Date(now).toISOString() };
+  // Written before the record goes, so a full storage keeps it where it was
+  storage.setItem(QUARANTINE_KEY, JSON.stringify([...readQuarantine(storage), entry]));
+  storage.removeItem(key);
+  return entry;
+};
+
+export const storedSchemaVersion = (storage) => {
+  const version = Number(storage.getItem(STORAGE_SCHEMA_KEY) ?? 0);
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+};
+
+/**
+ * Applies the migrations newer than the stored schema, then validates the
+ * known records. Returns a report: { from, to, target, applied,
+ * checked, quarantined, error, newer }. Storage written by a newer version
+ * of the app is left untouched; a failed migration stops the run and is
+ * retried on the next load.
+ */
+export const runMigrations = ({ storage, migrations = MIGRATIONS, validators = RECORD_VALIDATORS, now = Date.now() } = {}) => {
+  const ordered = migrations.slice().sort((a, b) => a.version - b.version);
+  const target = Math.max(STORAGE_SCHEMA_VERSION, ...ordered.map(step => step.version));
+  const from = storedSchemaVersion(storage);
+  const report = { from, to: from, target, applied: [], checked: 0, quarantined: [], error: null, newer: from > target };
+  if (report.newer) return report;
+
+  const quarantine = (key, reason) => {
+    const entry = quarantineRecord(storage, key, reason, { schema: report.to, now });
+    if (entry) report.quarantined.push({ key, reason });
+  };
+
+  for (const migration of ordered.filter(step => step.version > from)) {
+    try {
+      migration.migrate({ storage, quarantine });
+    } catch (e) {
+      report.error = { version: migration.version, message: e.message };
+      break;
+    }
+    storage.setItem(STORAGE_SCHEMA_KEY, String(migration.version));
+    report.to = migration.version;
+    report.applied.push({ version: migration.version, description: migration.description });
+  }
+
+  // Storage from before the first versioned schema needs no step to reach it
+  if (!report.error && report.to < STORAGE_SCHEMA_VERSION) {
+    storage.setItem(STORAGE_SCHEMA_KEY, String(STORAGE_SCHEMA_VERSION));
+    report.to = STORAGE_SCHEMA_VERSION;
+  }
+
+  // Records are only judged against the schema they were migrated to
+  if (report.to !== target) return report;
+  Object.entries(validators).forEach(([key, validate]) => {
+    const text = storage.getItem(key);
+    if (text === null) return;
+    report.checked++;
+    const reason = validate(text);
+    if (reason) quarantine(key, reason);
+  });
+  return report;
+};
+
+export const describeReport = (report) => {
+  if (report.newer) {
+    return `storage schema v${report.from} is newer than this version reads (v${report.target}); left untouched`;
+  }
+  const schema = report.to === report.from ? `schema v${report.to}` : `schema v${report.from} → v${report.to}`;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  return `${schema}, ${plural(report.applied.length, 'migration')} applied, ${plural(report.checked, 'record')} checked, ${report.quarantined.length} quarantined`;
+};
+
+/** Prints checkHistory()'s report: one line, plus a warning for each quarantined session */
+export const logHistoryReport = (report, logger = console) => {
+  const sessions = `${report.checked} session${report.checked === 1 ? '' : 's'}`;
+  (report.quarantined.length ? logger.warn : logger.info).call(logger, `Adaptive Mirror history: ${sessions} checked, ${report.quarantined.length} quarantined`);
+  report.quarantined.forEach(({ id, reason }) => logger.warn(`  Quarantined session ${id}: ${reason}`));
+};
+
+/** Prints the report: one line, plus a warning for each quarantined record and a failed migration */
+export const logMigrationReport = (report, logger = console) => {
+  const trouble = report.error || report.quarantined.length || report.newer;
+  (trouble ? logger.warn : logger.info).call(logger, `Adaptive Mirror storage: ${describeReport(report)}`);
+  report.applied.forEach(({ version, description }) => logger.info(`  v${version}: ${description}`));
+  report.quarantined.forEach(({ key, reason }) => logger.warn(`  Quarantined ${key}: ${reason}`));
+  if (report.error) {
+    logger.warn(`  Migration to v${report.error.version} failed (${report.error.message}); it will be retried on the next load`);
+  }
+};
@@ -0,0 +1,252 @@
+/**
+ * Adaptive Mirror - Population Norms
+ * Turns a local dataset of exported sessions (JSON exports or the CSV
+ * export) into a cohort: the distribution of every numeric feature across
+ * its sessions. A result is then read against a cohort as percentile ranks,
+ * "80th percentile for hesitation" rather than "hesitation: 43".
+ *
+ * Cohorts keep distributions only, never the sessions they came from, and
+ * are stored under NORMS_KEY with the one selected, so a lab's cohort stays
+ * in place from one participant to the next.
+ */
+
+import { EXPORT_SCHEMA, SCORE_KEYS, flattenExport } from './export.js';
+import { isEncrypted } from './vault.js';
+
+export const NORMS_KEY = 'adaptiveMirror_norms';
+export const NORMS_VERSION = 1;
+// Fewer sessions than this give no percentile for a feature
+export const MIN_NORM_SAMPLES = 10;
+// Larger samples are kept as this many quantiles, to fit in localStorage
+export const NORM_RESOLUTION = 1000;
+export const MAX_DATASET_SIZE = 50 * 1024 * 1024;
+
+// CSV column prefixes of the features a cohort keeps distributions for
+export const NORM_PREFIXES = ['score_', 'share_', 'metric_', 'derived_', 'typing_', 'trajectory_', 'pointer_', 'task_', 'scroll_'];
+
+export class NormsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NormsError';
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/** RFC 4180 records, as arrays of strings. Quoted fields may hold commas, quotes and line breaks. */
+export const parseCSV = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new NormsError('CSV has an unterminated quoted field');
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  // Blank lines are not records
+  return records.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+// Undoes the export's CSV encoding: numbers, blanks as null, and the quote that kept text from being a formula
+const csvValue = (text) => {
+  if (text === '') return null;
+  const number = Number(text);
+  if (Number.isFinite(number)) return number;
+  return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+};
+
+const csvRows = (text) => {
+  const [header, ...records] = parseCSV(text);
+  if (!header || !SCORE_KEYS.every(key => header.includes(`score_${key}`))) {
+    throw new NormsError('CSV is not an Adaptive Mirror export (no score columns)');
+  }
+  return records.map(fields => Object.fromEntries(header.map((name, i) => [name, csvValue(fields[i] ?? '')])));
+};
+
+const jsonRows = (data) => {
+  const documents = Array.isArray(data) ? data : [data];
+  return documents.map((document, index) => {
+    if (isEncrypted(document)) {
+      throw new NormsError('Encrypted exports cannot be read as a dataset; export the sessions unencrypted');
+    }
+    const versioned = document?.schemaVersion === undefined || document.schema === EXPORT_SCHEMA;
+    if (!isObject(document) || !versioned || !isObject(document.scores)) {
+      throw new NormsError(`Entry ${index + 1} is not an Adaptive Mirror result`);
+    }
+    return flattenExport(document);
+  });
+};
+
+/**
+ * A dataset's sessions as flat rows keyed by CSV column name. `text` is a
+ * JSON export (one document or an array of them) or the CSV export.
+ */
+export const readDataset = (text) => {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) throw new NormsError('Dataset is empty');
+  if (trimmed[0] === '{' || trimmed[0] === '[') {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      throw new NormsError('Dataset is not valid JSON');
+    }
+    return jsonRows(data);
+  }
+  return csvRows(trimmed);
+};
+
+// Sorted sample, or evenly spaced quantiles of it when it is larger than the resolution
+const sampleOf = (values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  if (sorted.length <= NORM_RESOLUTION) return sorted.map(value => round(value));
+  return Array.from({ length: NORM_RESOLUTION }, (_, i) => {
+    const position = (i / (NORM_RESOLUTION - 1)) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(sorted.length - 1, lower + 1);
+    return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+  });
+};
+
+const describeSample = (values) => {
+  const count = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / count;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+  return { count, mean: round(mean), sd: round(Math.sqrt(variance)), values: sampleOf(values) };
+};
+
+/**
+ * Builds a cohort from dataset rows. Sessions appearing more than once
+ * (the same sessionId and timestamp) count once. Returns
+ * { version, id, name, sources, createdAt, sessions, distributions },
+ * where each distribution is { count, mean, sd, values }.
+ */
+export const buildCohort = (rows, { id = null, name = 'Cohort', sources = [], createdAt = Date.now() } = {}) => {
+  const seen = new Set();
+  const sessions = rows.filter(row => {
+    if (row.sessionId == null || row.sessionId === 'N/A' || row.timestamp == null) return true;
+    const key = `${row.sessionId}|${row.timestamp}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (!sessions.length) throw new NormsError('Dataset has no sessions');
+
+  const columns = Array.from(new Set(sessions.flatMap(Object.keys)))
+    .filter(column => NORM_PREFIXES.some(prefix => column.startsWith(prefix)));
+  const distributions = {};
+  columns.forEach(column => {
+    const values = sessions.map(row => row[column]).filter(Number.isFinite);
+    if (values.length) distributions[column] = describeSample(values);
+  });
+
+  const created = new Date(createdAt).toISOString();
+  return {
+    version: NORMS_VERSION,
+    id: id ?? `cohort-${createdAt.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    sources,
+    createdAt: created,
+    sessions: sessions.length,
+    distributions
+  };
+};
+
+/** A stored cohort back as an object, or null when it is unusable */
+export const parseCohort = (value) => {
+  if (!isObject(value) || value.version !== NORMS_VERSION) return null;
+  if (typeof value.id !== 'string' || typeof value.name !== 'string' || !Number.isInteger(value.sessions)) return null;
+  if (!isObject(value.distributions)) return null;
+  const valid = Object.values(value.distributions).every(distribution => (
+    Number.isInteger(distribution?.count) && Array.isArray(distribution.values) && distribution.values.every(Number.isFinite)
+  ));
+  return valid ? value : null;
+};
+
+/**
+ * The stored norms (text or parsed) as { cohorts, selected }: cohorts
+ * oldest first with unusable ones dropped, and the id of the one results
+ * are read against, or null.
+ */
+export const parseNorms = (value) => {
+  try {
+    const stored = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!isObject(stored) || stored.version !== NORMS_VERSION || !Array.isArray(stored.cohorts)) {
+      return { cohorts: [], selected: null };
+    }
+    const cohorts = stored.cohorts.map(parseCohort).filter(Boolean);
+    const selected = cohorts.some(cohort => cohort.id === stored.selected) ? stored.selected : null;
+    return { cohorts, selected };
+  } catch (e) {
+    return { cohorts: [], selected: null };
+  }
+};
+
+export const serializeNorms = ({ cohorts = [], selected = null } = {}) => JSON.stringify({ version: NORMS_VERSION, selected, cohorts });
+
+/**
+ * Percentile rank (0-100) of a value in a distribution: the share of the
+ * cohort below it, counting ties as half. Null when the value is missing
+ * or the cohort measured the feature in too few sessions.
+ */
+export const percentileRank = (distribution, value) => {
+  if (!Number.isFinite(value) || !(distribution?.count >= MIN_NORM_SAMPLES)) return null;
+  const { values } = distribution;
+  let below = 0;
+  let equal = 0;
+  values.forEach(sample => {
+    if (sample < value) below++;
+    else if (sample === value) equal++;
+  });
+  return Math.round(((below + equal / 2) / values.length) * 100);
+};
+
+/** Percentile ranks of a result's four scores in a cohort, keyed like the scores */
+export const scorePercentiles = (cohort, scores) => Object.fromEntries(SCORE_KEYS.map(key => [
+  key,
+  cohort ? percentileRank(cohort.distributions[`score_${key}`], scores?.[key]) : null
+]));
+
+/** A result read against a cohort, as exported: { cohort, sessions, createdAt, percentiles }, or null */
+export const cohortReading = (cohort, scores) => (cohort ? {
+  cohort: cohort.name,
+  sessions: cohort.sessions,
+  createdAt: cohort.createdAt,
+  percentiles: scorePercentiles(cohort, scores)
+} : null);
+
+/** "1st", "22nd", "80th" */
+export const ordinal = (n) => {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] ?? 'th');
+  return `${n}${suffix}`;
+};
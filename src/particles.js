@@ -0,0 +1,347 @@
+/**
+ * Adaptive Mirror - Ambient Particles
+ * The drifting particles behind every screen. ParticleField and
+ * AmbientRenderer only need a 2D context, so they draw on the page's
+ * canvas or, handed over as an OffscreenCanvas, in a worker
+ * (ambient-worker.js). AmbientCanvas is the page's handle and picks one:
+ * the worker where the canvas can be transferred, so drawing never
+ * competes with the events being measured, and the page otherwise.
+ */
+
+import { blendColor } from './adaptation.js';
+
+// One particle per this many square CSS pixels, within the bounds below
+const PARTICLE_AREA = 50000;
+const MIN_PARTICLES = 5;
+const MAX_PARTICLES = 25;
+// Particles bounce this far (px) inside the edges
+const EDGE_PADDING = 10;
+
+// What the page may ask of a renderer in a worker
+export const AMBIENT_METHODS = ['attach', 'resize', 'populate', 'clear', 'boost', 'setLook', 'start', 'stop'];
+
+/** A module worker running ambient-worker.js, or null where workers are unavailable */
+export const createAmbientWorker = () => {
+  if (typeof Worker !== 'function') return null;
+  try {
+    return new Worker(new URL('./ambient-worker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    console.warn('Ambient worker unavailable; drawing in the page:', e);
+    return null;
+  }
+};
+
+/**
+ * Particle positions and motion in a width × height area of CSS pixels.
+ * `weights` (archetype → 0-1) shape the motion: impulsive speeds up,
+ * analytical slows down, restless wanders.
+ */
+export class ParticleField {
+  constructor({ random = Math.random } = {}) {
+    this.random = random;
+    this.width = 0;
+    this.height = 0;
+    this.particles = [];
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  populate() {
+    const count = Math.min(MAX_PARTICLES, Math.max(MIN_PARTICLES, Math.floor(this.width * this.height / PARTICLE_AREA)));
+    this.particles = Array.from({ length: count }, () => ({
+      x: this.random() * this.width,
+      y: this.random() * this.height,
+      vx: (this.random() - 0.5) * 0.3,
+      vy: (this.random() - 0.5) * 0.3,
+      radius: this.random() * 2 + 0.5,
+      opacity: this.random() * 0.1 + 0.02
+    }));
+  }
+
+  clear() {
+    this.particles = [];
+  }
+
+  // Speeds every particle up by `factor`, capped at 2px per frame so none runs away
+  boost(factor) {
+    this.particles.forEach(p => {
+      p.vx = Math.max(-2, Math.min(2, p.vx * factor));
+      p.vy = Math.max(-2, Math.min(2, p.vy * factor));
+    });
+  }
+
+  /** Moves every particle one frame; `time` is in seconds */
+  step(time, weights = {}) {
+    const impulsive = weights.Impulsive || 0;
+    const restless = weights.Restless || 0;
+    const analytical = weights.Analytical || 0;
+    const speed = 1 + 0.5 * impulsive + 0.2 * restless - 0.5 * analytical;
+
+    this.particles.forEach((p, index) => {
+      p.x += p.vx * speed;
+      p.y += p.vy * speed;
+
+      if (restless > 0) {
+        p.vx += Math.sin(time + index) * 0.01 * restless;
+        p.vy += Math.cos(time * 1.5 + index) * 0.01 * restless;
+        // Dampen to prevent acceleration
+        p.vx *= 1 - 0.01 * restless;
+        p.vy *= 1 - 0.01 * restless;
+      }
+
+      if (p.x < EDGE_PADDING) { p.x = EDGE_PADDING; p.vx *= -1; }
+      else if (p.x > this.width - EDGE_PADDING) { p.x = this.width - EDGE_PADDING; p.vx *= -1; }
+
+      if (p.y < EDGE_PADDING) { p.y = EDGE_PADDING; p.vy *= -1; }
+      else if (p.y > this.height - EDGE_PADDING) { p.y = this.height - EDGE_PADDING; p.vy *= -1; }
+    });
+  }
+
+  /**
+   * Clears the area and draws the particles in the weights' blended color,
+   * joined by faint lines unless the personality is Observer
+   */
+  draw(ctx, { weights = {}, personality = null } = {}) {
+    ctx.clearRect(0, 0, this.width, this.height);
+    const color = blendColor(weights);
+    this.particles.forEach(p => {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(${color}, ${p.opacity})`;
+      ctx.fill();
+    });
+    if (personality !== 'Observer') this.drawConnections(ctx, personality);
+  }
+
+  drawConnections(ctx, personality) {
+    const maxDistance = personality === 'Impulsive' ? 100 : 120;
+    const maxConnections = 3;
+    const maxDistSq = maxDistance * maxDistance;
+
+    this.particles.forEach((p1, i) => {
+      let connections = 0;
+      for (let j = i + 1; j < this.particles.length && connections < maxConnections; j++) {
+        const p2 = this.particles[j];
+        const dx = p1.x - p2.x;
+        const dy = p1.y - p2.y;
+        const distSq = dx * dx + dy * dy;
+
+        if (distSq < maxDistSq) {
+          const alpha = (1 - Math.sqrt(distSq) / maxDistance) * 0.15;
+          ctx.strokeStyle = personality === 'Restless'
+            ? `rgba(0, 255, 136, ${alpha})`
+            : `rgba(255, 255, 255, ${alpha})`;
+          ctx.lineWidth = 0.5;
+          ctx.beginPath();
+          ctx.moveTo(p1.x, p1.y);
+          ctx.lineTo(p2.x, p2.y);
+          ctx.stroke();
+          connections++;
+        }
+      }
+    });
+  }
+}
+
+const defaultRequestFrame = (callback) => (typeof requestAnimationFrame === 'function'
+  ? requestAnimationFrame(callback)
+  : setTimeout(() => callback(performance.now()), 16));
+
+const defaultCancelFrame = (id) => (typeof cancelAnimationFrame === 'function'
+  ? cancelAnimationFrame(id)
+  : clearTimeout(id));
+
+/**
+ * Draws a ParticleField on a canvas (an element or an OffscreenCanvas)
+ * once per animation frame while started. The look ({ weights,
+ * personality }) is pushed in whenever it changes.
+ */
+export class AmbientRenderer {
+  constructor({ requestFrame = defaultRequestFrame, cancelFrame = defaultCancelFrame, field = new ParticleField() } = {}) {
+    this.requestFrame = requestFrame;
+    this.cancelFrame = cancelFrame;
+    this.field = field;
+    this.canvas = null;
+    this.ctx = null;
+    this.look = { weights: {}, personality: null };
+    this.frame = null;
+    this.render = this.render.bind(this);
+  }
+
+  /** False when the canvas has no 2D context */
+  attach(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas?.getContext('2d', { alpha: true }) ?? null;
+    return Boolean(this.ctx);
+  }
+
+  // `width` and `height` in CSS pixels; the backing store is scaled by `dpr`
+  resize(width, height, dpr = 1) {
+    this.field.resize(width, height);
+    if (!this.ctx) return;
+    this.canvas.width = Math.floor(width * dpr);
+    this.canvas.height = Math.floor(height * dpr);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  populate() {
+    this.field.populate();
+  }
+
+  clear() {
+    this.field.clear();
+    this.ctx?.clearRect(0, 0, this.field.width, this.field.height);
+  }
+
+  boost(factor) {
+    this.field.boost(factor);
+  }
+
+  setLook(look) {
+    this.look = { weights: look?.weights ?? {}, personality: look?.personality ?? null };
+  }
+
+  start() {
+    if (!this.ctx || this.frame !== null) return;
+    this.frame = this.requestFrame(this.render);
+  }
+
+  stop() {
+    if (this.frame === null) return;
+    this.cancelFrame(this.frame);
+    this.frame = null;
+  }
+
+  render(time) {
+    try {
+      this.field.step(time * 0.001, this.look.weights);
+      this.field.draw(this.ctx, this.look);
+    } catch (e) {
+      console.error('Render error', e);
+      this.frame = null;
+      return;
+    }
+    this.frame = this.requestFrame(this.render);
+  }
+}
+
+/**
+ * The page's handle on the ambient canvas. With a `worker`, the canvas is
+ * transferred once the worker reports it is ready; a worker that fails
+ * before then leaves drawing to the page. Calls made in the meantime are
+ * replayed on whichever renderer takes the canvas.
+ */
+export class AmbientCanvas {
+  constructor(canvas, { worker = null, renderer = new AmbientRenderer() } = {}) {
+    this.canvas = canvas;
+    this.renderer = renderer;
+    // 'pending' until the worker is ready, then 'worker' or 'page'; 'off' after a worker holding the canvas failed
+    this.mode = 'pending';
+    this.pending = [];
+    this.worker = null;
+    if (worker && typeof canvas?.transferControlToOffscreen === 'function') {
+      this.worker = worker;
+      worker.onmessage = (e) => {
+        if (e.data?.type === 'ready') this.handOver();
+      };
+      worker.onerror = (e) => {
+        e?.preventDefault?.();
+        this.fallBack(new Error(e?.message || 'Ambient worker failed'));
+      };
+    } else {
+      worker?.terminate();
+      this.usePage();
+    }
+  }
+
+  get offscreen() {
+    return this.mode === 'worker';
+  }
+
+  call(method, ...args) {
+    if (this.mode === 'worker') this.worker.postMessage({ method, args });
+    else if (this.mode === 'page') this.renderer[method](...args);
+    else if (this.mode === 'pending') this.pending.push([method, args]);
+  }
+
+  // The element's CSS size is set here; the backing store where it is drawn
+  resize(width, height, dpr = 1) {
+    if (this.canvas?.style) {
+      this.canvas.style.width = `${width}px`;
+      this.canvas.style.height = `${height}px`;
+    }
+    this.call('resize', width, height, dpr);
+  }
+
+  populate() {
+    this.call('populate');
+  }
+
+  clear() {
+    this.call('clear');
+  }
+
+  boost(factor) {
+    this.call('boost', factor);
+  }
+
+  setLook(look) {
+    // Copied, so it survives postMessage and later edits alike
+    this.call('setLook', { weights: { ...look?.weights }, personality: look?.personality ?? null });
+  }
+
+  start() {
+    this.call('start');
+  }
+
+  stop() {
+    this.call('stop');
+  }
+
+  handOver() {
+    if (this.mode !== 'pending') return;
+    try {
+      const offscreen = this.canvas.transferControlToOffscreen();
+      this.worker.postMessage({ method: 'attach', args: [offscreen] }, [offscreen]);
+    } catch (e) {
+      this.fallBack(e);
+      return;
+    }
+    this.mode = 'worker';
+    this.replay();
+  }
+
+  usePage() {
+    this.renderer.attach(this.canvas);
+    this.mode = 'page';
+    this.replay();
+  }
+
+  fallBack(error) {
+    console.warn('Ambient worker failed; drawing in the page:', error);
+    this.worker?.terminate();
+    this.worker = null;
+    // A transferred canvas cannot be drawn on from the page again
+    if (this.mode === 'worker') {
+      this.mode = 'off';
+      return;
+    }
+    this.usePage();
+  }
+
+  replay() {
+    const calls = this.pending;
+    this.pending = [];
+    calls.forEach(([method, args]) => this.call(method, ...args));
+  }
+
+  destroy() {
+    this.stop();
+    this.worker?.terminate();
+    this.worker = null;
+    this.mode = 'off';
+  }
+}
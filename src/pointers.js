@@ -0,0 +1,138 @@
+/**
+ * Adaptive Mirror - Pointer Devices
+ * Per-device view of Pointer Events input: how much each of mouse, touch
+ * and pen was used and how fast, how many contacts were made, pen and
+ * touch pressure and tilt, and the gestures recognized along the way.
+ */
+
+import { GestureRecognizer, GESTURE_FEATURES } from './gestures.js';
+
+export const POINTER_DEVICES = ['mouse', 'touch', 'pen'];
+
+const capitalize = (word) => word[0].toUpperCase() + word.slice(1);
+
+export const POINTER_FEATURES = [
+  'pointerDevice',
+  'pointerContacts',
+  'pointerMaxContacts',
+  ...POINTER_DEVICES.flatMap(device => ['Samples', 'Distance', 'Velocity'].map(stat => `pointer${capitalize(device)}${stat}`)),
+  'pointerPressureMean',
+  'pointerPressureMax',
+  'pointerTiltMean',
+  ...GESTURE_FEATURES
+];
+
+const mean = (sum, count) => (count > 0 ? sum / count : null);
+
+const deviceOf = (event) => (POINTER_DEVICES.includes(event.device) ? event.device : 'mouse');
+
+export class PointerDevices {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.devices = Object.fromEntries(POINTER_DEVICES.map(device => [
+      device,
+      { samples: 0, distance: 0, velocitySum: 0, velocityCount: 0 }
+    ]));
+    this.positions = new Map(); // pointer id → last sample
+    this.pressed = new Set(); // touch and pen contacts currently down
+    this.contacts = 0;
+    this.maxContacts = 0;
+    this.pressure = { count: 0, sum: 0, max: 0 };
+    this.tilt = { count: 0, sum: 0 };
+    this.gestures = new GestureRecognizer();
+    return this;
+  }
+
+  // Mice report a fixed pressure while a button is held, so only touch and
+  // pen samples are read; pressure 0 means the device cannot measure it
+  sampleForce(event) {
+    if (deviceOf(event) === 'mouse') return;
+    if (Number.isFinite(event.pressure) && event.pressure > 0) {
+      this.pressure.count++;
+      this.pressure.sum += event.pressure;
+      this.pressure.max = Math.max(this.pressure.max, event.pressure);
+    }
+    if (Number.isFinite(event.tiltX) && Number.isFinite(event.tiltY)) {
+      this.tilt.count++;
+      this.tilt.sum += Math.min(90, Math.hypot(event.tiltX, event.tiltY));
+    }
+  }
+
+  down(t, event) {
+    const device = deviceOf(event);
+    this.contacts++;
+    this.positions.set(event.id, { t, x: event.x, y: event.y });
+    if (device !== 'mouse') {
+      this.pressed.add(event.id);
+      this.maxContacts = Math.max(this.maxContacts, this.pressed.size);
+      this.gestures.down(t, event.id, event.x, event.y);
+    }
+    this.sampleForce(event);
+    return this;
+  }
+
+  move(t, event) {
+    const device = deviceOf(event);
+    const stats = this.devices[device];
+    const last = this.positions.get(event.id);
+    stats.samples++;
+    if (last) {
+      const distance = Math.hypot(event.x - last.x, event.y - last.y);
+      const dt = t - last.t;
+      stats.distance += distance;
+      if (distance > 0 && dt > 0) {
+        stats.velocitySum += distance / dt;
+        stats.velocityCount++;
+      }
+    }
+    this.positions.set(event.id, { t, x: event.x, y: event.y });
+    if (this.pressed.has(event.id)) this.gestures.move(t, event.id, event.x, event.y);
+    this.sampleForce(event);
+    return this;
+  }
+
+  up(t, event) {
+    // A mouse keeps hovering after a button is released; fingers and pens leave
+    if (deviceOf(event) === 'mouse') return this;
+    this.positions.delete(event.id);
+    this.pressed.delete(event.id);
+    this.gestures.up(t, event.id, event.cancelled === true);
+    return this;
+  }
+
+  /** The device with the most samples, or null when none were seen */
+  dominantDevice() {
+    let dominant = null;
+    POINTER_DEVICES.forEach(device => {
+      const { samples } = this.devices[device];
+      if (samples > 0 && (!dominant || samples > this.devices[dominant].samples)) dominant = device;
+    });
+    return dominant;
+  }
+
+  summary() {
+    const perDevice = Object.fromEntries(POINTER_DEVICES.flatMap(device => {
+      const stats = this.devices[device];
+      const name = `pointer${capitalize(device)}`;
+      return [
+        [`${name}Samples`, stats.samples],
+        [`${name}Distance`, stats.distance],
+        [`${name}Velocity`, mean(stats.velocitySum, stats.velocityCount)]
+      ];
+    }));
+
+    return {
+      pointerDevice: this.dominantDevice(),
+      pointerContacts: this.contacts,
+      pointerMaxContacts: this.maxContacts,
+      ...perDevice,
+      pointerPressureMean: mean(this.pressure.sum, this.pressure.count),
+      pointerPressureMax: this.pressure.count ? this.pressure.max : null,
+      pointerTiltMean: mean(this.tilt.sum, this.tilt.count),
+      ...this.gestures.summary()
+    };
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Adaptive Mirror - Session Profiles
+ * Observation window lengths, selectable on the intro screen or via
+ * URL parameters (?profile=extended, ?duration=45)
+ */
+
+export const SESSION_PROFILES = {
+  quick: { label: 'Quick', duration: 15000 },
+  standard: { label: 'Standard', duration: 30000 },
+  extended: { label: 'Extended', duration: 120000 },
+  // Runs until the participant finishes it
+  open: { label: 'Open-ended', duration: null }
+};
+
+export const DEFAULT_PROFILE = 'standard';
+
+// Bounds for ?duration= custom windows, in seconds
+export const MIN_CUSTOM_DURATION = 5;
+export const MAX_CUSTOM_DURATION = 600;
+
+/**
+ * Resolves the profile from a query string (or URLSearchParams).
+ * `duration` wins over `profile`; unknown values fall back to the default.
+ */
+export const resolveProfile = (search = '') => {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+
+  const seconds = Number(params.get('duration'));
+  if (params.has('duration') && isFinite(seconds) && seconds > 0) {
+    const clamped = Math.round(Math.max(MIN_CUSTOM_DURATION, Math.min(MAX_CUSTOM_DURATION, seconds)));
+    return { id: 'custom', label: 'Custom', duration: clamped * 1000 };
+  }
+
+  const id = params.get('profile');
+  if (id && Object.prototype.hasOwnProperty.call(SESSION_PROFILES, id)) {
+    return { id, ...SESSION_PROFILES[id] };
+  }
+
+  return { id: DEFAULT_PROFILE, ...SESSION_PROFILES[DEFAULT_PROFILE] };
+};
+
+/** "15 seconds", "2 minutes", "as long as you like" */
+export const describeDuration = (duration) => {
+  if (!duration) return 'as long as you like';
+  const seconds = Math.round(duration / 1000);
+  if (seconds % 60 === 0 && seconds >= 60) {
+    const minutes = seconds / 60;
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  return `${seconds} second${seconds === 1 ? '' : 's'}`;
+};
+
+/** "30s", "2m", "1m 25s" */
+export const shortDuration = (duration) => {
+  const seconds = Math.round((duration || 0) / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  if (!minutes) return `${rest}s`;
+  return rest ? `${minutes}m ${rest}s` : `${minutes}m`;
+};
+
+/** mm:ss split used by the timer display */
+export const formatClock = (totalSeconds) => {
+  const safe = Math.max(0, Math.floor(totalSeconds));
+  return {
+    minutes: Math.floor(safe / 60).toString().padStart(2, '0'),
+    seconds: (safe % 60).toString().padStart(2, '0')
+  };
+};
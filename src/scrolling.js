@@ -0,0 +1,239 @@
+/**
+ * Adaptive Mirror - Scroll Behavior
+ * What a scroll count misses: how deep into the content the participant
+ * went and when, where they turned back, where they stopped to read, and
+ * whether they flicked through or moved the content deliberately. Each
+ * scrollable area (the page, the reading panel, a task list) reports its
+ * position with its extent, so depth is a share of what there was to
+ * scroll. Wheel deltas are normalized to pixels first; line- and page-mode
+ * wheels report in units of their own.
+ */
+
+// WheelEvent.deltaMode values
+export const DELTA_PIXEL = 0;
+export const DELTA_LINE = 1;
+export const DELTA_PAGE = 2;
+
+// Pixels per wheel line where the page cannot tell
+export const LINE_HEIGHT = 16;
+// Stillness (ms) that ends one scroll gesture
+export const GESTURE_GAP = 200;
+// Scroll speed is read as the distance covered in windows of this many ms
+export const VELOCITY_WINDOW = 100;
+// Gestures peaking faster than this (px/ms) are flings, slower ones deliberate
+export const FLING_VELOCITY = 2;
+// Stillness (ms) between two gestures that counts as a reading pause
+export const READING_PAUSE = 500;
+// Depth is binned into this many bands for the dwell
+export const DEPTH_BANDS = 10;
+// The depth trace keeps the latest point in every interval of this many ms,
+// and at most MAX_TRACE points; a longer session doubles the interval
+const TRACE_INTERVAL = 250;
+const MAX_TRACE = 240;
+
+export const SCROLL_FEATURES = [
+  'scrollDistance',
+  'scrollHorizontalShare',
+  'scrollReversals',
+  'scrollGestures',
+  'scrollFlings',
+  'scrollFlingRate',
+  'scrollPeakVelocity',
+  'scrollDeliberateVelocity',
+  'scrollMaxDepth',
+  'scrollPauses',
+  'scrollPauseMean',
+  'scrollDwellDepth',
+  'scrollWheelDistance'
+];
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const finite = (value) => (Number.isFinite(value) ? value : 0);
+
+/**
+ * A wheel event's deltas in pixels. Line-mode deltas are scaled by
+ * `lineHeight`, page-mode ones by the page (viewport) size.
+ */
+export const normalizeWheel = ({ deltaX = 0, deltaY = 0, deltaMode = DELTA_PIXEL } = {}, {
+  lineHeight = LINE_HEIGHT,
+  pageWidth = 800,
+  pageHeight = 600
+} = {}) => {
+  const [scaleX, scaleY] = deltaMode === DELTA_LINE
+    ? [lineHeight, lineHeight]
+    : deltaMode === DELTA_PAGE ? [pageWidth, pageHeight] : [1, 1];
+  return { deltaX: finite(deltaX) * scaleX, deltaY: finite(deltaY) * scaleY };
+};
+
+// 0-1 through an area's vertical extent, or null where it cannot scroll
+const depthOf = (area) => (area.maxY > 0 ? Math.min(1, Math.max(0, area.y / area.maxY)) : null);
+
+const bandOf = (depth) => Math.min(DEPTH_BANDS - 1, Math.floor(depth * DEPTH_BANDS));
+
+export class ScrollAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.areas = new Map(); // area name → { x, y, maxX, maxY, directionX, directionY }
+    this.distance = { x: 0, y: 0 };
+    this.reversals = 0;
+    this.maxDepth = null;
+    this.wheelDistance = 0;
+    this.gestures = []; // finished gestures: { start, end, distance, peak }
+    this.gesture = null;
+    this.lastStop = null; // when the last gesture ended, for the pause before the next
+    this.pauses = [];
+    this.dwell = new Array(DEPTH_BANDS).fill(0);
+    this.current = null; // the area last scrolled, whose depth the dwell is counted at
+    this.lastTime = null;
+    this.origin = null;
+    this.points = [];
+    this.traceInterval = TRACE_INTERVAL;
+    return this;
+  }
+
+  /** A scroll position { area, x, y, maxX, maxY }; areas start at the top left */
+  position(t, { area: name = 'page', x = 0, y = 0, maxX, maxY } = {}) {
+    let area = this.areas.get(name);
+    if (!area) {
+      area = { x: 0, y: 0, maxX: 0, maxY: 0, directionX: 0, directionY: 0 };
+      this.areas.set(name, area);
+    }
+    if (Number.isFinite(maxX)) area.maxX = maxX;
+    if (Number.isFinite(maxY)) area.maxY = maxY;
+    this.settle(t);
+    this.current = area;
+    this.lastTime = t;
+    if (this.origin === null) this.origin = t;
+
+    const dx = finite(x) - area.x;
+    const dy = finite(y) - area.y;
+    area.x = finite(x);
+    area.y = finite(y);
+    const depth = depthOf(area);
+    if (depth !== null) {
+      this.maxDepth = Math.max(this.maxDepth ?? 0, depth);
+      this.trace(t, name, depth);
+    }
+    if (!dx && !dy) return this;
+
+    this.distance.x += Math.abs(dx);
+    this.distance.y += Math.abs(dy);
+    this.turn(area, 'directionX', dx);
+    this.turn(area, 'directionY', dy);
+    this.move(t, Math.hypot(dx, dy));
+    return this;
+  }
+
+  /** A wheel turn, deltas in pixels (see normalizeWheel) */
+  wheel(t, { deltaX = 0, deltaY = 0 } = {}) {
+    this.wheelDistance += Math.abs(finite(deltaX)) + Math.abs(finite(deltaY));
+    return this;
+  }
+
+  // While the page is hidden nothing is read, so neither dwell nor pauses run on
+  hide(t) {
+    this.settle(t);
+    this.lastTime = null;
+    this.endGesture();
+    this.lastStop = null;
+    return this;
+  }
+
+  show(t) {
+    if (this.current) this.lastTime = t;
+    return this;
+  }
+
+  turn(area, key, delta) {
+    const direction = Math.sign(delta);
+    if (!direction) return;
+    if (area[key] && direction !== area[key]) this.reversals++;
+    area[key] = direction;
+  }
+
+  move(t, step) {
+    if (this.gesture && t - this.gesture.end > GESTURE_GAP) this.endGesture();
+    if (!this.gesture) {
+      if (this.lastStop !== null && t - this.lastStop >= READING_PAUSE) this.pauses.push(t - this.lastStop);
+      this.gesture = { start: t, end: t, distance: 0, peak: 0, window: { start: t, sum: 0 } };
+    }
+    const gesture = this.gesture;
+    if (t - gesture.window.start >= VELOCITY_WINDOW) gesture.window = { start: t, sum: 0 };
+    gesture.window.sum += step;
+    gesture.peak = Math.max(gesture.peak, gesture.window.sum / VELOCITY_WINDOW);
+    gesture.distance += step;
+    gesture.end = t;
+  }
+
+  endGesture() {
+    if (!this.gesture) return;
+    const { start, end, distance, peak } = this.gesture;
+    this.gestures.push({ start, end, distance, peak });
+    this.lastStop = end;
+    this.gesture = null;
+  }
+
+  // Time since the last position counts as dwell at the depth of the area then scrolled
+  settle(t) {
+    const depth = this.current ? depthOf(this.current) : null;
+    if (depth === null || this.lastTime === null || t <= this.lastTime) return;
+    this.dwell[bandOf(depth)] += t - this.lastTime;
+  }
+
+  trace(t, area, depth) {
+    const point = { t: t - this.origin, area, depth: Math.round(depth * 1000) / 1000 };
+    const last = this.points[this.points.length - 1];
+    if (last && this.sameInterval(last, point)) this.points[this.points.length - 1] = point;
+    else this.points.push(point);
+    if (this.points.length > MAX_TRACE) {
+      this.traceInterval *= 2;
+      this.points = this.points.filter((kept, index, points) => index === points.length - 1 || !this.sameInterval(kept, points[index + 1]));
+    }
+  }
+
+  sameInterval(a, b) {
+    return a.area === b.area && Math.floor(a.t / this.traceInterval) === Math.floor(b.t / this.traceInterval);
+  }
+
+  /**
+   * Scroll position over time: `points` ({ t in ms from the first scroll,
+   * area, depth 0-1 }) and `dwell`, the ms spent at each depth band. `until`
+   * (ms) closes the dwell at the depth last scrolled to.
+   */
+  path(until = null) {
+    const dwell = [...this.dwell];
+    const depth = this.current ? depthOf(this.current) : null;
+    if (depth !== null && this.lastTime !== null && until > this.lastTime) dwell[bandOf(depth)] += until - this.lastTime;
+    return { points: this.points.map(point => ({ ...point })), dwell };
+  }
+
+  /** The SCROLL_FEATURES; `until` as for path() */
+  summary(until = null) {
+    const gestures = this.gesture ? [...this.gestures, this.gesture] : this.gestures;
+    const flings = gestures.filter(gesture => gesture.peak >= FLING_VELOCITY);
+    const deliberate = gestures.filter(gesture => gesture.peak < FLING_VELOCITY);
+    const distance = this.distance.x + this.distance.y;
+    const { dwell } = this.path(until);
+    const longest = dwell.reduce((best, ms, band) => (ms > dwell[best] ? band : best), 0);
+    return {
+      scrollDistance: distance,
+      scrollHorizontalShare: distance ? this.distance.x / distance : null,
+      scrollReversals: this.reversals,
+      scrollGestures: gestures.length,
+      scrollFlings: flings.length,
+      scrollFlingRate: gestures.length ? flings.length / gestures.length : null,
+      scrollPeakVelocity: gestures.length ? Math.max(...gestures.map(gesture => gesture.peak)) : null,
+      scrollDeliberateVelocity: mean(deliberate.map(gesture => gesture.distance / Math.max(VELOCITY_WINDOW, gesture.end - gesture.start))),
+      scrollMaxDepth: this.maxDepth,
+      scrollPauses: this.pauses.length,
+      scrollPauseMean: mean(this.pauses),
+      // Midpoint of the band held longest
+      scrollDwellDepth: dwell[longest] > 0 ? (longest + 0.5) / DEPTH_BANDS : null,
+      scrollWheelDistance: this.wheelDistance
+    };
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Adaptive Mirror - Task Battery
+ * Short guided tasks run inside the observation window so every participant
+ * meets the same stimuli: Fitts-style target clicking, transcribing a given
+ * sentence, scrolling a list to find a marker, and waiting without acting.
+ * Batteries are selectable on the intro screen or via URL parameters
+ * (?battery=standard, ?tasks=targets,wait); TaskAnalyzer turns the task
+ * events in the log into features for scoring.
+ */
+
+export const TASK_KINDS = ['targets', 'transcribe', 'find', 'wait'];
+
+// Default stimuli per task kind. Target positions are fractions of the task
+// area, drawn from a fixed seed so every participant sees the same layout.
+export const TASK_DEFAULTS = {
+  targets: { trials: 6, size: 44, seed: 7 },
+  transcribe: { text: 'Calm waters run deep.' },
+  find: { rows: 40, marker: 31 },
+  wait: { duration: 4000 }
+};
+
+export const TASK_BATTERIES = {
+  standard: {
+    label: 'Guided',
+    tasks: TASK_KINDS.map(kind => ({ kind }))
+  }
+};
+
+// Movement further than this (px) from where the pointer rested breaks a wait
+export const WAIT_SLOP = 10;
+// Stillness (ms) that separates one movement during a wait from the next
+const WAIT_MOVE_GAP = 300;
+
+export const TASK_FEATURES = [
+  'taskCount',
+  'taskCompleted',
+  'taskFittsTrials',
+  'taskFittsMovementTime',
+  'taskFittsThroughput',
+  'taskFittsErrorRate',
+  'taskTranscribeAccuracy',
+  'taskTranscribeWpm',
+  'taskTranscribeCorrections',
+  'taskFindTime',
+  'taskFindScrollReversals',
+  'taskWaitLatency',
+  'taskWaitActions'
+];
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Small seeded PRNG (mulberry32); stimuli must not depend on Math.random
+const seeded = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Target centres as fractions (0.1-0.9) of the task area. Consecutive
+ * targets are kept apart so every trial is a real movement.
+ */
+export const targetLayout = (trials, seed) => {
+  const random = seeded(seed);
+  const points = [];
+  while (points.length < trials) {
+    const point = { x: 0.1 + random() * 0.8, y: 0.1 + random() * 0.8 };
+    const last = points[points.length - 1];
+    if (!last || Math.hypot(point.x - last.x, point.y - last.y) >= 0.3) points.push(point);
+  }
+  return points.map(({ x, y }) => ({ x: Math.round(x * 1000) / 1000, y: Math.round(y * 1000) / 1000 }));
+};
+
+const taskFromConfig = (task) => {
+  const kind = typeof task === 'string' ? task : task?.kind;
+  if (!TASK_KINDS.includes(kind)) throw new TypeError(`Unknown task "${kind}"`);
+  return { ...TASK_DEFAULTS[kind], ...(typeof task === 'object' ? task : {}), kind };
+};
+
+/** A battery's tasks with their defaults filled in */
+export const createBattery = (id, tasks) => ({ id, tasks: tasks.map(taskFromConfig) });
+
+/**
+ * Resolves the battery from a query string (or URLSearchParams): `tasks`
+ * (a comma-separated subset, in order) wins over `battery`. Returns null
+ * for free observation.
+ */
+export const resolveBattery = (search = '') => {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+
+  const kinds = (params.get('tasks') || '').split(',').map(kind => kind.trim()).filter(kind => TASK_KINDS.includes(kind));
+  if (kinds.length) return createBattery('custom', kinds);
+
+  const id = params.get('battery');
+  if (id && Object.prototype.hasOwnProperty.call(TASK_BATTERIES, id)) {
+    return createBattery(id, TASK_BATTERIES[id].tasks);
+  }
+  return null;
+};
+
+/**
+ * Share of the expected sentence typed correctly: 1 minus the edit
+ * distance over the longer of the two lengths. Only this score is logged,
+ * never the text.
+ */
+export const transcriptionAccuracy = (typed, expected) => {
+  const a = String(typed ?? '');
+  const b = String(expected ?? '');
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return Math.round((1 - previous[b.length] / longest) * 1000) / 1000;
+};
+
+export class TaskAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.current = null;
+    this.pointer = null; // last pointer position, for Fitts distances
+    this.started = 0;
+    this.completed = 0;
+    this.fitts = { trials: [], misses: 0 };
+    this.transcribe = { accuracy: [], wpm: [], corrections: 0 };
+    this.find = { times: [], reversals: [] };
+    this.wait = { latencies: [], actions: [] };
+    return this;
+  }
+
+  start(t, event) {
+    this.started++;
+    this.current = { kind: event.kind, start: t, target: null, keys: [], scroll: null, direction: 0, reversals: 0, actions: 0, firstAction: null, anchor: this.pointer, lastMove: -Infinity };
+    return this;
+  }
+
+  /** A new target is on screen: { x, y, size } in viewport px */
+  target(t, event) {
+    if (this.current?.kind !== 'targets') return this;
+    this.current.target = { t, x: event.x, y: event.y, size: event.size, from: this.pointer };
+    return this;
+  }
+
+  move(t, x, y) {
+    this.pointer = { x, y };
+    const task = this.current;
+    if (task?.kind !== 'wait') return this;
+    if (!task.anchor) {
+      task.anchor = { x, y };
+      return this;
+    }
+    if (Math.hypot(x - task.anchor.x, y - task.anchor.y) > WAIT_SLOP) {
+      if (t - task.lastMove > WAIT_MOVE_GAP) this.act(t);
+      task.lastMove = t;
+      task.anchor = { x, y };
+    }
+    return this;
+  }
+
+  /** Any click, key, scroll or movement; only counts against a wait */
+  act(t) {
+    const task = this.current;
+    if (task?.kind !== 'wait') return;
+    task.actions++;
+    if (task.firstAction === null) task.firstAction = t;
+  }
+
+  /** `hit` marks a click that landed on the current target */
+  click(t, event) {
+    const task = this.current;
+    this.act(t);
+    if (task?.kind !== 'targets' || !task.target) return this;
+    if (!event.hit) {
+      this.fitts.misses++;
+      return this;
+    }
+    const { target } = task;
+    const movementTime = t - target.t;
+    const distance = target.from ? Math.hypot(target.x - target.from.x, target.y - target.from.y) : null;
+    // Shannon formulation: ID = log2(D / W + 1) bits
+    const difficulty = distance !== null && target.size > 0 ? Math.log2(distance / target.size + 1) : null;
+    this.fitts.trials.push({
+      movementTime,
+      throughput: difficulty !== null && movementTime > 0 ? difficulty / (movementTime / 1000) : null
+    });
+    task.target = null;
+    return this;
+  }
+
+  key(t, key) {
+    this.act(t);
+    if (this.current?.kind === 'transcribe' && (key === 'char' || key === 'backspace')) {
+      this.current.keys.push({ t, key });
+    }
+    return this;
+  }
+
+  scroll(t, y) {
+    this.act(t);
+    const task = this.current;
+    if (task?.kind !== 'find' || !Number.isFinite(y)) return this;
+    if (task.scroll !== null && y !== task.scroll) {
+      const direction = Math.sign(y - task.scroll);
+      if (task.direction && direction !== task.direction) task.reversals++;
+      task.direction = direction;
+    }
+    task.scroll = y;
+    return this;
+  }
+
+  /** Closes the open task; `skipped` tasks count as started only */
+  end(t, event = {}) {
+    const task = this.current;
+    if (!task) return this;
+    this.current = null;
+    if (event.skipped) return this;
+    this.completed++;
+
+    switch (task.kind) {
+      case 'transcribe': {
+        if (Number.isFinite(event.accuracy)) this.transcribe.accuracy.push(event.accuracy);
+        const chars = task.keys.filter(k => k.key === 'char');
+        if (chars.length >= 2) {
+          const minutes = (chars[chars.length - 1].t - chars[0].t) / 60000;
+          if (minutes > 0) this.transcribe.wpm.push(chars.length / 5 / minutes);
+        }
+        this.transcribe.corrections += task.keys.length - chars.length;
+        break;
+      }
+      case 'find':
+        if (event.found) {
+          this.find.times.push(t - task.start);
+          this.find.reversals.push(task.reversals);
+        }
+        break;
+      case 'wait':
+        this.wait.actions.push(task.actions);
+        if (task.firstAction !== null) this.wait.latencies.push(task.firstAction - task.start);
+        break;
+      default:
+        break;
+    }
+    return this;
+  }
+
+  summary() {
+    const { trials, misses } = this.fitts;
+    const attempts = trials.length + misses;
+    return {
+      taskCount: this.started,
+      taskCompleted: this.completed,
+      taskFittsTrials: trials.length,
+      taskFittsMovementTime: mean(trials.map(trial => trial.movementTime)),
+      taskFittsThroughput: mean(trials.map(trial => trial.throughput).filter(Number.isFinite)),
+      taskFittsErrorRate: attempts ? misses / attempts : null,
+      taskTranscribeAccuracy: mean(this.transcribe.accuracy),
+      taskTranscribeWpm: mean(this.transcribe.wpm),
+      taskTranscribeCorrections: this.transcribe.accuracy.length || this.transcribe.wpm.length ? this.transcribe.corrections : null,
+      taskFindTime: mean(this.find.times),
+      taskFindScrollReversals: mean(this.find.reversals),
+      // Held still through every wait: no latency to report
+      taskWaitLatency: mean(this.wait.latencies),
+      taskWaitActions: mean(this.wait.actions)
+    };
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Adaptive Mirror - Pointer Trajectory
+ * Splits pointer motion into strokes and measures their shape: how direct
+ * and how curved each path is, its acceleration and jerk, how many
+ * corrective submovements it took, overshoot past a click target and the
+ * pause before clicking.
+ */
+
+// A gap this long between samples ends a stroke
+export const STROKE_GAP = 150;
+// Strokes shorter than this are hand tremor, not movement
+export const MIN_STROKE_LENGTH = 20;
+// Longer still periods before a click are idling, not aiming
+export const CLICK_PAUSE_MAX = 2000;
+// A submovement starts when speed falls below this share of the stroke's
+// peak and then recovers by the same amount
+export const SUBMOVEMENT_DIP = 0.5;
+// Peaks slower than this (px/s) are drift and never count as a submovement
+const MIN_PEAK_SPEED = 50;
+// Distance past the target (px) before a stroke counts as overshooting
+export const OVERSHOOT_MARGIN = 5;
+// Full-resolution strokes keep one point per this many ms (plus the latest),
+// the frame-rate spacing the shape thresholds above were set on
+export const STROKE_SPACING = 16;
+
+export const TRAJECTORY_FEATURES = [
+  'trajectoryStrokes',
+  'trajectoryStrokeLength',
+  'trajectoryEfficiency',
+  'trajectoryCurvature',
+  'trajectoryAccelMean',
+  'trajectoryJerkMean',
+  'trajectorySubmovements',
+  'trajectoryOvershootRate',
+  'trajectoryOvershoot',
+  'trajectoryClickPause'
+];
+
+const mean = (sum, count) => (count > 0 ? sum / count : null);
+
+// Rate of change of a sampled series, stamped at the midpoint of each pair
+const derivative = (samples) => {
+  const out = [];
+  for (let i = 1; i < samples.length; i++) {
+    const dt = (samples[i].t - samples[i - 1].t) / 1000;
+    if (dt > 0) {
+      out.push({ t: (samples[i].t + samples[i - 1].t) / 2, value: (samples[i].value - samples[i - 1].value) / dt });
+    }
+  }
+  return out;
+};
+
+const countSubmovements = (speeds) => {
+  let count = 1;
+  let peak = 0;
+  let trough = null;
+  speeds.forEach(({ value }) => {
+    if (trough === null) {
+      if (value > peak) peak = value;
+      else if (peak >= MIN_PEAK_SPEED && value < peak * SUBMOVEMENT_DIP) trough = value;
+    } else if (value < trough) {
+      trough = value;
+    } else if (value - trough >= peak * SUBMOVEMENT_DIP) {
+      count++;
+      peak = value;
+      trough = null;
+    }
+  });
+  return count;
+};
+
+/**
+ * Shape of one stroke, or null when it is too short to measure. `target` is
+ * the click the stroke ended on, if any.
+ */
+export const measureStroke = (points, target = null) => {
+  if (points.length < 3) return null;
+
+  let length = 0;
+  let turning = 0;
+  let heading = null;
+  const speeds = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const dx = points[i].x - points[i - 1].x;
+    const dy = points[i].y - points[i - 1].y;
+    const dt = points[i].t - points[i - 1].t;
+    const distance = Math.hypot(dx, dy);
+    length += distance;
+    speeds.push({ t: (points[i].t + points[i - 1].t) / 2, value: distance / dt * 1000 });
+
+    if (distance > 0) {
+      const next = Math.atan2(dy, dx);
+      if (heading !== null) {
+        // Smallest signed angle between headings, in (-π, π]
+        const delta = Math.atan2(Math.sin(next - heading), Math.cos(next - heading));
+        turning += Math.abs(delta);
+      }
+      heading = next;
+    }
+  }
+  if (length < MIN_STROKE_LENGTH) return null;
+
+  const start = points[0];
+  const end = points[points.length - 1];
+  const accel = derivative(speeds);
+  const jerk = derivative(accel);
+
+  let overshoot = null;
+  if (target) {
+    // Furthest progress along the start → target line, beyond the target
+    const reach = Math.hypot(target.x - start.x, target.y - start.y);
+    if (reach > 0) {
+      const ux = (target.x - start.x) / reach;
+      const uy = (target.y - start.y) / reach;
+      const furthest = Math.max(...points.map(p => (p.x - start.x) * ux + (p.y - start.y) * uy));
+      overshoot = Math.max(0, furthest - reach);
+    }
+  }
+
+  return {
+    length,
+    efficiency: Math.hypot(end.x - start.x, end.y - start.y) / length,
+    curvature: turning / length * 100,
+    accel: accel.map(s => Math.abs(s.value)),
+    jerk: jerk.map(s => Math.abs(s.value)),
+    submovements: countSubmovements(speeds),
+    overshoot
+  };
+};
+
+const createTotals = () => ({
+  strokes: 0,
+  length: 0,
+  efficiency: 0,
+  curvature: 0,
+  accel: { count: 0, sum: 0 },
+  jerk: { count: 0, sum: 0 },
+  submovements: 0,
+  targeted: 0,
+  overshoots: { count: 0, sum: 0 },
+  clickPause: { count: 0, sum: 0 }
+});
+
+const addStroke = (totals, stroke) => {
+  totals.strokes++;
+  totals.length += stroke.length;
+  totals.efficiency += stroke.efficiency;
+  totals.curvature += stroke.curvature;
+  totals.accel.count += stroke.accel.length;
+  totals.accel.sum += stroke.accel.reduce((a, b) => a + b, 0);
+  totals.jerk.count += stroke.jerk.length;
+  totals.jerk.sum += stroke.jerk.reduce((a, b) => a + b, 0);
+  totals.submovements += stroke.submovements;
+  if (stroke.overshoot !== null) {
+    totals.targeted++;
+    if (stroke.overshoot > OVERSHOOT_MARGIN) {
+      totals.overshoots.count++;
+      totals.overshoots.sum += stroke.overshoot;
+    }
+  }
+};
+
+/**
+ * `spacing` (ms) thins strokes captured faster than the frame rate; 0
+ * keeps every sample, as strokes were measured from throttled input.
+ */
+export class TrajectoryAnalyzer {
+  constructor({ spacing = 0 } = {}) {
+    this.spacing = spacing;
+    this.reset();
+  }
+
+  reset() {
+    this.points = [];
+    this.totals = createTotals();
+    return this;
+  }
+
+  move(t, x, y) {
+    const last = this.points[this.points.length - 1];
+    if (last) {
+      if (t - last.t > STROKE_GAP) this.endStroke();
+      else if (t <= last.t) return this;
+    }
+    // The latest point is provisional until it lies a full spacing past the one kept before it
+    const kept = this.points[this.points.length - 2];
+    if (kept && last.t - kept.t < this.spacing) this.points[this.points.length - 1] = { t, x, y };
+    else this.points.push({ t, x, y });
+    return this;
+  }
+
+  /**
+   * A click closes the stroke that led to it, provided the pointer was
+   * still moving towards it recently enough to count as aiming.
+   */
+  click(t, x, y) {
+    const last = this.points[this.points.length - 1];
+    if (last && t - last.t <= CLICK_PAUSE_MAX) {
+      this.totals.clickPause.count++;
+      this.totals.clickPause.sum += Math.max(0, t - last.t);
+      this.endStroke(Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null);
+    } else {
+      this.endStroke();
+    }
+    return this;
+  }
+
+  /** Ends the current stroke without a target (touch lifted, page hidden) */
+  endStroke(target = null) {
+    const stroke = measureStroke(this.points, target);
+    if (stroke) addStroke(this.totals, stroke);
+    this.points = [];
+    return this;
+  }
+
+  /** Trajectory features; the stroke still in progress is included */
+  summary() {
+    const totals = structuredClone(this.totals);
+    const open = measureStroke(this.points);
+    if (open) addStroke(totals, open);
+
+    return {
+      trajectoryStrokes: totals.strokes,
+      trajectoryStrokeLength: mean(totals.length, totals.strokes),
+      trajectoryEfficiency: mean(totals.efficiency, totals.strokes),
+      trajectoryCurvature: mean(totals.curvature, totals.strokes),
+      trajectoryAccelMean: mean(totals.accel.sum, totals.accel.count),
+      trajectoryJerkMean: mean(totals.jerk.sum, totals.jerk.count),
+      trajectorySubmovements: mean(totals.submovements, totals.strokes),
+      trajectoryOvershootRate: mean(totals.overshoots.count, totals.targeted),
+      trajectoryOvershoot: mean(totals.overshoots.sum, totals.overshoots.count),
+      trajectoryClickPause: mean(totals.clickPause.sum, totals.clickPause.count)
+    };
+  }
+}
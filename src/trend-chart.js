@@ -0,0 +1,99 @@
+/**
+ * Adaptive Mirror - Trend Chart
+ * Line chart of the four normalized scores across stored sessions
+ */
+
+export const TREND_SERIES = [
+  { key: 'focus', label: 'Focus', color: '255, 255, 255' },
+  { key: 'hesitation', label: 'Hesitation', color: '255, 0, 110' },
+  { key: 'controlBias', label: 'Control', color: '0, 255, 136' },
+  { key: 'energy', label: 'Energy', color: '139, 148, 158' }
+];
+
+const PADDING = { top: 16, right: 16, bottom: 28, left: 36 };
+
+const sessionX = (index, count, width, padding = PADDING) => {
+  const plotWidth = Math.max(1, width - padding.left - padding.right);
+  return padding.left + (count > 1 ? index * plotWidth / (count - 1) : plotWidth / 2);
+};
+
+/**
+ * Maps sessions to canvas coordinates for one score. Sessions are spaced
+ * evenly (not by date) so weekly visits and same-day retakes stay readable.
+ * Missing scores are skipped rather than drawn as zero.
+ */
+export const trendPoints = (entries, key, width, height, padding = PADDING) => {
+  const plotHeight = Math.max(1, height - padding.top - padding.bottom);
+
+  return entries.reduce((points, entry, index) => {
+    const value = entry.scores?.[key];
+    if (!Number.isFinite(value)) return points;
+    const clamped = Math.max(0, Math.min(100, value));
+    points.push({
+      x: sessionX(index, entries.length, width, padding),
+      y: padding.top + plotHeight * (1 - clamped / 100),
+      value: clamped
+    });
+    return points;
+  }, []);
+};
+
+export const drawTrendChart = (canvas, entries) => {
+  const ctx = canvas?.getContext('2d');
+  if (!ctx) return;
+
+  const dpr = Math.min(globalThis.devicePixelRatio || 1, 2);
+  const width = canvas.clientWidth || 600;
+  const height = canvas.clientHeight || 220;
+  canvas.width = Math.floor(width * dpr);
+  canvas.height = Math.floor(height * dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  // Grid at 0 / 50 / 100
+  ctx.font = '10px "JetBrains Mono", monospace';
+  ctx.textBaseline = 'middle';
+  [0, 50, 100].forEach(level => {
+    const y = PADDING.top + (height - PADDING.top - PADDING.bottom) * (1 - level / 100);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(PADDING.left, y);
+    ctx.lineTo(width - PADDING.right, y);
+    ctx.stroke();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.fillText(String(level), 6, y);
+  });
+
+  if (!entries.length) return;
+
+  TREND_SERIES.forEach(series => {
+    const points = trendPoints(entries, series.key, width, height);
+    if (!points.length) return;
+
+    ctx.strokeStyle = `rgba(${series.color}, 0.8)`;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+    ctx.stroke();
+
+    ctx.fillStyle = `rgba(${series.color}, 1)`;
+    points.forEach(p => {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  });
+
+  // Session index along the x axis
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'center';
+  const labelEvery = Math.ceil(entries.length / 10);
+  entries.forEach((entry, i) => {
+    if (i % labelEvery === 0 || i === entries.length - 1) {
+      ctx.fillText(`#${i + 1}`, sessionX(i, entries.length, width), height - PADDING.bottom + 8);
+    }
+  });
+  ctx.textAlign = 'start';
+};
@@ -0,0 +1,221 @@
+/**
+ * Adaptive Mirror - Encryption
+ * Passphrase protection for stored sessions and exported files, on Web
+ * Crypto: PBKDF2 stretches the passphrase into an AES-GCM key, and AES-GCM
+ * authenticates what it encrypts, so a wrong passphrase or an edited file
+ * fails to open rather than decoding to garbage.
+ *
+ * Stored data is sealed to a key pair so a locked vault still takes new
+ * sessions: each record gets a fresh ECDH exchange with the vault's public
+ * key, and only the private key, kept encrypted under the passphrase, can
+ * open it again. Exports are encrypted with a passphrase directly so they
+ * open on any machine.
+ */
+
+export const VAULT_KEY = 'adaptiveMirror_vault';
+export const VAULT_VERSION = 1;
+export const ENCRYPTED_SCHEMA = 'adaptive-mirror/encrypted';
+// OWASP's recommendation for PBKDF2-HMAC-SHA256
+export const PBKDF2_ITERATIONS = 600000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Refuse files that would have the browser stretch a passphrase for minutes
+const MAX_ITERATIONS = 10000000;
+const CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+const CIPHER = { name: 'AES-GCM', length: 256 };
+const SEAL_INFO = 'adaptive-mirror/seal';
+
+export class VaultError extends Error {
+  /** `code` is one of: unsupported, passphrase, locked, state, format */
+  constructor(message, code) {
+    super(message);
+    this.name = 'VaultError';
+    this.code = code;
+  }
+}
+
+const subtle = () => {
+  const api = globalThis.crypto?.subtle;
+  if (!api) throw new VaultError('Encryption needs Web Crypto, which is only available on secure (https) pages', 'unsupported');
+  return api;
+};
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const randomBytes = (length) => globalThis.crypto.getRandomValues(new Uint8Array(length));
+
+// Chunked so large event logs do not overflow the argument list
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const checkPassphrase = (passphrase) => {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new VaultError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`, 'passphrase');
+  }
+};
+
+const passphraseKey = async (passphrase, salt, iterations) => {
+  if (typeof passphrase !== 'string' || !passphrase) {
+    throw new VaultError('Enter the passphrase', 'passphrase');
+  }
+  const material = await subtle().importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle().deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, CIPHER, false, ['encrypt', 'decrypt']);
+};
+
+// The raw ECDH secret is not uniformly random; HKDF turns it into a key
+const sealKey = async (privateKey, publicKey, usage) => {
+  const secret = await subtle().deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  const material = await subtle().importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+  return subtle().deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(SEAL_INFO) },
+    material, CIPHER, false, [usage]
+  );
+};
+
+const encrypt = async (key, value) => {
+  const iv = randomBytes(12);
+  const data = await subtle().encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+const decrypt = async (key, { iv, data }) => {
+  let plain;
+  try {
+    plain = await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+  } catch (e) {
+    throw new VaultError('Wrong passphrase, or the data has been altered', 'passphrase');
+  }
+  return JSON.parse(decoder.decode(plain));
+};
+
+const validKdf = (kdf) => kdf?.name === 'PBKDF2' && kdf.hash === 'SHA-256' &&
+  Number.isInteger(kdf.iterations) && kdf.iterations > 0 && kdf.iterations <= MAX_ITERATIONS &&
+  typeof kdf.salt === 'string';
+
+export const isEncrypted = (value) => value?.schema === ENCRYPTED_SCHEMA;
+
+/** Stored vault metadata (text or parsed) back as an object, or null when it is unusable */
+export const parseVault = (value) => {
+  try {
+    const meta = typeof value === 'string' ? JSON.parse(value) : value;
+    return meta?.version === VAULT_VERSION && validKdf(meta.kdf) && meta.publicKey && meta.privateKey?.data ? meta : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/** Encrypts any JSON value under a passphrase, as a self-describing document */
+export const encryptWithPassphrase = async (value, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) => {
+  checkPassphrase(passphrase);
+  const salt = randomBytes(16);
+  const key = await passphraseKey(passphrase, salt, iterations);
+  return {
+    schema: ENCRYPTED_SCHEMA,
+    version: VAULT_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    cipher: 'AES-GCM',
+    ...(await encrypt(key, value))
+  };
+};
+
+export const decryptWithPassphrase = async (document, passphrase) => {
+  if (!isEncrypted(document) || document.version !== VAULT_VERSION || document.cipher !== 'AES-GCM' || !validKdf(document.kdf)) {
+    throw new VaultError('Not an encrypted Adaptive Mirror file, or from a newer version', 'format');
+  }
+  const key = await passphraseKey(passphrase, fromBase64(document.kdf.salt), document.kdf.iterations);
+  return decrypt(key, document);
+};
+
+/**
+ * The device's encryption state, kept under VAULT_KEY: the passphrase's
+ * salt and work factor, the public key, and the private key encrypted
+ * under the passphrase. The unlocked private key only ever lives in memory.
+ */
+export class Vault {
+  constructor({ storage = globalThis.localStorage, iterations = PBKDF2_ITERATIONS } = {}) {
+    this.storage = storage;
+    this.iterations = iterations;
+    this.privateKey = null;
+  }
+
+  read() {
+    try {
+      return parseVault(this.storage?.getItem(VAULT_KEY) ?? null);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.read());
+  }
+
+  get locked() {
+    return !this.privateKey;
+  }
+
+  /** Turns encryption on under a new passphrase; the vault stays unlocked */
+  async create(passphrase) {
+    if (this.enabled) throw new VaultError('Encryption is already on', 'state');
+    checkPassphrase(passphrase);
+    const pair = await subtle().generateKey(CURVE, true, ['deriveBits']);
+    const salt = randomBytes(16);
+    const key = await passphraseKey(passphrase, salt, this.iterations);
+    const meta = {
+      version: VAULT_VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.iterations, salt: toBase64(salt) },
+      publicKey: await subtle().exportKey('jwk', pair.publicKey),
+      privateKey: await encrypt(key, await subtle().exportKey('jwk', pair.privateKey))
+    };
+    this.storage.setItem(VAULT_KEY, JSON.stringify(meta));
+    this.privateKey = pair.privateKey;
+    return this;
+  }
+
+  async unlock(passphrase) {
+    const meta = this.read();
+    if (!meta) throw new VaultError('Encryption is off', 'state');
+    const key = await passphraseKey(passphrase, fromBase64(meta.kdf.salt), meta.kdf.iterations);
+    const jwk = await decrypt(key, meta.privateKey);
+    this.privateKey = await subtle().importKey('jwk', jwk, CURVE, false, ['deriveBits']);
+    return this;
+  }
+
+  lock() {
+    this.privateKey = null;
+    return this;
+  }
+
+  /** Forgets the keys. Anything still sealed becomes unreadable, so open it first. */
+  remove() {
+    this.storage?.removeItem(VAULT_KEY);
+    this.privateKey = null;
+    return this;
+  }
+
+  /** Encrypts a value to the vault's public key; works while locked */
+  async seal(value) {
+    const meta = this.read();
+    if (!meta) throw new VaultError('Encryption is off', 'state');
+    const recipient = await subtle().importKey('jwk', meta.publicKey, CURVE, false, []);
+    const ephemeral = await subtle().generateKey(CURVE, true, ['deriveBits']);
+    const key = await sealKey(ephemeral.privateKey, recipient, 'encrypt');
+    return { epk: await subtle().exportKey('jwk', ephemeral.publicKey), ...(await encrypt(key, value)) };
+  }
+
+  async open(sealed) {
+    if (this.locked) throw new VaultError('Stored sessions are locked', 'locked');
+    const sender = await subtle().importKey('jwk', sealed.epk, CURVE, false, []);
+    const key = await sealKey(this.privateKey, sender, 'decrypt');
+    return decrypt(key, sealed);
+  }
+}
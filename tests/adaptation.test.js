@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LiveAdaptation, estimateWindow, blendColor, clampStrength,
+  ARCHETYPE_COLORS, NEUTRAL_COLOR, ADAPTATION_WINDOW, ADAPTATION_EASE, DEFAULT_ADAPTATION_STRENGTH
+} from '../src/adaptation.js';
+
+// A burst of quick clicks, enough samples for a conclusive reading
+const clicks = (from, count = 12) => Array.from({ length: count }, (_, i) => ({ type: 'click', t: from + i * 200, x: 10, y: 10 }));
+
+describe('estimateWindow', () => {
+  test('reads the archetype mix from recent events only', () => {
+    const log = { version: 4, startTime: 0, events: [{ type: 'keydown', t: 100, key: 'char', press: 1 }, ...clicks(10000)] };
+    const distribution = estimateWindow(log, 12500);
+    assert.ok(distribution.Impulsive > 0);
+    assert.equal(distribution.Analytical, 0);
+    const total = Object.values(distribution).reduce((sum, share) => sum + share, 0);
+    assert.ok(Math.abs(total - 1) < 0.01);
+  });
+
+  test('is null when the window is empty or too sparse to read', () => {
+    const log = { version: 4, startTime: 0, events: clicks(10000) };
+    assert.equal(estimateWindow(log, 10000 + 2400 + ADAPTATION_WINDOW + 1), null);
+    assert.equal(estimateWindow({ version: 4, startTime: 0, events: clicks(10000, 3) }, 11000), null);
+    assert.equal(estimateWindow(null, 1000), null);
+  });
+
+  test('ignores events after the given time', () => {
+    const log = { version: 4, startTime: 0, events: clicks(10000) };
+    assert.equal(estimateWindow(log, 10500), null);
+  });
+});
+
+describe('LiveAdaptation', () => {
+  test('starts neutral at the default strength', () => {
+    const adaptation = new LiveAdaptation();
+    assert.equal(adaptation.strength, DEFAULT_ADAPTATION_STRENGTH);
+    assert.deepEqual(Object.keys(adaptation.weights()), Object.keys(ARCHETYPE_COLORS));
+    assert.ok(Object.values(adaptation.weights()).every(weight => weight === 0));
+    assert.equal(adaptation.leading(), null);
+  });
+
+  test('eases towards each estimate rather than jumping', () => {
+    const adaptation = new LiveAdaptation({ strength: 1 });
+    adaptation.update({ Impulsive: 1 });
+    assert.equal(adaptation.weights().Impulsive, ADAPTATION_EASE);
+    adaptation.update({ Impulsive: 1 });
+    assert.ok(Math.abs(adaptation.weights().Impulsive - (1 - (1 - ADAPTATION_EASE) ** 2)) < 1e-9);
+    assert.equal(adaptation.leading(), 'Impulsive');
+  });
+
+  test('fades back towards neutral without a reading', () => {
+    const adaptation = new LiveAdaptation({ strength: 1 }).update({ Restless: 1 });
+    const before = adaptation.weights().Restless;
+    adaptation.update(null);
+    assert.ok(adaptation.weights().Restless < before);
+  });
+
+  test('scales weights by strength, clamped to 0-1', () => {
+    const adaptation = new LiveAdaptation({ strength: 0.5 }).update({ Observer: 1 });
+    assert.equal(adaptation.weights().Observer, ADAPTATION_EASE * 0.5);
+    assert.equal(adaptation.setStrength(0).weights().Observer, 0);
+    assert.equal(adaptation.leading(), null);
+    assert.equal(clampStrength(3), 1);
+    assert.equal(clampStrength(-1), 0);
+    assert.equal(clampStrength('0.3'), 0.3);
+    assert.equal(clampStrength('loud'), DEFAULT_ADAPTATION_STRENGTH);
+  });
+
+  test('reset clears the mix but keeps the strength', () => {
+    const adaptation = new LiveAdaptation({ strength: 0.8 }).update({ Analytical: 1 });
+    adaptation.reset();
+    assert.equal(adaptation.weights().Analytical, 0);
+    assert.equal(adaptation.strength, 0.8);
+  });
+});
+
+describe('blendColor', () => {
+  test('is neutral without weights and exact for a single full weight', () => {
+    assert.equal(blendColor({}), NEUTRAL_COLOR.join(', '));
+    assert.equal(blendColor({ Impulsive: 1 }), ARCHETYPE_COLORS.Impulsive.join(', '));
+  });
+
+  test('mixes partial weights with the neutral grey', () => {
+    assert.equal(blendColor({ Impulsive: 0.5 }), '192, 64, 119');
+    assert.equal(blendColor({ Unknown: 1 }), NEUTRAL_COLOR.join(', '));
+  });
+});
@@ -0,0 +1,167 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventAggregator, createAggregationHandler, MAX_BATCH_SIZE, BATCH_INTERVAL } from '../src/aggregator.js';
+import { AnalysisEngine, analyzeEvents, EVENT_LOG_VERSION } from '../src/engine.js';
+import { estimateWindow } from '../src/adaptation.js';
+
+// Runs the worker's handler in this thread, delivering messages asynchronously as a worker would
+const createFakeWorker = () => {
+  const worker = {
+    posted: [],
+    terminated: false,
+    onmessage: null,
+    onerror: null,
+    postMessage(message) {
+      worker.posted.push(message.type);
+      const copy = structuredClone(message);
+      setImmediate(() => !worker.terminated && handle(copy));
+    },
+    terminate() {
+      worker.terminated = true;
+    }
+  };
+  const handle = createAggregationHandler((message) => setImmediate(() => {
+    if (!worker.terminated) worker.onmessage?.({ data: structuredClone(message) });
+  }));
+  return worker;
+};
+
+const move = (t, x, y) => ({ type: 'pointermove', t, id: 1, device: 'mouse', x, y });
+const click = (t) => ({ type: 'click', t, x: 10, y: 10 });
+
+// A session as the page runs it: events and idle checks, in order
+const SCRIPT = [
+  move(1050, 0, 0), move(1100, 40, 30), move(1200, 200, 150), ['tick', 1300],
+  ['tick', 1700], click(2500), ['tick', 2550], ['tick', 3100],
+  { type: 'keydown', t: 3200, key: 'char', press: 1 }, { type: 'keyup', t: 3260, press: 1 }, ['tick', 3300],
+  ...Array.from({ length: 12 }, (_, i) => click(4000 + i * 200)), ['tick', 7000], ['tick', 7500]
+];
+
+// Runs the script through an aggregator, logging as the page does
+const run = (worker) => {
+  const log = { version: EVENT_LOG_VERSION, startTime: 1000, duration: 10000, events: [] };
+  const idles = [];
+  const aggregator = new EventAggregator(new AnalysisEngine({ duration: 10000 }), {
+    worker,
+    onIdle: (t, at) => {
+      idles.push(t);
+      log.events.splice(at, 0, { type: 'idle', t });
+    }
+  });
+  aggregator.reset(1000, log);
+  SCRIPT.forEach(step => {
+    if (Array.isArray(step)) {
+      aggregator.checkIdle(step[1]);
+    } else {
+      log.events.push(step);
+      aggregator.process(step);
+    }
+  });
+  return { aggregator, log, idles };
+};
+
+describe('EventAggregator inline', () => {
+  test('folds events as they come and logs idle changes in place', () => {
+    const { aggregator, log, idles } = run(null);
+    assert.equal(aggregator.inline, true);
+    assert.deepEqual(idles, [1700, 2550, 3100, 3300, 7000]);
+    assert.deepEqual(log.events.slice(3, 5), [{ type: 'idle', t: 1700 }, click(2500)]);
+    assert.equal(aggregator.metrics, aggregator.engine.metrics);
+    assert.equal(aggregator.metrics.idleTime, 850);
+    assert.deepEqual(aggregator.analyze(), analyzeEvents(log));
+  });
+
+  test('answers estimates at once', () => {
+    const { aggregator, log } = run(null);
+    const estimates = [];
+    aggregator.onEstimate = (distribution) => estimates.push(distribution);
+    aggregator.estimate(6500);
+    assert.deepEqual(estimates, [estimateWindow(log, 6500)]);
+  });
+});
+
+describe('EventAggregator with a worker', () => {
+  test('scores the same result as inline aggregation and a replay', async () => {
+    const inline = run(null);
+    const { aggregator, log, idles } = run(createFakeWorker());
+    assert.equal(aggregator.inline, false);
+
+    const snapshot = await aggregator.finish();
+    assert.deepEqual(idles, inline.idles);
+    assert.deepEqual(log, inline.log);
+    assert.deepEqual(snapshot.metrics, inline.aggregator.snapshot().metrics);
+    assert.deepEqual(aggregator.analyze(), inline.aggregator.analyze());
+    assert.deepEqual(aggregator.analyze(), analyzeEvents(log));
+    assert.equal(aggregator.metrics.clickCount, 13);
+  });
+
+  test('posts events in batches', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const worker = createFakeWorker();
+    const aggregator = new EventAggregator(new AnalysisEngine(), { worker });
+    aggregator.reset(0);
+    aggregator.process(click(10));
+    aggregator.checkIdle(20);
+    assert.deepEqual(worker.posted, ['reset']);
+
+    t.mock.timers.tick(BATCH_INTERVAL);
+    assert.deepEqual(worker.posted, ['reset', 'events']);
+
+    for (let i = 0; i < MAX_BATCH_SIZE; i++) aggregator.process(click(100 + i));
+    assert.deepEqual(worker.posted, ['reset', 'events', 'events']);
+    aggregator.close();
+    assert.equal(worker.terminated, true);
+  });
+
+  test('reads the live estimate in the worker', async () => {
+    const { aggregator, log } = run(createFakeWorker());
+    const estimate = new Promise(resolve => { aggregator.onEstimate = resolve; });
+    aggregator.estimate(6500);
+    assert.deepEqual(await estimate, estimateWindow(log, 6500));
+    await aggregator.finish();
+  });
+
+  test('follows archetypes registered mid-session in the live estimate', async () => {
+    const { aggregator, log } = run(createFakeWorker());
+    const { classifiers } = aggregator.engine;
+    classifiers.register('Clicker', { rules: [{ feature: 'clickCount', comparator: '>', threshold: 5, weight: 500 }] });
+    classifiers.disable('Observer');
+    assert.deepEqual(aggregator.worker.posted.slice(-2), ['classifiers', 'classifiers']);
+
+    const estimate = new Promise(resolve => { aggregator.onEstimate = resolve; });
+    aggregator.estimate(6500);
+    const distribution = await estimate;
+    assert.ok(distribution.Clicker > 0);
+    assert.equal('Observer' in distribution, false);
+    assert.deepEqual(distribution, estimateWindow(log, 6500, { classifiers }));
+    await aggregator.finish();
+  });
+
+  test('ignores answers meant for an earlier session', async () => {
+    const idles = [];
+    const aggregator = new EventAggregator(new AnalysisEngine(), { worker: createFakeWorker(), onIdle: (t) => idles.push(t) });
+    aggregator.reset(0);
+    aggregator.checkIdle(1000);
+    aggregator.flush();
+    aggregator.reset(5000);
+    await aggregator.finish();
+    assert.deepEqual(idles, []);
+  });
+
+  test('carries on in the page when the worker fails', async () => {
+    mock.method(console, 'warn', () => {});
+    const inline = run(null);
+    const worker = createFakeWorker();
+    const { aggregator, log } = run(worker);
+    const finished = aggregator.finish();
+    worker.onerror({ message: 'boom', preventDefault() {} });
+    await finished;
+
+    assert.equal(aggregator.inline, true);
+    assert.equal(worker.terminated, true);
+    // Idle changes the worker never reported are missing from the log, but what was logged is scored
+    assert.deepEqual(aggregator.analyze(), analyzeEvents(log));
+    assert.deepEqual(aggregator.analyze().scores, inline.aggregator.analyze().scores);
+    mock.restoreAll();
+  });
+});
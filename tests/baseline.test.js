@@ -0,0 +1,117 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createBaseline, parseBaseline, parseBaselines, deviceProfile, baselineFactors, calibrateFeatures,
+  baselineDeviations, BaselineError, BASELINE_VERSION, MAX_FACTOR, CALIBRATION_BATTERY
+} from '../src/baseline.js';
+
+const DEVICE = {
+  pointerDevice: 'mouse',
+  pixelRatio: 2,
+  screen: { width: 1440, height: 900 },
+  viewport: { width: 1200, height: 500 }
+};
+
+// A calibration session's analysis, as calculateResults returns it
+const calibration = (features = {}) => ({
+  features: { velocityCount: 40, avgVelocity: 1.6, typingKeys: 44, typingIntervalMean: 250, ...features },
+  pointer: { pointerDevice: 'mouse' }
+});
+
+const baseline = (measures = {}, device = DEVICE) => {
+  const created = createBaseline(calibration(), device, { timestamp: Date.UTC(2026, 9, 1) });
+  return { ...created, measures: { ...created.measures, ...measures } };
+};
+
+describe('deviceProfile', () => {
+  test('names the pointer device, screen size and pixel ratio', () => {
+    assert.equal(deviceProfile(DEVICE), 'mouse · 1440×900 @2x');
+    assert.equal(deviceProfile({ pointerDevice: 'touch', pixelRatio: 2.625, screen: { width: 412, height: 915 } }), 'touch · 412×915 @2.63x');
+    assert.equal(deviceProfile({}), 'none · unknown screen @1x');
+  });
+});
+
+describe('createBaseline', () => {
+  test('measures pointer speed, typing pace and the viewport', () => {
+    const created = createBaseline(calibration(), DEVICE, { timestamp: Date.UTC(2026, 9, 1) });
+    assert.deepEqual(created, {
+      version: BASELINE_VERSION,
+      profile: 'mouse · 1440×900 @2x',
+      device: { pointerDevice: 'mouse', pixelRatio: 2, screen: { width: 1440, height: 900 } },
+      measures: { pointerSpeed: 1.6, typingInterval: 250, viewportDiagonal: 1300 },
+      calibratedAt: '2026-10-01T00:00:00.000Z'
+    });
+  });
+
+  test('leaves out what was measured too briefly', () => {
+    const created = createBaseline(calibration({ typingKeys: 3 }), DEVICE);
+    assert.equal(created.measures.typingInterval, null);
+    assert.equal(created.measures.pointerSpeed, 1.6);
+  });
+
+  test('needs pointer movement or typing', () => {
+    assert.throws(() => createBaseline(calibration({ velocityCount: 2, typingKeys: 0 }), DEVICE), BaselineError);
+    assert.throws(() => createBaseline(null), /pointer movement or typing/);
+  });
+
+  test('runs a short battery of targets and a pangram', () => {
+    assert.deepEqual(CALIBRATION_BATTERY.tasks.map(task => task.kind), ['targets', 'transcribe']);
+  });
+});
+
+describe('parseBaselines', () => {
+  test('reads back stored baselines keyed by profile', () => {
+    const stored = baseline();
+    assert.deepEqual(parseBaseline(JSON.stringify(stored)), stored);
+    assert.deepEqual(parseBaselines(JSON.stringify({ [stored.profile]: stored })), { [stored.profile]: stored });
+  });
+
+  test('drops unusable and misfiled entries', () => {
+    const stored = baseline();
+    assert.equal(parseBaseline({ ...stored, version: BASELINE_VERSION + 1 }), null);
+    assert.equal(parseBaseline({ ...stored, measures: { pointerSpeed: -1 } }), null);
+    assert.equal(parseBaseline({ ...stored, measures: { pointerSpeed: null, typingInterval: null } }), null);
+    assert.equal(parseBaseline('{oops'), null);
+    assert.deepEqual(parseBaselines({ 'touch · 1×1 @1x': stored }), {});
+    assert.deepEqual(parseBaselines('[]'), {});
+    assert.deepEqual(parseBaselines(null), {});
+  });
+});
+
+describe('calibration', () => {
+  test('factors carry the baseline onto the reference', () => {
+    assert.deepEqual(baselineFactors(baseline()), { speed: 0.5, distance: 1.308, typing: 0.8 });
+    // Touch is compared with the touch reference
+    const touch = baseline({}, { ...DEVICE, pointerDevice: 'touch' });
+    assert.equal(baselineFactors(touch).speed, 0.813);
+  });
+
+  test('unmeasured measures leave their features alone, and extremes are capped', () => {
+    const factors = baselineFactors(baseline({ pointerSpeed: 0.01, typingInterval: null, viewportDiagonal: null }));
+    assert.deepEqual(factors, { speed: MAX_FACTOR, distance: 1, typing: 1 });
+  });
+
+  test('scales speeds, distances and typing pace; unmeasured features stay null', () => {
+    const features = {
+      avgVelocity: 2, maxVelocity: 6, mouseDistance: 1000, typingIntervalMean: 250, typingWpm: 48,
+      clickRate: 0.5, trajectoryOvershoot: null
+    };
+    const calibrated = calibrateFeatures(features, { speed: 0.5, distance: 2, typing: 0.8 });
+    assert.deepEqual(calibrated, {
+      avgVelocity: 1, maxVelocity: 3, mouseDistance: 2000, typingIntervalMean: 200, typingWpm: 60,
+      clickRate: 0.5, trajectoryOvershoot: null
+    });
+    assert.equal(features.avgVelocity, 2);
+  });
+
+  test('deviations compare the raw session with the baseline', () => {
+    assert.deepEqual(
+      baselineDeviations({ velocityCount: 10, avgVelocity: 2, typingIntervalMean: 200 }, baseline()),
+      { pointerSpeed: 0.25, typingInterval: -0.2 }
+    );
+    assert.deepEqual(
+      baselineDeviations({ velocityCount: 0, avgVelocity: 0, typingIntervalMean: null }, baseline()),
+      { pointerSpeed: null, typingInterval: null }
+    );
+  });
+});
@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SampleRing, SamplingMonitor, SAMPLING_FEATURES, captureMode, coalescedSamples } from '../src/capture.js';
+
+describe('SampleRing', () => {
+  test('drains samples oldest first, across the wrap', () => {
+    const ring = new SampleRing(3);
+    const drained = [];
+    ring.push(1);
+    ring.push(2);
+    ring.drain(sample => drained.push(sample));
+    [3, 4, 5].forEach(sample => ring.push(sample));
+    ring.drain(sample => drained.push(sample));
+    assert.deepEqual(drained, [1, 2, 3, 4, 5]);
+    assert.equal(ring.size, 0);
+  });
+
+  test('asks to be drained when full, losing nothing', () => {
+    const drained = [];
+    const ring = new SampleRing(2, { onFull: (full) => full.drain(sample => drained.push(sample)) });
+    [1, 2, 3, 4, 5].forEach(sample => ring.push(sample));
+    ring.drain(sample => drained.push(sample));
+    assert.deepEqual(drained, [1, 2, 3, 4, 5]);
+    assert.equal(ring.dropped, 0);
+  });
+
+  test('gives up the oldest sample when nothing drains it', () => {
+    const ring = new SampleRing(2);
+    [1, 2, 3].forEach(sample => ring.push(sample));
+    const drained = [];
+    ring.drain(sample => drained.push(sample));
+    assert.deepEqual(drained, [2, 3]);
+    assert.equal(ring.dropped, 1);
+    assert.equal(ring.clear().dropped, 0);
+  });
+});
+
+describe('SamplingMonitor', () => {
+  test('reports every stream, null before anything was sampled', () => {
+    const summary = new SamplingMonitor().summary();
+    assert.deepEqual(Object.keys(summary), SAMPLING_FEATURES);
+    assert.equal(summary.pointerSamples, 0);
+    assert.equal(summary.pointerHz, null);
+  });
+
+  test('takes the median interval, leaving pauses out', () => {
+    const monitor = new SamplingMonitor();
+    [0, 1, 2, 3, 4, 500, 501, 503].forEach(t => monitor.sample('pointer', t));
+    const summary = monitor.summary();
+    assert.equal(summary.pointerSamples, 8);
+    assert.equal(summary.pointerInterval, 1);
+    assert.equal(summary.pointerHz, 1000);
+  });
+
+  test('times each pointer on its own and afresh after it lifts', () => {
+    const monitor = new SamplingMonitor();
+    [0, 8, 16].forEach(t => monitor.sample('pointer', t, 1));
+    [4, 12, 20].forEach(t => monitor.sample('pointer', t, 2));
+    monitor.end('pointer', 2);
+    monitor.sample('pointer', 21, 2);
+    assert.equal(monitor.summary().pointerInterval, 8);
+  });
+});
+
+describe('capture helpers', () => {
+  test('captureMode follows getCoalescedEvents support', () => {
+    class Coalescing { getCoalescedEvents() { return []; } }
+    assert.equal(captureMode(Coalescing), 'coalesced');
+    assert.equal(captureMode(class {}), 'unthrottled');
+    assert.equal(captureMode(undefined), 'unthrottled');
+  });
+
+  test('coalescedSamples falls back to the event itself', () => {
+    const samples = [{ t: 1 }, { t: 2 }];
+    assert.deepEqual(coalescedSamples({ getCoalescedEvents: () => samples }), samples);
+    const event = { getCoalescedEvents: () => [] };
+    assert.deepEqual(coalescedSamples(event), [event]);
+    assert.deepEqual(coalescedSamples({ t: 3 }), [{ t: 3 }]);
+  });
+});
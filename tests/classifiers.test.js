@@ -0,0 +1,237 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClassifierRegistry, DEFAULT_ARCHETYPES, describeRule } from '../src/classifiers.js';
+import { calculateResults } from '../src/engine.js';
+
+describe('ClassifierRegistry', () => {
+  test('starts with the five built-in archetypes in order', () => {
+    const names = new ClassifierRegistry().list().map(a => a.name);
+    assert.deepEqual(names, Object.keys(DEFAULT_ARCHETYPES));
+  });
+
+  test('scores single, any and all conditions', () => {
+    const registry = new ClassifierRegistry({
+      Test: {
+        rules: [
+          { feature: 'a', comparator: '>', threshold: 1, weight: 1 },
+          { any: [{ feature: 'a', comparator: '<', threshold: 0 }, { feature: 'b', comparator: '==', threshold: 2 }], weight: 10 },
+          { all: [{ feature: 'a', comparator: '>=', threshold: 5 }, { feature: 'b', comparator: '!=', threshold: 2 }], weight: 100 }
+        ]
+      }
+    });
+    assert.deepEqual(registry.score({ a: 5, b: 2 }), { Test: 11 });
+    assert.deepEqual(registry.score({ a: 5, b: 3 }), { Test: 101 });
+  });
+
+  test('missing or non-finite features never match', () => {
+    const registry = new ClassifierRegistry({
+      Test: { rules: [{ feature: 'a', comparator: '<', threshold: 1, weight: 1 }] }
+    });
+    assert.deepEqual(registry.score({}), { Test: 0 });
+    assert.deepEqual(registry.score({ a: NaN }), { Test: 0 });
+    // Unmeasurable features (e.g. typing latency without backspaces) are null
+    assert.deepEqual(registry.score({ a: null }), { Test: 0 });
+  });
+
+  test('rejects invalid definitions', () => {
+    const registry = new ClassifierRegistry();
+    assert.throws(() => registry.register('', { rules: [] }), TypeError);
+    assert.throws(() => registry.register('X', {}), TypeError);
+    assert.throws(() => registry.register('X', { rules: [{ feature: 'a', comparator: '=>', threshold: 1, weight: 1 }] }), TypeError);
+    assert.throws(() => registry.register('X', { rules: [{ feature: 'a', comparator: '>', threshold: 'big', weight: 1 }] }), TypeError);
+    assert.throws(() => registry.register('X', { rules: [{ any: [], weight: 1 }] }), TypeError);
+    assert.throws(() => registry.register('X', { rules: [{ feature: 'a', comparator: '>', threshold: 1, thresholds: [2], weight: 1 }] }), /keyed by device/);
+    assert.throws(() => registry.register('X', { rules: [{ feature: 'a', comparator: '>', threshold: 1, thresholds: { trackpad: 2 }, weight: 1 }] }), /unknown threshold device/);
+    assert.throws(() => registry.register('X', { rules: [{ feature: 'a', comparator: '>', threshold: 1, thresholds: { touch: 'big' }, weight: 1 }] }), TypeError);
+    assert.equal(registry.has('X'), false);
+  });
+
+  test('replace keeps position and requires an existing archetype', () => {
+    const registry = new ClassifierRegistry();
+    registry.replace('Analytical', { rules: [] });
+    assert.equal(registry.list()[1].name, 'Analytical');
+    assert.equal(registry.list()[1].rules, 0);
+    assert.throws(() => registry.replace('Nope', { rules: [] }), /Unknown archetype/);
+  });
+
+  test('disabled archetypes are not scored and cannot win', () => {
+    const registry = new ClassifierRegistry().disable('Observer');
+    const quiet = { mouseDistance: 100, clickCount: 0, keystrokes: 0, scrollCount: 0 };
+
+    assert.equal('Observer' in registry.score(quiet), false);
+    assert.equal(calculateResults(quiet, { classifiers: registry }).personality, 'Perfectionist');
+
+    registry.enable('Observer');
+    assert.equal(calculateResults(quiet, { classifiers: registry }).personality, 'Observer');
+  });
+
+  test('custom archetypes can win', () => {
+    const registry = new ClassifierRegistry().register('Wanderer', {
+      rules: [{ feature: 'mouseDistance', comparator: '>', threshold: 4000, weight: 500 }]
+    });
+    assert.equal(calculateResults({ mouseDistance: 5000 }, { classifiers: registry }).personality, 'Wanderer');
+  });
+
+  test('definitions are copied on register and get', () => {
+    const definition = { rules: [{ feature: 'a', comparator: '>', threshold: 1, weight: 1 }] };
+    const registry = new ClassifierRegistry({}).register('Copy', definition);
+    definition.rules[0].weight = 99;
+    registry.get('Copy').rules[0].weight = 99;
+    assert.deepEqual(registry.score({ a: 2 }), { Copy: 1 });
+  });
+
+  test('definitions rebuild the same registry, disabled and custom archetypes included', () => {
+    const registry = new ClassifierRegistry().register('Extra', { rules: [{ feature: 'a', comparator: '>', threshold: 1, weight: 5 }] }).disable('Restless');
+    const rebuilt = new ClassifierRegistry(structuredClone(registry.definitions()));
+    assert.deepEqual(rebuilt.list(), registry.list());
+    assert.deepEqual(rebuilt.score({ a: 2 }), registry.score({ a: 2 }));
+  });
+
+  test('reset restores the defaults', () => {
+    const registry = new ClassifierRegistry().register('Extra', { rules: [] }).disable('Restless');
+    registry.reset();
+    assert.equal(registry.has('Extra'), false);
+    assert.equal(registry.isEnabled('Restless'), true);
+  });
+
+  test('tells subscribers of every change until they stop', () => {
+    const registry = new ClassifierRegistry();
+    let changes = 0;
+    const stop = registry.subscribe(() => changes++);
+    registry.register('Extra', { rules: [] }).disable('Extra');
+    registry.unregister('Extra');
+    registry.unregister('Extra');
+    assert.equal(changes, 3);
+
+    stop();
+    registry.enable('Restless');
+    assert.equal(changes, 3);
+  });
+});
+
+describe('keystroke dynamics rules', () => {
+  test('a quick typist who corrects at once scores as Impulsive', () => {
+    const scores = new ClassifierRegistry().score({ typingWpm: 75, typingBackspaceLatency: 200 });
+    assert.equal(scores.Impulsive, 20);
+  });
+
+  test('long correction runs after a pause score as Perfectionist', () => {
+    const scores = new ClassifierRegistry().score({ typingCorrectionLength: 4, typingBackspaceLatency: 1500 });
+    assert.equal(scores.Perfectionist, 25);
+  });
+});
+
+describe('trajectory rules', () => {
+  test('winding, indirect paths score as Restless', () => {
+    const scores = new ClassifierRegistry().score({ trajectoryCurvature: 3, trajectoryEfficiency: 0.4 });
+    assert.equal(scores.Restless, 20);
+  });
+
+  test('repeated corrective submovements score as Perfectionist', () => {
+    const scores = new ClassifierRegistry().score({ trajectorySubmovements: 3 });
+    assert.equal(scores.Perfectionist, 15);
+  });
+});
+
+describe('task battery rules', () => {
+  test('breaking a wait early and missing targets score as Impulsive', () => {
+    const scores = new ClassifierRegistry().score({ taskWaitLatency: 600, taskWaitActions: 1, taskFittsErrorRate: 0.3 });
+    assert.equal(scores.Impulsive, 25);
+  });
+
+  test('holding still through a wait scores as Observer', () => {
+    const scores = new ClassifierRegistry().score({ taskWaitActions: 0, taskWaitLatency: null });
+    assert.equal(scores.Observer, 20);
+    assert.equal(scores.Impulsive, 0);
+  });
+
+  test('slow, accurate aiming scores as Analytical', () => {
+    const scores = new ClassifierRegistry().score({ taskFittsMovementTime: 1200, taskFittsErrorRate: 0 });
+    assert.equal(scores.Analytical, 15);
+  });
+
+  test('an exact transcription reached through corrections scores as Perfectionist', () => {
+    const registry = new ClassifierRegistry();
+    assert.equal(registry.score({ taskTranscribeAccuracy: 1, taskTranscribeCorrections: 4 }).Perfectionist, 15);
+    assert.equal(registry.score({ taskTranscribeAccuracy: 1, taskTranscribeCorrections: 0 }).Perfectionist, 0);
+  });
+
+  test('fidgeting through a wait and scrolling back and forth score as Restless', () => {
+    const scores = new ClassifierRegistry().score({ taskWaitActions: 5, taskFindScrollReversals: 4 });
+    assert.equal(scores.Restless, 25);
+  });
+});
+
+describe('device thresholds', () => {
+  const registry = () => new ClassifierRegistry({}).register('Probe', {
+    rules: [{ feature: 'avgVelocity', comparator: '>', threshold: 1, thresholds: { touch: 2 }, weight: 10 }]
+  });
+
+  test('use the dominant device\'s threshold where one is set', () => {
+    assert.deepEqual(registry().score({ avgVelocity: 1.5 }), { Probe: 10 });
+    assert.deepEqual(registry().score({ avgVelocity: 1.5, pointerDevice: 'mouse' }), { Probe: 10 });
+    assert.deepEqual(registry().score({ avgVelocity: 1.5, pointerDevice: 'touch' }), { Probe: 0 });
+    assert.deepEqual(registry().score({ avgVelocity: 2.5, pointerDevice: 'touch' }), { Probe: 10 });
+    // Pen has no override and falls back to the default
+    assert.deepEqual(registry().score({ avgVelocity: 1.5, pointerDevice: 'pen' }), { Probe: 10 });
+  });
+
+  test('explain reports the threshold that was applied', () => {
+    const { Probe } = registry().explain({ avgVelocity: 1.5, pointerDevice: 'touch' });
+    assert.equal(Probe.rules[0].rule, 'avgVelocity > 2 (touch)');
+    assert.equal(Probe.rules[0].fired, false);
+  });
+
+  test('touch swipes and firm pressure score as Impulsive', () => {
+    const scores = new ClassifierRegistry().score({ gestureSwipes: 10, pointerPressureMean: 0.8 });
+    assert.equal(scores.Impulsive, 20);
+  });
+});
+
+describe('explain', () => {
+  const registry = () => new ClassifierRegistry({}).register('Probe', {
+    rules: [
+      { feature: 'clickRate', comparator: '>', threshold: 0.5, weight: 20 },
+      { all: [
+        { feature: 'mouseDistance', comparator: '<', threshold: 600 },
+        { feature: 'clickCount', comparator: '<', threshold: 3 }
+      ], weight: 30 },
+      { feature: 'missing', comparator: '>', threshold: 0, weight: 5 }
+    ]
+  });
+
+  test('reports which rules fired and what they added', () => {
+    const { Probe } = registry().explain({ clickRate: 1, mouseDistance: 800, clickCount: 1 });
+
+    assert.equal(Probe.score, 20);
+    assert.deepEqual(Probe.rules.map(r => [r.fired, r.contribution]), [[true, 20], [false, 0], [false, 0]]);
+    assert.equal(Probe.rules[1].rule, 'all of (mouseDistance < 600, clickCount < 3)');
+    assert.deepEqual(Probe.rules[1].conditions.map(c => [c.value, c.passed]), [[800, false], [1, true]]);
+    assert.equal(Probe.rules[2].conditions[0].value, null);
+  });
+
+  test('agrees with score()', () => {
+    const defaults = new ClassifierRegistry();
+    const features = { clickRate: 0.8, avgVelocity: 2, jitterCount: 40, mouseDistance: 300, clickCount: 2, keystrokes: 1 };
+    const explained = Object.fromEntries(Object.entries(defaults.explain(features)).map(([name, b]) => [name, b.score]));
+    assert.deepEqual(explained, defaults.score(features));
+  });
+
+  test('skips disabled archetypes', () => {
+    assert.equal('Observer' in new ClassifierRegistry().disable('Observer').explain({}), false);
+  });
+});
+
+describe('describeRule', () => {
+  test('formats single and grouped conditions', () => {
+    assert.equal(describeRule({ feature: 'a', comparator: '>=', threshold: 2, weight: 1 }), 'a >= 2');
+    assert.equal(describeRule({ any: [{ feature: 'a', comparator: '<', threshold: 1 }, { feature: 'b', comparator: '==', threshold: 0 }], weight: 1 }), 'any of (a < 1, b == 0)');
+  });
+
+  test('shows a device\'s own threshold when asked', () => {
+    const rule = { feature: 'a', comparator: '>', threshold: 1, thresholds: { touch: 3 }, weight: 1 };
+    assert.equal(describeRule(rule), 'a > 1');
+    assert.equal(describeRule(rule, 'touch'), 'a > 3 (touch)');
+    assert.equal(describeRule(rule, 'pen'), 'a > 1');
+  });
+});
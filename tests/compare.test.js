@@ -0,0 +1,107 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSession, metricDelta, compareSessions, COMPARE_METRICS, COMPARE_SCORES } from '../src/compare.js';
+
+const scores = (focus, hesitation = 20, controlBias = 50, energy = 30) => ({ focus, hesitation, controlBias, energy });
+
+describe('normalizeSession', () => {
+  test('derives features from the event log when present', () => {
+    const session = normalizeSession({
+      personality: 'Restless',
+      scores: scores(40),
+      timestamp: '2026-03-01T10:00:00.000Z',
+      eventLog: {
+        version: 1,
+        startTime: 0,
+        duration: 10000,
+        events: [
+          { type: 'mousemove', t: 100, x: 0, y: 0 },
+          { type: 'mousemove', t: 200, x: 300, y: 400 },
+          { type: 'click', t: 300, x: 300, y: 400 }
+        ]
+      }
+    }, { origin: 'file', label: 'export.json' });
+
+    assert.equal(session.label, 'export.json');
+    assert.equal(session.origin, 'file');
+    assert.equal(session.timestamp, Date.parse('2026-03-01T10:00:00.000Z'));
+    assert.equal(session.features.mouseDistance, 500);
+    assert.equal(session.features.clickCount, 1);
+    assert.ok('Restless' in session.archetypeScores);
+  });
+
+  test('falls back to stored metrics', () => {
+    const session = normalizeSession({
+      personality: 'Perfectionist',
+      scores: scores(10),
+      timestamp: 1000,
+      metrics: { keystrokes: 20, backspaces: 5 },
+      archetypeScores: { Perfectionist: 3 }
+    });
+
+    assert.equal(session.features.deletionRate, 0.25);
+    assert.equal(session.archetypeScores.Perfectionist, 3);
+    assert.equal(session.origin, 'history');
+  });
+
+  test('keeps the recorded classification rather than re-scoring', () => {
+    const session = normalizeSession({ personality: 'Observer', scores: scores(90), metrics: { clickCount: 50 } });
+    assert.equal(session.personality, 'Observer');
+    assert.equal(session.scores.focus, 90);
+  });
+
+  test('rejects objects that are not sessions', () => {
+    assert.throws(() => normalizeSession(null), TypeError);
+    assert.throws(() => normalizeSession({ scores: scores(1) }), TypeError);
+    assert.throws(() => normalizeSession({ personality: 'Observer' }), TypeError);
+  });
+});
+
+describe('metricDelta', () => {
+  test('flags changes beyond the threshold', () => {
+    assert.deepEqual(metricDelta(15, 10), { delta: 5, relative: 0.5, direction: 'up' });
+    assert.equal(metricDelta(5, 10).direction, 'down');
+    assert.equal(metricDelta(11, 10).direction, null);
+  });
+
+  test('treats any change from zero as notable', () => {
+    assert.equal(metricDelta(3, 0).direction, 'up');
+    assert.equal(metricDelta(0, 0).direction, null);
+  });
+
+  test('returns empty deltas for missing values', () => {
+    assert.deepEqual(metricDelta(null, 10), { delta: null, relative: null, direction: null });
+    assert.deepEqual(metricDelta(10, undefined), { delta: null, relative: null, direction: null });
+  });
+});
+
+describe('compareSessions', () => {
+  const a = normalizeSession({ personality: 'Analytical', scores: scores(20), metrics: { clickCount: 2 }, archetypeScores: { Analytical: 3, Observer: 1 } }, { label: 'A' });
+  const b = normalizeSession({ personality: 'Impulsive', scores: scores(60), metrics: { clickCount: 10 }, archetypeScores: { Impulsive: 4 } }, { label: 'B' });
+
+  test('uses the first session as baseline', () => {
+    const grid = compareSessions([a, b]);
+    assert.equal(grid.baseline, 'A');
+
+    const focus = grid.scores.find(row => row.key === 'focus');
+    assert.equal(focus.cells[0].delta, null);
+    assert.equal(focus.cells[1].delta, 40);
+    assert.equal(focus.cells[1].direction, 'up');
+  });
+
+  test('has a row for every score, metric and archetype seen', () => {
+    const grid = compareSessions([a, b]);
+    assert.equal(grid.scores.length, COMPARE_SCORES.length);
+    assert.equal(grid.metrics.length, COMPARE_METRICS.length);
+    const names = grid.archetypes.map(row => row.name);
+    ['Analytical', 'Observer', 'Impulsive'].forEach(name => assert.ok(names.includes(name)));
+
+    const clicks = grid.metrics.find(row => row.key === 'clickCount');
+    assert.deepEqual(clicks.cells.map(c => c.value), [2, 10]);
+  });
+
+  test('honours a custom threshold', () => {
+    const grid = compareSessions([a, b], { threshold: 5 });
+    assert.equal(grid.scores.find(row => row.key === 'focus').cells[1].direction, null);
+  });
+});
@@ -0,0 +1,135 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createConsent, parseConsent, eventChannel, allowsEvent, consentedBattery,
+  collectStoredData, deleteStoredData, ConsentError,
+  CONSENT_VERSION, CONSENT_KEY, DEFAULT_RETENTION_DAYS
+} from '../src/consent.js';
+import { createBattery } from '../src/tasks.js';
+import { SessionHistory } from '../src/history.js';
+
+// Just enough of the Web Storage API
+const createStorage = (entries = {}) => {
+  const data = new Map(Object.entries(entries));
+  return {
+    get length() { return data.size; },
+    key: (i) => Array.from(data.keys())[i] ?? null,
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+};
+
+describe('createConsent', () => {
+  test('records the chosen channels, in a fixed order, with a timestamp', () => {
+    const consent = createConsent({ channels: ['keyboard', 'pointer', 'smell'], timestamp: Date.UTC(2026, 0, 2) });
+    assert.deepEqual(consent, {
+      version: CONSENT_VERSION,
+      timestamp: '2026-01-02T00:00:00.000Z',
+      channels: ['pointer', 'keyboard'],
+      persist: false,
+      retentionDays: null
+    });
+  });
+
+  test('keeps a retention only when results are kept', () => {
+    assert.equal(createConsent({ channels: ['scroll'], persist: true }).retentionDays, DEFAULT_RETENTION_DAYS);
+    assert.equal(createConsent({ channels: ['scroll'], persist: true, retentionDays: 7 }).retentionDays, 7);
+    assert.throws(() => createConsent({ channels: ['scroll'], persist: true, retentionDays: 9 }), ConsentError);
+  });
+
+  test('needs at least one channel', () => {
+    assert.throws(() => createConsent(), /at least one/);
+    assert.throws(() => createConsent({ channels: ['smell'] }), ConsentError);
+  });
+});
+
+describe('parseConsent', () => {
+  test('reads back a stored record', () => {
+    const consent = createConsent({ channels: ['touch'], persist: true, retentionDays: 180 });
+    assert.deepEqual(parseConsent(JSON.stringify(consent)), consent);
+  });
+
+  test('rejects missing, malformed and outdated records', () => {
+    const consent = createConsent({ channels: ['touch'] });
+    assert.equal(parseConsent(null), null);
+    assert.equal(parseConsent('{oops'), null);
+    assert.equal(parseConsent({ ...consent, version: CONSENT_VERSION + 1 }), null);
+    assert.equal(parseConsent({ ...consent, channels: [] }), null);
+    assert.equal(parseConsent({ ...consent, timestamp: 'yesterday' }), null);
+  });
+});
+
+describe('channels', () => {
+  test('map each input event to its channel', () => {
+    assert.equal(eventChannel({ type: 'mousemove' }), 'pointer');
+    assert.equal(eventChannel({ type: 'click' }), 'pointer');
+    assert.equal(eventChannel({ type: 'pointermove', device: 'pen' }), 'pointer');
+    assert.equal(eventChannel({ type: 'pointerdown', device: 'touch' }), 'touch');
+    assert.equal(eventChannel({ type: 'mousemove', device: 'touch' }), 'touch');
+    assert.equal(eventChannel({ type: 'click', device: 'touch' }), 'touch');
+    assert.equal(eventChannel({ type: 'touchend' }), 'touch');
+    assert.equal(eventChannel({ type: 'wheel' }), 'scroll');
+    assert.equal(eventChannel({ type: 'taskscroll' }), 'scroll');
+    assert.equal(eventChannel({ type: 'keyup' }), 'keyboard');
+    assert.equal(eventChannel({ type: 'idle' }), null);
+    assert.equal(eventChannel({ type: 'taskend' }), null);
+  });
+
+  test('allow only consented input, and session events always', () => {
+    const consent = createConsent({ channels: ['keyboard'] });
+    assert.equal(allowsEvent(consent, { type: 'keydown' }), true);
+    assert.equal(allowsEvent(consent, { type: 'mousemove' }), false);
+    assert.equal(allowsEvent(consent, { type: 'hidden' }), true);
+    assert.equal(allowsEvent(null, { type: 'keydown' }), false);
+  });
+
+  test('drop the tasks that need a declined channel', () => {
+    const battery = createBattery('standard', ['targets', 'transcribe', 'find', 'wait']);
+    const kinds = (consent) => consentedBattery(battery, consent)?.tasks.map(task => task.kind) ?? null;
+    assert.deepEqual(kinds(createConsent({ channels: ['pointer', 'scroll'] })), ['targets', 'find', 'wait']);
+    assert.deepEqual(kinds(createConsent({ channels: ['touch'] })), ['wait']);
+    assert.equal(consentedBattery(createBattery('custom', ['targets']), createConsent({ channels: ['touch'] })), null);
+    assert.equal(consentedBattery(null, createConsent({ channels: ['touch'] })), null);
+  });
+});
+
+describe('stored data', () => {
+  const setup = async () => {
+    const storage = createStorage({
+      [CONSENT_KEY]: JSON.stringify(createConsent({ channels: ['pointer'], persist: true })),
+      adaptiveMirror_adaptation: '0.4',
+      adaptiveMirror_note: 'plain text',
+      otherApp: 'untouched'
+    });
+    const history = new SessionHistory({ indexedDB: null });
+    await history.add({ timestamp: Date.now(), personality: 'Observer', scores: {} });
+    await history.add({ timestamp: Date.now(), personality: 'Damaged', scores: {} });
+    await history.check(record => (record.personality === 'Damaged' ? 'Damaged' : null));
+    return { storage, history };
+  };
+
+  test('collects the app\'s own entries and the session history', async () => {
+    const stored = await collectStoredData(await setup());
+    assert.deepEqual(Object.keys(stored.localStorage), ['adaptiveMirror_adaptation', CONSENT_KEY, 'adaptiveMirror_note']);
+    assert.equal(stored.localStorage.adaptiveMirror_adaptation, 0.4);
+    assert.equal(stored.localStorage.adaptiveMirror_note, 'plain text');
+    assert.deepEqual(stored.localStorage[CONSENT_KEY].channels, ['pointer']);
+    assert.equal(stored.history.length, 1);
+    assert.deepEqual(stored.historyQuarantine.map(entry => entry.record.personality), ['Damaged']);
+  });
+
+  test('deletes one entry or everything, leaving other apps alone', async () => {
+    const stores = await setup();
+    await deleteStoredData(stores, 'adaptiveMirror_note');
+    assert.equal(stores.storage.getItem('adaptiveMirror_note'), null);
+    assert.equal((await stores.history.list()).length, 1);
+    await assert.rejects(deleteStoredData(stores, 'otherApp'), ConsentError);
+
+    await deleteStoredData(stores);
+    assert.equal(stores.storage.length, 1);
+    assert.equal(stores.storage.getItem('otherApp'), 'untouched');
+    assert.deepEqual(await stores.history.list(), []);
+    assert.deepEqual(await stores.history.quarantined(), []);
+  });
+});
@@ -0,0 +1,534 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  AnalysisEngine,
+  analyzeEvents,
+  analyzeMetrics,
+  analyzeSnapshot,
+  blendScores,
+  calculateResults,
+  describeDecision,
+  EVENT_LOG_VERSION,
+  normalizeScore
+} from '../src/engine.js';
+import { ClassifierRegistry } from '../src/classifiers.js';
+import { createBaseline } from '../src/baseline.js';
+
+const golden = JSON.parse(readFileSync(new URL('./fixtures/golden-metrics.json', import.meta.url), 'utf8'));
+
+describe('calculateResults golden fixtures', () => {
+  golden.forEach(({ name, expected, metrics }) => {
+    test(`${name} → ${expected}`, () => {
+      assert.equal(calculateResults(metrics).personality, expected);
+    });
+  });
+
+  test('the tie fixture really is a tie', () => {
+    const tie = golden.find(f => f.name.includes('tie'));
+    const { archetypeScores } = calculateResults(tie.metrics);
+    assert.equal(archetypeScores.Impulsive, archetypeScores.Analytical);
+  });
+
+  test('the fallback fixture scores zero everywhere', () => {
+    const fallback = golden.find(f => f.name.includes('falls back'));
+    const { archetypeScores } = calculateResults(fallback.metrics);
+    assert.ok(Object.values(archetypeScores).every(score => score === 0));
+  });
+});
+
+describe('explanation', () => {
+  const fixture = (part) => golden.find(f => f.name.includes(part)).metrics;
+
+  test('records a plain highest-score win with the runner-up', () => {
+    const { personality, archetypeScores, explanation } = calculateResults(fixture('heavy corrections'));
+    const { decision } = explanation;
+
+    assert.equal(decision.type, 'highest');
+    assert.equal(decision.winner, personality);
+    assert.equal(decision.score, archetypeScores[personality]);
+    assert.ok(decision.runnerUp.score < decision.score);
+    assert.match(describeDecision(decision), /^Perfectionist had the highest score \(\d+\), ahead of \w+ \(\d+\)\.$/);
+  });
+
+  test('names the tie-breaker that applied', () => {
+    const { decision } = calculateResults(fixture('tie')).explanation;
+
+    assert.equal(decision.type, 'tie-breaker');
+    assert.deepEqual(decision.tied, ['Impulsive', 'Analytical']);
+    assert.equal(decision.rule, 'avgIdleGap > 2000');
+    assert.equal(decision.winner, 'Analytical');
+    assert.match(describeDecision(decision), /avgIdleGap > 2000 favoured Analytical/);
+  });
+
+  test('falls back to registration order when no tie-breaker matches', () => {
+    const rule = { feature: 'clickCount', comparator: '>', threshold: 0, weight: 10 };
+    const registry = new ClassifierRegistry({})
+      .register('First', { rules: [rule] })
+      .register('Second', { rules: [rule] });
+    const { personality, explanation } = calculateResults({ clickCount: 1 }, { classifiers: registry });
+
+    assert.equal(explanation.decision.rule, 'registration order');
+    assert.equal(personality, 'First');
+    assert.match(describeDecision(explanation.decision), /First and Second tied at 10; First was registered first/);
+  });
+
+  test('flags the zero-score fallback and the rule it used', () => {
+    const { decision } = calculateResults(fixture('falls back')).explanation;
+
+    assert.equal(decision.type, 'fallback');
+    assert.equal(decision.rule, 'mouseDistance > 2000');
+    assert.equal(decision.score, 0);
+    assert.match(describeDecision(decision), /fallback rule mouseDistance > 2000 chose Restless/);
+  });
+
+  test('reports the default when no fallback rule matches', () => {
+    const registry = new ClassifierRegistry({}).register('Never', {
+      rules: [{ feature: 'clickCount', comparator: '>', threshold: 1000, weight: 1 }]
+    });
+    const { personality, explanation } = calculateResults({}, { classifiers: registry });
+
+    assert.equal(personality, 'Observer');
+    assert.equal(explanation.decision.rule, null);
+    assert.match(describeDecision(explanation.decision), /defaulted to Observer/);
+  });
+
+  test('per-archetype breakdown sums to the archetype scores', () => {
+    golden.forEach(({ metrics }) => {
+      const { archetypeScores, explanation } = calculateResults(metrics);
+      Object.entries(explanation.archetypes).forEach(([name, { score, rules }]) => {
+        assert.equal(score, archetypeScores[name]);
+        assert.equal(rules.reduce((total, r) => total + r.contribution, 0), score);
+      });
+    });
+  });
+
+  test('is plain JSON', () => {
+    const { explanation } = calculateResults(fixture('constant scrolling'));
+    assert.deepEqual(JSON.parse(JSON.stringify(explanation)), explanation);
+  });
+});
+
+describe('blended profile', () => {
+  test('distributes each archetype\'s share of the total', () => {
+    golden.forEach(({ metrics }) => {
+      const { personality, archetypeScores, blend } = calculateResults(metrics);
+      const shares = Object.values(blend.distribution);
+      const total = Object.values(archetypeScores).reduce((a, b) => a + b, 0);
+
+      assert.equal(blend.primary, personality);
+      assert.ok(Math.abs(shares.reduce((a, b) => a + b, 0) - 1) < 0.01);
+      if (total > 0) {
+        Object.entries(archetypeScores).forEach(([name, score]) => {
+          assert.ok(Math.abs(blend.distribution[name] - score / total) < 0.001);
+        });
+      }
+    });
+  });
+
+  test('picks the strongest other archetype as secondary', () => {
+    const blend = blendScores({ A: 50, B: 20, C: 30 }, { velocityCount: 100 }, 'A');
+    assert.equal(blend.secondary, 'C');
+    assert.deepEqual(blend.distribution, { A: 0.5, B: 0.2, C: 0.3 });
+    assert.equal(blend.confidence, 0.4); // (0.5 - 0.3) / 0.5
+    assert.equal(blend.inconclusive, false);
+    assert.equal(blend.reason, null);
+  });
+
+  test('has no confidence in a tie', () => {
+    const { blend } = calculateResults(golden.find(f => f.name.includes('tie')).metrics);
+    assert.equal(blend.primary, 'Analytical');
+    assert.equal(blend.secondary, 'Impulsive');
+    assert.equal(blend.confidence, 0);
+  });
+
+  test('scales confidence down for short sessions', () => {
+    const full = blendScores({ A: 10 }, { velocityCount: 60 }, 'A');
+    const partial = blendScores({ A: 10 }, { velocityCount: 30 }, 'A');
+    assert.equal(full.confidence, 1);
+    assert.equal(partial.confidence, 0.5);
+  });
+
+  test('is inconclusive when data is too sparse', () => {
+    const { personality, blend } = calculateResults({ clickCount: 2, keystrokes: 3 });
+    assert.equal(blend.inconclusive, true);
+    assert.equal(blend.reason, 'sparse-data');
+    assert.equal(blend.confidence, 0);
+    assert.equal(blend.primary, personality);
+  });
+
+  test('is inconclusive when no archetype scored', () => {
+    const { blend } = calculateResults(golden.find(f => f.name.includes('falls back')).metrics);
+    assert.equal(blend.reason, 'no-signal');
+    assert.equal(blend.secondary, null);
+    assert.ok(Object.values(blend.distribution).every(share => share === 0.2));
+  });
+});
+
+describe('calculateResults', () => {
+  test('keeps scores within their bounds', () => {
+    golden.forEach(({ metrics }) => {
+      const { scores } = calculateResults(metrics);
+      ['focus', 'hesitation', 'energy'].forEach(key => {
+        assert.ok(scores[key] >= 5 && scores[key] <= 95, `${key}=${scores[key]}`);
+      });
+      assert.ok(scores.controlBias >= 0 && scores.controlBias <= 100);
+    });
+  });
+
+  test('reports derived features', () => {
+    const { features } = calculateResults(golden[0].metrics);
+    assert.equal(features.durationSec, 30);
+    assert.equal(features.avgVelocity, 1.5);
+    assert.equal(features.clickRate, 0.5);
+  });
+
+  test('treats metrics without timestamps as a full window', () => {
+    const { features } = analyzeMetrics({ clickCount: 3 });
+    assert.equal(features.durationSec, 30);
+  });
+
+  test('computes rates over the configured window', () => {
+    const metrics = { clickCount: 60, firstActivityTime: 0, lastActivityTime: 120000 };
+    assert.equal(calculateResults(metrics).features.clickRate, 2);
+    assert.equal(calculateResults(metrics, { duration: 120000 }).features.clickRate, 0.5);
+    assert.equal(analyzeMetrics({ clickCount: 15 }, { duration: 15000 }).features.durationSec, 15);
+  });
+
+  test('analyzeEvents honours the duration stored in the log', () => {
+    const events = [
+      { type: 'click', t: 1000, x: 0, y: 0 },
+      { type: 'click', t: 61000, x: 0, y: 0 }
+    ];
+    assert.equal(analyzeEvents({ startTime: 1000, events }).features.durationSec, 30);
+    assert.equal(analyzeEvents({ startTime: 1000, duration: 120000, events }).features.durationSec, 60);
+  });
+
+  test('a snapshot survives cloning and scores as the engine does', () => {
+    const engine = new AnalysisEngine({ duration: 10000 }).reset(1000).processAll([
+      { type: 'pointermove', t: 1100, id: 1, device: 'mouse', x: 0, y: 0 },
+      { type: 'pointermove', t: 1200, id: 1, device: 'mouse', x: 300, y: 400 },
+      { type: 'click', t: 1300, x: 300, y: 400 },
+      { type: 'keydown', t: 1400, key: 'char', press: 1 },
+      { type: 'keyup', t: 1480, press: 1 }
+    ]);
+    const snapshot = structuredClone(engine.snapshot());
+    assert.equal(snapshot.startTime, 1000);
+    assert.equal(snapshot.metrics.mouseDistance, 500);
+    assert.equal(snapshot.pointer.pointerDevice, 'mouse');
+    assert.deepEqual(analyzeSnapshot(snapshot, { duration: 10000 }), engine.analyze());
+  });
+
+  test('rejects non-object metrics', () => {
+    assert.throws(() => analyzeMetrics(null), TypeError);
+  });
+});
+
+describe('personal baseline', () => {
+  // Someone whose resting pace on a fast trackpad is twice the reference speed
+  const baseline = createBaseline(
+    { features: { velocityCount: 50, avgVelocity: 1.6, typingKeys: 0 } },
+    { pointerDevice: 'mouse', pixelRatio: 1, screen: { width: 1440, height: 900 }, viewport: { width: 1440, height: 900 } },
+    { timestamp: Date.UTC(2026, 9, 1) }
+  );
+  const metrics = { velocitySum: 80, velocityCount: 50, maxVelocity: 3.2, mouseDistance: 900, firstActivityTime: 0, lastActivityTime: 30000 };
+
+  test('scores the session on the reference scale', () => {
+    const absolute = calculateResults(metrics);
+    const calibrated = calculateResults(metrics, { baseline });
+    assert.equal(absolute.calibration, null);
+    assert.equal(absolute.explanation.archetypes.Impulsive.rules[0].fired, true);
+    assert.equal(calibrated.features.avgVelocity, 0.8);
+    assert.equal(calibrated.explanation.archetypes.Impulsive.rules[0].fired, false);
+    assert.ok(calibrated.scores.focus < absolute.scores.focus);
+  });
+
+  test('reports the factors and the deviation from the baseline', () => {
+    const { calibration } = calculateResults({ ...metrics, velocitySum: 100 }, { baseline });
+    assert.equal(calibration.profile, baseline.profile);
+    assert.equal(calibration.factors.speed, 0.5);
+    assert.deepEqual(calibration.deviations, { pointerSpeed: 0.25, typingInterval: null });
+  });
+
+  test('a logged baseline replays with the session, and options can override it', () => {
+    const log = {
+      version: EVENT_LOG_VERSION,
+      startTime: 0,
+      baseline,
+      events: Array.from({ length: 30 }, (_, i) => ({ type: 'mousemove', t: i * 20, x: i * 40, y: 0 }))
+    };
+    assert.equal(analyzeEvents(log).calibration.profile, baseline.profile);
+    assert.equal(analyzeEvents(log).features.avgVelocity, 1);
+    assert.equal(analyzeEvents(log, { baseline: null }).calibration, null);
+    assert.equal(analyzeEvents({ ...log, baseline: { version: 0 } }).calibration, null);
+  });
+});
+
+describe('normalizeScore', () => {
+  test('rounds and clamps to 5-95', () => {
+    assert.equal(normalizeScore(-10), 5);
+    assert.equal(normalizeScore(42.4), 42);
+    assert.equal(normalizeScore(300), 95);
+  });
+});
+
+describe('AnalysisEngine', () => {
+  test('folds events into metrics', () => {
+    const engine = new AnalysisEngine().reset(1000).processAll([
+      { type: 'mousemove', t: 1000, x: 0, y: 0 },
+      { type: 'mousemove', t: 1050, x: 30, y: 40 },
+      { type: 'click', t: 1100, x: 30, y: 40 },
+      { type: 'scroll', t: 1200 },
+      { type: 'wheel', t: 1210, deltaY: -80 },
+      { type: 'wheel', t: 1230, deltaY: -40 },
+      { type: 'keydown', t: 1300, key: 'char' },
+      { type: 'keydown', t: 1400, key: 'backspace' },
+      { type: 'keydown', t: 1500, key: 'other' }
+    ]);
+
+    const m = engine.metrics;
+    assert.equal(m.mouseDistance, 50);
+    assert.equal(m.clickCount, 1);
+    assert.equal(m.scrollCount, 1);
+    // 40 px over the 20 ms between the two wheel events; an open gesture is read in the snapshot
+    assert.equal(m.maxScrollVelocity, 0);
+    assert.equal(engine.snapshot().metrics.maxScrollVelocity, 2);
+    assert.equal(m.keystrokes, 1);
+    assert.equal(m.backspaces, 1);
+    assert.equal(m.lastActivityTime, 1500);
+  });
+
+  test('resets velocity tracking at touch end', () => {
+    const engine = new AnalysisEngine().reset(0).processAll([
+      { type: 'mousemove', t: 100, x: 0, y: 0 },
+      { type: 'touchend', t: 150 },
+      { type: 'mousemove', t: 200, x: 500, y: 0 }
+    ]);
+    assert.equal(engine.metrics.mouseDistance, 0);
+  });
+
+  test('analyzeEvents matches a step-by-step engine run', () => {
+    const log = {
+      version: EVENT_LOG_VERSION,
+      startTime: 500,
+      events: [
+        { type: 'mousemove', t: 600, x: 0, y: 0 },
+        { type: 'mousemove', t: 640, x: 200, y: 0 },
+        { type: 'idle', t: 1100 },
+        { type: 'keyup', t: 2500 },
+        { type: 'idle', t: 2550 }
+      ]
+    };
+    const result = analyzeEvents(log);
+    const engine = new AnalysisEngine().reset(500).processAll(log.events);
+
+    assert.deepEqual(result, engine.analyze());
+    assert.equal(engine.metrics.idleTime, 1450);
+  });
+
+  test('scores keystroke dynamics from version 2 logs only', () => {
+    const events = [
+      { type: 'keydown', t: 100, key: 'char', press: 1 },
+      { type: 'keyup', t: 180, press: 1 },
+      { type: 'keydown', t: 300, key: 'char', press: 2 },
+      { type: 'keyup', t: 360, press: 2 },
+      { type: 'keydown', t: 900, key: 'backspace', press: 3 }
+    ];
+    const current = analyzeEvents({ version: 2, startTime: 0, events });
+    const legacy = analyzeEvents({ version: 1, startTime: 0, events });
+
+    assert.equal(current.typing.typingKeys, 3);
+    assert.equal(current.typing.typingDwellMean, 70);
+    assert.equal(current.features.typingBackspaceLatency, 600);
+    assert.equal(legacy.typing, null);
+    assert.equal('typingKeys' in legacy.features, false);
+    assert.deepEqual(legacy.features.keystrokes, current.features.keystrokes);
+  });
+
+  test('scores trajectory features from version 3 logs only', () => {
+    const events = [
+      { type: 'mousemove', t: 100, x: 0, y: 0 },
+      { type: 'mousemove', t: 120, x: 40, y: 0 },
+      { type: 'mousemove', t: 140, x: 80, y: 0 },
+      { type: 'click', t: 400, x: 80, y: 0 }
+    ];
+    const current = analyzeEvents({ version: 3, startTime: 0, events });
+    const previous = analyzeEvents({ version: 2, startTime: 0, events });
+
+    assert.equal(current.trajectory.trajectoryStrokes, 1);
+    assert.equal(current.features.trajectoryEfficiency, 1);
+    assert.equal(current.features.trajectoryClickPause, 260);
+    assert.equal(previous.trajectory, null);
+    assert.equal('trajectoryStrokes' in previous.features, false);
+  });
+
+  test('scores pointer devices from version 4 logs only', () => {
+    const events = [
+      { type: 'pointerdown', t: 100, id: 2, device: 'touch', x: 0, y: 0, pressure: 0.5 },
+      { type: 'pointermove', t: 120, id: 2, device: 'touch', x: 40, y: 0, pressure: 0.7 },
+      { type: 'pointermove', t: 140, id: 2, device: 'touch', x: 80, y: 0, pressure: 0.9 },
+      { type: 'pointerup', t: 160, id: 2, device: 'touch', x: 80, y: 0 }
+    ];
+    const current = analyzeEvents({ version: 4, startTime: 0, events });
+    const previous = analyzeEvents({ version: 3, startTime: 0, events });
+
+    assert.equal(current.pointer.pointerDevice, 'touch');
+    assert.equal(current.pointer.pointerContacts, 1);
+    assert.equal(current.pointer.gestureSwipes, 1);
+    assert.equal(current.features.pointerTouchDistance, 80);
+    assert.equal(current.features.mouseDistance, 80);
+    // The lift ends the stroke it drew
+    assert.equal(current.trajectory.trajectoryStrokes, 1);
+    assert.equal(previous.pointer, null);
+    assert.equal('pointerDevice' in previous.features, false);
+  });
+
+  test('scores the task battery from version 5 logs only', () => {
+    const events = [
+      { type: 'mousemove', t: 100, x: 0, y: 0 },
+      { type: 'taskstart', t: 200, task: 0, kind: 'targets' },
+      { type: 'target', t: 200, trial: 0, x: 300, y: 0, size: 100 },
+      { type: 'mousemove', t: 500, x: 300, y: 0 },
+      { type: 'click', t: 700, x: 300, y: 0, hit: true },
+      { type: 'taskend', t: 700, task: 0, kind: 'targets' },
+      { type: 'taskstart', t: 800, task: 1, kind: 'wait' },
+      { type: 'keydown', t: 1500, key: 'other', press: 1 },
+      { type: 'taskend', t: 4800, task: 1, kind: 'wait' }
+    ];
+    const current = analyzeEvents({ version: 5, startTime: 0, events });
+    const previous = analyzeEvents({ version: 4, startTime: 0, events });
+
+    assert.equal(current.tasks.taskCompleted, 2);
+    assert.equal(current.tasks.taskFittsMovementTime, 500);
+    assert.equal(current.features.taskFittsThroughput, 4);
+    assert.equal(current.features.taskWaitLatency, 700);
+    // Task events still count as ordinary input
+    assert.equal(current.features.clickCount, previous.features.clickCount);
+    assert.equal(previous.tasks, null);
+    assert.equal('taskCount' in previous.features, false);
+  });
+
+  test('measures version 6 logs at full resolution and older ones as throttled', () => {
+    // A 500 Hz mouse, 4 px every 2 ms
+    const events = Array.from({ length: 51 }, (_, i) => ({ type: 'mousemove', t: 1000 + i * 2, x: i * 4, y: 0 }));
+    const full = analyzeEvents({ version: 6, startTime: 1000, events });
+    const throttled = analyzeEvents({ version: 5, startTime: 1000, events });
+
+    assert.equal(full.features.mouseDistance, 200);
+    // One reading per sample, over its own 2 ms
+    assert.equal(full.features.velocityCount, 50);
+    assert.equal(full.features.maxVelocity, 2);
+    assert.equal(full.features.jitterCount, 0);
+    // Every sample fell within a frame of the one before, so throttled scoring saw no movement
+    assert.equal(throttled.features.mouseDistance, 0);
+    assert.deepEqual(
+      [full.sampling.pointerSamples, full.sampling.pointerInterval, full.sampling.pointerHz],
+      [51, 2, 500]
+    );
+  });
+
+  test('reads wheel speed and scroll count per gesture at full resolution', () => {
+    const events = [
+      ...[0, 10, 20, 30, 40].map(dt => ({ type: 'wheel', t: 1000 + dt, deltaY: 20 })),
+      { type: 'wheel', t: 1050, deltaY: -30 },
+      // A lone notch has no interval to read a speed over
+      { type: 'wheel', t: 1500, deltaY: 500 },
+      // A scroll event every frame for 464 ms, then another gesture after a pause
+      ...Array.from({ length: 30 }, (_, i) => ({ type: 'scroll', t: 2000 + i * 16, y: i * 10 })),
+      ...Array.from({ length: 3 }, (_, i) => ({ type: 'scroll', t: 2800 + i * 16, y: 300 + i * 10 }))
+    ];
+    const full = analyzeEvents({ version: 6, startTime: 1000, events });
+    const throttled = analyzeEvents({ version: 5, startTime: 1000, events });
+
+    // 110 px over the 50 ms of the first gesture
+    assert.equal(full.features.maxScrollVelocity, 2.2);
+    assert.equal(full.features.scrollCount, 2);
+    assert.equal(full.sampling.scrollHz, 62.5);
+    assert.equal(full.sampling.wheelSamples, 7);
+    assert.equal(throttled.features.maxScrollVelocity, 500);
+    assert.equal(throttled.features.scrollCount, 33);
+  });
+
+  test('counts jitter and direction changes per movement at full resolution', () => {
+    // The same three 3 px twitches, 200 ms apart, at 1000 Hz and at 60 Hz, then a brisk turn back
+    const twitches = (interval) => [0, 1, 2].flatMap(i => Array.from({ length: Math.floor(30 / interval) + 1 }, (_, j) => (
+      { type: 'mousemove', t: 1000 + i * 200 + j * interval, x: i * 3 + j * interval / 10, y: 0 }
+    )));
+    const turn = [
+      { type: 'mousemove', t: 2000, x: 40, y: 0 },
+      { type: 'mousemove', t: 2020, x: 0, y: 0 }
+    ];
+    const fast = analyzeEvents({ version: 6, startTime: 1000, events: [...twitches(1), ...turn] });
+    const slow = analyzeEvents({ version: 6, startTime: 1000, events: [...twitches(16), ...turn] });
+
+    assert.deepEqual([fast.features.jitterCount, fast.features.directionChanges], [3, 1]);
+    assert.deepEqual([slow.features.jitterCount, slow.features.directionChanges], [3, 1]);
+  });
+
+  test('analyzes scroll behavior from version 7 logs', () => {
+    const events = [
+      { type: 'wheel', t: 1000, deltaX: 0, deltaY: 48 },
+      { type: 'scroll', t: 1010, x: 0, y: 200, maxX: 0, maxY: 1000 },
+      { type: 'scroll', t: 1900, area: 'reading', x: 0, y: 300, maxX: 0, maxY: 600 },
+      { type: 'scroll', t: 2000, area: 'reading', x: 0, y: 100, maxX: 0, maxY: 600 },
+      { type: 'taskscroll', t: 2500, y: 400, maxY: 800 },
+      { type: 'click', t: 3000, x: 0, y: 0 }
+    ];
+    const current = analyzeEvents({ version: 7, startTime: 1000, events });
+    const previous = analyzeEvents({ version: 6, startTime: 1000, events });
+
+    assert.equal(EVENT_LOG_VERSION, 7);
+    assert.equal(current.features.scrollDistance, 1100);
+    assert.equal(current.features.scrollReversals, 1);
+    assert.equal(current.features.scrollMaxDepth, 0.5);
+    assert.equal(current.features.scrollWheelDistance, 48);
+    assert.equal(current.features.scrollPauses, 2);
+    // The task list was scrolled last and held until the click
+    assert.deepEqual(current.scrollPath.dwell, [0, 500, 890, 0, 0, 600, 0, 0, 0, 0]);
+    // Each area's scrolls are a sampling source of their own
+    assert.equal(current.sampling.scrollSamples, 4);
+    assert.equal(current.scroll.scrollGestures, 3);
+    assert.equal(previous.scroll, null);
+    assert.equal(previous.scrollPath, null);
+    assert.equal('scrollDistance' in previous.features, false);
+  });
+
+  test('tracks each pointer separately and strokes only the primary one', () => {
+    const engine = new AnalysisEngine().reset(0).processAll([
+      { type: 'pointerdown', t: 100, id: 1, device: 'touch', x: 0, y: 0 },
+      { type: 'pointerdown', t: 100, id: 2, device: 'touch', x: 500, y: 0, primary: false },
+      { type: 'pointermove', t: 120, id: 1, device: 'touch', x: 40, y: 0 },
+      { type: 'pointermove', t: 120, id: 2, device: 'touch', x: 540, y: 0, primary: false },
+      { type: 'pointermove', t: 140, id: 1, device: 'touch', x: 80, y: 0 },
+      { type: 'pointermove', t: 140, id: 2, device: 'touch', x: 580, y: 0, primary: false }
+    ]);
+    const { trajectory, pointer } = engine.analyze();
+    // Distances are per finger, not the jump between them
+    assert.equal(engine.metrics.mouseDistance, 160);
+    assert.equal(trajectory.trajectoryStrokes, 1);
+    assert.equal(trajectory.trajectoryEfficiency, 1);
+    assert.equal(pointer.pointerMaxContacts, 2);
+  });
+
+  test('breaks strokes while the page is hidden', () => {
+    const engine = new AnalysisEngine().reset(0).processAll([
+      { type: 'mousemove', t: 100, x: 0, y: 0 },
+      { type: 'mousemove', t: 120, x: 40, y: 0 },
+      { type: 'mousemove', t: 140, x: 80, y: 0 },
+      { type: 'hidden', t: 150 },
+      { type: 'mousemove', t: 160, x: 500, y: 500 },
+      { type: 'visible', t: 170 },
+      { type: 'mousemove', t: 180, x: 80, y: 10 },
+      { type: 'mousemove', t: 200, x: 80, y: 50 },
+      { type: 'mousemove', t: 220, x: 80, y: 90 }
+    ]);
+    const { trajectory } = engine.analyze();
+    assert.equal(trajectory.trajectoryStrokes, 2);
+    assert.equal(trajectory.trajectoryEfficiency, 1);
+  });
+
+  test('analyzeEvents rejects logs without events', () => {
+    assert.throws(() => analyzeEvents({ startTime: 0 }), TypeError);
+    assert.throws(() => analyzeEvents({ events: [] }), TypeError);
+  });
+});
@@ -0,0 +1,327 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildExport, toCSV, toJSON, toReportHTML, flattenExport,
+  EXPORT_SCHEMA, EXPORT_SCHEMA_VERSION, METRIC_KEYS, DERIVED_KEYS
+} from '../src/export.js';
+import { analyzeEvents } from '../src/engine.js';
+import { parseResult } from '../src/import.js';
+
+const log = {
+  version: 1,
+  startTime: 1000,
+  endTime: 16000,
+  duration: 15000,
+  profile: 'quick',
+  events: [
+    { type: 'mousemove', t: 1100, x: 0, y: 0 },
+    { type: 'mousemove', t: 1200, x: 300, y: 400 },
+    { type: 'click', t: 1300, x: 300, y: 400 },
+    { type: 'keydown', t: 1400, key: 'char' },
+    // Enough input for a conclusive blend
+    ...Array.from({ length: 10 }, (_, i) => ({ type: 'keydown', t: 1500 + i * 100, key: 'char' }))
+  ]
+};
+
+const session = (overrides = {}) => {
+  const result = analyzeEvents(log);
+  return buildExport({
+    sessionId: 'AM-1',
+    timestamp: Date.UTC(2026, 4, 4, 9, 30),
+    profile: 'quick',
+    duration: 15000,
+    observedDuration: 15000,
+    ...result,
+    metrics: result.features,
+    eventLog: log,
+    ...overrides
+  });
+};
+
+describe('buildExport', () => {
+  test('writes the versioned schema', () => {
+    const data = session();
+
+    assert.equal(data.schema, EXPORT_SCHEMA);
+    assert.equal(data.schemaVersion, EXPORT_SCHEMA_VERSION);
+    assert.equal(data.timestamp, '2026-05-04T09:30:00.000Z');
+    assert.deepEqual(data.session, { profile: 'quick', duration: 15000, observedDuration: 15000 });
+    assert.deepEqual(Object.keys(data.metrics), METRIC_KEYS);
+    assert.deepEqual(Object.keys(data.derived), DERIVED_KEYS);
+    assert.equal(data.metrics.mouseDistance, 500);
+    assert.equal(data.derived.clickRate, analyzeEvents(log).features.clickRate);
+    assert.ok('Analytical' in data.archetypeScores);
+    assert.equal(data.explanation.decision.winner, data.personality);
+  });
+
+  test('keeps only schema fields in metrics', () => {
+    const data = session({ metrics: { clickCount: 3, durationSec: 4, secret: 'x' } });
+    assert.equal(data.metrics.clickCount, 3);
+    assert.equal(data.metrics.mouseDistance, null);
+    assert.equal('durationSec' in data.metrics, false);
+    assert.equal('secret' in data.metrics, false);
+  });
+
+  test('marks missing derived rates as null', () => {
+    const data = session({ features: null });
+    assert.ok(Object.values(data.derived).every(value => value === null));
+  });
+
+  test('includes typing rhythm when the log has key timing', () => {
+    assert.equal(session().typing, null);
+
+    const typed = analyzeEvents({ ...log, version: 2 });
+    const data = session({ typing: typed.typing });
+    assert.equal(data.typing.typingKeys, 11);
+    assert.equal(data.typing.typingIntervalMean, typed.typing.typingIntervalMean);
+    assert.match(toCSV(data), /typing_typingWpm/);
+    assert.match(toReportHTML(data), /Typing Rhythm/);
+    assert.doesNotMatch(toReportHTML(session()), /Typing Rhythm/);
+  });
+
+  test('includes trajectory features when the log is scored with them', () => {
+    assert.equal(session().trajectory, null);
+
+    const current = analyzeEvents({
+      ...log,
+      version: 3,
+      events: [{ type: 'mousemove', t: 1050, x: 0, y: 0 }, ...log.events]
+    });
+    const data = session({ trajectory: current.trajectory });
+    assert.equal(data.trajectory.trajectoryStrokes, 1);
+    assert.equal(data.trajectory.trajectoryClickPause, 100);
+    assert.match(toCSV(data), /trajectory_trajectoryEfficiency/);
+    assert.match(toReportHTML(data), /Pointer Trajectory/);
+  });
+
+  test('includes input device features, keeping the device name', () => {
+    assert.equal(session().pointer, null);
+
+    const current = analyzeEvents({
+      ...log,
+      version: 4,
+      events: [
+        { type: 'pointerdown', t: 1050, id: 3, device: 'pen', x: 0, y: 0, pressure: 0.4 },
+        { type: 'pointermove', t: 1070, id: 3, device: 'pen', x: 30, y: 0, pressure: 0.6 },
+        ...log.events
+      ]
+    });
+    const data = session({ pointer: current.pointer });
+    assert.equal(data.pointer.pointerDevice, 'pen');
+    assert.equal(data.pointer.pointerPenDistance, 30);
+    assert.match(toCSV(data), /pointer_pointerDevice/);
+    assert.match(toCSV(data), /,pen,/);
+    assert.match(toReportHTML(data), /Input Devices/);
+    assert.doesNotMatch(toReportHTML(session()), /Input Devices/);
+  });
+
+  test('includes task battery features', () => {
+    assert.equal(session().tasks, null);
+
+    const current = analyzeEvents({
+      ...log,
+      version: 5,
+      events: [
+        ...log.events,
+        { type: 'taskstart', t: 2000, task: 0, kind: 'transcribe' },
+        { type: 'taskend', t: 6000, task: 0, kind: 'transcribe', accuracy: 0.9 }
+      ]
+    });
+    const data = session({ tasks: current.tasks });
+    assert.equal(data.tasks.taskCount, 1);
+    assert.equal(data.tasks.taskTranscribeAccuracy, 0.9);
+    assert.match(toCSV(data), /task_taskTranscribeAccuracy/);
+    assert.match(toReportHTML(data), /Task Battery/);
+    assert.doesNotMatch(toReportHTML(session()), /Task Battery/);
+  });
+
+  test('carries the consent the session was recorded under', () => {
+    assert.equal(session().consent, null);
+
+    const consent = { version: 1, timestamp: '2026-05-04T09:29:00.000Z', channels: ['pointer', 'keyboard'], persist: false, retentionDays: null };
+    const data = session({ eventLog: { ...log, consent } });
+    assert.deepEqual(data.consent, consent);
+    const [header, row] = toCSV(data).trim().split('\r\n').map(line => line.split(','));
+    assert.equal(row[header.indexOf('consent_channels')], 'pointer keyboard');
+    assert.equal(row[header.indexOf('consent_persist')], 'false');
+  });
+
+  test('records the capture mode and sampling rates', () => {
+    assert.equal(session().capture, null);
+
+    const events = Array.from({ length: 20 }, (_, i) => ({ type: 'mousemove', t: 1000 + i * 8, x: i * 5, y: 0 }));
+    const { sampling } = analyzeEvents({ ...log, version: 6, events });
+    const data = session({ sampling, eventLog: { ...log, capture: { mode: 'coalesced', dropped: 0 } } });
+    assert.equal(data.sampling.pointerHz, 125);
+    assert.deepEqual(data.capture, { mode: 'coalesced', dropped: 0 });
+    const [header, row] = toCSV(data).trim().split('\r\n').map(line => line.split(','));
+    assert.equal(row[header.indexOf('capture_mode')], 'coalesced');
+    assert.equal(row[header.indexOf('sampling_pointerHz')], '125');
+    assert.match(toReportHTML(data), /Input Sampling/);
+  });
+
+  test('includes scroll behavior when the log has scroll positions', () => {
+    assert.equal(session().scroll, null);
+    assert.doesNotMatch(toReportHTML(session()), /Scroll Behavior/);
+
+    const events = [
+      { type: 'scroll', t: 1000, area: 'reading', x: 0, y: 200, maxX: 0, maxY: 800 },
+      { type: 'scroll', t: 1100, area: 'reading', x: 0, y: 100, maxX: 0, maxY: 800 }
+    ];
+    const { scroll } = analyzeEvents({ ...log, version: 7, events });
+    const data = session({ scroll });
+    assert.equal(data.scroll.scrollReversals, 1);
+    assert.equal(data.scroll.scrollMaxDepth, 0.25);
+    const [header, row] = toCSV(data).trim().split('\r\n').map(line => line.split(','));
+    assert.equal(row[header.indexOf('scroll_scrollDistance')], '300');
+    assert.match(toReportHTML(data), /Scroll Behavior/);
+  });
+
+  test('reads back through the importer', () => {
+    const data = session();
+    const record = parseResult(JSON.stringify(data));
+    assert.equal(record.verified, true);
+    assert.equal(record.profile, 'quick');
+    assert.equal(record.personality, data.personality);
+  });
+});
+
+describe('toJSON', () => {
+  test('indents the document and writes the event log on one line', () => {
+    const data = session();
+    const text = toJSON(data);
+
+    assert.deepEqual(JSON.parse(text), data);
+    assert.match(text, /^  "sessionId": "AM-1",$/m);
+    assert.ok(text.includes(`\n  "eventLog": ${JSON.stringify(log)}`));
+  });
+
+  test('writes exports without an event log', () => {
+    const data = session({ eventLog: null });
+    assert.deepEqual(JSON.parse(toJSON(data)), data);
+  });
+});
+
+describe('toCSV', () => {
+  test('writes a header and one row per session', () => {
+    const lines = toCSV([session(), session({ sessionId: 'AM-2' })]).trimEnd().split('\r\n');
+    const header = lines[0].split(',');
+
+    assert.equal(lines.length, 3);
+    assert.deepEqual(header.slice(0, 7), ['schemaVersion', 'sessionId', 'timestamp', 'profile', 'duration', 'observedDuration', 'personality']);
+    assert.ok(header.includes('score_controlBias'));
+    assert.ok(header.includes('archetype_Observer'));
+    assert.ok(header.includes('metric_backspaces'));
+    assert.ok(header.includes('derived_deletionRate'));
+
+    const row = lines[2].split(',');
+    assert.equal(row[header.indexOf('sessionId')], 'AM-2');
+    assert.equal(row[header.indexOf('metric_mouseDistance')], '500');
+    assert.ok(['highest', 'tie-breaker', 'fallback'].includes(row[header.indexOf('decision')]));
+    assert.equal(row[header.indexOf('primary')], row[header.indexOf('personality')]);
+    assert.equal(row[header.indexOf('inconclusive')], 'false');
+    assert.ok(header.includes('share_Observer'));
+  });
+
+  test('unions archetype columns across sessions', () => {
+    const csv = toCSV([session({ archetypeScores: { A: 1 } }), session({ archetypeScores: { B: 2 } })]);
+    const [header, first, second] = csv.trimEnd().split('\r\n').map(line => line.split(','));
+    assert.equal(first[header.indexOf('archetype_B')], '');
+    assert.equal(second[header.indexOf('archetype_B')], '2');
+  });
+
+  test('quotes text and neutralises formulas', () => {
+    const csv = toCSV(session({ sessionId: 'a,"b"', personality: '=HYPERLINK("x")' }));
+    assert.ok(csv.includes('"a,""b"""'));
+    assert.ok(csv.includes(`"'=HYPERLINK(""x"")"`));
+  });
+});
+
+describe('calibrated sessions', () => {
+  const calibration = {
+    profile: 'mouse · 1440×900 @2x',
+    calibratedAt: '2026-10-01T00:00:00.000Z',
+    factors: { speed: 0.5, distance: 1, typing: 0.8 },
+    deviations: { pointerSpeed: 0.25, typingInterval: null }
+  };
+
+  test('carry the baseline into every format', () => {
+    assert.equal(session().calibration, null);
+    const data = session({ calibration });
+    assert.deepEqual(data.calibration, calibration);
+
+    const [header, row] = toCSV(data).trimEnd().split('\r\n').map(line => line.split(','));
+    assert.equal(row[header.indexOf('calibration_profile')], calibration.profile);
+    assert.equal(row[header.indexOf('calibration_speed')], '0.5');
+    assert.equal(row[header.indexOf('deviation_pointerSpeed')], '0.25');
+    assert.equal(row[header.indexOf('deviation_typingInterval')], '');
+
+    const html = toReportHTML(data);
+    assert.match(html, /Scored against the baseline for mouse · 1440×900 @2x/);
+    assert.ok(html.includes('<th scope="row">Pointer speed</th><td>+25%</td>'));
+    assert.doesNotMatch(toReportHTML(session()), /Personal Baseline/);
+  });
+});
+
+describe('population norms', () => {
+  const norms = {
+    cohort: 'Pilot <2026>',
+    sessions: 40,
+    createdAt: '2026-10-01T00:00:00.000Z',
+    percentiles: { focus: 80, hesitation: 12, controlBias: null, energy: 50 }
+  };
+
+  test('carry the cohort reading into every format', () => {
+    assert.equal(session().norms, null);
+    const data = session({ norms });
+    assert.deepEqual(data.norms, norms);
+
+    const [header, row] = toCSV(data).trimEnd().split('\r\n').map(line => line.split(','));
+    assert.equal(row[header.indexOf('norms_cohort')], 'Pilot <2026>');
+    assert.equal(row[header.indexOf('percentile_focus')], '80');
+    assert.equal(row[header.indexOf('percentile_controlBias')], '');
+
+    const html = toReportHTML(data);
+    assert.match(html, /Against Pilot &lt;2026&gt; \(40 sessions\)/);
+    assert.ok(html.includes('<th scope="row">focus</th><td>80</td>'));
+    assert.doesNotMatch(toReportHTML(session()), /Percentiles/);
+  });
+
+  test('flattenExport gives the CSV row as an object', () => {
+    const data = session({ norms });
+    const row = flattenExport(data);
+    const [header] = toCSV(data).split('\r\n').map(line => line.split(','));
+    assert.deepEqual(Object.keys(row), header);
+    assert.equal(row.sessionId, 'AM-1');
+    assert.equal(row.percentile_controlBias, null);
+    assert.equal(row.metric_mouseDistance, 500);
+  });
+});
+
+describe('toReportHTML', () => {
+  test('includes the classification, scores and metrics', () => {
+    const data = session();
+    const html = toReportHTML(data);
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.ok(html.includes(`<p class="classification">${data.personality}</p>`));
+    assert.ok(html.includes('<th scope="row">mouseDistance</th><td>500</td>'));
+    assert.ok(html.includes(`width:${data.scores.controlBias}%`));
+    assert.match(html, /@media print/);
+    assert.match(html, /Why This Result/);
+    assert.match(html, /Confidence \d+%/);
+  });
+
+  test('labels inconclusive sessions', () => {
+    const data = session();
+    const html = toReportHTML({ ...data, blend: { ...data.blend, inconclusive: true, reason: 'sparse-data' } });
+    assert.ok(html.includes('<p class="classification">Inconclusive</p>'));
+    assert.match(html, /too little interaction/);
+  });
+
+  test('escapes text fields', () => {
+    const html = toReportHTML(session({ sessionId: '<script>alert(1)</script>' }));
+    assert.equal(html.includes('<script>'), false);
+    assert.ok(html.includes('&lt;script&gt;'));
+  });
+});
@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GestureRecognizer, GESTURE_FEATURES,
+  TAP_MAX_DURATION, LONG_PRESS, SWIPE_MIN_DISTANCE
+} from '../src/gestures.js';
+
+describe('GestureRecognizer', () => {
+  test('reports every feature, zero without contacts', () => {
+    const summary = new GestureRecognizer().summary();
+    assert.deepEqual(Object.keys(summary), GESTURE_FEATURES);
+    assert.ok(Object.values(summary).every(count => count === 0));
+  });
+
+  test('a short press in place is a tap, a long one a long press', () => {
+    const gestures = new GestureRecognizer();
+    gestures.down(0, 1, 100, 100).move(50, 1, 103, 102).up(TAP_MAX_DURATION, 1);
+    gestures.down(1000, 2, 100, 100).up(1000 + LONG_PRESS, 2);
+    // Too long for a tap, too short for a long press
+    gestures.down(2000, 3, 100, 100).up(2000 + TAP_MAX_DURATION + 50, 3);
+    const summary = gestures.summary();
+    assert.equal(summary.gestureTaps, 1);
+    assert.equal(summary.gestureLongPresses, 1);
+  });
+
+  test('a fast drag is a swipe, a slow one is not', () => {
+    const gestures = new GestureRecognizer();
+    gestures.down(0, 1, 0, 0).move(50, 1, SWIPE_MIN_DISTANCE + 30, 0).up(100, 1);
+    gestures.down(1000, 2, 0, 0).move(1500, 2, SWIPE_MIN_DISTANCE + 30, 0).up(2000, 2);
+    assert.equal(gestures.summary().gestureSwipes, 1);
+  });
+
+  test('a drag that returns to its start is neither tap nor swipe', () => {
+    const gestures = new GestureRecognizer();
+    gestures.down(0, 1, 0, 0).move(50, 1, 80, 0).move(100, 1, 2, 0).up(150, 1);
+    const summary = gestures.summary();
+    assert.equal(summary.gestureTaps, 0);
+    assert.equal(summary.gestureSwipes, 0);
+  });
+
+  test('two fingers spreading apart make a pinch, not taps or swipes', () => {
+    const gestures = new GestureRecognizer();
+    gestures.down(0, 1, 100, 100).down(10, 2, 200, 100);
+    gestures.move(60, 1, 40, 100).move(60, 2, 260, 100);
+    gestures.up(100, 1).up(110, 2);
+    assert.deepEqual(gestures.summary(), {
+      gestureTaps: 0, gestureLongPresses: 0, gestureSwipes: 0, gesturePinches: 1
+    });
+  });
+
+  test('two fingers held still are not a pinch', () => {
+    const gestures = new GestureRecognizer();
+    gestures.down(0, 1, 100, 100).down(10, 2, 200, 100);
+    gestures.move(60, 1, 105, 100);
+    gestures.up(100, 1).up(110, 2);
+    assert.equal(gestures.summary().gesturePinches, 0);
+  });
+
+  test('drops cancelled contacts', () => {
+    const gestures = new GestureRecognizer();
+    gestures.down(0, 1, 100, 100).up(100, 1, true);
+    gestures.down(200, 2, 100, 100).down(210, 3, 200, 100);
+    gestures.move(260, 2, 0, 100);
+    gestures.up(300, 2, true).up(310, 3, true);
+    assert.ok(Object.values(gestures.summary()).every(count => count === 0));
+  });
+
+  test('ignores moves and lifts for contacts it never saw go down', () => {
+    const gestures = new GestureRecognizer();
+    gestures.move(0, 9, 10, 10).up(50, 9);
+    assert.equal(gestures.summary().gestureTaps, 0);
+  });
+});
@@ -0,0 +1,133 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHeatmap, hasHeatmapData, HEATMAP_CELL, DWELL_CAP } from '../src/heatmap.js';
+
+const log = (events, extra = {}) => ({
+  startTime: 0,
+  endTime: 10000,
+  viewport: { width: 240, height: 120 },
+  events,
+  ...extra
+});
+
+const cellAt = (map, x, y) => map.dwell[Math.floor(y / map.cell) * map.cols + Math.floor(x / map.cell)];
+
+describe('buildHeatmap', () => {
+  test('lays a grid over the recorded viewport', () => {
+    const map = buildHeatmap(log([]));
+    assert.equal(map.width, 240);
+    assert.equal(map.height, 120);
+    assert.equal(map.viewportRecorded, true);
+    assert.equal(map.cols, 240 / HEATMAP_CELL);
+    assert.equal(map.rows, 120 / HEATMAP_CELL);
+    assert.equal(hasHeatmapData(map), false);
+  });
+
+  test('adds the time the pointer rested at each sample to its cell', () => {
+    const map = buildHeatmap(log([
+      { type: 'mousemove', t: 100, x: 10, y: 10 },
+      { type: 'mousemove', t: 400, x: 100, y: 50 },
+      { type: 'mousemove', t: 500, x: 101, y: 51 },
+      { type: 'click', t: 600, x: 101, y: 51 }
+    ], { endTime: 1000 }));
+
+    assert.equal(cellAt(map, 10, 10), 300);
+    // Both later samples share a cell; the last one rests until the end
+    assert.equal(cellAt(map, 100, 50), 100 + 500);
+    assert.equal(map.maxDwell, 600);
+    assert.deepEqual(map.clicks, [{ x: 101, y: 51 }]);
+  });
+
+  test('caps the dwell a single long rest can add', () => {
+    const map = buildHeatmap(log([
+      { type: 'mousemove', t: 0, x: 10, y: 10 },
+      { type: 'mousemove', t: 9000, x: 200, y: 100 }
+    ]));
+    assert.equal(cellAt(map, 10, 10), DWELL_CAP);
+  });
+
+  test('breaks the trail where a touch lifts or the page is hidden', () => {
+    const map = buildHeatmap(log([
+      { type: 'mousemove', t: 0, x: 0, y: 0 },
+      { type: 'mousemove', t: 20, x: 10, y: 0 },
+      { type: 'touchend', t: 30 },
+      { type: 'mousemove', t: 40, x: 100, y: 100 },
+      { type: 'mousemove', t: 60, x: 110, y: 100 },
+      { type: 'hidden', t: 70 },
+      { type: 'mousemove', t: 80, x: 5, y: 5 },
+      { type: 'click', t: 85, x: 5, y: 5 },
+      { type: 'visible', t: 90 },
+      { type: 'mousemove', t: 100, x: 200, y: 10 },
+      { type: 'mousemove', t: 120, x: 210, y: 10 }
+    ]));
+
+    assert.deepEqual(map.trails, [
+      [{ x: 0, y: 0 }, { x: 10, y: 0 }],
+      [{ x: 100, y: 100 }, { x: 110, y: 100 }],
+      [{ x: 200, y: 10 }, { x: 210, y: 10 }]
+    ]);
+    assert.deepEqual(map.clicks, []);
+    // The first trail rests 20ms then 10ms until the touch lifts, and
+    // nothing accrues while it is lifted
+    assert.equal(cellAt(map, 10, 0), 30);
+  });
+
+  test('draws a trail per pointer and lifts touches but not the mouse', () => {
+    const map = buildHeatmap(log([
+      { type: 'pointermove', t: 0, id: 1, device: 'mouse', x: 0, y: 0 },
+      { type: 'pointermove', t: 10, id: 2, device: 'touch', x: 200, y: 100 },
+      { type: 'pointermove', t: 20, id: 1, device: 'mouse', x: 10, y: 0 },
+      { type: 'pointermove', t: 30, id: 2, device: 'touch', x: 210, y: 100 },
+      { type: 'pointerup', t: 40, id: 1, device: 'mouse', x: 10, y: 0 },
+      { type: 'pointerup', t: 50, id: 2, device: 'touch', x: 210, y: 100 },
+      { type: 'pointermove', t: 60, id: 1, device: 'mouse', x: 20, y: 0 },
+      { type: 'pointermove', t: 70, id: 3, device: 'touch', x: 100, y: 50 },
+      { type: 'pointermove', t: 80, id: 3, device: 'touch', x: 110, y: 50 }
+    ], { endTime: 100 }));
+
+    assert.deepEqual(map.trails, [
+      [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 20, y: 0 }],
+      [{ x: 200, y: 100 }, { x: 210, y: 100 }],
+      [{ x: 100, y: 50 }, { x: 110, y: 50 }]
+    ]);
+    // The lifted finger stops accruing dwell; the mouse keeps resting
+    assert.equal(cellAt(map, 200, 100), 20 + 20);
+    assert.equal(cellAt(map, 0, 0), 60 + 40);
+  });
+
+  test('collects wheel positions and scroll offsets', () => {
+    const map = buildHeatmap(log([
+      { type: 'wheel', t: 10, deltaY: 120, x: 50, y: 60 },
+      { type: 'scroll', t: 20, y: 300 },
+      { type: 'wheel', t: 30, deltaY: -40, x: 50, y: 60 },
+      { type: 'scroll', t: 40, y: 150 }
+    ]));
+    assert.deepEqual(map.wheels, [{ x: 50, y: 60, direction: 1 }, { x: 50, y: 60, direction: -1 }]);
+    assert.deepEqual(map.scrolls, [300, 150]);
+    assert.equal(map.maxScroll, 300);
+    assert.equal(hasHeatmapData(map), true);
+  });
+
+  test('leaves panel scrolls off the page gauge', () => {
+    const map = buildHeatmap(log([
+      { type: 'scroll', t: 20, y: 300 },
+      { type: 'scroll', t: 40, area: 'reading', x: 0, y: 500, maxX: 0, maxY: 800 }
+    ]));
+    assert.deepEqual(map.scrolls, [300]);
+  });
+
+  test('sizes logs without a recorded viewport to their contents', () => {
+    const map = buildHeatmap({
+      startTime: 0,
+      events: [
+        { type: 'mousemove', t: 0, x: 400, y: 90 },
+        { type: 'scroll', t: 10, y: 5000 }
+      ]
+    });
+    assert.equal(map.viewportRecorded, false);
+    assert.equal(map.width, 400);
+    assert.equal(map.height, 90);
+    // Without an end time the last sample rests until the last event
+    assert.equal(map.maxDwell, 10);
+  });
+});
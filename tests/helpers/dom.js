@@ -0,0 +1,44 @@
+/**
+ * Loads index.html into jsdom and boots main.js against it.
+ * main.js creates its own instance on load; that one is destroyed so
+ * each test can build a fresh AdaptiveMirror.
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+
+// Swallow the startup banner
+const quietly = async (fn) => {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+};
+
+export const loadMirror = async () => {
+  // Inline scripts are not run; only main.js is under test
+  const { window } = new JSDOM(html, { pretendToBeVisual: true, url: 'http://localhost/' });
+
+  // Reduced motion keeps the canvas render loop out of the way
+  window.matchMedia = () => ({ matches: true, addEventListener() {}, removeEventListener() {} });
+
+  globalThis.window = window;
+  globalThis.document = window.document;
+  globalThis.localStorage = window.localStorage;
+  globalThis.requestAnimationFrame = window.requestAnimationFrame;
+  globalThis.cancelAnimationFrame = window.cancelAnimationFrame;
+  globalThis.screen = window.screen;
+
+  await quietly(() => import('../../main.js'));
+
+  const AdaptiveMirror = window.adaptiveMirror.constructor;
+  window.adaptiveMirror.destroy();
+  return AdaptiveMirror;
+};
+
+export const createMirror = (AdaptiveMirror) => quietly(() => new AdaptiveMirror());
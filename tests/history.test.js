@@ -0,0 +1,169 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { SessionHistory } from '../src/history.js';
+import { trendPoints } from '../src/trend-chart.js';
+import { Vault, VaultError } from '../src/vault.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+const session = (timestamp, personality = 'Observer') => ({
+  timestamp,
+  personality,
+  scores: { focus: 40, hesitation: 20, controlBias: 60, energy: 30 }
+});
+
+// A vault over an in-memory storage; few iterations keep the tests quick
+const createVault = () => {
+  const data = new Map();
+  const storage = { getItem: (key) => data.get(key) ?? null, setItem: (key, value) => data.set(key, value), removeItem: (key) => data.delete(key) };
+  return new Vault({ storage, iterations: 1000 });
+};
+
+const backends = {
+  indexedDB: () => new IDBFactory(),
+  memory: () => null
+};
+
+Object.entries(backends).forEach(([name, createFactory]) => {
+  describe(`SessionHistory (${name})`, () => {
+    let history;
+
+    beforeEach(() => {
+      history = new SessionHistory({ indexedDB: createFactory(), retention: { maxEntries: 3, maxAgeDays: 30 } });
+    });
+
+    afterEach(() => history.close());
+
+    test('reports whether it persists', () => {
+      assert.equal(history.persistent, name === 'indexedDB');
+    });
+
+    test('lists sessions oldest first with assigned ids', async () => {
+      await history.add(session(NOW - 1000, 'Restless'));
+      await history.add(session(NOW - 3000, 'Analytical'));
+
+      const list = await history.list();
+      assert.deepEqual(list.map(r => r.personality), ['Analytical', 'Restless']);
+      assert.ok(list.every(r => Number.isInteger(r.id)));
+    });
+
+    test('ignores caller-supplied ids', async () => {
+      const id = await history.add({ ...session(NOW), id: 999 });
+      assert.notEqual(id, 999);
+      assert.equal((await history.get(id)).timestamp, NOW);
+    });
+
+    test('rejects records without a timestamp', async () => {
+      await assert.rejects(history.add({ personality: 'Observer' }), TypeError);
+    });
+
+    test('keeps only the newest maxEntries sessions', async () => {
+      for (let i = 0; i < 5; i++) {
+        await history.add(session(Date.now() - (5 - i) * 1000, `S${i}`));
+      }
+      const list = await history.list();
+      assert.deepEqual(list.map(r => r.personality), ['S2', 'S3', 'S4']);
+    });
+
+    test('drops sessions older than maxAgeDays', async () => {
+      await history.add(session(Date.now() - 40 * DAY, 'Old'));
+      await history.add(session(Date.now() - DAY, 'Recent'));
+
+      const list = await history.list();
+      assert.deepEqual(list.map(r => r.personality), ['Recent']);
+    });
+
+    test('prune reports how many sessions it removed', async () => {
+      history.retention = { maxEntries: 10, maxAgeDays: 0 };
+      await history.add(session(NOW - 40 * DAY));
+      await history.add(session(NOW - 20 * DAY));
+      history.retention = { maxEntries: 10, maxAgeDays: 30 };
+
+      assert.equal(await history.prune(NOW), 1);
+    });
+
+    test('removes single sessions and clears everything', async () => {
+      const first = await history.add(session(Date.now() - 2000));
+      await history.add(session(Date.now() - 1000));
+
+      await history.remove(first);
+      assert.equal((await history.list()).length, 1);
+
+      await history.clear();
+      assert.deepEqual(await history.list(), []);
+    });
+
+    test('sets aside sessions that fail a check, until the quarantine is cleared', async () => {
+      await history.add(session(NOW - 2000, 'Restless'));
+      const damaged = await history.add(session(NOW - 1000, 'Damaged'));
+
+      const report = await history.check(record => (record.personality === 'Damaged' ? 'Unreadable' : null), { now: NOW });
+      assert.deepEqual(report, { checked: 2, quarantined: [{ id: damaged, reason: 'Unreadable' }] });
+      assert.deepEqual((await history.list()).map(r => r.personality), ['Restless']);
+      const [entry] = await history.quarantined();
+      assert.deepEqual([entry.record.personality, entry.reason], ['Damaged', 'Unreadable']);
+
+      await history.clearQuarantine();
+      assert.deepEqual(await history.quarantined(), []);
+    });
+
+    test('seals sessions with a vault, readable only while unlocked', async () => {
+      const vault = await createVault().create('correct horse');
+      history.vault = vault;
+      const id = await history.add(session(NOW - 1000, 'Restless'));
+
+      const [stored] = await history.backend.getAll();
+      assert.deepEqual(Object.keys(stored).sort(), ['id', 'sealed', 'timestamp']);
+      assert.equal((await history.get(id)).personality, 'Restless');
+
+      vault.lock();
+      assert.equal(history.locked, true);
+      await assert.rejects(history.list(), (e) => e instanceof VaultError && e.code === 'locked');
+      assert.equal((await history.list({ keepSealed: true }))[0].sealed.iv, stored.sealed.iv);
+
+      // New sessions and retention still work while locked
+      await history.add(session(NOW - 40 * DAY, 'Old'));
+      await history.add(session(NOW, 'Later'));
+      await vault.unlock('correct horse');
+      assert.deepEqual((await history.list()).map(r => r.personality), ['Restless', 'Later']);
+    });
+
+    test('seals and opens existing sessions when encryption is turned on or off', async () => {
+      await history.add(session(NOW - 2000, 'Analytical'));
+      history.vault = await createVault().create('correct horse');
+      await history.add(session(NOW - 1000, 'Observer'));
+
+      await history.sealAll();
+      assert.ok((await history.backend.getAll()).every(record => record.sealed));
+      assert.deepEqual((await history.list()).map(r => r.personality), ['Analytical', 'Observer']);
+
+      await history.unsealAll();
+      history.vault.remove();
+      const stored = await history.backend.getAll();
+      assert.deepEqual(stored.map(r => r.personality), ['Analytical', 'Observer']);
+      assert.ok(stored.every(record => !record.sealed && Number.isInteger(record.id)));
+    });
+  });
+});
+
+describe('trendPoints', () => {
+  const entries = [
+    { scores: { focus: 0 } },
+    { scores: { focus: 100 } },
+    { scores: {} },
+    { scores: { focus: 150 } }
+  ];
+  const padding = { top: 0, right: 0, bottom: 0, left: 0 };
+
+  test('spreads sessions evenly and maps 0-100 onto the height', () => {
+    const points = trendPoints(entries, 'focus', 300, 100, padding);
+    assert.deepEqual(points.map(p => [p.x, p.y]), [[0, 100], [100, 0], [300, 0]]);
+  });
+
+  test('centres a single session', () => {
+    const [point] = trendPoints([{ scores: { focus: 50 } }], 'focus', 200, 100, padding);
+    assert.deepEqual([point.x, point.y], [100, 50]);
+  });
+});
@@ -0,0 +1,203 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseResult, readResultFile, ImportError, MAX_IMPORT_SIZE } from '../src/import.js';
+import { encryptWithPassphrase } from '../src/vault.js';
+import { toJSON } from '../src/export.js';
+import { analyzeEvents } from '../src/engine.js';
+import { ClassifierRegistry } from '../src/classifiers.js';
+
+const eventLog = () => ({
+  version: 1,
+  startTime: 1000,
+  endTime: 11000,
+  duration: 10000,
+  profile: 'quick',
+  events: [
+    { type: 'mousemove', t: 1100, x: 0, y: 0 },
+    { type: 'mousemove', t: 1200, x: 300, y: 400 },
+    { type: 'click', t: 1300, x: 300, y: 400 },
+    { type: 'keydown', t: 1400, key: 'char' },
+    { type: 'keydown', t: 1500, key: 'backspace' }
+  ]
+});
+
+// Same shape exportData() writes
+const exported = (log = eventLog()) => {
+  const { personality, scores } = analyzeEvents(log);
+  return {
+    personality,
+    scores,
+    timestamp: '2026-05-04T09:30:00.000Z',
+    sessionId: 'AM-TEST',
+    eventLog: log,
+    screen: { width: 1920, height: 1080, colorDepth: 24 }
+  };
+};
+
+const rejects = (data, pattern) => assert.throws(() => parseResult(data), (e) => {
+  assert.ok(e instanceof ImportError);
+  assert.match(e.message, pattern);
+  return true;
+});
+
+describe('parseResult', () => {
+  test('turns an export into a verified history record', () => {
+    const data = exported();
+    const record = parseResult(JSON.stringify(data));
+
+    assert.equal(record.personality, data.personality);
+    assert.deepEqual(record.scores, data.scores);
+    assert.equal(record.timestamp, Date.parse(data.timestamp));
+    assert.equal(record.sessionId, 'AM-TEST');
+    assert.equal(record.profile, 'quick');
+    assert.equal(record.duration, 10000);
+    assert.equal(record.metrics.mouseDistance, 500);
+    assert.equal(record.metrics.backspaces, 1);
+    assert.equal(record.metrics.durationSec, undefined);
+    assert.equal(record.verified, true);
+    assert.equal(record.imported, true);
+    assert.ok('Perfectionist' in record.archetypeScores);
+  });
+
+  test('rejects text that is not JSON', () => {
+    rejects('{ "personality": ', /not valid JSON/);
+  });
+
+  test('rejects objects that are not results', () => {
+    rejects([], /does not contain/);
+    rejects({ scores: {} }, /no classification/);
+    rejects({ personality: 'Observer' }, /no scores/);
+  });
+
+  test('rejects missing or out-of-range scores', () => {
+    rejects({ ...exported(), scores: { focus: 40, hesitation: 20, controlBias: 50 } }, /"energy"/);
+    rejects({ ...exported(), scores: { focus: 140, hesitation: 20, controlBias: 50, energy: 10 } }, /"focus"/);
+  });
+
+  test('rejects a missing timestamp', () => {
+    rejects({ ...exported(), timestamp: 'yesterday' }, /timestamp/);
+  });
+
+  test('rejects malformed event logs', () => {
+    const withLog = (changes) => ({ ...exported(), eventLog: { ...eventLog(), ...changes } });
+    rejects(withLog({ version: 8 }), /version: 8/);
+    rejects(withLog({ startTime: null }), /start time/);
+    rejects(withLog({ events: 'lots' }), /no events/);
+    rejects(withLog({ events: [{ type: 'teleport', t: 1100 }] }), /Event 0 has an unknown type/);
+    rejects(withLog({ events: [{ type: 'click', t: 5000 }, { type: 'click', t: 1100 }] }), /Event 1 is out of order/);
+  });
+
+  test('accepts logs recorded with a sample stamped just before an idle check', () => {
+    // How exports looked before the mirror kept logged times in order
+    const log = eventLog();
+    log.events.splice(2, 0, { type: 'idle', t: 1800 }, { type: 'mousemove', t: 1795, x: 310, y: 400 });
+    assert.equal(parseResult(exported(log)).verified, true);
+  });
+
+  test('rejects a result edited after export', () => {
+    const data = exported();
+    rejects({ ...data, personality: data.personality === 'Observer' ? 'Analytical' : 'Observer' }, /does not match/);
+    rejects({ ...data, scores: { ...data.scores, focus: data.scores.focus === 50 ? 51 : 50 } }, /does not match/);
+  });
+
+  test('rejects an event log edited after export', () => {
+    const data = exported();
+    data.eventLog.events.push(...Array.from({ length: 20 }, (_, i) => ({ type: 'click', t: 2000 + i })));
+    rejects(data, /does not match/);
+  });
+
+  test('replays with the supplied classifiers', () => {
+    const classifiers = new ClassifierRegistry();
+    classifiers.register('Typist', { rules: [{ feature: 'keystrokes', comparator: '>', threshold: 0, weight: 100 }] });
+    const log = eventLog();
+    const data = { ...exported(log), ...analyzeEvents(log, { classifiers }) };
+
+    assert.equal(parseResult(data, { classifiers }).personality, 'Typist');
+    assert.throws(() => parseResult(data), ImportError);
+  });
+
+  test('loads exports without an event log as unverified', () => {
+    const record = parseResult({
+      personality: 'Observer',
+      scores: { focus: 5, hesitation: 5, controlBias: 50, energy: 5 },
+      timestamp: 1700000000000
+    });
+
+    assert.equal(record.verified, false);
+    assert.equal(record.eventLog, null);
+    assert.equal(record.metrics, null);
+    assert.equal(record.sessionId, 'N/A');
+  });
+});
+
+describe('readResultFile', () => {
+  const file = (text, size = text.length) => ({ name: 'result.json', size, text: async () => text });
+
+  test('parses the file contents', async () => {
+    const record = await readResultFile(file(JSON.stringify(exported())));
+    assert.equal(record.verified, true);
+  });
+
+  test('refuses oversized files without reading them', async () => {
+    const big = { name: 'big.json', size: MAX_IMPORT_SIZE + 1, text: async () => assert.fail('read') };
+    await assert.rejects(readResultFile(big), /too large/);
+  });
+
+  test('reads back a two-minute pen session exported at 1000 Hz', async () => {
+    const startTime = 1000.25;
+    const events = Array.from({ length: 120000 }, (_, i) => ({
+      type: 'pointermove', t: startTime + i + 0.125, id: 2, device: 'pen',
+      x: 400 + Math.round(300 * Math.sin(i / 500) * 100) / 100, y: 300 + Math.round(200 * Math.cos(i / 700) * 100) / 100,
+      pressure: 0.512, tiltX: -12, tiltY: 34
+    }));
+    const log = { version: 7, startTime, endTime: startTime + 120000, duration: 120000, profile: 'extended', events };
+    const text = toJSON(exported(log));
+    const encrypted = JSON.stringify(await encryptWithPassphrase(exported(log), 'correct horse', { iterations: 1000 }), null, 2);
+    assert.ok(encrypted.length < MAX_IMPORT_SIZE);
+
+    const record = await readResultFile(file(text));
+    assert.equal(record.verified, true);
+    assert.equal(record.eventLog.events.length, 120000);
+  });
+
+  test('needs a file', async () => {
+    await assert.rejects(readResultFile(null), ImportError);
+  });
+
+  test('opens encrypted files with their passphrase', async () => {
+    const encrypted = JSON.stringify(await encryptWithPassphrase(exported(), 'correct horse', { iterations: 1000 }));
+    assert.equal((await readResultFile(file(encrypted), { passphrase: 'correct horse' })).verified, true);
+    assert.equal((await readResultFile(file(encrypted), { passphrase: async () => 'correct horse' })).verified, true);
+
+    await assert.rejects(readResultFile(file(encrypted), { passphrase: 'wrong horse' }), /Wrong passphrase/);
+    await assert.rejects(readResultFile(file(encrypted)), /passphrase is needed/);
+    await assert.rejects(readResultFile(file(encrypted), { passphrase: async () => null }), ImportError);
+  });
+
+  test('asks for a passphrase only for encrypted files', async () => {
+    const record = await readResultFile(file(JSON.stringify(exported())), { passphrase: () => assert.fail('asked') });
+    assert.equal(record.verified, true);
+  });
+});
+
+describe('export schema versions', () => {
+  test('reads versioned exports', () => {
+    const data = { ...exported(), schema: 'adaptive-mirror/result', schemaVersion: 2, session: { profile: 'quick', duration: 10000, observedDuration: 10000 } };
+    delete data.eventLog.profile;
+    assert.equal(parseResult(data).profile, 'quick');
+  });
+
+  test('rejects exports from a newer version', () => {
+    rejects({ ...exported(), schema: 'adaptive-mirror/result', schemaVersion: 99 }, /schema v99/);
+  });
+
+  test('rejects foreign schemas', () => {
+    rejects({ ...exported(), schema: 'something-else', schemaVersion: 1 }, /does not contain/);
+  });
+
+  test('rejects edited archetype scores', () => {
+    const data = exported();
+    data.archetypeScores = { ...analyzeEvents(data.eventLog).archetypeScores, Observer: 999 };
+    rejects(data, /does not match/);
+  });
+});
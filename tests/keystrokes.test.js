@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TypingRhythm, TYPING_FEATURES, TYPING_PAUSE } from '../src/keystrokes.js';
+
+// Types `kinds` ('c' = char, 'b' = backspace) at the given keydown times
+const typeAt = (rhythm, kinds, times) => {
+  [...kinds].forEach((kind, i) => rhythm.keydown(times[i], kind === 'b' ? 'backspace' : 'char', i + 1));
+  return rhythm;
+};
+
+describe('TypingRhythm', () => {
+  test('reports every feature, null where nothing was typed', () => {
+    const summary = new TypingRhythm().summary();
+    assert.deepEqual(Object.keys(summary), TYPING_FEATURES);
+    assert.equal(summary.typingKeys, 0);
+    assert.equal(summary.typingWpm, null);
+    assert.equal(summary.typingIntervalMean, null);
+    assert.equal(summary.typingDwellMean, null);
+    assert.equal(summary.typingBackspaceLatency, null);
+  });
+
+  test('measures inter-key intervals and their variation', () => {
+    const summary = typeAt(new TypingRhythm(), 'cccc', [0, 100, 300, 400]).summary();
+    assert.equal(summary.typingIntervalMean, 400 / 3);
+    assert.ok(summary.typingIntervalCv > 0.3 && summary.typingIntervalCv < 0.4);
+  });
+
+  test('splits bursts at pauses', () => {
+    const summary = typeAt(new TypingRhythm(), 'cccccc', [0, 100, 200, 200 + TYPING_PAUSE, 1300, 4300]).summary();
+    assert.equal(summary.typingBursts, 3);
+    assert.equal(summary.typingBurstLength, 2);
+    assert.equal(summary.typingPauses, 2);
+    assert.equal(summary.typingPauseMean, (TYPING_PAUSE + 3000) / 2);
+    // Pauses stay out of the rhythm
+    assert.equal(summary.typingIntervalMean, 100);
+  });
+
+  test('pairs keyup with keydown by press id for dwell time', () => {
+    const rhythm = new TypingRhythm();
+    rhythm.keydown(0, 'char', 1);
+    rhythm.keydown(50, 'char', 2);
+    rhythm.keyup(80, 1);
+    rhythm.keyup(170, 2);
+    rhythm.keyup(200, 3); // never pressed
+    rhythm.keyup(210, 1); // already released
+    assert.equal(rhythm.summary().typingDwellMean, 100);
+  });
+
+  test('computes words per minute from character keys', () => {
+    // Ten characters (two words) in one second
+    const times = Array.from({ length: 10 }, (_, i) => i * 111);
+    const summary = typeAt(new TypingRhythm(), 'cccccccccc', times).summary();
+    assert.equal(Math.round(summary.typingWpm), 120);
+    assert.equal(typeAt(new TypingRhythm(), 'ccc', [0, 100, 200]).summary().typingWpm, null);
+  });
+
+  test('measures correction runs and the pause before them', () => {
+    const summary = typeAt(new TypingRhythm(), 'cccbbcbbbc', [0, 100, 200, 700, 800, 900, 1000, 1100, 1200, 1300]).summary();
+    assert.equal(summary.typingCorrectionBursts, 2);
+    assert.equal(summary.typingCorrectionLength, 2.5);
+    assert.equal(summary.typingCorrectionMax, 3);
+    assert.equal(summary.typingBackspaceLatency, 300);
+  });
+
+  test('ignores auto-repeat and non-typing keys', () => {
+    const rhythm = new TypingRhythm();
+    rhythm.keydown(0, 'char', 1);
+    rhythm.keydown(30, 'char', 1, true);
+    rhythm.keydown(60, 'other', 2);
+    rhythm.keydown(100, 'char', 3);
+    const summary = rhythm.summary();
+    assert.equal(summary.typingKeys, 2);
+    assert.equal(summary.typingIntervalMean, 100);
+  });
+
+  test('reset clears everything', () => {
+    const rhythm = typeAt(new TypingRhythm(), 'ccb', [0, 100, 200]);
+    assert.deepEqual(rhythm.reset().summary(), new TypingRhythm().summary());
+  });
+});
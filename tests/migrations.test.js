@@ -0,0 +1,253 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  runMigrations, logMigrationReport, logHistoryReport, describeReport, quarantineRecord, readQuarantine, storedSchemaVersion,
+  validateHistoryRecord, checkHistory,
+  STORAGE_SCHEMA_VERSION, STORAGE_SCHEMA_KEY, QUARANTINE_KEY, RESULT_KEY, ADAPTATION_KEY
+} from '../src/migrations.js';
+import { SessionHistory, HISTORY_DB_VERSION } from '../src/history.js';
+import { EVENT_LOG_VERSION } from '../src/engine.js';
+import { createConsent, CONSENT_KEY } from '../src/consent.js';
+import { createBaseline, BASELINE_KEY } from '../src/baseline.js';
+import { buildCohort, serializeNorms, NORMS_KEY } from '../src/norms.js';
+
+const createStorage = (entries = {}) => {
+  const data = new Map(Object.entries(entries));
+  return {
+    data,
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+};
+
+const NOW = Date.UTC(2026, 4, 1);
+const CURRENT = STORAGE_SCHEMA_VERSION;
+const result = (extra = {}) => JSON.stringify({
+  personality: 'Observer',
+  scores: { focus: 40, hesitation: 20, controlBias: 60, energy: 30 },
+  timestamp: NOW,
+  metrics: { distance: 120, interactions: 4 },
+  ...extra
+});
+
+describe('runMigrations', () => {
+  test('applies migrations in order from the stored version, once', () => {
+    const calls = [];
+    const step = (version) => ({ version, description: `step ${version}`, migrate: () => calls.push(version) });
+    const storage = createStorage({ [STORAGE_SCHEMA_KEY]: '1' });
+    const migrations = [step(3), step(1), step(2)];
+
+    const report = runMigrations({ storage, migrations, validators: {} });
+    assert.deepEqual(calls, [2, 3]);
+    assert.equal(report.from, 1);
+    assert.equal(report.to, 3);
+    assert.deepEqual(report.applied.map(applied => applied.description), ['step 2', 'step 3']);
+    assert.equal(storedSchemaVersion(storage), 3);
+
+    runMigrations({ storage, migrations, validators: {} });
+    assert.deepEqual(calls, [2, 3]);
+  });
+
+  test('stops at a failing migration and retries it next time', () => {
+    let fail = true;
+    const migrations = [
+      { version: 1, description: 'ok', migrate: () => {} },
+      { version: 2, description: 'flaky', migrate: () => { if (fail) throw new Error('disk full'); } }
+    ];
+    const storage = createStorage({ [RESULT_KEY]: 'garbage' });
+
+    const report = runMigrations({ storage, migrations });
+    assert.deepEqual(report.error, { version: 2, message: 'disk full' });
+    assert.equal(storedSchemaVersion(storage), 1);
+    // Nothing is judged against a schema it has not reached
+    assert.equal(report.checked, 0);
+    assert.equal(storage.getItem(RESULT_KEY), 'garbage');
+
+    fail = false;
+    assert.equal(runMigrations({ storage, migrations }).to, 2);
+  });
+
+  test('leaves storage from a newer version untouched', () => {
+    const storage = createStorage({ [STORAGE_SCHEMA_KEY]: String(CURRENT + 1), [RESULT_KEY]: '{"shape":"from the future"}' });
+    const report = runMigrations({ storage });
+    assert.equal(report.newer, true);
+    assert.equal(storage.getItem(RESULT_KEY), '{"shape":"from the future"}');
+    assert.match(describeReport(report), /newer than this version reads/);
+  });
+
+  test('stamps unversioned storage with the first versioned schema', () => {
+    const storage = createStorage({ [RESULT_KEY]: result() });
+    const report = runMigrations({ storage, now: NOW });
+    assert.deepEqual([report.from, report.to, report.applied], [0, CURRENT, []]);
+    assert.equal(storedSchemaVersion(storage), CURRENT);
+    assert.equal(storage.getItem(RESULT_KEY), result());
+  });
+});
+
+describe('record validation', () => {
+  test('keeps valid records, sealed results included', () => {
+    const storage = createStorage({
+      [RESULT_KEY]: JSON.stringify({ sealed: { epk: { kty: 'EC' }, iv: 'aXY=', data: 'ZGF0YQ==' } }),
+      [CONSENT_KEY]: JSON.stringify(createConsent({ channels: ['pointer'] })),
+      [ADAPTATION_KEY]: '0.4',
+      adaptiveMirror_unknown: 'left alone'
+    });
+    const report = runMigrations({ storage });
+    assert.equal(report.checked, 3);
+    assert.deepEqual(report.quarantined, []);
+    assert.equal(storage.getItem('adaptiveMirror_unknown'), 'left alone');
+  });
+
+  test('quarantines records that do not fit, with the reason and the raw text', () => {
+    const storage = createStorage({
+      [RESULT_KEY]: result({ scores: { focus: 40 } }),
+      [CONSENT_KEY]: '{"version":0}',
+      [ADAPTATION_KEY]: 'loud'
+    });
+    const report = runMigrations({ storage, now: NOW });
+    assert.deepEqual(report.quarantined.map(entry => entry.key), [RESULT_KEY, CONSENT_KEY, ADAPTATION_KEY]);
+    assert.equal(storage.getItem(RESULT_KEY), null);
+
+    const quarantined = readQuarantine(storage);
+    assert.deepEqual(quarantined[0], {
+      key: RESULT_KEY,
+      value: result({ scores: { focus: 40 } }),
+      reason: 'Scores are missing',
+      schema: CURRENT,
+      quarantinedAt: new Date(NOW).toISOString()
+    });
+    assert.equal(quarantined[2].reason, 'Strength is not between 0 and 1');
+  });
+
+  test('keeps calibration baselines only while every entry is usable', () => {
+    const baseline = createBaseline({ features: { velocityCount: 30, avgVelocity: 1 } }, { pointerDevice: 'pen' });
+    const valid = JSON.stringify({ [baseline.profile]: baseline });
+    assert.deepEqual(runMigrations({ storage: createStorage({ [BASELINE_KEY]: valid }) }).quarantined, []);
+
+    const damaged = JSON.stringify({ [baseline.profile]: baseline, other: { version: 1 } });
+    assert.deepEqual(runMigrations({ storage: createStorage({ [BASELINE_KEY]: damaged }) }).quarantined, [
+      { key: BASELINE_KEY, reason: 'Unusable calibration baseline' }
+    ]);
+  });
+
+  test('keeps population norms only while every cohort is usable', () => {
+    const cohort = buildCohort([{ score_focus: 40 }], { id: 'c1' });
+    const valid = serializeNorms({ cohorts: [cohort], selected: 'c1' });
+    assert.deepEqual(runMigrations({ storage: createStorage({ [NORMS_KEY]: valid }) }).quarantined, []);
+
+    const damaged = serializeNorms({ cohorts: [cohort, { id: 'c2' }] });
+    assert.deepEqual(runMigrations({ storage: createStorage({ [NORMS_KEY]: damaged }) }).quarantined, [
+      { key: NORMS_KEY, reason: 'Unusable population norms' }
+    ]);
+  });
+
+  test('quarantine adds to earlier entries and keeps an unreadable quarantine', () => {
+    const storage = createStorage({ [QUARANTINE_KEY]: '{oops', a: 'one', b: 'two' });
+    quarantineRecord(storage, 'a', 'first', { now: NOW });
+    quarantineRecord(storage, 'b', 'second', { now: NOW });
+    assert.equal(quarantineRecord(storage, 'missing', 'none'), null);
+    assert.deepEqual(readQuarantine(storage).map(entry => entry.value), ['{oops', 'one', 'two']);
+  });
+
+  test('a storage that refuses the quarantine keeps the record in place', () => {
+    const storage = createStorage({ [RESULT_KEY]: 'garbage' });
+    storage.setItem = () => { throw new Error('QuotaExceededError'); };
+    assert.throws(() => quarantineRecord(storage, RESULT_KEY, 'bad'));
+    assert.equal(storage.getItem(RESULT_KEY), 'garbage');
+  });
+});
+
+describe('logMigrationReport', () => {
+  const capture = () => {
+    const lines = [];
+    return { lines, info: (line) => lines.push(['info', line]), warn: (line) => lines.push(['warn', line]) };
+  };
+
+  test('prints one line when all is well', () => {
+    const logger = capture();
+    logMigrationReport(runMigrations({ storage: createStorage({ [STORAGE_SCHEMA_KEY]: String(CURRENT), [ADAPTATION_KEY]: '1' }) }), logger);
+    assert.deepEqual(logger.lines, [['info', `Adaptive Mirror storage: schema v${CURRENT}, 0 migrations applied, 1 record checked, 0 quarantined`]]);
+  });
+
+  test('lists applied migrations and warns about quarantined records', () => {
+    const logger = capture();
+    const migrations = [{ version: CURRENT + 1, description: 'Split the last result', migrate: () => {} }];
+    logMigrationReport(runMigrations({ storage: createStorage({ [ADAPTATION_KEY]: '7' }), migrations }), logger);
+    assert.equal(logger.lines[0][0], 'warn');
+    assert.match(logger.lines[0][1], new RegExp(`schema v0 → v${CURRENT + 1}, 1 migration applied, 1 record checked, 1 quarantined`));
+    assert.deepEqual(logger.lines[1], ['info', `  v${CURRENT + 1}: Split the last result`]);
+    assert.deepEqual(logger.lines[2], ['warn', `  Quarantined ${ADAPTATION_KEY}: Strength is not between 0 and 1`]);
+  });
+
+  test('reports the history check', () => {
+    const logger = capture();
+    logHistoryReport({ checked: 3, quarantined: [{ id: 2, reason: 'Event 0 has no timestamp' }] }, logger);
+    assert.deepEqual(logger.lines, [
+      ['warn', 'Adaptive Mirror history: 3 sessions checked, 1 quarantined'],
+      ['warn', '  Quarantined session 2: Event 0 has no timestamp']
+    ]);
+  });
+});
+
+describe('history validation', () => {
+  const session = (extra = {}) => ({
+    timestamp: NOW,
+    personality: 'Observer',
+    scores: { focus: 40, hesitation: 20, controlBias: 60, energy: 30 },
+    eventLog: {
+      version: EVENT_LOG_VERSION,
+      startTime: 1000,
+      duration: 30000,
+      events: [{ type: 'mousemove', t: 1000, x: 0, y: 0 }, { type: 'click', t: 1200, x: 0, y: 0 }]
+    },
+    ...extra
+  });
+  const withLog = (log) => session({ eventLog: { ...session().eventLog, ...log } });
+
+  test('accepts sessions with a readable log, without one, and sealed ones', () => {
+    assert.equal(validateHistoryRecord(session()), null);
+    assert.equal(validateHistoryRecord(session({ eventLog: null })), null);
+    assert.equal(validateHistoryRecord(withLog({ version: 1 })), null);
+    assert.equal(validateHistoryRecord({ timestamp: NOW, sealed: { epk: { kty: 'EC' }, iv: 'aXY=', data: 'ZGF0YQ==' } }), null);
+  });
+
+  test('judges the event log by the version it was recorded with', () => {
+    assert.equal(validateHistoryRecord(withLog({ version: 0 })), 'Unsupported event log version: 0');
+    assert.equal(validateHistoryRecord(withLog({ version: '7' })), 'Unsupported event log version: 7');
+    // A newer version of the app wrote it; that version reads it
+    assert.equal(validateHistoryRecord(withLog({ version: EVENT_LOG_VERSION + 1, events: 'unknown' })), null);
+  });
+
+  test('names what is wrong with a damaged session', () => {
+    assert.equal(validateHistoryRecord(session({ timestamp: 'today' })), 'No valid timestamp');
+    assert.equal(validateHistoryRecord(session({ scores: { focus: 40 } })), 'Scores are missing');
+    assert.equal(validateHistoryRecord({ timestamp: NOW, sealed: { iv: 'aXY=' } }), 'Damaged encrypted session');
+    assert.equal(validateHistoryRecord(withLog({ startTime: null })), 'Event log has no start time');
+    assert.equal(validateHistoryRecord(withLog({ events: {} })), 'Event log has no events');
+    assert.equal(validateHistoryRecord(withLog({ events: [{ type: 'teleport', t: 1000 }] })), 'Event 0 has an unknown type');
+    assert.equal(validateHistoryRecord(withLog({ events: [{ type: 'click', t: 5000 }, { type: 'click', t: 1100 }] })), 'Event 1 is out of order');
+  });
+
+  test('quarantines corrupted sessions from the IndexedDB history, as stored', async () => {
+    const history = new SessionHistory({ indexedDB: new IDBFactory() });
+    await history.add(session());
+    const corrupted = await history.add(withLog({ events: [{ type: 'click', t: null }] }));
+    await history.add(session({ personality: 'Restless' }));
+
+    const report = await checkHistory(history, { now: NOW });
+    assert.deepEqual(report, { checked: 3, quarantined: [{ id: corrupted, reason: 'Event 0 has no timestamp' }] });
+    assert.deepEqual((await history.list()).map(record => record.personality), ['Observer', 'Restless']);
+
+    const [entry] = await history.quarantined();
+    assert.equal(entry.reason, 'Event 0 has no timestamp');
+    assert.equal(entry.schema, HISTORY_DB_VERSION);
+    assert.equal(entry.quarantinedAt, new Date(NOW).toISOString());
+    assert.deepEqual(entry.record.eventLog.events, [{ type: 'click', t: null }]);
+
+    // Checked once, the rest stay put
+    assert.deepEqual((await checkHistory(history, { now: NOW })).quarantined, []);
+    await history.close();
+  });
+});
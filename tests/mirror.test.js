@@ -0,0 +1,1760 @@
+import { test, describe, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMirror, createMirror } from './helpers/dom.js';
+import { createBattery, transcriptionAccuracy } from '../src/tasks.js';
+import { createConsent, CONSENT_CHANNELS, CONSENT_KEY } from '../src/consent.js';
+import { ordinal } from '../src/norms.js';
+import { createAggregationHandler } from '../src/aggregator.js';
+
+let AdaptiveMirror;
+let mirror;
+let clock;
+
+// Moves wait in the sample ring; draining logs them as the next idle check would
+const move = (x, y, timeStamp) => {
+  mirror.handleMouseMove({ clientX: x, clientY: y, timeStamp });
+  mirror.drainSamples();
+};
+const key = (k, timeStamp, extra = {}) => mirror.handleKeyDown({ key: k, timeStamp, ...extra });
+
+before(async () => {
+  AdaptiveMirror = await loadMirror();
+});
+
+beforeEach(async () => {
+  mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+  clock = 1000;
+  mock.method(performance, 'now', () => clock);
+  mirror = await createMirror(AdaptiveMirror);
+  mirror.recordConsent(createConsent({ channels: CONSENT_CHANNELS, persist: true, retentionDays: 180 }));
+  mirror.beginObservation();
+});
+
+afterEach(() => {
+  mirror.destroy();
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+describe('handleMouseMove', () => {
+  test('accumulates distance and velocity between samples', () => {
+    move(0, 0, 1000);
+    move(30, 40, 1050);
+
+    const m = mirror.state.metrics;
+    assert.equal(m.mouseDistance, 50);
+    assert.equal(m.velocityCount, 1);
+    assert.equal(m.maxVelocity, 1);
+    assert.equal(m.firstActivityTime, 1000);
+    assert.equal(m.lastActivityTime, 1050);
+  });
+
+  test('reads velocity from every sample over its own interval', () => {
+    move(0, 0, 1000);
+    move(60, 0, 1004);
+    move(100, 0, 1008);
+    move(120, 0, 1020);
+
+    assert.equal(mirror.state.metrics.mouseDistance, 120);
+    assert.equal(mirror.state.metrics.velocityCount, 3);
+    assert.equal(mirror.state.metrics.maxVelocity, 15);
+  });
+
+  test('counts small quick movements as jitter', () => {
+    move(0, 0, 1000);
+    move(3, 0, 1100);  // a twitch after a pause
+    move(1, 0, 1200);  // and another
+    move(30, 0, 1300);
+    move(40, 0, 1320); // too far for jitter
+    move(41, 0, 1400);
+    move(42, 0, 1440);
+    move(43, 0, 1480); // too slow for jitter
+
+    // The movement still open is judged when the session is scored
+    assert.equal(mirror.aggregator.snapshot().metrics.jitterCount, 2);
+  });
+
+  test('counts reversals above the velocity floor as direction changes', () => {
+    move(0, 0, 1000);
+    move(100, 0, 1050);
+    move(0, 0, 1100);   // reversal at 2 px/ms
+    move(100, 0, 1150); // reversal again
+    move(101, 0, 1200); // same direction
+
+    assert.equal(mirror.aggregator.snapshot().metrics.directionChanges, 2);
+  });
+
+  test('ignores slow reversals', () => {
+    move(0, 0, 1000);
+    move(100, 0, 1050);
+    move(95, 0, 1100); // 0.1 px/ms back
+
+    assert.equal(mirror.aggregator.snapshot().metrics.directionChanges, 0);
+  });
+
+  test('does nothing outside observation', () => {
+    mirror.stopObservation();
+    move(0, 0, 1000);
+    move(100, 0, 1050);
+
+    assert.equal(mirror.state.metrics.mouseDistance, 0);
+  });
+});
+
+describe('pointer events', () => {
+  const pointer = (type, extra = {}) => ({ type, pointerId: 1, pointerType: 'touch', isPrimary: true, clientX: 0, clientY: 0, ...extra });
+  const logged = (type) => {
+    mirror.drainSamples();
+    return mirror.eventLog.events.filter(e => e.type === type);
+  };
+
+  test('logs the device, position, pressure and tilt', () => {
+    mirror.handlePointerDown(pointer('pointerdown', { pointerType: 'pen', pressure: 0.4567, tiltX: 10, tiltY: 20, timeStamp: 1000 }));
+    mirror.handlePointerMove(pointer('pointermove', { pointerType: 'pen', clientX: 30, pressure: 0.5, timeStamp: 1020 }));
+
+    assert.deepEqual(logged('pointerdown')[0], { type: 'pointerdown', t: 1000, id: 1, device: 'pen', x: 0, y: 0, pressure: 0.457, tiltX: 10, tiltY: 20 });
+    assert.deepEqual(logged('pointermove')[0], { type: 'pointermove', t: 1020, id: 1, device: 'pen', x: 30, y: 0, pressure: 0.5 });
+  });
+
+  test('drops mouse pressure and marks secondary pointers', () => {
+    mirror.handlePointerMove(pointer('pointermove', { pointerType: 'mouse', pressure: 0.5, timeStamp: 1000 }));
+    mirror.handlePointerMove(pointer('pointermove', { pointerId: 2, isPrimary: false, timeStamp: 1000 }));
+
+    const [mouse, finger] = logged('pointermove');
+    assert.equal('pressure' in mouse, false);
+    assert.equal(mouse.device, 'mouse');
+    assert.equal(finger.primary, false);
+  });
+
+  test('keeps every sample of every pointer, coalesced ones included', () => {
+    const coalesced = [1002, 1004, 1006].map((timeStamp, i) => pointer('pointermove', { clientX: i + 1, timeStamp }));
+    mirror.handlePointerMove(pointer('pointermove', { timeStamp: 1000 }));
+    mirror.handlePointerMove(pointer('pointermove', { pointerId: 2, timeStamp: 1001 }));
+    mirror.handlePointerMove({ ...pointer('pointermove', { clientX: 3, timeStamp: 1006 }), getCoalescedEvents: () => coalesced });
+
+    assert.deepEqual(logged('pointermove').map(e => [e.id, e.t, e.x]), [[1, 1000, 0], [2, 1001, 0], [1, 1002, 1], [1, 1004, 2], [1, 1006, 3]]);
+  });
+
+  test('records the capture in the log and the sampling rate in the result', () => {
+    for (let i = 0; i < 5; i++) mirror.handlePointerMove(pointer('pointermove', { pointerType: 'mouse', clientX: i * 10, timeStamp: 1000 + i * 4 }));
+    mirror.completeObservation();
+
+    assert.deepEqual(mirror.getEventLog().capture, { mode: mirror.captureMode, dropped: 0 });
+    assert.equal(mirror.state.analysis.sampling.pointerHz, 250);
+    assert.equal(mirror.buildExport().sampling.pointerHz, 250);
+  });
+
+  test('logs queued samples before the event that follows them', () => {
+    mirror.handlePointerMove(pointer('pointermove', { pointerType: 'mouse', timeStamp: 1000 }));
+    mirror.handleWheel({ deltaY: 40, clientX: 0, clientY: 0, timeStamp: 1010 });
+    mirror.handleClick({ clientX: 0, clientY: 0, timeStamp: 1020 });
+    assert.deepEqual(mirror.eventLog.events.map(e => e.type), ['pointermove', 'wheel', 'click']);
+  });
+
+  test('flags cancelled pointers', () => {
+    mirror.handlePointerDown(pointer('pointerdown', { timeStamp: 1000 }));
+    mirror.handlePointerUp(pointer('pointercancel', { timeStamp: 1050 }));
+    assert.equal(logged('pointerup')[0].cancelled, true);
+  });
+
+  test('summarizes input devices on the result screen', () => {
+    mirror.handlePointerDown(pointer('pointerdown', { pressure: 0.6, timeStamp: 1000 }));
+    mirror.handlePointerMove(pointer('pointermove', { clientX: 40, pressure: 0.8, timeStamp: 1020 }));
+    mirror.handlePointerMove(pointer('pointermove', { clientX: 80, pressure: 0.8, timeStamp: 1040 }));
+    mirror.handlePointerUp(pointer('pointerup', { clientX: 80, timeStamp: 1060 }));
+    mirror.completeObservation();
+    mirror.displayResults();
+
+    const panel = document.getElementById('pointer-panel');
+    assert.equal(panel.hidden, false);
+    const rows = Object.fromEntries(Array.from(panel.querySelectorAll('dt'), dt => [dt.textContent, dt.nextElementSibling.textContent]));
+    assert.equal(rows['Main device'], 'touch');
+    assert.equal(rows['touch'], '2 samples · 80 px · 2 px/ms');
+    assert.equal(rows['Sampling'], `50 Hz · ${mirror.captureMode}`);
+    assert.equal(rows['Gestures'], '0 taps · 0 long presses · 1 swipes · 0 pinches');
+    assert.equal(mirror.buildExport().pointer.pointerDevice, 'touch');
+  });
+
+  test('hides the input devices panel for mouse-event sessions', () => {
+    move(0, 0, 1000);
+    move(40, 0, 1020);
+    mirror.completeObservation();
+    mirror.displayResults();
+    assert.equal(document.getElementById('pointer-panel').hidden, true);
+  });
+});
+
+describe('live adaptation', () => {
+  const screenVar = (name) => document.getElementById('observation-screen').style.getPropertyValue(name);
+  const clickBurst = (from) => {
+    for (let i = 0; i < 12; i++) mirror.handleClick({ clientX: 10, clientY: 10, timeStamp: from + i * 200 });
+  };
+
+  afterEach(() => localStorage.removeItem('adaptiveMirror_adaptation'));
+
+  test('shifts the observation layout towards the recent archetype mix', () => {
+    mirror.state.reducedMotion = false;
+    mirror.setAdaptationStrength(1);
+    clickBurst(1000);
+    mirror.updateAdaptation(3500);
+    mirror.updateAdaptation(4500);
+
+    const impulsive = Number(screenVar('--adapt-impulsive'));
+    assert.ok(impulsive > 0);
+    assert.equal(impulsive.toFixed(3), mirror.adaptation.weights().Impulsive.toFixed(3));
+    assert.ok(document.getElementById('observation-screen').dataset.adapting);
+    assert.deepEqual(mirror.particleWeights(), mirror.adaptation.weights());
+  });
+
+  test('keeps the layout still under reduced motion but still tints it', () => {
+    mirror.setAdaptationStrength(1);
+    clickBurst(1000);
+    mirror.updateAdaptation(3500);
+
+    assert.equal(screenVar('--adapt-impulsive'), '0');
+    assert.notEqual(screenVar('--adapt-color'), '128, 128, 128');
+  });
+
+  test('does nothing at zero strength', () => {
+    mirror.state.reducedMotion = false;
+    mirror.setAdaptationStrength(0);
+    clickBurst(1000);
+    mirror.updateAdaptation(3500);
+
+    assert.equal(Number(screenVar('--adapt-impulsive')), 0);
+    assert.equal(document.getElementById('observation-screen').dataset.adapting, undefined);
+    assert.equal(document.getElementById('adaptation-strength-value').textContent, 'Off');
+  });
+
+  test('clears when the session ends and particles follow the result', () => {
+    mirror.state.reducedMotion = false;
+    mirror.setAdaptationStrength(1);
+    clickBurst(1000);
+    mirror.updateAdaptation(3500);
+    mirror.completeObservation();
+
+    assert.equal(screenVar('--adapt-impulsive'), '0');
+    assert.deepEqual(mirror.particleWeights(), { [mirror.state.personality]: 1 });
+  });
+
+  test('remembers the strength setting', () => {
+    const slider = document.getElementById('adaptation-strength');
+    slider.value = '30';
+    slider.dispatchEvent(new window.Event('input'));
+
+    assert.equal(mirror.adaptation.strength, 0.3);
+    assert.equal(localStorage.getItem('adaptiveMirror_adaptation'), '0.3');
+    assert.equal(document.getElementById('adaptation-strength-value').textContent, '30%');
+  });
+});
+
+describe('handleKeyDown', () => {
+  test('counts backspaces separately from character keystrokes', () => {
+    key('a', 1100);
+    key('b', 1200);
+    key('Backspace', 1300);
+
+    assert.equal(mirror.state.metrics.keystrokes, 2);
+    assert.equal(mirror.state.metrics.backspaces, 1);
+    assert.equal(mirror.state.metrics.lastActivityTime, 1300);
+  });
+
+  test('does not count modifier chords or non-character keys', () => {
+    key('c', 1100, { ctrlKey: true });
+    key('v', 1150, { metaKey: true });
+    key('ArrowLeft', 1200);
+    key('Shift', 1250);
+
+    assert.equal(mirror.state.metrics.keystrokes, 0);
+    assert.equal(mirror.state.metrics.lastActivityTime, 1250);
+  });
+
+  test('is reached from the typing field', () => {
+    const field = document.getElementById('typing-field');
+    field.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'x' }));
+    field.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Backspace' }));
+
+    assert.equal(mirror.state.metrics.keystrokes, 1);
+    assert.equal(mirror.state.metrics.backspaces, 1);
+  });
+
+  test('skips keys during IME composition', () => {
+    const field = document.getElementById('typing-field');
+    field.dispatchEvent(new window.CompositionEvent('compositionstart'));
+    key('k', 1100);
+    key('Backspace', 1150);
+    field.dispatchEvent(new window.CompositionEvent('compositionend'));
+
+    key('Process', 1200, { isComposing: true });
+    key('Dead', 1250);
+
+    assert.equal(mirror.state.metrics.keystrokes, 0);
+    assert.equal(mirror.state.metrics.backspaces, 0);
+    assert.equal(mirror.state.metrics.lastActivityTime, 1000);
+
+    key('k', 1300);
+    assert.equal(mirror.state.metrics.keystrokes, 1);
+  });
+
+  test('never records the typed character', () => {
+    key('q', 1100);
+    key('Backspace', 1200);
+    key('Enter', 1300);
+
+    const keys = mirror.getEventLog().events.filter(e => e.type === 'keydown').map(e => e.key);
+    assert.deepEqual(keys, ['char', 'backspace', 'other']);
+  });
+
+  test('pairs keyup with its keydown by an opaque press id', () => {
+    const field = document.getElementById('typing-field');
+    field.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'a', code: 'KeyA' }));
+    field.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'a', code: 'KeyA', repeat: true }));
+    field.dispatchEvent(new window.KeyboardEvent('keydown', { key: 's', code: 'KeyS' }));
+    field.dispatchEvent(new window.KeyboardEvent('keyup', { key: 'a', code: 'KeyA' }));
+    field.dispatchEvent(new window.KeyboardEvent('keyup', { key: 's', code: 'KeyS' }));
+
+    const events = mirror.getEventLog().events.filter(e => e.type === 'keydown' || e.type === 'keyup');
+    assert.deepEqual(events.map(({ type, press, repeat }) => ({ type, press, repeat })), [
+      { type: 'keydown', press: 1, repeat: undefined },
+      { type: 'keydown', press: 1, repeat: true },
+      { type: 'keydown', press: 2, repeat: undefined },
+      { type: 'keyup', press: 1, repeat: undefined },
+      { type: 'keyup', press: 2, repeat: undefined }
+    ]);
+    assert.ok(events.every(e => !('code' in e)));
+  });
+});
+
+describe('checkIdle', () => {
+  test('accumulates idle stretches longer than 500ms', () => {
+    mirror.checkIdle(1300); // not idle yet
+    mirror.checkIdle(1500); // idle from here
+    mirror.handleKeyUp({ timeStamp: 3000 });
+    mirror.checkIdle(3050);
+
+    assert.equal(mirror.state.metrics.idleTime, 1550);
+  });
+
+  test('drops short idle stretches', () => {
+    mirror.checkIdle(1500);
+    mirror.handleKeyUp({ timeStamp: 1900 });
+    mirror.checkIdle(1950);
+
+    assert.equal(mirror.state.metrics.idleTime, 0);
+  });
+
+  test('adds up separate idle periods', () => {
+    mirror.checkIdle(1500);
+    mirror.handleKeyUp({ timeStamp: 2500 });
+    mirror.checkIdle(2550);
+    mirror.checkIdle(3000);
+    mirror.handleKeyUp({ timeStamp: 4000 });
+    mirror.checkIdle(4050);
+
+    assert.equal(mirror.state.metrics.idleTime, 1050 + 1050);
+  });
+
+  test('keeps the log in time order when samples were stamped before an idle check', () => {
+    const pointer = (clientX, timeStamp) => ({ type: 'pointermove', pointerId: 1, pointerType: 'mouse', isPrimary: true, clientX, clientY: 0, timeStamp });
+    mirror.handlePointerMove(pointer(0, 1100));
+    mirror.checkIdle(1800); // idle from here
+    // Coalesced samples the browser stamped before the check, delivered after it
+    mirror.handlePointerMove({ ...pointer(30, 1810), getCoalescedEvents: () => [pointer(10, 1795), pointer(20, 1798), pointer(30, 1810)] });
+    mirror.checkIdle(1850);
+
+    const events = mirror.getEventLog().events;
+    assert.deepEqual(events.map(e => [e.type, e.t]), [
+      ['pointermove', 1100], ['idle', 1800], ['pointermove', 1800], ['pointermove', 1800], ['pointermove', 1810], ['idle', 1850]
+    ]);
+    assert.deepEqual(events.filter(e => e.type === 'pointermove').map(e => e.x), [0, 10, 20, 30]);
+  });
+
+  test('pauses while the page is hidden', () => {
+    mirror.state.hidden = true;
+    mirror.checkIdle(1500);
+    mirror.state.hidden = false;
+
+    assert.equal(mirror.engine.idleStart, null);
+  });
+});
+
+describe('handleVisibilityChange', () => {
+  const setHidden = (hidden) => {
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  };
+
+  afterEach(() => {
+    delete document.hidden;
+  });
+
+  test('shifts the window start by the hidden duration', () => {
+    clock = 5000;
+    setHidden(true);
+    mirror.handleVisibilityChange();
+
+    assert.equal(mirror.state.hidden, true);
+    assert.equal(mirror.state.hiddenTime, 5000);
+
+    clock = 8000;
+    setHidden(false);
+    mirror.handleVisibilityChange();
+
+    assert.equal(mirror.state.hidden, false);
+    assert.equal(mirror.state.startTime, 4000);
+    assert.equal(mirror.engine.startTime, 4000);
+  });
+
+  test('ignores pointer input while hidden', () => {
+    clock = 2000;
+    setHidden(true);
+    mirror.handleVisibilityChange();
+
+    move(0, 0, 2100);
+    move(100, 0, 2200);
+    mirror.handleClick({ clientX: 0, clientY: 0, timeStamp: 2300 });
+
+    assert.equal(mirror.state.metrics.mouseDistance, 0);
+    assert.equal(mirror.state.metrics.clickCount, 0);
+  });
+
+  test('stops and restarts the countdown and idle timers', () => {
+    clock = 2000;
+    setHidden(true);
+    mirror.handleVisibilityChange();
+
+    // Countdown does not advance while hidden
+    clock = 60000;
+    mock.timers.tick(1000);
+    assert.equal(mirror.state.isObserving, true);
+
+    setHidden(false);
+    mirror.handleVisibilityChange();
+    assert.equal(mirror.state.isObserving, true);
+    assert.equal(mirror.state.startTime, 59000);
+
+    clock = 59000 + mirror.state.duration;
+    mock.timers.tick(100);
+    assert.equal(mirror.state.isObserving, false);
+  });
+
+  test('does nothing when not observing', () => {
+    mirror.stopObservation();
+    setHidden(true);
+    mirror.handleVisibilityChange();
+
+    assert.equal(mirror.state.hidden, false);
+  });
+});
+
+describe('replaySession', () => {
+  test('reproduces the live result from the event log', () => {
+    for (let i = 0; i < 200; i++) {
+      const t = 1000 + i * 37;
+      move((i * 53) % 700, (i * 31) % 500, t);
+      if (i % 7 === 0) key(i % 3 ? 'a' : 'Backspace', t + 5);
+      if (i % 11 === 0) mirror.handleClick({ clientX: 0, clientY: 0, timeStamp: t + 9 });
+      mirror.checkIdle(t + 20);
+    }
+    mirror.stopObservation();
+    mirror.calculateResults();
+
+    const live = { personality: mirror.state.personality, scores: { ...mirror.state.scores } };
+    const replayed = mirror.replaySession(JSON.parse(JSON.stringify(mirror.getEventLog())));
+
+    assert.deepEqual(replayed, live);
+  });
+
+  test('rejects malformed logs', () => {
+    mirror.stopObservation();
+    assert.throws(() => mirror.replaySession({ events: 'nope' }), TypeError);
+  });
+});
+
+describe('session profiles', () => {
+  test('renders the selected window on the intro screen and timer', () => {
+    mirror.reset();
+    mirror.setProfile('extended');
+
+    assert.equal(mirror.state.duration, 120000);
+    assert.match(document.getElementById('session-length-text').textContent, /2 minutes/);
+    assert.equal(document.getElementById('timer-unit').textContent, '02:');
+    assert.equal(document.getElementById('timer-display').textContent, '00');
+    assert.equal(document.querySelector('input[value="extended"]').checked, true);
+  });
+
+  test('cannot change profile mid-session', () => {
+    mirror.setProfile('quick');
+    assert.equal(mirror.state.duration, 30000);
+  });
+
+  test('completes after the selected window', () => {
+    mirror.reset();
+    mirror.setProfile('quick');
+    mirror.beginObservation();
+
+    clock += 14000;
+    mock.timers.tick(100);
+    assert.equal(mirror.state.isObserving, true);
+
+    clock += 1000;
+    mock.timers.tick(100);
+    assert.equal(mirror.state.isObserving, false);
+    assert.equal(mirror.engine.duration, 15000);
+  });
+
+  test('open-ended sessions run until finished and score over elapsed time', () => {
+    mirror.reset();
+    mirror.setProfile('open');
+    mirror.beginObservation();
+
+    assert.equal(document.getElementById('finish-btn').hidden, false);
+
+    clock += 300000;
+    mock.timers.tick(100);
+    assert.equal(mirror.state.isObserving, true);
+    assert.equal(document.getElementById('timer-unit').textContent, '05:');
+
+    document.getElementById('finish-btn').click();
+    assert.equal(mirror.state.isObserving, false);
+    assert.equal(mirror.state.observedDuration, 300000);
+    assert.equal(mirror.getEventLog().duration, 300000);
+  });
+});
+
+describe('session history', () => {
+  const finishSession = () => {
+    move(0, 0, 1000);
+    move(300, 200, 1100);
+    mirror.completeObservation();
+  };
+
+  test('stores each completed session', async () => {
+    finishSession();
+    await mirror.persistResult();
+
+    const [record] = await mirror.history.list();
+    assert.equal(record.personality, mirror.state.personality);
+    assert.deepEqual(record.scores, mirror.state.scores);
+    assert.equal(record.profile, 'standard');
+    assert.equal(record.metrics.mouseDistance, mirror.state.metrics.mouseDistance);
+    assert.ok(Array.isArray(record.eventLog.events));
+  });
+
+  test('lists stored sessions newest first', async () => {
+    await mirror.history.add({ timestamp: Date.now() - 2000, personality: 'Analytical', scores: { focus: 10, hesitation: 20, controlBias: 30, energy: 40 } });
+    await mirror.history.add({ timestamp: Date.now() - 1000, personality: 'Restless', scores: { focus: 50, hesitation: 60, controlBias: 70, energy: 80 } });
+
+    mirror.stopObservation();
+    await mirror.showHistory();
+
+    const rows = [...document.querySelectorAll('#history-list tr')];
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].children[2].textContent, 'Restless');
+    assert.equal(rows[0].children[5].textContent, '70%');
+    assert.equal(document.getElementById('history-count').textContent, '2 sessions stored');
+    assert.equal(document.getElementById('history-empty').hidden, true);
+  });
+
+  test('deletes a single session from the list', async () => {
+    await mirror.history.add({ timestamp: Date.now() - 2000, personality: 'Observer', scores: {} });
+    mirror.stopObservation();
+    await mirror.showHistory();
+
+    document.querySelector('[data-history-delete]').click();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(await mirror.history.list(), []);
+    assert.equal(document.querySelectorAll('#history-list tr').length, 0);
+  });
+});
+
+describe('consent', () => {
+  const check = (selector, checked = true) => {
+    document.querySelector(selector).checked = checked;
+  };
+  const channel = (name) => `input[name="consent-channel"][value="${name}"]`;
+  const startWithoutConsent = () => {
+    mirror.reset();
+    mirror.state.consent = null;
+    localStorage.removeItem(CONSENT_KEY);
+  };
+
+  afterEach(() => localStorage.removeItem(CONSENT_KEY));
+
+  test('asks before observing and records the answer in the log', () => {
+    startWithoutConsent();
+    document.getElementById('begin-btn').click();
+    assert.equal(document.getElementById('consent-screen').hidden, false);
+    assert.equal(mirror.state.isObserving, false);
+    // Opt-in: nothing is preselected
+    assert.equal(document.querySelectorAll('input[name="consent-channel"]:checked').length, 0);
+
+    check(channel('pointer'));
+    mirror.giveConsent();
+    assert.match(document.getElementById('consent-error').textContent, /agree/);
+    assert.equal(mirror.state.isObserving, false);
+
+    check('#consent-agree');
+    check(channel('pointer'), false);
+    mirror.giveConsent();
+    assert.match(document.getElementById('consent-error').textContent, /at least one/);
+
+    check(channel('pointer'));
+    check(channel('keyboard'));
+    mirror.giveConsent();
+    assert.equal(mirror.state.isObserving, true);
+    const { consent } = mirror.getEventLog();
+    assert.deepEqual(consent.channels, ['pointer', 'keyboard']);
+    assert.equal(consent.persist, false);
+    assert.ok(Date.parse(consent.timestamp));
+    assert.equal(mirror.buildExport().consent.timestamp, consent.timestamp);
+  });
+
+  test('observation cannot start without consent', () => {
+    startWithoutConsent();
+    mirror.beginObservation();
+    assert.equal(mirror.state.isObserving, false);
+    assert.equal(document.getElementById('consent-screen').hidden, false);
+  });
+
+  test('declined channels are neither logged nor scored', () => {
+    mirror.reset();
+    mirror.recordConsent(createConsent({ channels: ['keyboard'] }));
+    mirror.beginObservation();
+    move(0, 0, 1000);
+    move(300, 400, 1100);
+    mirror.handleClick({ target: document.body, clientX: 5, clientY: 5, timeStamp: 1200 });
+    key('a', 1300, { code: 'KeyA' });
+
+    assert.deepEqual(mirror.getEventLog().events.map(event => event.type), ['keydown']);
+    assert.equal(mirror.state.metrics.mouseDistance, 0);
+    assert.equal(mirror.state.metrics.keystrokes, 1);
+  });
+
+  test('declining touch drops touch moves and taps', () => {
+    mirror.reset();
+    mirror.recordConsent(createConsent({ channels: ['pointer'] }));
+    mirror.beginObservation();
+    const touches = (x, timeStamp) => ({ touches: [{ clientX: x, clientY: 0 }], timeStamp });
+    mirror.handleTouch(touches(0, 1000));
+    mirror.handleTouch(touches(40, 1016));
+    mirror.endTouch({ timeStamp: 1030 });
+    // A tap's click, from a browser whose clicks carry the pointer type and from one whose clicks do not
+    mirror.handleClick({ target: document.body, clientX: 40, clientY: 0, pointerType: 'touch', timeStamp: 1100 });
+    mirror.handleClick({ target: document.body, clientX: 40, clientY: 0, timeStamp: 1200 });
+    mirror.drainSamples();
+    assert.deepEqual(mirror.getEventLog().events, []);
+    assert.equal(mirror.state.metrics.mouseDistance, 0);
+    assert.equal(mirror.state.metrics.clickCount, 0);
+
+    // Mouse clicks are still pointer input
+    mirror.handleClick({ target: document.body, clientX: 5, clientY: 5, pointerType: 'mouse', timeStamp: 1300 });
+    mirror.handleClick({ target: document.body, clientX: 5, clientY: 5, timeStamp: 3000 });
+    assert.deepEqual(mirror.getEventLog().events.map(event => [event.type, event.device]), [['click', undefined], ['click', undefined]]);
+  });
+
+  test('touch moves and taps are logged as touch', () => {
+    mirror.handleTouch({ touches: [{ clientX: 0, clientY: 0 }], timeStamp: 1000 });
+    mirror.endTouch({ timeStamp: 1030 });
+    mirror.handleClick({ target: document.body, clientX: 0, clientY: 0, timeStamp: 1100 });
+    mirror.drainSamples();
+    assert.deepEqual(mirror.getEventLog().events.map(event => [event.type, event.device]), [
+      ['mousemove', 'touch'], ['touchend', undefined], ['click', 'touch']
+    ]);
+  });
+
+  test('guided tasks that need a declined channel are left out', () => {
+    mirror.reset();
+    mirror.setBattery('standard');
+    mirror.recordConsent(createConsent({ channels: ['pointer'] }));
+    mirror.beginObservation();
+    assert.deepEqual(mirror.getEventLog().battery.tasks.map(task => task.kind), ['targets', 'wait']);
+    assert.equal(document.getElementById('task-progress').textContent, 'Task 1 of 2');
+    mirror.setBattery('free');
+  });
+
+  test('results are kept only when that was agreed to', async () => {
+    mirror.reset();
+    mirror.recordConsent(createConsent({ channels: CONSENT_CHANNELS }));
+    localStorage.removeItem('adaptiveMirror_result_v2');
+    mirror.beginObservation();
+    move(0, 0, 1000);
+    mirror.completeObservation();
+    await mirror.persistResult();
+
+    assert.deepEqual(await mirror.history.list(), []);
+    assert.equal(localStorage.getItem('adaptiveMirror_result_v2'), null);
+    assert.equal(localStorage.getItem(CONSENT_KEY), null);
+  });
+
+  test('the form starts from the kept choices but asks for agreement again', () => {
+    mirror.recordConsent(createConsent({ channels: ['scroll', 'touch'], persist: true, retentionDays: 7 }));
+    mirror.reset();
+    mirror.showConsent();
+
+    assert.equal(document.querySelector(channel('scroll')).checked, true);
+    assert.equal(document.querySelector(channel('pointer')).checked, false);
+    assert.equal(document.getElementById('consent-persist').checked, true);
+    assert.equal(document.getElementById('consent-retention').value, '7');
+    assert.equal(document.getElementById('consent-agree').checked, false);
+    assert.equal(mirror.history.retention.maxAgeDays, 7);
+  });
+});
+
+describe('my data', () => {
+  const finishSession = async () => {
+    move(0, 0, 1000);
+    move(300, 200, 1100);
+    mirror.completeObservation();
+    await mirror.persistResult();
+  };
+  const items = () => Array.from(document.querySelectorAll('#data-list .data-name'), name => name.textContent);
+
+  afterEach(() => localStorage.clear());
+
+  test('lists everything stored and shows it on demand', async () => {
+    await finishSession();
+    await mirror.showData();
+
+    assert.equal(document.getElementById('data-screen').hidden, false);
+    assert.ok(items().includes('Consent record'));
+    assert.ok(items().includes('Last result'));
+    assert.ok(items().includes('Session history'));
+    assert.match(document.getElementById('data-consent').textContent, /pointer, scroll, keyboard, touch/);
+
+    const view = document.querySelector('[data-stored-view="history"]');
+    const content = view.parentElement.querySelector('.data-content');
+    assert.equal(content.hidden, true);
+    mirror.toggleStoredView(view);
+    assert.equal(content.hidden, false);
+    assert.equal(view.getAttribute('aria-expanded'), 'true');
+    assert.equal(JSON.parse(content.textContent)[0].personality, mirror.state.personality);
+  });
+
+  test('deletes a single item', async () => {
+    await finishSession();
+    mock.method(window, 'confirm', () => true);
+    await mirror.showData();
+    await mirror.deleteData('history');
+
+    assert.deepEqual(await mirror.history.list(), []);
+    assert.equal(items().includes('Session history'), false);
+    assert.ok(items().includes('Last result'));
+  });
+
+  test('deletes everything and withdraws consent', async () => {
+    await finishSession();
+    mock.method(window, 'confirm', () => true);
+    await mirror.showData();
+    await mirror.deleteData();
+
+    assert.deepEqual(items(), []);
+    assert.equal(document.getElementById('data-empty').hidden, false);
+    assert.deepEqual(await mirror.history.list(), []);
+    assert.equal(localStorage.getItem(CONSENT_KEY), null);
+    assert.equal(mirror.state.consent, null);
+    assert.match(document.getElementById('data-consent').textContent, /No consent recorded/);
+  });
+
+  test('keeps everything when the deletion is not confirmed', async () => {
+    await finishSession();
+    mock.method(window, 'confirm', () => false);
+    await mirror.showData();
+    await mirror.deleteData();
+    assert.equal((await mirror.history.list()).length, 1);
+  });
+});
+
+describe('storage migration', () => {
+  afterEach(() => localStorage.clear());
+
+  const quarantined = () => JSON.parse(localStorage.getItem('adaptiveMirror_quarantine') ?? '[]');
+
+  test('quarantines a stored record that does not fit instead of deleting it', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    localStorage.setItem('adaptiveMirror_result_v2', '{"personality":"Observer"}');
+    mirror.migrateStorage();
+
+    assert.equal(localStorage.getItem('adaptiveMirror_result_v2'), null);
+    assert.deepEqual(quarantined().map(entry => [entry.value, entry.reason]), [['{"personality":"Observer"}', 'Scores are missing']]);
+    assert.ok(warn.mock.calls.some(call => /1 quarantined/.test(call.arguments[0])));
+    assert.equal(localStorage.getItem('adaptiveMirror_schema'), '1');
+  });
+
+  test('an unreadable last result is quarantined when it is loaded', () => {
+    mock.method(console, 'warn', () => {});
+    localStorage.setItem('adaptiveMirror_result_v2', '{not json');
+    mirror.loadPreviousResult();
+    assert.equal(localStorage.getItem('adaptiveMirror_result_v2'), null);
+    assert.equal(quarantined()[0].value, '{not json');
+  });
+
+  test('keeps recorded sessions whose samples arrived after an idle check', async () => {
+    const pointer = (clientX, timeStamp) => ({ type: 'pointermove', pointerId: 1, pointerType: 'mouse', isPrimary: true, clientX, clientY: 0, timeStamp });
+    mirror.handlePointerMove(pointer(0, 1100));
+    mirror.checkIdle(1800);
+    mirror.handlePointerMove({ ...pointer(40, 1810), getCoalescedEvents: () => [pointer(10, 1795), pointer(20, 1798), pointer(40, 1810)] });
+    mirror.checkIdle(1850);
+    mirror.completeObservation();
+    await mirror.persistResult();
+    // The same session as logged before sample times were kept in order
+    const [recorded] = await mirror.history.list();
+    const legacy = structuredClone(recorded);
+    legacy.timestamp += 1;
+    legacy.eventLog.events.find(event => event.t === 1800 && event.type === 'pointermove').t = 1795;
+    await mirror.history.add(legacy);
+
+    await mirror.migrateStorage();
+
+    assert.deepEqual(await mirror.history.quarantined(), []);
+    assert.equal((await mirror.history.list()).length, 2);
+  });
+});
+
+describe('encryption', () => {
+  const finishSession = async () => {
+    move(0, 0, 1000);
+    move(300, 200, 1100);
+    mirror.completeObservation();
+    await mirror.persistResult();
+  };
+  const answer = (passphrase, repeat = passphrase) => {
+    document.getElementById('passphrase-input').value = passphrase;
+    document.getElementById('passphrase-repeat').value = repeat;
+    mirror.submitPassphrase();
+  };
+  const dialogOpen = async () => {
+    while (document.getElementById('passphrase-dialog').hidden) await new Promise(resolve => setImmediate(resolve));
+  };
+
+  beforeEach(() => {
+    // Few iterations keep the tests quick
+    mirror.vault.iterations = 1000;
+  });
+
+  afterEach(() => localStorage.clear());
+
+  test('turns on under a repeated passphrase and seals what is stored', async () => {
+    await finishSession();
+    await mirror.showData();
+    const enabling = mirror.enableVault();
+    assert.equal(document.getElementById('passphrase-dialog').hidden, false);
+    answer('correct horse', 'correct hose');
+    assert.match(document.getElementById('passphrase-error').textContent, /do not match/);
+    answer('correct horse');
+    await enabling;
+
+    assert.equal(document.getElementById('passphrase-dialog').hidden, true);
+    assert.equal(document.getElementById('passphrase-input').value, '');
+    assert.equal(mirror.vault.enabled, true);
+    assert.ok((await mirror.history.backend.getAll()).every(record => record.sealed));
+    assert.ok(JSON.parse(localStorage.getItem('adaptiveMirror_result_v2')).sealed);
+    assert.match(document.getElementById('vault-status').textContent, /unlocked/);
+    assert.equal(document.getElementById('vault-lock-btn').hidden, false);
+    assert.equal((await mirror.history.list())[0].personality, mirror.state.personality);
+  });
+
+  test('keeps the history closed while locked', async () => {
+    await mirror.vault.create('correct horse');
+    await finishSession();
+    await mirror.lockVault();
+    assert.match(document.getElementById('vault-status').textContent, /locked/);
+    assert.equal(document.getElementById('vault-unlock-btn').hidden, false);
+
+    await mirror.showHistory();
+    assert.equal(document.getElementById('history-empty').hidden, false);
+    assert.match(document.getElementById('history-empty').textContent, /encrypted/);
+    assert.equal(document.getElementById('history-count').textContent, 'Locked');
+  });
+
+  test('unlocks with the passphrase and locks again when a session begins', async () => {
+    await mirror.vault.create('correct horse');
+    await finishSession();
+    mirror.vault.lock();
+
+    let unlocking = mirror.unlockVault();
+    answer('wrong horse');
+    await unlocking;
+    assert.match(document.getElementById('vault-error').textContent, /Wrong passphrase/);
+    assert.equal(mirror.vault.locked, true);
+
+    unlocking = mirror.unlockVault();
+    answer('correct horse');
+    await unlocking;
+    assert.equal(document.getElementById('vault-error').textContent, '');
+    assert.equal((await mirror.history.list()).length, 1);
+
+    mirror.beginObservation();
+    assert.equal(mirror.vault.locked, true);
+  });
+
+  test('turning it off opens everything again', async () => {
+    await mirror.vault.create('correct horse');
+    await finishSession();
+    mock.method(window, 'confirm', () => true);
+    await mirror.disableVault();
+
+    assert.equal(mirror.vault.enabled, false);
+    assert.ok((await mirror.history.backend.getAll()).every(record => !record.sealed));
+    assert.equal(JSON.parse(localStorage.getItem('adaptiveMirror_result_v2')).personality, mirror.state.personality);
+    assert.match(document.getElementById('vault-status').textContent, /^Off/);
+  });
+
+  test('a cancelled passphrase changes nothing', async () => {
+    const enabling = mirror.enableVault();
+    mirror.answerPassphrase(null);
+    await enabling;
+    assert.equal(mirror.vault.enabled, false);
+  });
+
+  test('exports a file that imports again with its passphrase', async () => {
+    await finishSession();
+    const download = mock.method(mirror, 'downloadBlob', () => {});
+    const exporting = mirror.exportEncrypted();
+    answer('correct horse');
+    await exporting;
+
+    const [blob, filename] = download.mock.calls[0].arguments;
+    assert.match(filename, /\.encrypted\.json$/);
+    const text = await blob.text();
+    assert.equal(JSON.parse(text).schema, 'adaptive-mirror/encrypted');
+    assert.ok(!text.includes(mirror.state.personality));
+
+    const personality = mirror.state.personality;
+    mirror.reset();
+    const importing = mirror.importFile({ name: 'locked.json', size: text.length, text: async () => text });
+    await dialogOpen();
+    assert.match(document.getElementById('passphrase-message').textContent, /locked\.json is encrypted/);
+    answer('correct horse');
+    const record = await importing;
+    assert.equal(record.personality, personality);
+  });
+});
+
+describe('session comparison', () => {
+  const stored = (offset, personality, scores) => mirror.history.add({
+    timestamp: Date.now() - offset,
+    personality,
+    scores,
+    metrics: { clickCount: 4, scrollCount: 2, keystrokes: 10, backspaces: 1 }
+  });
+
+  test('enables the compare button once two sessions are selected', async () => {
+    await stored(2000, 'Analytical', { focus: 10, hesitation: 20, controlBias: 30, energy: 40 });
+    await stored(1000, 'Restless', { focus: 50, hesitation: 60, controlBias: 70, energy: 80 });
+    mirror.stopObservation();
+    await mirror.showHistory();
+
+    const button = document.getElementById('history-compare-btn');
+    const boxes = document.querySelectorAll('[data-history-select]');
+    assert.equal(button.disabled, true);
+    boxes[0].checked = true;
+    boxes[0].dispatchEvent(new window.Event('change', { bubbles: true }));
+    assert.equal(button.disabled, true);
+    boxes[1].checked = true;
+    boxes[1].dispatchEvent(new window.Event('change', { bubbles: true }));
+    assert.equal(button.disabled, false);
+  });
+
+  test('lines up selected sessions with the oldest as baseline', async () => {
+    await stored(2000, 'Analytical', { focus: 10, hesitation: 20, controlBias: 30, energy: 40 });
+    await stored(1000, 'Restless', { focus: 50, hesitation: 20, controlBias: 70, energy: 80 });
+    mirror.stopObservation();
+    await mirror.showHistory();
+    document.querySelectorAll('[data-history-select]').forEach(box => { box.checked = true; });
+
+    await mirror.compareSelected();
+
+    assert.deepEqual(mirror.compareList.map(s => s.personality), ['Analytical', 'Restless']);
+    const table = document.getElementById('compare-table');
+    assert.match(table.querySelector('thead th:nth-child(2)').textContent, /baseline/);
+    const focusRow = [...table.querySelectorAll('tbody tr')].find(row => row.firstChild.textContent === 'Focus Depth');
+    assert.equal(focusRow.children[2].querySelector('.compare-delta').textContent, '+40');
+    assert.ok(focusRow.children[2].querySelector('.delta-up'));
+    const hesitationRow = [...table.querySelectorAll('tbody tr')].find(row => row.firstChild.textContent === 'Hesitation Index');
+    assert.equal(hesitationRow.children[2].querySelector('.compare-delta').className, 'compare-delta');
+    assert.equal(document.getElementById('compare-empty').hidden, true);
+  });
+
+  test('adds exported files and rejects anything else', async () => {
+    const alert = mock.method(window, 'alert', () => {});
+    const file = (name, data) => ({ name, size: data.length, text: async () => data });
+
+    await mirror.addCompareFiles([
+      file('a.json', JSON.stringify({ personality: 'Observer', scores: { focus: 5, hesitation: 5, controlBias: 50, energy: 5 }, timestamp: new Date().toISOString() })),
+      file('b.json', '{ not json'),
+      file('c.json', JSON.stringify({ hello: 'world' }))
+    ]);
+
+    assert.equal(mirror.compareList.length, 1);
+    assert.equal(mirror.compareList[0].origin, 'file');
+    assert.equal(document.getElementById('compare-empty').hidden, false);
+    assert.equal(alert.mock.callCount(), 1);
+    assert.match(alert.mock.calls[0].arguments[0], /b\.json: File is not valid JSON/);
+    assert.match(alert.mock.calls[0].arguments[0], /c\.json: Result has no classification/);
+  });
+
+  test('removes a column from the comparison', async () => {
+    mirror.compareList = [
+      { label: 'A', origin: 'history', timestamp: 1, personality: 'Observer', scores: {}, archetypeScores: {}, features: null },
+      { label: 'B', origin: 'history', timestamp: 2, personality: 'Restless', scores: {}, archetypeScores: {}, features: null }
+    ];
+    mirror.renderCompare();
+
+    document.querySelector('[data-compare-remove="0"]').click();
+
+    assert.deepEqual(mirror.compareList.map(s => s.label), ['B']);
+    assert.equal(document.querySelectorAll('#compare-table thead th').length, 2);
+  });
+});
+
+describe('importing exported results', () => {
+  // Recent enough to survive history retention
+  const exportedAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+  const exportedFile = () => {
+    move(0, 0, 1000);
+    move(300, 200, 1100);
+    // Enough input for a conclusive result
+    for (let i = 0; i < 12; i++) key('a', 1200 + i * 150);
+    mirror.elements['typing-field'].value = '';
+    mirror.completeObservation();
+    const text = JSON.stringify({
+      personality: mirror.state.personality,
+      scores: mirror.state.scores,
+      timestamp: exportedAt,
+      sessionId: 'AM-IMPORTED',
+      eventLog: mirror.getEventLog()
+    });
+    mirror.reset();
+    return { name: 'session.json', size: text.length, text: async () => text };
+  };
+
+  test('shows an imported session on the result screen', async () => {
+    const file = exportedFile();
+    const expected = JSON.parse(await file.text());
+
+    const record = await mirror.importFile(file);
+
+    assert.equal(record.verified, true);
+    assert.equal(mirror.state.personality, expected.personality);
+    assert.deepEqual(mirror.state.scores, expected.scores);
+    assert.equal(document.getElementById('primary-trait').textContent, expected.personality);
+    assert.equal(document.getElementById('session-id').textContent, 'AM-IMPORTED');
+    assert.match(document.getElementById('result-timestamp').textContent, /^Imported/);
+    assert.equal(document.getElementById('result-screen').hidden, false);
+    assert.ok(document.body.classList.contains(`theme-${expected.personality.toLowerCase()}`));
+  });
+
+  test('replays the sampling rate of an imported session', async () => {
+    const file = exportedFile();
+
+    await mirror.importFile(file);
+
+    // Two moves 100 ms apart
+    assert.equal(mirror.state.analysis.sampling.pointerHz, 10);
+    assert.equal(mirror.buildExport().sampling.pointerHz, 10);
+  });
+
+  test('adds the session to history once', async () => {
+    const file = exportedFile();
+
+    await mirror.importFile(file);
+    await mirror.importFile(file);
+
+    const entries = await mirror.history.list();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].sessionId, 'AM-IMPORTED');
+    assert.equal(entries[0].timestamp, Date.parse(exportedAt));
+  });
+
+  test('imports its own export with coalesced samples around an idle change', async () => {
+    const pointer = (clientX, timeStamp) => ({ type: 'pointermove', pointerId: 1, pointerType: 'mouse', isPrimary: true, clientX, clientY: 0, timeStamp });
+    mirror.handlePointerMove(pointer(0, 1100));
+    mirror.checkIdle(1800);
+    // Delivered after the check that logged the idle start, stamped before it
+    mirror.handlePointerMove({ ...pointer(40, 1810), getCoalescedEvents: () => [pointer(10, 1795), pointer(20, 1798), pointer(40, 1810)] });
+    mirror.checkIdle(1850);
+    for (let i = 0; i < 12; i++) key('a', 1900 + i * 150);
+    mirror.elements['typing-field'].value = '';
+    mirror.completeObservation();
+    const download = mock.method(mirror, 'downloadBlob', () => {});
+    mirror.exportData('json');
+    const text = await download.mock.calls[0].arguments[0].text();
+    const { personality, scores } = mirror.state;
+    const alert = mock.method(window, 'alert', () => {});
+    mirror.reset();
+
+    const record = await mirror.importFile({ name: 'session.json', size: text.length, text: async () => text });
+
+    assert.equal(alert.mock.callCount(), 0);
+    assert.equal(record.verified, true);
+    assert.equal(record.personality, personality);
+    assert.deepEqual(record.scores, scores);
+  });
+
+  test('explains why a file was rejected', async () => {
+    const alert = mock.method(window, 'alert', () => {});
+    mirror.stopObservation();
+
+    const result = await mirror.importFile({ name: 'notes.json', size: 4, text: async () => 'nope' });
+
+    assert.equal(result, null);
+    assert.equal(alert.mock.calls[0].arguments[0], 'Could not import notes.json: File is not valid JSON');
+    assert.deepEqual(await mirror.history.list(), []);
+  });
+
+  test('ignores imports while observing', async () => {
+    assert.equal(await mirror.importFile({ name: 'x.json', size: 2, text: async () => '{}' }), null);
+  });
+});
+
+describe('export', () => {
+  test('includes metrics, archetype scores, derived rates and session config', () => {
+    move(0, 0, 1000);
+    move(300, 200, 1100);
+    mirror.completeObservation();
+
+    const data = mirror.buildExport();
+
+    assert.equal(data.schemaVersion, 2);
+    assert.deepEqual(data.session, { profile: 'standard', duration: 30000, observedDuration: 30000 });
+    assert.equal(data.metrics.mouseDistance, mirror.state.metrics.mouseDistance);
+    assert.deepEqual(data.archetypeScores, mirror.state.analysis.archetypeScores);
+    assert.equal(data.derived.avgVelocity, mirror.state.analysis.features.avgVelocity);
+    assert.equal(data.eventLog.events.length, 2);
+  });
+
+  test('keeps the original session details of an imported result', async () => {
+    move(0, 0, 1000);
+    mirror.completeObservation();
+    const original = mirror.buildExport();
+    original.sessionId = 'AM-ORIGINAL';
+    mirror.reset();
+
+    const text = JSON.stringify(original);
+    await mirror.importFile({ name: 'a.json', size: text.length, text: async () => text });
+    const data = mirror.buildExport();
+
+    assert.equal(data.sessionId, 'AM-ORIGINAL');
+    assert.equal(data.timestamp, original.timestamp);
+    assert.deepEqual(data.session, original.session);
+    assert.deepEqual(data.derived, original.derived);
+  });
+});
+
+describe('result explanation', () => {
+  test('lists every archetype with the rules that fired', () => {
+    move(0, 0, 1000);
+    move(300, 200, 1100);
+    mirror.completeObservation();
+    mirror.displayResults();
+
+    const { explanation } = mirror.state.analysis;
+    const items = document.querySelectorAll('#explanation-list > li');
+    assert.equal(items.length, Object.keys(explanation.archetypes).length);
+    assert.equal(document.querySelector('.explanation-archetype.is-winner').firstChild.textContent, mirror.state.personality);
+    assert.equal(document.getElementById('explanation-decision').textContent.includes(mirror.state.personality), true);
+
+    const fired = Object.values(explanation.archetypes).flatMap(a => a.rules).filter(r => r.fired).length;
+    assert.equal(document.querySelectorAll('.explanation-rule.fired').length, fired);
+  });
+
+  test('is exported for auditing', () => {
+    move(0, 0, 1000);
+    mirror.completeObservation();
+    assert.deepEqual(mirror.buildExport().explanation, mirror.state.analysis.explanation);
+  });
+});
+
+describe('typing rhythm panel', () => {
+  test('summarizes key timing on the result screen', () => {
+    for (let i = 0; i < 6; i++) key('a', 1100 + i * 200, { code: 'KeyA' });
+    key('Backspace', 2600, { code: 'Backspace' });
+    mirror.completeObservation();
+    mirror.displayResults();
+
+    const panel = document.getElementById('typing-panel');
+    assert.equal(panel.hidden, false);
+    const rows = Object.fromEntries(Array.from(panel.querySelectorAll('dt'), dt => [dt.textContent, dt.nextElementSibling.textContent]));
+    assert.equal(rows['Speed'], `${Math.round(mirror.state.analysis.typing.typingWpm)} wpm`);
+    assert.equal(rows['Pause before backspace'], '500 ms');
+    assert.equal(rows['Corrections'], '1 × 1 keys (max 1)');
+    assert.equal(mirror.buildExport().typing.typingKeys, 7);
+  });
+
+  test('stays hidden without typing', () => {
+    move(0, 0, 1000);
+    mirror.completeObservation();
+    mirror.displayResults();
+    assert.equal(document.getElementById('typing-panel').hidden, true);
+  });
+});
+
+describe('pointer trajectory panel', () => {
+  test('summarizes strokes on the result screen', () => {
+    move(0, 0, 1000);
+    move(40, 0, 1020);
+    move(80, 0, 1040);
+    move(120, 0, 1060);
+    mirror.handleClick({ clientX: 120, clientY: 0, timeStamp: 1360 });
+    mirror.completeObservation();
+    mirror.displayResults();
+
+    const panel = document.getElementById('trajectory-panel');
+    assert.equal(panel.hidden, false);
+    const rows = Object.fromEntries(Array.from(panel.querySelectorAll('dt'), dt => [dt.textContent, dt.nextElementSibling.textContent]));
+    assert.equal(rows['Strokes'], '1 · avg 120 px');
+    assert.equal(rows['Path efficiency'], '100%');
+    assert.equal(rows['Pause before click'], '300 ms');
+    assert.equal(rows['Overshoot'], '0% of clicks');
+    assert.equal(mirror.buildExport().trajectory.trajectoryStrokes, 1);
+  });
+
+  test('stays hidden without pointer movement', () => {
+    key('a', 1100);
+    mirror.completeObservation();
+    mirror.displayResults();
+    assert.equal(document.getElementById('trajectory-panel').hidden, true);
+  });
+});
+
+describe('scroll behavior', () => {
+  const reading = () => document.getElementById('reading-panel');
+  // jsdom lays nothing out, so the panel's scroll geometry is set by hand
+  const scrollReading = (x, y, timeStamp) => {
+    Object.defineProperties(reading(), {
+      scrollLeft: { value: x, writable: true, configurable: true },
+      scrollTop: { value: y, writable: true, configurable: true },
+      scrollWidth: { value: 600, configurable: true },
+      clientWidth: { value: 400, configurable: true },
+      scrollHeight: { value: 1000, configurable: true },
+      clientHeight: { value: 200, configurable: true }
+    });
+    mirror.handleReadingScroll({ target: reading(), timeStamp });
+    mirror.drainSamples();
+  };
+  const logged = (type) => mirror.getEventLog().events.filter(event => event.type === type);
+
+  test('offers the reading panel in free observation only', () => {
+    assert.equal(reading().hidden, false);
+    mirror.reset();
+    mirror.setBattery('standard');
+    mirror.beginObservation();
+    assert.equal(reading().hidden, true);
+  });
+
+  test('logs reading panel scrolls with their area and extent', () => {
+    scrollReading(0, 300.4, 1200);
+    assert.deepEqual(logged('scroll'), [{ type: 'scroll', t: 1200, area: 'reading', x: 0, y: 300, maxX: 200, maxY: 800 }]);
+  });
+
+  test('logs wheel deltas in pixels whatever the mode', () => {
+    mirror.handleWheel({ deltaX: 0, deltaY: 3, deltaMode: 1, clientX: 10, clientY: 20, timeStamp: 1100 });
+    mirror.drainSamples();
+    assert.deepEqual(logged('wheel'), [{ type: 'wheel', t: 1100, deltaX: 0, deltaY: 48, x: 10, y: 20 }]);
+  });
+
+  test('summarizes scrolling on the result screen', () => {
+    scrollReading(0, 400, 1100);
+    scrollReading(0, 800, 1200);
+    scrollReading(0, 600, 2000);
+    key('a', 3000);
+    mirror.completeObservation();
+    mirror.displayResults();
+
+    const panel = document.getElementById('scroll-panel');
+    assert.equal(panel.hidden, false);
+    const rows = Object.fromEntries(Array.from(panel.querySelectorAll('dt'), dt => [dt.textContent, dt.nextElementSibling.textContent]));
+    assert.equal(rows['Distance'], '1000 px · 0% sideways');
+    assert.equal(rows['Gestures'], '2 · 2 flings');
+    assert.equal(rows['Reversals'], '1');
+    assert.equal(rows['Deepest'], '100%');
+    assert.equal(rows['Depth over time'], '100% → 75%');
+    assert.equal(rows['Reading pauses'], '1 · avg 800 ms');
+    assert.equal(rows['Longest dwell'], 'around 75% deep');
+    assert.equal(mirror.buildExport().scroll.scrollReversals, 1);
+    // Back at the top for the next session
+    assert.equal(reading().scrollTop, 0);
+  });
+
+  test('shows the scroll panel for a session opened from a file', async () => {
+    scrollReading(0, 400, 1100);
+    scrollReading(0, 200, 1200);
+    mirror.completeObservation();
+    const text = JSON.stringify({
+      personality: mirror.state.personality,
+      scores: mirror.state.scores,
+      timestamp: new Date().toISOString(),
+      sessionId: 'AM-SCROLLED',
+      eventLog: mirror.getEventLog()
+    });
+    mirror.reset();
+    assert.equal(JSON.parse(text).eventLog.version, 7);
+
+    await mirror.importFile({ name: 'session.json', size: text.length, text: async () => text });
+
+    const panel = document.getElementById('scroll-panel');
+    assert.equal(panel.hidden, false);
+    const rows = Object.fromEntries(Array.from(panel.querySelectorAll('dt'), dt => [dt.textContent, dt.nextElementSibling.textContent]));
+    assert.equal(rows['Distance'], '600 px · 0% sideways');
+    assert.equal(rows['Reversals'], '1');
+    assert.equal(rows['Deepest'], '50%');
+  });
+
+  test('stays hidden without scrolling', () => {
+    key('a', 1100);
+    mirror.completeObservation();
+    mirror.displayResults();
+    assert.equal(document.getElementById('scroll-panel').hidden, true);
+  });
+});
+
+describe('task battery', () => {
+  const run = (tasks) => {
+    mirror.reset();
+    if (typeof tasks === 'string') mirror.setBattery(tasks);
+    else mirror.state.battery = createBattery('custom', tasks);
+    mirror.beginObservation();
+  };
+  const logged = (type) => mirror.getEventLog().events.filter(event => event.type === type);
+  const stage = () => document.getElementById('task-stage');
+  const instruction = () => document.getElementById('task-instruction').textContent;
+
+  test('free observation shows no tasks', () => {
+    assert.equal(stage().hidden, true);
+    assert.equal(mirror.getEventLog().battery, null);
+    assert.equal(logged('taskstart').length, 0);
+  });
+
+  test('runs the selected battery and logs its stimuli', () => {
+    run('standard');
+
+    assert.equal(stage().hidden, false);
+    assert.equal(document.querySelector('input[name="task-battery"][value="standard"]').checked, true);
+    assert.deepEqual(mirror.getEventLog().battery.tasks.map(task => task.kind), ['targets', 'transcribe', 'find', 'wait']);
+    assert.deepEqual(logged('taskstart').map(({ task, kind }) => ({ task, kind })), [{ task: 0, kind: 'targets' }]);
+    assert.equal(document.getElementById('task-progress').textContent, 'Task 1 of 4');
+  });
+
+  test('logs target hits and misses with their clicks', () => {
+    run(['targets']);
+
+    mirror.handleClick({ target: document.body, clientX: 5, clientY: 5, timeStamp: 1100 });
+    for (let trial = 0; trial < 6; trial++) {
+      const target = document.querySelector('[data-task-target]');
+      assert.equal(target.dataset.taskTarget, String(trial));
+      mirror.handleClick({ target, clientX: 50, clientY: 50, timeStamp: 1200 + trial * 100 });
+    }
+
+    assert.deepEqual(logged('click').map(click => Boolean(click.hit)), [false, true, true, true, true, true, true]);
+    assert.equal(logged('target').length, 6);
+    assert.equal(logged('taskend')[0].kind, 'targets');
+    assert.equal(document.querySelector('[data-task-target]'), null);
+    assert.match(instruction(), /Tasks complete/);
+    assert.equal(mirror.engine.tasks.summary().taskFittsTrials, 6);
+  });
+
+  test('scores the transcription without logging what was typed', () => {
+    run(['transcribe']);
+    assert.match(instruction(), /Calm waters run deep\./);
+    assert.equal(document.getElementById('task-done-btn').hidden, false);
+
+    const field = document.getElementById('typing-field');
+    field.value = 'Calm waters run deeply ';
+    key('Enter', 2000);
+
+    const [end] = logged('taskend');
+    assert.equal(end.accuracy, transcriptionAccuracy('Calm waters run deeply', 'Calm waters run deep.'));
+    assert.doesNotMatch(JSON.stringify(mirror.getEventLog()), /deeply/);
+    assert.equal(field.value, '');
+    assert.equal(document.getElementById('task-done-btn').hidden, true);
+  });
+
+  test('finds the marker in a scrolled list', () => {
+    run(['find']);
+    const list = document.querySelector('.task-list');
+    assert.equal(list.children.length, 40);
+
+    AdaptiveMirror.prototype.handleTaskScroll.call(mirror, {
+      target: { scrollTop: 240.4, scrollLeft: 0, scrollHeight: 1120, clientHeight: 200, scrollWidth: 300, clientWidth: 300 },
+      timeStamp: 1500
+    });
+    mirror.handleClick({ target: document.querySelector('[data-task-marker]'), clientX: 10, clientY: 10, timeStamp: 1900 });
+
+    assert.deepEqual(logged('taskscroll').map(({ y, maxY }) => ({ y, maxY })), [{ y: 240, maxY: 920 }]);
+    assert.equal(logged('taskend')[0].found, true);
+  });
+
+  test('the wait ends on its own and is scored', () => {
+    run(['wait']);
+    key('a', 1500, { code: 'KeyA' });
+    mock.timers.tick(4000);
+
+    const [end] = logged('taskend');
+    assert.equal(end.kind, 'wait');
+    assert.equal(end.skipped, undefined);
+
+    mirror.completeObservation();
+    mirror.displayResults();
+    assert.equal(mirror.state.analysis.tasks.taskWaitActions, 1);
+    assert.equal(mirror.buildExport().tasks.taskCompleted, 1);
+    const panel = document.getElementById('tasks-panel');
+    assert.equal(panel.hidden, false);
+    assert.match(panel.textContent, /1 of 1/);
+  });
+
+  test('a task cut off by the end of the session is logged as skipped', () => {
+    run(['wait', 'targets']);
+    mirror.completeObservation();
+
+    const [end] = logged('taskend');
+    assert.equal(end.skipped, true);
+    assert.equal(stage().hidden, true);
+    assert.equal(mirror.state.analysis.tasks.taskCompleted, 0);
+  });
+});
+
+describe('personal baseline', () => {
+  afterEach(() => localStorage.clear());
+
+  const glide = (from, count = 30) => {
+    for (let i = 0; i < count; i++) {
+      const t = from + i * 20;
+      mirror.handlePointerMove({ type: 'pointermove', pointerId: 1, pointerType: 'mouse', isPrimary: true, clientX: i * 40, clientY: 0, timeStamp: t });
+    }
+  };
+  const calibrate = () => {
+    mirror.reset();
+    mirror.startCalibration();
+    assert.equal(document.getElementById('consent-screen').hidden, false);
+    mirror.beginObservation();
+    glide(1000);
+    for (let trial = 0; trial < 10; trial++) {
+      mirror.handleClick({ target: document.querySelector('[data-task-target]'), clientX: 50, clientY: 50, timeStamp: 2000 + trial * 100 });
+    }
+    document.getElementById('typing-field').value = 'The quick brown fox jumps over the lazy dog.';
+    key('Enter', 4000);
+  };
+
+  test('calibration runs its own battery and ends with it, keeping no result', async () => {
+    calibrate();
+
+    assert.equal(mirror.state.isObserving, false);
+    assert.equal(mirror.state.calibrating, false);
+    assert.equal(mirror.state.personality, null);
+    assert.equal(document.getElementById('intro-screen').hidden, false);
+    assert.deepEqual(mirror.getEventLog().battery.tasks.map(task => task.kind), ['targets', 'transcribe']);
+    assert.equal(mirror.getEventLog().calibration, true);
+
+    const [baseline] = Object.values(mirror.baselines);
+    assert.match(baseline.profile, /^mouse · /);
+    assert.equal(baseline.measures.pointerSpeed, 2);
+    assert.deepEqual(JSON.parse(localStorage.getItem('adaptiveMirror_baselines')), mirror.baselines);
+    assert.match(document.getElementById('baseline-status').textContent, /Baseline saved for mouse/);
+    assert.deepEqual(await mirror.history.list(), []);
+  });
+
+  test('later sessions on the device are scored against the baseline', () => {
+    calibrate();
+    mirror.beginObservation();
+    glide(10000);
+    mirror.completeObservation();
+    mirror.displayResults();
+
+    const { calibration, features } = mirror.state.analysis;
+    assert.equal(calibration.profile, Object.keys(mirror.baselines)[0]);
+    assert.equal(calibration.deviations.pointerSpeed, 0);
+    assert.equal(features.avgVelocity, 0.8);
+    assert.deepEqual(mirror.getEventLog().baseline, mirror.baselines[calibration.profile]);
+    assert.deepEqual(mirror.buildExport().calibration, calibration);
+    assert.deepEqual(mirror.replaySession(mirror.getEventLog()).scores, mirror.state.scores);
+
+    const panel = document.getElementById('baseline-panel');
+    assert.equal(panel.hidden, false);
+    assert.match(panel.textContent, /speed ×0\.4/);
+  });
+
+  test('is only kept on the device when keeping data was agreed to', () => {
+    mirror.recordConsent(createConsent({ channels: CONSENT_CHANNELS }));
+    calibrate();
+    assert.equal(Object.keys(mirror.baselines).length, 1);
+    assert.equal(localStorage.getItem('adaptiveMirror_baselines'), null);
+  });
+
+  test('asks again when the calibration measured nothing', () => {
+    mirror.reset();
+    mirror.startCalibration();
+    mirror.beginObservation();
+    mirror.completeObservation();
+    assert.deepEqual(mirror.baselines, {});
+    assert.match(document.getElementById('baseline-status').textContent, /please try again/);
+  });
+});
+
+describe('population norms', () => {
+  afterEach(() => localStorage.clear());
+
+  // Exported sessions whose focus runs 10, 20 … 100
+  const dataset = (name, count = 10) => {
+    const sessions = Array.from({ length: count }, (_, i) => ({
+      schema: 'adaptive-mirror/result',
+      sessionId: `${name}-${i}`,
+      timestamp: i,
+      scores: { focus: (i + 1) * 10, hesitation: 50, controlBias: 50, energy: 50 }
+    }));
+    const text = JSON.stringify(sessions);
+    return { name, size: text.length, text: async () => text };
+  };
+  const observe = () => {
+    move(0, 0, 1000);
+    move(300, 400, 1100);
+    mirror.completeObservation();
+    mirror.displayResults();
+  };
+
+  test('a loaded dataset becomes the selected cohort, kept on the device', async () => {
+    observe();
+    await mirror.loadNormFiles([dataset('pilot.json'), dataset('wave2.csv', 5)]);
+
+    const [cohort] = mirror.norms.cohorts;
+    assert.equal(cohort.name, 'pilot + 1 more');
+    assert.deepEqual(cohort.sources, ['pilot.json', 'wave2.csv']);
+    assert.equal(cohort.sessions, 15);
+    assert.equal(mirror.norms.selected, cohort.id);
+    assert.deepEqual(JSON.parse(localStorage.getItem('adaptiveMirror_norms')).cohorts, [cohort]);
+
+    const options = Array.from(document.getElementById('cohort-select').options).map(option => option.textContent);
+    assert.deepEqual(options, ['No cohort', 'pilot + 1 more (15 sessions)']);
+    assert.match(document.getElementById('norms-status').textContent, /Percentiles against 15 sessions in pilot \+ 1 more/);
+    assert.equal(document.getElementById('norms-remove-btn').hidden, false);
+  });
+
+  test('each score shows its percentile under its bar and in the export', async () => {
+    observe();
+    await mirror.loadNormFiles([dataset('pilot.json')]);
+
+    const reading = mirror.buildExport().norms;
+    assert.equal(reading.cohort, 'pilot');
+    const hesitation = document.getElementById('hesitation-percentile');
+    assert.equal(hesitation.hidden, false);
+    assert.equal(hesitation.textContent, `${ordinal(reading.percentiles.hesitation)} percentile`);
+
+    mirror.selectCohort('');
+    assert.equal(mirror.norms.selected, null);
+    assert.equal(hesitation.hidden, true);
+    assert.equal(mirror.buildExport().norms, null);
+    assert.match(document.getElementById('norms-status').textContent, /Choose a cohort/);
+  });
+
+  test('unreadable files are reported and the rest still load', async () => {
+    const alert = mock.method(window, 'alert', () => {});
+    const junk = { name: 'notes.csv', size: 9, text: async () => 'name,age\n' };
+    await mirror.loadNormFiles([junk, dataset('pilot.json')]);
+
+    assert.match(alert.mock.calls[0].arguments[0], /notes\.csv: CSV is not an Adaptive Mirror export/);
+    assert.equal(mirror.norms.cohorts.length, 1);
+  });
+
+  test('removing a cohort asks first', async () => {
+    await mirror.loadNormFiles([dataset('pilot.json')]);
+    const confirm = mock.method(window, 'confirm', () => false);
+    mirror.removeCohort();
+    assert.equal(mirror.norms.cohorts.length, 1);
+
+    confirm.mock.mockImplementation(() => true);
+    mirror.removeCohort();
+    assert.deepEqual(mirror.norms, { cohorts: [], selected: null });
+    assert.deepEqual(JSON.parse(localStorage.getItem('adaptiveMirror_norms')).cohorts, []);
+    assert.match(document.getElementById('norms-status').textContent, /Load a dataset/);
+  });
+});
+
+describe('session heatmap', () => {
+  test('records the viewport, wheel positions and scroll offsets', () => {
+    mirror.handleWheel({ deltaY: 100, clientX: 40, clientY: 50, timeStamp: 1100 });
+    AdaptiveMirror.prototype.handleScroll.call(mirror, { timeStamp: 1200 });
+
+    const log = mirror.getEventLog();
+    assert.deepEqual(log.viewport, { width: window.innerWidth, height: window.innerHeight });
+    assert.deepEqual(log.events.map(({ type, x, y }) => ({ type, x, y })), [
+      { type: 'wheel', x: 40, y: 50 },
+      { type: 'scroll', x: 0, y: 0 }
+    ]);
+  });
+
+  test('is shown when the session left something to map', () => {
+    move(0, 0, 1000);
+    move(300, 200, 1100);
+    mirror.completeObservation();
+    mirror.displayResults();
+
+    assert.equal(document.getElementById('heatmap-panel').hidden, false);
+    assert.equal(document.getElementById('heatmap-png-btn').hidden, false);
+    assert.match(document.getElementById('heatmap-note').textContent, /^Viewport \d+ × \d+$/);
+  });
+
+  test('is hidden for a session without pointer or scroll input', () => {
+    key('a', 1100);
+    mirror.completeObservation();
+    mirror.displayResults();
+
+    assert.equal(document.getElementById('heatmap-panel').hidden, true);
+    assert.equal(document.getElementById('heatmap-png-btn').hidden, true);
+  });
+
+  test('downloads the canvas as a PNG', () => {
+    const canvas = document.getElementById('heatmap-canvas');
+    const png = new window.Blob(['png'], { type: 'image/png' });
+    canvas.toBlob = (callback, type) => callback(type === 'image/png' ? png : null);
+    const download = mock.method(mirror, 'downloadBlob', () => {});
+
+    mirror.exportHeatmap();
+
+    assert.equal(download.mock.callCount(), 1);
+    const [blob, filename] = download.mock.calls[0].arguments;
+    assert.equal(blob, png);
+    assert.match(filename, /^adaptive-mirror-heatmap-\d+-\w+\.png$/);
+  });
+});
+
+describe('blended result', () => {
+  test('shows confidence, secondary trait and the distribution', () => {
+    move(0, 0, 1000);
+    move(300, 200, 1100);
+    for (let i = 0; i < 12; i++) key('a', 1200 + i * 150);
+    mirror.completeObservation();
+    mirror.applyTheme();
+    mirror.displayResults();
+
+    const { blend } = mirror.state.analysis;
+    assert.equal(blend.inconclusive, false);
+    assert.equal(document.getElementById('primary-trait').textContent, mirror.state.personality);
+    assert.equal(document.getElementById('confidence-value').textContent, `Confidence ${Math.round(blend.confidence * 100)}%`);
+    assert.equal(document.getElementById('confidence-bar').style.width, `${Math.round(blend.confidence * 100)}%`);
+    assert.equal(document.getElementById('secondary-trait').textContent, `Secondary ${blend.secondary ?? '—'}`);
+    assert.equal(document.querySelectorAll('#blend-list li').length, Object.keys(blend.distribution).length);
+    assert.equal(document.querySelector('.blend-item.is-primary').firstChild.textContent, blend.primary);
+    assert.ok(document.body.classList.contains(`theme-${mirror.state.personality.toLowerCase()}`));
+  });
+
+  test('calls a near-empty session inconclusive and keeps the neutral theme', () => {
+    move(0, 0, 1000);
+    mirror.completeObservation();
+    mirror.applyTheme();
+    mirror.displayResults();
+
+    assert.equal(mirror.state.analysis.blend.inconclusive, true);
+    assert.equal(document.getElementById('primary-trait').textContent, 'Inconclusive');
+    assert.match(document.getElementById('interpretation').textContent, /Too little interaction/);
+    assert.equal(document.getElementById('secondary-trait').textContent, 'Secondary —');
+    assert.equal([...document.body.classList].some(cls => cls.startsWith('theme-')), false);
+  });
+
+  test('is exported', () => {
+    move(0, 0, 1000);
+    mirror.completeObservation();
+    assert.deepEqual(mirror.buildExport().blend, mirror.state.analysis.blend);
+  });
+});
+
+describe('aggregation worker', () => {
+  // Lets the fake worker's messages, delivered on setImmediate, go back and forth
+  const settle = async () => {
+    for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+  };
+
+  beforeEach(async () => {
+    globalThis.Worker = class {
+      constructor(url) {
+        this.url = String(url);
+        this.terminated = false;
+        this.handle = createAggregationHandler((message) => setImmediate(() => {
+          if (!this.terminated) this.onmessage?.({ data: structuredClone(message) });
+        }));
+      }
+
+      postMessage(message) {
+        if (!this.url.includes('aggregation-worker')) return;
+        const copy = structuredClone(message);
+        setImmediate(() => !this.terminated && this.handle(copy));
+      }
+
+      terminate() {
+        this.terminated = true;
+      }
+    };
+    mirror.destroy();
+    mirror = await createMirror(AdaptiveMirror);
+    mirror.recordConsent(createConsent({ channels: CONSENT_CHANNELS, persist: true, retentionDays: 180 }));
+    mirror.beginObservation();
+  });
+
+  afterEach(() => {
+    delete globalThis.Worker;
+    localStorage.clear();
+  });
+
+  test('scores the session the worker aggregated as a replay of its log would', async () => {
+    assert.equal(mirror.aggregator.inline, false);
+    // jsdom canvases cannot be transferred, so the particles stay in the page
+    assert.equal(mirror.ambient.offscreen, false);
+    for (let i = 0; i < 60; i++) {
+      const t = 1000 + i * 37;
+      move((i * 53) % 700, (i * 31) % 500, t);
+      if (i % 7 === 0) key('a', t + 5);
+      mirror.checkIdle(t + 20);
+    }
+    mirror.checkIdle(4000);
+    mirror.handleKeyUp({ timeStamp: 4500 });
+    mirror.checkIdle(4550);
+    clock = 5000;
+    mirror.completeObservation();
+    assert.equal(mirror.state.analysis, null);
+
+    await settle();
+    assert.equal(document.getElementById('transition-screen').hidden, false);
+    const log = JSON.parse(JSON.stringify(mirror.getEventLog()));
+    assert.deepEqual(log.events.filter(e => e.type === 'idle').map(e => e.t), [4000, 4550]);
+    assert.ok(mirror.state.metrics.idleTime > 0);
+    assert.deepEqual(mirror.replaySession(log), { personality: mirror.state.personality, scores: mirror.state.scores });
+  });
+
+  test('drops the worker\'s answer once a new session has begun', async () => {
+    move(0, 0, 1000);
+    mirror.completeObservation();
+    mirror.beginObservation();
+    await settle();
+    assert.equal(mirror.state.isObserving, true);
+    assert.equal(document.getElementById('observation-screen').hidden, false);
+  });
+
+  test('asks again when a calibration cannot be scored', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    mock.method(mirror, 'saveBaseline', () => { throw new Error('Storage is gone'); });
+    mirror.stopObservation();
+    mirror.reset();
+    mirror.startCalibration();
+    mirror.beginObservation();
+    for (let i = 0; i < 30; i++) move(i * 40, 0, 1000 + i * 20);
+    mirror.completeObservation();
+    await settle();
+
+    assert.equal(mirror.state.calibrating, false);
+    assert.equal(document.getElementById('intro-screen').hidden, false);
+    assert.match(document.getElementById('baseline-status').textContent, /please try again/);
+    assert.ok(warn.mock.calls.some(call => /Failed to score the session/.test(call.arguments[0])));
+  });
+
+  test('goes back to the start when a session cannot be scored', async () => {
+    mock.method(console, 'warn', () => {});
+    const alert = mock.method(window, 'alert', () => {});
+    move(0, 0, 1000);
+    mock.method(mirror.aggregator, 'snapshot', () => { throw new Error('Snapshot is unreadable'); });
+    mirror.completeObservation();
+    await settle();
+
+    assert.equal(document.getElementById('intro-screen').hidden, false);
+    assert.match(alert.mock.calls[0].arguments[0], /Please try again/);
+  });
+});
@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCSV, readDataset, buildCohort, parseNorms, serializeNorms, percentileRank, scorePercentiles,
+  cohortReading, ordinal, NormsError, NORMS_VERSION, MIN_NORM_SAMPLES, NORM_RESOLUTION
+} from '../src/norms.js';
+import { buildExport, toCSV } from '../src/export.js';
+import { ENCRYPTED_SCHEMA } from '../src/vault.js';
+
+const NOW = Date.UTC(2026, 9, 1);
+
+const exported = (index, scores = {}) => buildExport({
+  sessionId: `AM-${index}`,
+  timestamp: NOW + index,
+  personality: 'Observer',
+  scores: { focus: index * 10, hesitation: 50, controlBias: 100 - index * 10, energy: index, ...scores },
+  metrics: { mouseDistance: index * 100 }
+});
+
+const sessions = (count) => Array.from({ length: count }, (_, i) => exported(i + 1));
+
+describe('parseCSV', () => {
+  test('reads quoted fields, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCSV('a,b\r\n"x,1","say ""hi"""\n"two\nlines",\n\n'), [
+      ['a', 'b'],
+      ['x,1', 'say "hi"'],
+      ['two\nlines', '']
+    ]);
+  });
+
+  test('rejects an unterminated quote', () => {
+    assert.throws(() => parseCSV('a,"b'), NormsError);
+  });
+});
+
+describe('readDataset', () => {
+  test('reads one JSON export or an array of them as flat rows', () => {
+    const [row] = readDataset(JSON.stringify(exported(1)));
+    assert.equal(row.sessionId, 'AM-1');
+    assert.equal(row.score_focus, 10);
+    assert.equal(row.metric_mouseDistance, 100);
+    assert.equal(readDataset(JSON.stringify(sessions(3))).length, 3);
+  });
+
+  test('reads the CSV export back to the same rows', () => {
+    const rows = sessions(2);
+    assert.deepEqual(readDataset(toCSV(rows)), readDataset(JSON.stringify(rows)));
+  });
+
+  test('undoes the formula guard on text', () => {
+    const [row] = readDataset(toCSV(exported(1)).replace('Observer', '\'=cmd'));
+    assert.equal(row.personality, '=cmd');
+  });
+
+  test('rejects what is not a dataset of results', () => {
+    assert.throws(() => readDataset(''), /empty/);
+    assert.throws(() => readDataset('{oops'), /not valid JSON/);
+    assert.throws(() => readDataset('[{"hello":1}]'), /Entry 1 is not/);
+    assert.throws(() => readDataset('name,age\nAda,36'), /no score columns/);
+    assert.throws(() => readDataset(JSON.stringify({ schema: ENCRYPTED_SCHEMA, data: 'ZGF0YQ==' })), NormsError);
+  });
+});
+
+describe('buildCohort', () => {
+  test('describes every feature column, counting each session once', () => {
+    const rows = readDataset(JSON.stringify([...sessions(3), exported(2)]));
+    const cohort = buildCohort(rows, { id: 'c1', name: 'Pilot', sources: ['pilot.json'], createdAt: NOW });
+
+    assert.equal(cohort.version, NORMS_VERSION);
+    assert.equal(cohort.createdAt, '2026-10-01T00:00:00.000Z');
+    assert.equal(cohort.sessions, 3);
+    assert.deepEqual(cohort.distributions.score_focus, { count: 3, mean: 20, sd: 8.165, values: [10, 20, 30] });
+    assert.deepEqual(cohort.distributions.metric_mouseDistance.values, [100, 200, 300]);
+    // Identifiers and unmeasured features have no distribution
+    assert.equal(cohort.distributions.sessionId, undefined);
+    assert.equal(cohort.distributions.typing_typingWpm, undefined);
+  });
+
+  test('keeps large samples as quantiles', () => {
+    const rows = Array.from({ length: NORM_RESOLUTION * 3 }, (_, i) => ({ score_focus: i }));
+    const { values, count } = buildCohort(rows).distributions.score_focus;
+    assert.equal(count, NORM_RESOLUTION * 3);
+    assert.equal(values.length, NORM_RESOLUTION);
+    assert.equal(values[0], 0);
+    assert.equal(values[values.length - 1], NORM_RESOLUTION * 3 - 1);
+  });
+
+  test('needs at least one session', () => {
+    assert.throws(() => buildCohort([]), /no sessions/);
+  });
+});
+
+describe('percentiles', () => {
+  const cohort = buildCohort(readDataset(JSON.stringify(sessions(10))), { id: 'c1', name: 'Pilot' });
+
+  test('rank a value by the share of the cohort below it, ties counting half', () => {
+    const distribution = cohort.distributions.score_focus;
+    assert.equal(percentileRank(distribution, 5), 0);
+    assert.equal(percentileRank(distribution, 80), 75);
+    assert.equal(percentileRank(distribution, 85), 80);
+    assert.equal(percentileRank(distribution, 500), 100);
+    assert.equal(percentileRank(distribution, null), null);
+  });
+
+  test('need enough sessions', () => {
+    const small = buildCohort(readDataset(JSON.stringify(sessions(MIN_NORM_SAMPLES - 1))));
+    assert.equal(percentileRank(small.distributions.score_focus, 50), null);
+  });
+
+  test('read a result against the cohort', () => {
+    const scores = { focus: 85, hesitation: 50, controlBias: 0, energy: 11 };
+    assert.deepEqual(scorePercentiles(cohort, scores), { focus: 80, hesitation: 50, controlBias: 5, energy: 100 });
+    assert.deepEqual(cohortReading(cohort, scores), {
+      cohort: 'Pilot',
+      sessions: 10,
+      createdAt: cohort.createdAt,
+      percentiles: { focus: 80, hesitation: 50, controlBias: 5, energy: 100 }
+    });
+    assert.equal(cohortReading(null, scores), null);
+  });
+});
+
+describe('parseNorms', () => {
+  const cohort = buildCohort(readDataset(JSON.stringify(sessions(2))), { id: 'c1' });
+
+  test('reads back stored cohorts and the selection', () => {
+    const stored = serializeNorms({ cohorts: [cohort], selected: 'c1' });
+    assert.deepEqual(parseNorms(stored), { cohorts: [cohort], selected: 'c1' });
+  });
+
+  test('drops unusable cohorts and a selection that is gone', () => {
+    const damaged = { ...cohort, id: 'c2', distributions: { score_focus: { count: 1, values: ['x'] } } };
+    assert.deepEqual(parseNorms({ version: NORMS_VERSION, cohorts: [cohort, damaged], selected: 'c2' }), { cohorts: [cohort], selected: null });
+    assert.deepEqual(parseNorms('{oops'), { cohorts: [], selected: null });
+    assert.deepEqual(parseNorms(null), { cohorts: [], selected: null });
+  });
+});
+
+describe('ordinal', () => {
+  test('adds the English suffix', () => {
+    assert.deepEqual([0, 1, 2, 3, 4, 11, 12, 13, 21, 22, 80, 100, 101].map(ordinal),
+      ['0th', '1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '80th', '100th', '101st']);
+  });
+});
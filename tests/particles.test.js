@@ -0,0 +1,219 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParticleField, AmbientRenderer, AmbientCanvas } from '../src/particles.js';
+
+// Records what is drawn, by method name
+const createContext = () => {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+    set: (target, name, value) => { target[name] = value; return true; }
+  });
+  return { ctx, calls, count: (name) => calls.filter(([call]) => call === name).length };
+};
+
+const createCanvas = ({ offscreen = false } = {}) => {
+  const context = createContext();
+  const canvas = { style: {}, width: 0, height: 0, transferred: false, getContext: () => context.ctx, context };
+  if (offscreen) {
+    canvas.transferControlToOffscreen = () => {
+      canvas.transferred = true;
+      return { offscreen: true };
+    };
+  }
+  return canvas;
+};
+
+const createWorker = () => ({
+  messages: [],
+  transfers: [],
+  terminated: false,
+  postMessage(message, transfer) {
+    this.messages.push(message);
+    if (transfer) this.transfers.push(...transfer);
+  },
+  terminate() {
+    this.terminated = true;
+  }
+});
+
+// A manual frame scheduler
+const createFrames = () => {
+  const frames = { queue: new Map(), next: 1 };
+  frames.request = (callback) => { frames.queue.set(frames.next, callback); return frames.next++; };
+  frames.cancel = (id) => frames.queue.delete(id);
+  frames.run = (time) => {
+    const due = [...frames.queue.values()];
+    frames.queue.clear();
+    due.forEach(callback => callback(time));
+  };
+  return frames;
+};
+
+describe('ParticleField', () => {
+  test('populates one particle per area, within bounds', () => {
+    const field = new ParticleField({ random: () => 0.5 });
+    field.resize(1000, 1000);
+    field.populate();
+    assert.equal(field.particles.length, 20);
+    field.resize(100, 100);
+    field.populate();
+    assert.equal(field.particles.length, 5);
+    field.resize(4000, 4000);
+    field.populate();
+    assert.equal(field.particles.length, 25);
+    field.clear();
+    assert.equal(field.particles.length, 0);
+  });
+
+  test('bounces particles off the edges', () => {
+    const field = new ParticleField();
+    field.resize(200, 200);
+    field.particles = [{ x: 11, y: 189, vx: -2, vy: 2, radius: 1, opacity: 0.1 }];
+    field.step(0);
+    assert.deepEqual(field.particles[0], { x: 10, y: 190, vx: 2, vy: -2, radius: 1, opacity: 0.1 });
+  });
+
+  test('caps a boost at two pixels per frame', () => {
+    const field = new ParticleField();
+    field.particles = [{ x: 0, y: 0, vx: 0.1, vy: -0.5, radius: 1, opacity: 0.1 }];
+    field.boost(5);
+    assert.deepEqual([field.particles[0].vx, field.particles[0].vy], [0.5, -2]);
+  });
+
+  test('joins nearby particles unless the personality is Observer', () => {
+    const field = new ParticleField();
+    field.resize(500, 500);
+    field.particles = [
+      { x: 100, y: 100, vx: 0, vy: 0, radius: 1, opacity: 0.1 },
+      { x: 150, y: 100, vx: 0, vy: 0, radius: 1, opacity: 0.1 },
+      { x: 400, y: 400, vx: 0, vy: 0, radius: 1, opacity: 0.1 }
+    ];
+    const joined = createContext();
+    field.draw(joined.ctx, { personality: 'Analytical' });
+    assert.equal(joined.count('arc'), 3);
+    assert.equal(joined.count('lineTo'), 1);
+
+    const observer = createContext();
+    field.draw(observer.ctx, { personality: 'Observer' });
+    assert.equal(observer.count('arc'), 3);
+    assert.equal(observer.count('lineTo'), 0);
+  });
+});
+
+describe('AmbientRenderer', () => {
+  test('draws once per frame while started', () => {
+    const frames = createFrames();
+    const renderer = new AmbientRenderer({ requestFrame: frames.request, cancelFrame: frames.cancel });
+    const canvas = createCanvas();
+    assert.equal(renderer.attach(canvas), true);
+    renderer.resize(400, 300, 2);
+    assert.deepEqual([canvas.width, canvas.height], [800, 600]);
+    renderer.populate();
+
+    renderer.start();
+    renderer.start();
+    assert.equal(frames.queue.size, 1);
+    frames.run(16);
+    frames.run(32);
+    assert.equal(canvas.context.count('clearRect'), 2);
+
+    renderer.stop();
+    assert.equal(frames.queue.size, 0);
+  });
+
+  test('does not start without a 2D context', () => {
+    const frames = createFrames();
+    const renderer = new AmbientRenderer({ requestFrame: frames.request, cancelFrame: frames.cancel });
+    assert.equal(renderer.attach({ getContext: () => null }), false);
+    renderer.start();
+    assert.equal(frames.queue.size, 0);
+  });
+
+  test('stops after a render error', () => {
+    mock.method(console, 'error', () => {});
+    const frames = createFrames();
+    const field = new ParticleField();
+    field.step = () => { throw new Error('boom'); };
+    const renderer = new AmbientRenderer({ requestFrame: frames.request, cancelFrame: frames.cancel, field });
+    renderer.attach(createCanvas());
+    renderer.start();
+    frames.run(16);
+    assert.equal(frames.queue.size, 0);
+    assert.equal(renderer.frame, null);
+    assert.equal(console.error.mock.calls.length, 1);
+    mock.restoreAll();
+  });
+});
+
+describe('AmbientCanvas', () => {
+  test('draws in the page where the canvas cannot be transferred', () => {
+    const frames = createFrames();
+    const worker = createWorker();
+    const canvas = createCanvas();
+    const ambient = new AmbientCanvas(canvas, { worker, renderer: new AmbientRenderer({ requestFrame: frames.request, cancelFrame: frames.cancel }) });
+    assert.equal(ambient.mode, 'page');
+    assert.equal(worker.terminated, true);
+
+    ambient.resize(300, 200, 1);
+    assert.deepEqual(canvas.style, { width: '300px', height: '200px' });
+    ambient.start();
+    assert.equal(frames.queue.size, 1);
+    ambient.destroy();
+    assert.equal(frames.queue.size, 0);
+  });
+
+  test('hands the canvas to the worker once it is ready and replays what came before', () => {
+    const worker = createWorker();
+    const canvas = createCanvas({ offscreen: true });
+    const ambient = new AmbientCanvas(canvas, { worker });
+    ambient.resize(300, 200, 2);
+    ambient.populate();
+    const weights = { Impulsive: 0.5 };
+    ambient.setLook({ weights, personality: 'Impulsive' });
+    weights.Impulsive = 1;
+    assert.equal(ambient.mode, 'pending');
+    assert.deepEqual(worker.messages, []);
+
+    worker.onmessage({ data: { type: 'ready' } });
+    assert.equal(ambient.offscreen, true);
+    assert.equal(canvas.transferred, true);
+    assert.deepEqual(worker.transfers, [{ offscreen: true }]);
+    assert.deepEqual(worker.messages.map(m => m.method), ['attach', 'resize', 'populate', 'setLook']);
+    assert.deepEqual(worker.messages[3].args, [{ weights: { Impulsive: 0.5 }, personality: 'Impulsive' }]);
+
+    ambient.boost(1.5);
+    assert.deepEqual(worker.messages.at(-1), { method: 'boost', args: [1.5] });
+  });
+
+  test('draws in the page when the worker fails before it is ready', () => {
+    mock.method(console, 'warn', () => {});
+    const frames = createFrames();
+    const worker = createWorker();
+    const canvas = createCanvas({ offscreen: true });
+    const ambient = new AmbientCanvas(canvas, { worker, renderer: new AmbientRenderer({ requestFrame: frames.request, cancelFrame: frames.cancel }) });
+    ambient.resize(300, 200, 1);
+    ambient.start();
+    worker.onerror({ message: 'no module workers', preventDefault() {} });
+
+    assert.equal(ambient.mode, 'page');
+    assert.equal(canvas.transferred, false);
+    assert.equal(worker.terminated, true);
+    assert.equal(canvas.width, 300);
+    assert.equal(frames.queue.size, 1);
+    ambient.destroy();
+    mock.restoreAll();
+  });
+
+  test('stops drawing when the worker holding the canvas fails', () => {
+    mock.method(console, 'warn', () => {});
+    const worker = createWorker();
+    const ambient = new AmbientCanvas(createCanvas({ offscreen: true }), { worker });
+    worker.onmessage({ data: { type: 'ready' } });
+    worker.onerror({ message: 'crashed' });
+    assert.equal(ambient.mode, 'off');
+    ambient.start();
+    assert.equal(worker.messages.length, 1);
+    mock.restoreAll();
+  });
+});
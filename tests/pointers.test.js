@@ -0,0 +1,75 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointerDevices, POINTER_FEATURES } from '../src/pointers.js';
+
+const mouse = (x, y, extra = {}) => ({ id: 1, device: 'mouse', x, y, ...extra });
+const finger = (id, x, y, extra = {}) => ({ id, device: 'touch', x, y, ...extra });
+
+describe('PointerDevices', () => {
+  test('reports every feature, empty without input', () => {
+    const summary = new PointerDevices().summary();
+    assert.deepEqual(Object.keys(summary), POINTER_FEATURES);
+    assert.equal(summary.pointerDevice, null);
+    assert.equal(summary.pointerContacts, 0);
+    assert.equal(summary.pointerMouseVelocity, null);
+    assert.equal(summary.pointerPressureMean, null);
+    assert.equal(summary.pointerTiltMean, null);
+  });
+
+  test('measures distance and velocity per device', () => {
+    const devices = new PointerDevices();
+    devices.move(0, mouse(0, 0)).move(100, mouse(30, 40)).move(200, mouse(30, 40));
+    devices.down(300, finger(2, 0, 0)).move(310, finger(2, 10, 0)).up(320, finger(2, 10, 0));
+    const summary = devices.summary();
+    assert.equal(summary.pointerMouseSamples, 3);
+    assert.equal(summary.pointerMouseDistance, 50);
+    // The still sample adds no velocity reading
+    assert.equal(summary.pointerMouseVelocity, 0.5);
+    assert.equal(summary.pointerTouchSamples, 1);
+    assert.equal(summary.pointerTouchDistance, 10);
+    assert.equal(summary.pointerTouchVelocity, 1);
+    assert.equal(summary.pointerPenSamples, 0);
+    assert.equal(summary.pointerDevice, 'mouse');
+  });
+
+  test('the dominant device is the one with the most samples', () => {
+    const devices = new PointerDevices();
+    devices.move(0, mouse(0, 0));
+    devices.down(10, finger(2, 0, 0));
+    [20, 30, 40].forEach((t, i) => devices.move(t, finger(2, i * 10, 0)));
+    assert.equal(devices.dominantDevice(), 'touch');
+    assert.equal(devices.summary().pointerDevice, 'touch');
+  });
+
+  test('counts contacts and the most fingers down at once', () => {
+    const devices = new PointerDevices();
+    devices.down(0, finger(2, 0, 0)).down(10, finger(3, 50, 0)).down(20, finger(4, 90, 0));
+    devices.up(30, finger(2, 0, 0)).up(30, finger(3, 50, 0)).up(30, finger(4, 90, 0));
+    devices.down(100, finger(5, 0, 0)).up(150, finger(5, 0, 0));
+    const summary = devices.summary();
+    assert.equal(summary.pointerContacts, 4);
+    assert.equal(summary.pointerMaxContacts, 3);
+    assert.equal(summary.gestureTaps, 1);
+  });
+
+  test('reads pressure and tilt from touch and pen only', () => {
+    const devices = new PointerDevices();
+    devices.down(0, mouse(0, 0, { pressure: 0.5 }));
+    devices.down(10, { id: 2, device: 'pen', x: 0, y: 0, pressure: 0.4, tiltX: 30, tiltY: 40 });
+    devices.move(20, { id: 2, device: 'pen', x: 5, y: 0, pressure: 0.8, tiltX: 0, tiltY: 0 });
+    // Pressure 0 means the hardware cannot measure it
+    devices.move(30, finger(3, 0, 0, { pressure: 0 }));
+    const summary = devices.summary();
+    assert.ok(Math.abs(summary.pointerPressureMean - 0.6) < 1e-9);
+    assert.equal(summary.pointerPressureMax, 0.8);
+    assert.equal(summary.pointerTiltMean, 25);
+  });
+
+  test('a mouse button release does not end its hover', () => {
+    const devices = new PointerDevices();
+    devices.down(0, mouse(0, 0)).up(50, mouse(0, 0)).move(100, mouse(10, 0));
+    const summary = devices.summary();
+    assert.equal(summary.pointerMouseDistance, 10);
+    assert.equal(summary.pointerMaxContacts, 0);
+  });
+});
@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveProfile,
+  describeDuration,
+  shortDuration,
+  formatClock,
+  DEFAULT_PROFILE
+} from '../src/profiles.js';
+
+describe('resolveProfile', () => {
+  test('defaults to the standard 30 second window', () => {
+    assert.equal(DEFAULT_PROFILE, 'standard');
+    assert.deepEqual(resolveProfile(''), { id: 'standard', label: 'Standard', duration: 30000 });
+  });
+
+  test('picks named profiles', () => {
+    assert.equal(resolveProfile('?profile=quick').duration, 15000);
+    assert.equal(resolveProfile('?profile=extended').duration, 120000);
+    assert.equal(resolveProfile('?profile=open').duration, null);
+  });
+
+  test('ignores unknown profiles', () => {
+    assert.equal(resolveProfile('?profile=toString').id, 'standard');
+    assert.equal(resolveProfile('?profile=marathon').id, 'standard');
+  });
+
+  test('custom durations win over profiles and are clamped', () => {
+    assert.deepEqual(resolveProfile('?profile=quick&duration=45'), { id: 'custom', label: 'Custom', duration: 45000 });
+    assert.equal(resolveProfile('?duration=1').duration, 5000);
+    assert.equal(resolveProfile('?duration=9999').duration, 600000);
+    assert.equal(resolveProfile('?duration=abc').id, 'standard');
+    assert.equal(resolveProfile('?duration=-5').id, 'standard');
+  });
+});
+
+describe('duration formatting', () => {
+  test('describes windows in words', () => {
+    assert.equal(describeDuration(15000), '15 seconds');
+    assert.equal(describeDuration(60000), '1 minute');
+    assert.equal(describeDuration(120000), '2 minutes');
+    assert.equal(describeDuration(90000), '90 seconds');
+    assert.equal(describeDuration(null), 'as long as you like');
+  });
+
+  test('short form for the result screen', () => {
+    assert.equal(shortDuration(30000), '30s');
+    assert.equal(shortDuration(120000), '2m');
+    assert.equal(shortDuration(85000), '1m 25s');
+  });
+
+  test('splits clock values into minutes and seconds', () => {
+    assert.deepEqual(formatClock(125), { minutes: '02', seconds: '05' });
+    assert.deepEqual(formatClock(-3), { minutes: '00', seconds: '00' });
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScrollAnalyzer, SCROLL_FEATURES, normalizeWheel, DELTA_LINE, DELTA_PAGE } from '../src/scrolling.js';
+
+describe('normalizeWheel', () => {
+  test('leaves pixel deltas alone', () => {
+    assert.deepEqual(normalizeWheel({ deltaX: 4, deltaY: -120 }), { deltaX: 4, deltaY: -120 });
+  });
+
+  test('scales line and page deltas to pixels', () => {
+    assert.deepEqual(normalizeWheel({ deltaY: 3, deltaMode: DELTA_LINE }), { deltaX: 0, deltaY: 48 });
+    assert.deepEqual(normalizeWheel({ deltaX: 2, deltaMode: DELTA_LINE }, { lineHeight: 20 }), { deltaX: 40, deltaY: 0 });
+    assert.deepEqual(
+      normalizeWheel({ deltaX: 1, deltaY: -1, deltaMode: DELTA_PAGE }, { pageWidth: 1280, pageHeight: 720 }),
+      { deltaX: 1280, deltaY: -720 }
+    );
+  });
+});
+
+describe('ScrollAnalyzer', () => {
+  test('summarizes nothing before any scroll', () => {
+    const summary = new ScrollAnalyzer().summary();
+    assert.deepEqual(Object.keys(summary), SCROLL_FEATURES);
+    assert.equal(summary.scrollDistance, 0);
+    assert.equal(summary.scrollFlingRate, null);
+    assert.equal(summary.scrollMaxDepth, null);
+  });
+
+  test('counts distance both ways and reversals per area and axis', () => {
+    const scroll = new ScrollAnalyzer();
+    scroll.position(1000, { y: 100, maxY: 1000 });
+    scroll.position(1020, { y: 200, maxY: 1000 });
+    scroll.position(1040, { y: 150, maxY: 1000 });
+    scroll.position(1060, { y: 300, maxY: 1000 });
+    // Another area's first move is not a turn, nor is a move sideways
+    scroll.position(1080, { area: 'reading', x: 100, maxX: 400, maxY: 800 });
+
+    const summary = scroll.summary();
+    assert.equal(summary.scrollDistance, 500);
+    assert.equal(summary.scrollHorizontalShare, 0.2);
+    assert.equal(summary.scrollReversals, 2);
+    assert.equal(summary.scrollMaxDepth, 0.3);
+  });
+
+  test('tells flings from deliberate scrolls and times the pauses between', () => {
+    const scroll = new ScrollAnalyzer();
+    // 240 px in 80 ms
+    [0, 16, 32, 48, 64, 80].forEach((dt, i) => scroll.position(1000 + dt, { y: (i + 1) * 40, maxY: 2000 }));
+    // A second later, 10 px every 50 ms
+    [0, 50, 100, 150].forEach((dt, i) => scroll.position(2080 + dt, { y: 240 + (i + 1) * 10, maxY: 2000 }));
+
+    const summary = scroll.summary();
+    assert.equal(summary.scrollGestures, 2);
+    assert.equal(summary.scrollFlings, 1);
+    assert.equal(summary.scrollFlingRate, 0.5);
+    assert.equal(summary.scrollPeakVelocity, 2.4);
+    assert.equal(summary.scrollDeliberateVelocity, 40 / 150);
+    assert.deepEqual([summary.scrollPauses, summary.scrollPauseMean], [1, 1000]);
+  });
+
+  test('reads a single wheel notch as deliberate', () => {
+    const scroll = new ScrollAnalyzer();
+    scroll.position(1000, { y: 100, maxY: 1000 });
+    assert.equal(scroll.summary().scrollFlings, 0);
+  });
+
+  test('records the depth held longest and the depth over time', () => {
+    const scroll = new ScrollAnalyzer();
+    scroll.position(1000, { y: 0, maxY: 1000 });
+    scroll.position(1100, { y: 500, maxY: 1000 });
+    scroll.position(4100, { y: 900, maxY: 1000 });
+
+    const summary = scroll.summary(5100);
+    assert.equal(summary.scrollDwellDepth, 0.55);
+    const { points, dwell } = scroll.path(5100);
+    assert.deepEqual(dwell, [100, 0, 0, 0, 0, 3000, 0, 0, 0, 1000]);
+    // The latest position within each 250 ms stands for it
+    assert.deepEqual(points, [
+      { t: 100, area: 'page', depth: 0.5 },
+      { t: 3100, area: 'page', depth: 0.9 }
+    ]);
+  });
+
+  test('thins a long trace rather than growing it', () => {
+    const scroll = new ScrollAnalyzer();
+    for (let i = 0; i < 600; i++) scroll.position(i * 250, { y: i, maxY: 600 });
+    const { points } = scroll.path();
+    assert.ok(points.length <= 240);
+    assert.deepEqual(points[points.length - 1], { t: 599 * 250, area: 'page', depth: 0.998 });
+  });
+
+  test('neither dwells nor pauses while the page is hidden', () => {
+    const scroll = new ScrollAnalyzer();
+    scroll.position(1000, { y: 100, maxY: 1000 });
+    scroll.hide(1500);
+    scroll.show(9500);
+    scroll.position(10000, { y: 200, maxY: 1000 });
+
+    const { dwell } = scroll.path();
+    assert.equal(dwell[1], 1000);
+    assert.equal(scroll.summary().scrollPauses, 0);
+  });
+
+  test('adds up wheel travel on both axes', () => {
+    const scroll = new ScrollAnalyzer();
+    scroll.wheel(1000, { deltaY: -48 });
+    scroll.wheel(1010, { deltaX: 30, deltaY: 2 });
+    assert.equal(scroll.summary().scrollWheelDistance, 80);
+  });
+});
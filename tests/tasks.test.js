@@ -0,0 +1,139 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TaskAnalyzer, TASK_FEATURES, TASK_KINDS, TASK_DEFAULTS, WAIT_SLOP,
+  targetLayout, createBattery, resolveBattery, transcriptionAccuracy
+} from '../src/tasks.js';
+
+describe('targetLayout', () => {
+  test('is the same for the same seed and stays inside the area', () => {
+    const layout = targetLayout(8, 7);
+    assert.deepEqual(layout, targetLayout(8, 7));
+    assert.notDeepEqual(layout, targetLayout(8, 8));
+    assert.equal(layout.length, 8);
+    assert.ok(layout.every(({ x, y }) => x >= 0.1 && x <= 0.9 && y >= 0.1 && y <= 0.9));
+  });
+
+  test('keeps consecutive targets apart', () => {
+    const layout = targetLayout(12, 3);
+    for (let i = 1; i < layout.length; i++) {
+      assert.ok(Math.hypot(layout[i].x - layout[i - 1].x, layout[i].y - layout[i - 1].y) >= 0.299);
+    }
+  });
+});
+
+describe('batteries', () => {
+  test('fill in defaults per task and reject unknown kinds', () => {
+    const battery = createBattery('probe', ['wait', { kind: 'targets', trials: 3 }]);
+    assert.deepEqual(battery.tasks[0], { ...TASK_DEFAULTS.wait, kind: 'wait' });
+    assert.equal(battery.tasks[1].trials, 3);
+    assert.equal(battery.tasks[1].size, TASK_DEFAULTS.targets.size);
+    assert.throws(() => createBattery('bad', ['juggle']), /Unknown task "juggle"/);
+  });
+
+  test('resolve from the URL, with tasks winning over battery', () => {
+    assert.equal(resolveBattery(''), null);
+    assert.equal(resolveBattery('?battery=missing'), null);
+    assert.deepEqual(resolveBattery('?battery=standard').tasks.map(task => task.kind), TASK_KINDS);
+    const custom = resolveBattery('?battery=standard&tasks=wait, targets,juggle');
+    assert.equal(custom.id, 'custom');
+    assert.deepEqual(custom.tasks.map(task => task.kind), ['wait', 'targets']);
+    assert.equal(resolveBattery(new URLSearchParams('tasks=find')).tasks[0].marker, TASK_DEFAULTS.find.marker);
+  });
+});
+
+describe('transcriptionAccuracy', () => {
+  test('scores by edit distance over the longer text', () => {
+    assert.equal(transcriptionAccuracy('Calm waters', 'Calm waters'), 1);
+    assert.equal(transcriptionAccuracy('Calm watrs', 'Calm waters'), 0.909);
+    assert.equal(transcriptionAccuracy('', 'abcd'), 0);
+    assert.equal(transcriptionAccuracy('', ''), 1);
+  });
+});
+
+describe('TaskAnalyzer', () => {
+  test('reports every feature, empty without tasks', () => {
+    const summary = new TaskAnalyzer().summary();
+    assert.deepEqual(Object.keys(summary), TASK_FEATURES);
+    assert.equal(summary.taskCount, 0);
+    assert.equal(summary.taskFittsErrorRate, null);
+    assert.equal(summary.taskTranscribeCorrections, null);
+  });
+
+  test('times target hits and counts misses', () => {
+    const tasks = new TaskAnalyzer().move(0, 0, 0).start(0, { kind: 'targets' });
+    tasks.target(100, { x: 300, y: 0, size: 100 }).click(600, { hit: true });
+    tasks.move(650, 300, 0).target(700, { x: 300, y: 700, size: 100 });
+    tasks.click(900, {}).click(1700, { hit: true });
+    tasks.end(1800);
+    const summary = tasks.summary();
+    assert.equal(summary.taskFittsTrials, 2);
+    assert.equal(summary.taskFittsMovementTime, 750);
+    // log2(300/100 + 1) = 2 bits in 0.5 s, log2(700/100 + 1) = 3 bits in 1 s
+    assert.equal(summary.taskFittsThroughput, 3.5);
+    assert.ok(Math.abs(summary.taskFittsErrorRate - 1 / 3) < 1e-9);
+    assert.equal(summary.taskCompleted, 1);
+  });
+
+  test('reads transcription speed, corrections and the logged accuracy', () => {
+    const tasks = new TaskAnalyzer().start(0, { kind: 'transcribe' });
+    [100, 200, 300, 400, 500, 600].forEach(t => tasks.key(t, 'char'));
+    tasks.key(700, 'backspace').key(800, 'char').key(900, 'other');
+    tasks.end(1000, { accuracy: 0.95 });
+    const summary = tasks.summary();
+    assert.equal(summary.taskTranscribeAccuracy, 0.95);
+    assert.equal(summary.taskTranscribeCorrections, 1);
+    // 7 characters over 700 ms
+    assert.ok(Math.abs(summary.taskTranscribeWpm - 7 / 5 / (700 / 60000)) < 1e-9);
+  });
+
+  test('times the search and counts scroll reversals', () => {
+    const tasks = new TaskAnalyzer().start(1000, { kind: 'find' });
+    [0, 200, 400, 300, 500, 500, 100].forEach((y, i) => tasks.scroll(1100 + i * 100, y));
+    tasks.end(2500, { found: true });
+    const summary = tasks.summary();
+    assert.equal(summary.taskFindTime, 1500);
+    assert.equal(summary.taskFindScrollReversals, 3);
+  });
+
+  test('a search that ends without the marker reports no time', () => {
+    const tasks = new TaskAnalyzer().start(0, { kind: 'find' }).end(1000);
+    assert.equal(tasks.summary().taskFindTime, null);
+  });
+
+  test('measures how long a wait holds and what breaks it', () => {
+    const tasks = new TaskAnalyzer().move(0, 100, 100).start(1000, { kind: 'wait' });
+    tasks.move(1500, 100 + WAIT_SLOP - 2, 100);
+    tasks.move(1800, 140, 100).move(1850, 180, 100);
+    tasks.move(2500, 240, 100);
+    tasks.click(2600, {});
+    tasks.end(5000);
+    const summary = tasks.summary();
+    assert.equal(summary.taskWaitLatency, 800);
+    // Two movements and a click; the drift within the slop does not count
+    assert.equal(summary.taskWaitActions, 3);
+  });
+
+  test('a wait held still has actions but no latency', () => {
+    const tasks = new TaskAnalyzer().start(0, { kind: 'wait' }).end(4000);
+    const summary = tasks.summary();
+    assert.equal(summary.taskWaitActions, 0);
+    assert.equal(summary.taskWaitLatency, null);
+  });
+
+  test('skipped tasks count as started only', () => {
+    const tasks = new TaskAnalyzer().start(0, { kind: 'wait' });
+    tasks.act(100);
+    tasks.end(200, { skipped: true });
+    const summary = tasks.summary();
+    assert.equal(summary.taskCount, 1);
+    assert.equal(summary.taskCompleted, 0);
+    assert.equal(summary.taskWaitActions, null);
+  });
+
+  test('ignores actions outside a task', () => {
+    const tasks = new TaskAnalyzer();
+    tasks.click(0, { hit: true }).key(10, 'char').scroll(20, 100);
+    assert.deepEqual(tasks.summary(), new TaskAnalyzer().summary());
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TrajectoryAnalyzer, TRAJECTORY_FEATURES, measureStroke,
+  STROKE_GAP, CLICK_PAUSE_MAX
+} from '../src/trajectory.js';
+
+// Samples every 20ms along the given points, starting at t0
+const path = (points, t0 = 0) => points.map(([x, y], i) => ({ t: t0 + i * 20, x, y }));
+
+const feed = (analyzer, samples) => {
+  samples.forEach(({ t, x, y }) => analyzer.move(t, x, y));
+  return analyzer;
+};
+
+describe('measureStroke', () => {
+  test('a straight line is fully efficient and uncurved', () => {
+    const stroke = measureStroke(path([[0, 0], [30, 0], [60, 0], [90, 0]]));
+    assert.equal(stroke.length, 90);
+    assert.equal(stroke.efficiency, 1);
+    assert.equal(stroke.curvature, 0);
+    assert.equal(stroke.submovements, 1);
+  });
+
+  test('a detour lowers efficiency and adds curvature', () => {
+    const stroke = measureStroke(path([[0, 0], [30, 40], [60, 0]]));
+    assert.equal(stroke.length, 100);
+    assert.equal(stroke.efficiency, 0.6);
+    assert.ok(stroke.curvature > 1.5);
+  });
+
+  test('ignores strokes too short or too sparse to measure', () => {
+    assert.equal(measureStroke(path([[0, 0], [100, 0]])), null);
+    assert.equal(measureStroke(path([[0, 0], [5, 0], [10, 0]])), null);
+  });
+
+  test('derives acceleration and jerk from the speed profile', () => {
+    // Speeds 500, 1000, 2000 px/s over 20ms steps
+    const stroke = measureStroke(path([[0, 0], [10, 0], [30, 0], [70, 0]]));
+    assert.deepEqual(stroke.accel, [25000, 50000]);
+    assert.deepEqual(stroke.jerk, [1250000]);
+  });
+
+  test('counts a slowdown and re-acceleration as a submovement', () => {
+    const stroke = measureStroke(path([[0, 0], [20, 0], [40, 0], [42, 0], [62, 0], [82, 0]]));
+    assert.equal(stroke.submovements, 2);
+  });
+
+  test('measures overshoot past the click target', () => {
+    const samples = path([[0, 0], [60, 0], [120, 0], [100, 0]]);
+    assert.equal(measureStroke(samples, { x: 100, y: 0 }).overshoot, 20);
+    assert.equal(measureStroke(samples, { x: 130, y: 0 }).overshoot, 0);
+    assert.equal(measureStroke(samples).overshoot, null);
+  });
+});
+
+describe('TrajectoryAnalyzer', () => {
+  test('reports every feature, null without movement', () => {
+    const summary = new TrajectoryAnalyzer().summary();
+    assert.deepEqual(Object.keys(summary), TRAJECTORY_FEATURES);
+    assert.equal(summary.trajectoryStrokes, 0);
+    assert.equal(summary.trajectoryEfficiency, null);
+    assert.equal(summary.trajectoryClickPause, null);
+  });
+
+  test('splits strokes at pauses and includes the one in progress', () => {
+    const analyzer = feed(new TrajectoryAnalyzer(), [
+      ...path([[0, 0], [30, 0], [60, 0]]),
+      ...path([[60, 0], [60, 30], [60, 60]], 40 + STROKE_GAP + 1)
+    ]);
+    const summary = analyzer.summary();
+    assert.equal(summary.trajectoryStrokes, 2);
+    assert.equal(summary.trajectoryStrokeLength, 60);
+    // summary() leaves the open stroke in place
+    assert.equal(analyzer.summary().trajectoryStrokes, 2);
+  });
+
+  test('ends the aiming stroke on click and times the pause before it', () => {
+    const analyzer = feed(new TrajectoryAnalyzer(), path([[0, 0], [60, 0], [120, 0], [100, 0]]));
+    analyzer.click(360, 100, 0);
+    const summary = analyzer.summary();
+    assert.equal(summary.trajectoryStrokes, 1);
+    assert.equal(summary.trajectoryClickPause, 300);
+    assert.equal(summary.trajectoryOvershootRate, 1);
+    assert.equal(summary.trajectoryOvershoot, 20);
+  });
+
+  test('does not treat a click long after moving as aimed', () => {
+    const analyzer = feed(new TrajectoryAnalyzer(), path([[0, 0], [60, 0], [120, 0]]));
+    analyzer.click(40 + CLICK_PAUSE_MAX + 1, 120, 0);
+    const summary = analyzer.summary();
+    assert.equal(summary.trajectoryStrokes, 1);
+    assert.equal(summary.trajectoryClickPause, null);
+    assert.equal(summary.trajectoryOvershootRate, null);
+  });
+
+  test('endStroke closes a stroke without a target', () => {
+    const analyzer = feed(new TrajectoryAnalyzer(), path([[0, 0], [30, 0], [60, 0]]));
+    analyzer.endStroke();
+    feed(analyzer, path([[200, 0], [230, 0], [260, 0]], 60));
+    assert.equal(analyzer.summary().trajectoryStrokes, 2);
+  });
+
+  test('thins fast samples to the spacing, always keeping the latest', () => {
+    const analyzer = new TrajectoryAnalyzer({ spacing: 16 });
+    [0, 4, 8, 12, 16, 20, 24, 28, 32, 34].forEach(t => analyzer.move(t, t * 2, 0));
+    assert.deepEqual(analyzer.points.map(p => p.t), [0, 16, 32, 34]);
+    assert.equal(measureStroke(analyzer.points).length, 68);
+  });
+});
@@ -0,0 +1,100 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Vault, VaultError, encryptWithPassphrase, decryptWithPassphrase, isEncrypted,
+  VAULT_KEY, ENCRYPTED_SCHEMA
+} from '../src/vault.js';
+
+// Few iterations keep the tests quick; the format records whatever was used
+const FAST = { iterations: 1000 };
+
+const createStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+};
+
+const rejectsWith = (code) => (e) => e instanceof VaultError && e.code === code;
+
+describe('passphrase encryption', () => {
+  test('round-trips a value through a self-describing document', async () => {
+    const value = { personality: 'Observer', scores: { focus: 40 }, text: 'ünïcode ✓' };
+    const encrypted = await encryptWithPassphrase(value, 'correct horse', FAST);
+    assert.equal(encrypted.schema, ENCRYPTED_SCHEMA);
+    assert.deepEqual(encrypted.kdf, { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000, salt: encrypted.kdf.salt });
+    assert.equal(encrypted.cipher, 'AES-GCM');
+    assert.ok(!JSON.stringify(encrypted).includes('Observer'));
+    assert.ok(isEncrypted(encrypted));
+    assert.deepEqual(await decryptWithPassphrase(encrypted, 'correct horse'), value);
+  });
+
+  test('salts every document', async () => {
+    const [a, b] = await Promise.all([1, 2].map(() => encryptWithPassphrase({}, 'correct horse', FAST)));
+    assert.notEqual(a.kdf.salt, b.kdf.salt);
+    assert.notEqual(a.iv, b.iv);
+  });
+
+  test('rejects a wrong passphrase and any edit', async () => {
+    const encrypted = await encryptWithPassphrase({ a: 1 }, 'correct horse', FAST);
+    await assert.rejects(decryptWithPassphrase(encrypted, 'wrong horse'), rejectsWith('passphrase'));
+    const data = Buffer.from(encrypted.data, 'base64');
+    data[0] ^= 1;
+    await assert.rejects(decryptWithPassphrase({ ...encrypted, data: data.toString('base64') }, 'correct horse'), rejectsWith('passphrase'));
+    await assert.rejects(decryptWithPassphrase({ ...encrypted, kdf: { ...encrypted.kdf, iterations: 1e9 } }, 'correct horse'), rejectsWith('format'));
+    await assert.rejects(decryptWithPassphrase({ a: 1 }, 'correct horse'), rejectsWith('format'));
+  });
+
+  test('needs a passphrase of a minimum length', async () => {
+    await assert.rejects(encryptWithPassphrase({}, 'short', FAST), /at least 8/);
+  });
+});
+
+describe('Vault', () => {
+  test('starts off and turns on under a passphrase, unlocked', async () => {
+    const storage = createStorage();
+    const vault = new Vault({ storage, ...FAST });
+    assert.equal(vault.enabled, false);
+    await vault.create('correct horse');
+    assert.equal(vault.enabled, true);
+    assert.equal(vault.locked, false);
+    // The private key is stored only under the passphrase
+    const meta = JSON.parse(storage.getItem(VAULT_KEY));
+    assert.equal(meta.publicKey.d, undefined);
+    assert.ok(!storage.getItem(VAULT_KEY).includes('"d"'));
+    await assert.rejects(vault.create('another one'), rejectsWith('state'));
+  });
+
+  test('seals while locked and opens only after unlocking', async () => {
+    const storage = createStorage();
+    const vault = await new Vault({ storage, ...FAST }).create('correct horse');
+    vault.lock();
+    const sealed = await vault.seal({ personality: 'Restless' });
+    await assert.rejects(vault.open(sealed), rejectsWith('locked'));
+
+    // A fresh page load finds the vault locked
+    const reloaded = new Vault({ storage, ...FAST });
+    assert.equal(reloaded.locked, true);
+    await assert.rejects(reloaded.unlock('wrong horse'), rejectsWith('passphrase'));
+    await reloaded.unlock('correct horse');
+    assert.deepEqual(await reloaded.open(sealed), { personality: 'Restless' });
+  });
+
+  test('cannot open what another vault sealed', async () => {
+    const mine = await new Vault({ storage: createStorage(), ...FAST }).create('correct horse');
+    const theirs = await new Vault({ storage: createStorage(), ...FAST }).create('correct horse');
+    await assert.rejects(mine.open(await theirs.seal({ a: 1 })), rejectsWith('passphrase'));
+  });
+
+  test('removing forgets the keys', async () => {
+    const storage = createStorage();
+    const vault = await new Vault({ storage, ...FAST }).create('correct horse');
+    vault.remove();
+    assert.equal(storage.getItem(VAULT_KEY), null);
+    assert.equal(vault.enabled, false);
+    assert.equal(vault.locked, true);
+    await assert.rejects(vault.seal({}), rejectsWith('state'));
+  });
+});